@@ -4,12 +4,14 @@
  */
 
 import { store } from './store.js';
-import { escapeHtml, isNoGap } from './utils.js';
+import { escapeHtml, isNoGap, cancelOperation, formatEffort } from './utils.js';
 import { showToast } from './toast.js';
 import {
     updateLoopState, setStatus, setActiveAgent, appendLog, markPhaseCompleted, setActivePhase
 } from './stage-controller.js';
 import { getAnalysisPhase, setAnalysisPhase, updateAnalyzeCount } from './meeting-flow.js';
+import { closeRequirementEditor, getEditorName, setEditorName, sendEdit } from './requirement-editor.js';
+import { renderDependencyGraph } from './dependency-graph.js';
 
 // ─── Gap data ──────────────────────────────────────────────────
 let gaps = [];
@@ -24,7 +26,26 @@ export function getGaps() { return gaps; }
 export function setGaps(g) { gaps = g; }
 
 /** Reset gaps to empty. */
-export function resetGaps() { gaps = []; }
+export function resetGaps() {
+    gaps = [];
+    renderGapReview();
+    renderDependencyGraph(gaps);
+}
+
+/**
+ * Where the analyzer reads the code for this run.
+ * @returns {'github'|'local'} GitHub MCP, or the server's local clone
+ */
+function getAnalysisMode() {
+    const select = document.getElementById('analysisModeSelect');
+    return select && select.value === 'local' ? 'local' : 'github';
+}
+
+/** @returns {boolean} Whether cached results should be analyzed again */
+function isForceRefresh() {
+    const input = document.getElementById('forceRefreshInput');
+    return Boolean(input && input.checked);
+}
 
 // ─── Start Gap Analysis ─────────────────────────────────────────
 /**
@@ -45,6 +66,10 @@ export async function startGapAnalysis() {
     }
 
     setAnalysisPhase('analyzing');
+    // Requirements are frozen once analysis starts (gap ids follow their order)
+    closeRequirementEditor();
+    document.getElementById('unifiedTable')?.classList.add('requirements-locked');
+    document.getElementById('btnAddRequirement').style.display = 'none';
     const btn = document.getElementById('btnAnalyzeGaps');
     btn.disabled = true;
     btn.innerHTML = `<div class="loading-step-icon spinner" style="width:16px;height:16px;border-width:2px;"></div> Analyzer processing ${selectedIndices.length}...`;
@@ -62,6 +87,10 @@ export async function startGapAnalysis() {
         cb.disabled = true;
         if (selectedIndices.includes(i)) {
             statusCell.innerHTML = `<span class="status-chip analyzing"><span class="status-chip-dot"></span> Queued</span>`;
+        } else if (row.classList.contains('req-unchanged')) {
+            // Analyzed in the previous run — not offered for re-analysis
+            statusCell.innerHTML = `<span class="status-chip skipped">Unchanged</span>`;
+            row.classList.add('no-gap-row');
         } else {
             statusCell.innerHTML = `<span class="status-chip skipped">Skipped</span>`;
             row.classList.add('no-gap-row');
@@ -69,12 +98,18 @@ export async function startGapAnalysis() {
     });
 
     let gapAnalyzedCount = 0;
+    showCancelAnalysisButton(true);
 
     try {
         const response = await fetch('/api/analyze-gaps', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ selectedIndices, targetRepo: store.get('targetRepo') || '' }),
+            body: JSON.stringify({
+                selectedIndices,
+                targetRepo: store.get('targetRepo') || '',
+                analysisMode: getAnalysisMode(),
+                forceRefresh: isForceRefresh(),
+            }),
         });
 
         if (!response.ok) {
@@ -107,6 +142,13 @@ export async function startGapAnalysis() {
                 if (eventType === 'gap-started') {
                     const { id } = JSON.parse(eventData);
                     markRowAnalyzing(id);
+                } else if (eventType === 'gap-retry') {
+                    markRowRetrying(JSON.parse(eventData));
+                } else if (eventType === 'dependencies') {
+                    applyDependencies(JSON.parse(eventData).dependencies);
+                } else if (eventType === 'cancelled') {
+                    const { id } = JSON.parse(eventData);
+                    markRowCancelled(id);
                 } else if (eventType === 'gap') {
                     const { gap } = JSON.parse(eventData);
                     gap.hasGap = !isNoGap(gap);
@@ -114,12 +156,17 @@ export async function startGapAnalysis() {
                     gapAnalyzedCount++;
                     updateLoopState({ stages: { analyze: { metrics: { primary: `${gapAnalyzedCount}/${selectedIndices.length} analyzed` } } } });
                     enrichRowWithGap(gap);
+                    renderGapReview();
                     document.getElementById('gapAnalyzedCount').textContent = gapAnalyzedCount;
                 } else if (eventType === 'log') {
                     const { message } = JSON.parse(eventData);
                     appendLog('agentLogEntries', message);
+                } else if (eventType === 'warning') {
+                    const { message } = JSON.parse(eventData);
+                    showToast(message, 'warning');
                 } else if (eventType === 'complete') {
-                    // done
+                    const { cancelled } = JSON.parse(eventData);
+                    if (cancelled) showToast('Gap analysis cancelled — cancelled requirements can be analyzed again.', 'warning');
                 } else if (eventType === 'error') {
                     const { error } = JSON.parse(eventData);
                     throw new Error(error);
@@ -156,17 +203,23 @@ export async function startGapAnalysis() {
             <span class="btn-badge" id="analyzeCount">${selectedIndices.length}</span>
         `;
         document.querySelectorAll('.unified-row input[type="checkbox"]').forEach(cb => { cb.disabled = false; });
+    } finally {
+        showCancelAnalysisButton(false);
     }
 }
 
 // ─── Analyze Skipped ─────────────────────────────────────────────
+/** Rows not analyzed yet that can be picked for the next run: skipped or cancelled. */
+function isSkippedRow(row) {
+    const statusChip = row.querySelector('.col-status .status-chip');
+    const text = statusChip ? statusChip.textContent.trim() : '';
+    return text === 'Skipped' || text === 'Cancelled';
+}
+
 function getSkippedIndices() {
     const indices = [];
     document.querySelectorAll('.unified-row').forEach((row, i) => {
-        const statusChip = row.querySelector('.col-status .status-chip');
-        if (statusChip && statusChip.textContent.trim() === 'Skipped') {
-            indices.push(i);
-        }
+        if (isSkippedRow(row)) indices.push(i);
     });
     return indices;
 }
@@ -217,12 +270,18 @@ export async function analyzeSkipped() {
             row.classList.remove('no-gap-row');
         }
     });
+    showCancelAnalysisButton(true);
 
     try {
         const response = await fetch('/api/analyze-gaps', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ selectedIndices: skippedIndices, targetRepo: store.get('targetRepo') || '' }),
+            body: JSON.stringify({
+                selectedIndices: skippedIndices,
+                targetRepo: store.get('targetRepo') || '',
+                analysisMode: getAnalysisMode(),
+                forceRefresh: isForceRefresh(),
+            }),
         });
 
         if (!response.ok) {
@@ -255,15 +314,29 @@ export async function analyzeSkipped() {
                 if (eventType === 'gap-started') {
                     const { id } = JSON.parse(eventData);
                     markRowAnalyzing(id);
+                } else if (eventType === 'gap-retry') {
+                    markRowRetrying(JSON.parse(eventData));
+                } else if (eventType === 'dependencies') {
+                    applyDependencies(JSON.parse(eventData).dependencies);
+                } else if (eventType === 'cancelled') {
+                    const { id } = JSON.parse(eventData);
+                    markRowCancelled(id);
                 } else if (eventType === 'gap') {
                     const { gap } = JSON.parse(eventData);
                     gap.hasGap = !isNoGap(gap);
                     gaps.push(gap);
                     enrichRowWithGap(gap);
+                    renderGapReview();
                     document.getElementById('gapAnalyzedCount').textContent = gaps.length;
+                } else if (eventType === 'complete') {
+                    const { cancelled } = JSON.parse(eventData);
+                    if (cancelled) showToast('Gap analysis cancelled — cancelled requirements can be analyzed again.', 'warning');
                 } else if (eventType === 'log') {
                     const { message } = JSON.parse(eventData);
                     appendLog('agentLogEntries', message);
+                } else if (eventType === 'warning') {
+                    const { message } = JSON.parse(eventData);
+                    showToast(message, 'warning');
                 } else if (eventType === 'error') {
                     const { error } = JSON.parse(eventData);
                     throw new Error(error);
@@ -281,6 +354,7 @@ export async function analyzeSkipped() {
         showToast(error.message);
         setStatus('Error analyzing skipped', 'error');
     } finally {
+        showCancelAnalysisButton(false);
         btn.disabled = false;
         btn.innerHTML = `
             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="11" cy="11" r="8"/><path d="m21 21-4.3-4.3"/></svg>
@@ -291,7 +365,48 @@ export async function analyzeSkipped() {
     }
 }
 
+// ─── Cancel ──────────────────────────────────────────────────────
+/**
+ * Stop the running gap analysis. Finished results are kept; the rest are
+ * marked Cancelled and can be picked again with Analyze Skipped.
+ */
+export async function cancelGapAnalysis() {
+    const btn = document.getElementById('btnCancelAnalysis');
+    if (btn) btn.disabled = true;
+    try {
+        await cancelOperation('analyze-gaps');
+    } catch (error) {
+        showToast(error.message);
+        if (btn) btn.disabled = false;
+    }
+}
+
+function showCancelAnalysisButton(visible) {
+    const btn = document.getElementById('btnCancelAnalysis');
+    if (!btn) return;
+    btn.style.display = visible ? '' : 'none';
+    btn.disabled = false;
+}
+
+/**
+ * Replace every gap's dependencies with the ones inferred for the whole analysis.
+ * @param {Object<string, Array<{id: number, requirementId: string, reason: string}>>} dependencies - By gap id.
+ */
+function applyDependencies(dependencies) {
+    gaps.forEach(gap => {
+        if (dependencies[gap.id]) gap.dependsOn = dependencies[gap.id];
+        else delete gap.dependsOn;
+    });
+    renderDependencyGraph(gaps);
+}
+
 // ─── Row helpers ─────────────────────────────────────────────────
+function markRowCancelled(gapId) {
+    const row = document.getElementById(`unified-row-${gapId - 1}`);
+    const statusCell = row ? row.querySelector('.col-status') : null;
+    if (statusCell) statusCell.innerHTML = `<span class="status-chip cancelled">Cancelled</span>`;
+}
+
 function markRowAnalyzing(gapId) {
     const idx = gapId - 1;
     const row = document.getElementById(`unified-row-${idx}`);
@@ -303,6 +418,18 @@ function markRowAnalyzing(gapId) {
     }
 }
 
+/**
+ * Show "Retry 2/3" on a row whose session failed and will be tried again.
+ * @param {{id: number, attempt: number, maxAttempts: number, delayMs: number, error: string, model: string}} retry
+ */
+function markRowRetrying({ id, attempt, maxAttempts, delayMs, error, model }) {
+    const row = document.getElementById(`unified-row-${id - 1}`);
+    const statusCell = row ? row.querySelector('.col-status') : null;
+    if (!statusCell) return;
+    const title = `Attempt ${attempt - 1} failed: ${error}\nRetrying in ${Math.round(delayMs / 1000)}s with ${model}`;
+    statusCell.innerHTML = `<span class="status-chip analyzing active retrying" title="${escapeHtml(title)}"><span class="status-chip-dot"></span> Retry ${attempt}/${maxAttempts}</span>`;
+}
+
 /**
  * Enrich a table row with gap analysis results (status chip, complexity, detail grid).
  * @param {Object} gap - Gap analysis result object.
@@ -344,6 +471,22 @@ export function enrichRowWithGap(gap) {
         cells[3].innerHTML = `<span class="complexity-badge ${gap.complexity.toLowerCase()}">${gap.complexity}</span>`;
         cells[3].style.textAlign = 'center';
     }
+    if (gap.confidence && gap.confidence.level !== 'high') {
+        const { score, level, reasons } = gap.confidence;
+        const label = needsReview(gap) ? `needs review · ${score}` : `${level} confidence · ${score}`;
+        const title = gap.review ? `${gap.review.action === 'edited' ? 'Edited' : 'Accepted'} by ${gap.review.by}` : reasons.join('\n');
+        cells[2].insertAdjacentHTML('beforeend',
+            `<span class="gap-confidence-badge ${level}${gap.review ? ' reviewed' : ''}" title="${escapeHtml(title)}">${escapeHtml(label)}${gap.review ? ' \u2713' : ''}</span>`);
+    }
+    if (gap.attempts) {
+        cells[2].insertAdjacentHTML('beforeend',
+            `<span class="gap-cached-badge gap-attempts-badge" title="The analysis session failed and was retried">${gap.attempts} attempts</span>`);
+    }
+    if (gap.cached) {
+        const when = new Date(gap.cached.at).toLocaleString();
+        cells[2].insertAdjacentHTML('beforeend',
+            `<span class="gap-cached-badge" title="Analyzed ${escapeHtml(when)} at commit ${escapeHtml(gap.cached.sha.substring(0, 7))} — tick “Re-analyze cached” to refresh">cached</span>`);
+    }
 
     targetRow.dataset.details = gap.details || '';
     targetRow.dataset.gapId = gap.id;
@@ -360,11 +503,16 @@ export function enrichRowWithGap(gap) {
             const detVal = detItem ? detItem.querySelector('.detail-value') : null;
             if (csVal) csVal.textContent = gap.currentState || '\u2014';
             if (gapVal) gapVal.textContent = gap.gap || '\u2014';
-            if (effVal) effVal.textContent = gap.estimatedEffort || '\u2014';
+            if (effVal) effVal.textContent = formatEffort(gap);
             if (detVal && gap.details) {
                 detVal.textContent = gap.details;
                 if (detItem) detItem.style.display = '';
             }
+            const evItem = grid.querySelector('[data-field="evidence"]');
+            if (evItem && gap.evidence?.length) {
+                evItem.querySelector('.detail-value').innerHTML = gap.evidence.map(renderEvidence).join('');
+                evItem.style.display = '';
+            }
         }
     }
 
@@ -372,6 +520,133 @@ export function enrichRowWithGap(gap) {
     setTimeout(() => targetRow.classList.remove('row-flash'), 1200);
 }
 
+/**
+ * One citation: verified ones link to the lines at the analyzed commit,
+ * unresolved ones are struck through with the reason on hover.
+ * @param {{ file: string, startLine: number, endLine: number, snippet?: string, verified?: boolean, relocated?: boolean, problem?: string, url?: string }} e
+ * @returns {string}
+ */
+function renderEvidence(e) {
+    const label = `${e.file}#L${e.startLine}${e.endLine > e.startLine ? `-L${e.endLine}` : ''}`;
+    if (!e.verified) {
+        return `<li class="gap-evidence-unverified" title="${escapeHtml(e.problem || 'Not verified')}"><s>${escapeHtml(label)}</s> <span class="req-source-unverified">unverified</span></li>`;
+    }
+    const title = e.snippet ? escapeHtml(e.snippet) : '';
+    const link = e.url
+        ? `<a href="${escapeHtml(e.url)}" target="_blank" rel="noopener" title="${title}">${escapeHtml(label)}</a>`
+        : `<code title="${title}">${escapeHtml(label)}</code>`;
+    return `<li>${link} <span class="gap-evidence-verified">\u2713 verified${e.relocated ? ' (lines corrected)' : ''}</span></li>`;
+}
+
+// ─── Needs review ───────────────────────────────────────────────
+/**
+ * Low-confidence gaps nobody has accepted or edited yet. They can't be
+ * dispatched (the server refuses them too).
+ * @param {{ confidence?: { level: string }, review?: Object }} gap
+ * @returns {boolean}
+ */
+export function needsReview(gap) {
+    return Boolean(gap.confidence && gap.confidence.level === 'low' && !gap.review);
+}
+
+/**
+ * Render the "Needs review" bucket above the table: one card per unreviewed
+ * low-confidence gap, with its fields editable.
+ */
+export function renderGapReview() {
+    const container = document.getElementById('gapReview');
+    if (!container) return;
+    const pending = gaps.filter(needsReview);
+    if (pending.length === 0) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    // Keep what the reviewer already typed when another gap arrives
+    const typed = {};
+    container.querySelectorAll('.gap-review-item').forEach(card => {
+        typed[card.dataset.gapId] = {};
+        card.querySelectorAll('[data-field]').forEach(el => { typed[card.dataset.gapId][el.dataset.field] = el.value; });
+    });
+    const value = (gap, field) => typed[gap.id]?.[field] ?? gap[field] ?? '';
+    const complexities = ['Low', 'Medium', 'High', 'Critical'];
+
+    container.style.display = '';
+    container.innerHTML = `
+        <div class="req-proposals-header">
+            <span class="req-proposals-title">Needs review</span>
+            <span class="req-proposals-sub">${pending.length} gap analys${pending.length === 1 ? 'is is' : 'es are'} too uncertain to dispatch — accept or correct ${pending.length === 1 ? 'it' : 'them'}</span>
+            <label class="req-proposals-author">
+                Reviewing as
+                <input type="text" id="gapReviewAuthor" value="${escapeHtml(document.getElementById('gapReviewAuthor')?.value ?? getEditorName())}" placeholder="Your name" />
+            </label>
+        </div>
+        ${pending.map(gap => `
+            <div class="req-clarity-item gap-review-item" data-gap-id="${gap.id}">
+                <div class="req-clarity-head">
+                    <span class="req-proposal-id">${escapeHtml(gap.requirementId || `#${gap.id}`)}</span>
+                    <span class="req-clarity-text">${escapeHtml(gap.requirement)}</span>
+                    <span class="req-clarity-score" title="Confidence score (0–100)">${gap.confidence.score}/100</span>
+                </div>
+                ${gap.confidence.reasons.length ? `<ul class="req-clarity-issues">${gap.confidence.reasons.map(r => `<li>${escapeHtml(r)}</li>`).join('')}</ul>` : ''}
+                <div class="req-clarity-questions gap-review-fields">
+                    <label class="req-clarity-question">Gap<textarea data-field="gap" rows="2">${escapeHtml(value(gap, 'gap'))}</textarea></label>
+                    <label class="req-clarity-question">Current state<textarea data-field="currentState" rows="2">${escapeHtml(value(gap, 'currentState'))}</textarea></label>
+                    <label class="req-clarity-question">Implementation details<textarea data-field="details" rows="3">${escapeHtml(value(gap, 'details'))}</textarea></label>
+                    <div class="gap-review-row">
+                        <label class="req-clarity-question">Complexity
+                            <select data-field="complexity">${complexities.map(c => `<option${c === value(gap, 'complexity') ? ' selected' : ''}>${c}</option>`).join('')}</select>
+                        </label>
+                        <label class="req-clarity-question">Estimated effort<input type="text" data-field="estimatedEffort" value="${escapeHtml(value(gap, 'estimatedEffort'))}" /></label>
+                    </div>
+                </div>
+                <div class="req-proposal-actions">
+                    <button class="btn btn-primary btn-sm" onclick="resolveGapReview(${gap.id}, 'edit')">Save edits</button>
+                    <button class="btn btn-ghost btn-sm" onclick="resolveGapReview(${gap.id}, 'accept')">Accept as is</button>
+                </div>
+            </div>
+        `).join('')}
+    `;
+}
+
+/**
+ * Sign off on a gap from the review bucket, as is or with the edited fields.
+ * It becomes dispatchable.
+ * @param {number} gapId
+ * @param {'accept'|'edit'} action
+ */
+export async function resolveGapReview(gapId, action) {
+    const author = document.getElementById('gapReviewAuthor')?.value.trim() || getEditorName();
+    if (!author) {
+        showToast('Enter your name under "Reviewing as" first.', 'warning');
+        return;
+    }
+    setEditorName(author);
+
+    const card = document.querySelector(`.gap-review-item[data-gap-id="${gapId}"]`);
+    const changes = {};
+    if (card && action === 'edit') {
+        card.querySelectorAll('[data-field]').forEach(el => { changes[el.dataset.field] = el.value.trim(); });
+    }
+    const buttons = card ? card.querySelectorAll('button') : [];
+    buttons.forEach(b => { b.disabled = true; });
+    try {
+        const { gap } = await sendEdit('POST', `/api/gaps/${gapId}/review`, { action, changes, author });
+        gap.hasGap = !isNoGap(gap);
+        gap.selected = gap.hasGap;
+        const index = gaps.findIndex(g => g.id === gap.id);
+        if (index >= 0) gaps[index] = gap;
+        enrichRowWithGap(gap);
+        if (getAnalysisPhase() === 'reviewed') revealCheckboxesForIssues();
+        else renderGapReview();
+        showToast(`Gap #${gap.id} ${gap.review.action} — it can be dispatched now.`, 'success');
+    } catch (error) {
+        showToast(error.message);
+        buttons.forEach(b => { b.disabled = false; });
+    }
+}
+
 // ─── Post-analysis: make table read-only, show dispatch nav ─────
 function revealCheckboxesForIssues() {
     // After analysis, keep checkboxes visible for skipped rows
@@ -381,9 +656,7 @@ function revealCheckboxesForIssues() {
     document.querySelectorAll('.unified-row').forEach(row => {
         const cb = row.querySelector('input[type="checkbox"]');
         if (!cb) return;
-        const statusChip = row.querySelector('.col-status .status-chip');
-        const isSkipped = statusChip && statusChip.textContent.trim() === 'Skipped';
-        if (isSkipped) {
+        if (isSkippedRow(row)) {
             cb.disabled = false;
             cb.checked = true;
         } else {
@@ -392,11 +665,12 @@ function revealCheckboxesForIssues() {
         }
     });
 
-    // Pre-select actionable gaps for dispatch (BUILD will read this)
-    gaps.forEach(g => { g.selected = g.hasGap; });
+    // Pre-select actionable gaps for dispatch (BUILD will read this); unreviewed ones wait
+    gaps.forEach(g => { g.selected = g.hasGap && !needsReview(g); });
+    renderGapReview();
 
     // Show dispatch navigation button instead of inline dispatch
-    const actionableCount = gaps.filter(g => g.hasGap).length;
+    const actionableCount = gaps.filter(g => g.hasGap && !needsReview(g)).length;
     const btnDispatchNav = document.getElementById('btnDispatchNav');
     if (btnDispatchNav) {
         btnDispatchNav.style.display = '';
@@ -428,17 +702,15 @@ export function handleCheckboxChange(index) {
         const checkbox = row ? row.querySelector('input[type="checkbox"]') : null;
 
         // Handle skipped rows (selecting requirements for re-analysis)
-        const statusChip = row ? row.querySelector('.col-status .status-chip') : null;
-        const isSkipped = statusChip && statusChip.textContent.trim() === 'Skipped';
-        if (isSkipped) {
-            if (row && checkbox) row.classList.toggle('selected', checkbox.checked);
+        if (row && isSkippedRow(row)) {
+            if (checkbox) row.classList.toggle('selected', checkbox.checked);
             showAnalyzeSkippedButton();
             return;
         }
 
         // Handle analyzed gap rows (for dispatch selection)
         const gap = gaps.find(g => g.id === index + 1);
-        if (gap && gap.hasGap) {
+        if (gap && gap.hasGap && !needsReview(gap)) {
             if (checkbox) gap.selected = checkbox.checked;
             if (row && checkbox) row.classList.toggle('selected', checkbox.checked);
         }
@@ -468,9 +740,7 @@ export function handleSelectAll() {
         document.querySelectorAll('.unified-row').forEach(row => {
             const cb = row.querySelector('input[type="checkbox"]');
             if (!cb || cb.disabled) return;
-            const statusChip = row.querySelector('.col-status .status-chip');
-            const isSkipped = statusChip && statusChip.textContent.trim() === 'Skipped';
-            if (isSkipped) {
+            if (isSkippedRow(row)) {
                 cb.checked = checked;
                 row.classList.toggle('selected', checked);
             }
@@ -499,10 +769,7 @@ export function toggleAllCheckboxes() {
         // Toggle skipped rows for re-analysis selection
         const skippedRows = [];
         document.querySelectorAll('.unified-row').forEach(row => {
-            const statusChip = row.querySelector('.col-status .status-chip');
-            if (statusChip && statusChip.textContent.trim() === 'Skipped') {
-                skippedRows.push(row);
-            }
+            if (isSkippedRow(row)) skippedRows.push(row);
         });
         if (skippedRows.length > 0) {
             const anyChecked = skippedRows.some(r => {
@@ -526,7 +793,7 @@ export function toggleAllCheckboxes() {
  * Update the count of selected actionable gaps and the dispatch button state.
  */
 export function updateSelectedCount() {
-    const actionable = gaps.filter(g => g.hasGap);
+    const actionable = gaps.filter(g => g.hasGap && !needsReview(g));
     const count = actionable.filter(g => g.selected).length;
     const el = document.getElementById('selectedCount');
     if (el) el.textContent = count;
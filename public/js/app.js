@@ -26,11 +26,28 @@ import {
 import {
     startAnalysis, renderRequirementsForSelection,
     updateAnalyzeCount, initMeetingFlow, toggleMeetingBanner,
+    selectMeetingSource, clearSourceFile, hasMeetingSourceInput,
+    selectMeetingCandidate, selectAllMeetingCandidates, confirmMeetingSelection, resetMeetingDiscovery,
     getAnalysisPhase, setAnalysisPhase,
 } from './meeting-flow.js';
 
 import {
-    startGapAnalysis, analyzeSkipped, enrichRowWithGap,
+    openRequirementEditor, submitRequirementEditor, closeRequirementEditor,
+    addRequirementSplitPart, resolveRequirementProposal,
+} from './requirement-editor.js';
+
+import {
+    resolveRequirementClarity, postClarifyingQuestions, fetchClarifyingAnswers,
+} from './requirement-clarity.js';
+
+import {
+    addParticipantRow, saveParticipants,
+} from './participant-directory.js';
+
+import { resumeFromEpic }              from './epic-resume.js';
+
+import {
+    startGapAnalysis, analyzeSkipped, cancelGapAnalysis, enrichRowWithGap, resolveGapReview,
     handleCheckboxChange, handleSelectAll, toggleAllCheckboxes,
     updateSelectedCount, toggleReqExpand, getGaps, setGaps, resetGaps,
 } from './analyze-flow.js';
@@ -40,13 +57,17 @@ import {
     finishDispatch, renderCompletion, getDispatchedGapIds, isDispatchInProgress,
     resetBuildFlow, handleBuildCheckboxChange, handleBuildSelectAll,
     toggleBuildSelectAll, updateBuildSelectedCount, toggleBuildRowExpand,
-    injectVerifyFailuresAsGaps,
+    injectVerifyFailuresAsGaps, cancelLocalAgent,
 } from './build-flow.js';
 
+import {
+    toggleRoadmap, refreshRoadmap, publishRoadmap, updateRoadmapCapacity,
+} from './roadmap-view.js';
+
 import {
     buildQAGapTable, launchQAWorkflow, runDeployOnly,
     runValidateOnly, toggleQAMode, getDeployedUrl, getValidationResults, isQAMode,
-    getFailedValidationGaps,
+    getFailedValidationGaps, cancelQAWorkflow,
 } from './verify-flow.js';
 
 // ═════════════════════════════════════════════════════════════════
@@ -181,6 +202,7 @@ function resetApp() {
     resetGaps();
     resetBuildFlow();
     setAnalysisPhase('idle');
+    resetMeetingDiscovery();
 
     // Reset store to initial state
     store.reset();
@@ -191,10 +213,9 @@ function resetApp() {
     showLoopHeader(false);
     setActivePhase('meeting');
 
-    const meetingInput = document.getElementById('meetingNameInput');
     const repoInput = document.getElementById('targetRepoInput');
     const btnAnalyze = document.getElementById('btnAnalyze');
-    if (btnAnalyze) btnAnalyze.disabled = !(meetingInput && meetingInput.value.trim() && repoInput && repoInput.value.trim());
+    if (btnAnalyze) btnAnalyze.disabled = !(hasMeetingSourceInput() && repoInput && repoInput.value.trim());
 
     // Reset column visibility
     const colAgentHeader = document.getElementById('colAgentHeader');
@@ -310,10 +331,28 @@ eventBus.on('stage:render-action', ({ stage, stageData, actionArea }) => {
 // Landing / Meet
 window.startAnalysis        = startAnalysis;
 window.toggleMeetingBanner  = toggleMeetingBanner;
+window.selectMeetingSource  = selectMeetingSource;
+window.clearSourceFile      = clearSourceFile;
+window.selectMeetingCandidate = selectMeetingCandidate;
+window.selectAllMeetingCandidates = selectAllMeetingCandidates;
+window.confirmMeetingSelection = confirmMeetingSelection;
+window.resolveRequirementProposal = resolveRequirementProposal;
+window.openRequirementEditor = openRequirementEditor;
+window.submitRequirementEditor = submitRequirementEditor;
+window.closeRequirementEditor = closeRequirementEditor;
+window.addRequirementSplitPart = addRequirementSplitPart;
+window.resolveRequirementClarity = resolveRequirementClarity;
+window.postClarifyingQuestions = postClarifyingQuestions;
+window.fetchClarifyingAnswers = fetchClarifyingAnswers;
+window.addParticipantRow    = addParticipantRow;
+window.saveParticipants     = saveParticipants;
+window.resumeFromEpic       = resumeFromEpic;
 
 // Analyze
 window.startGapAnalysis     = startGapAnalysis;
 window.analyzeSkipped       = analyzeSkipped;
+window.cancelGapAnalysis    = cancelGapAnalysis;
+window.resolveGapReview     = resolveGapReview;
 window.handleCheckboxChange = handleCheckboxChange;
 window.handleSelectAll      = handleSelectAll;
 window.toggleAllCheckboxes  = toggleAllCheckboxes;
@@ -324,15 +363,21 @@ window.updateAnalyzeCount   = updateAnalyzeCount;
 window.dispatchSelected     = dispatchSelected;
 window.dispatchRemaining    = dispatchRemaining;
 window.finishDispatch       = finishDispatch;
+window.cancelLocalAgent     = cancelLocalAgent;
 window.handleBuildCheckboxChange = handleBuildCheckboxChange;
 window.handleBuildSelectAll = handleBuildSelectAll;
 window.toggleBuildSelectAll = toggleBuildSelectAll;
 window.toggleBuildRowExpand = toggleBuildRowExpand;
+window.toggleRoadmap        = toggleRoadmap;
+window.refreshRoadmap       = refreshRoadmap;
+window.publishRoadmap       = publishRoadmap;
+window.updateRoadmapCapacity = updateRoadmapCapacity;
 
 // Verify
 window.launchQAWorkflow     = launchQAWorkflow;
 window.runDeployOnly        = runDeployOnly;
 window.runValidateOnly      = runValidateOnly;
+window.cancelQAWorkflow     = cancelQAWorkflow;
 window.toggleQAMode         = toggleQAMode;
 window.redispatchFromVerify = redispatchFromVerify;
 
@@ -4,12 +4,14 @@
  */
 
 import { store } from './store.js';
-import { escapeHtml } from './utils.js';
+import { escapeHtml, cancelOperation, formatEffort } from './utils.js';
 import { showToast } from './toast.js';
 import {
     updateLoopState, showPanel, closeStageDetail, setStatus, setActiveAgent, appendLog, setActivePhase
 } from './stage-controller.js';
-import { getGaps, setGaps } from './analyze-flow.js';
+import { getGaps, setGaps, needsReview } from './analyze-flow.js';
+import { orderByDependencies, dependencyLabel } from './dependency-graph.js';
+import { refreshRoadmap } from './roadmap-view.js';
 
 // ─── Build row expand ───────────────────────────────────────────
 /**
@@ -93,7 +95,7 @@ export function injectVerifyFailuresAsGaps(verifyGaps) {
  */
 export function renderBuildPreview() {
     const gaps = getGaps();
-    const allActionable = gaps.filter(g => g.hasGap);
+    const allActionable = orderByDependencies(gaps.filter(g => g.hasGap));
 
     // Don't override if dispatch already happened or is running
     if (dispatchInProgress || dispatchedGapIds.size > 0) return;
@@ -101,8 +103,11 @@ export function renderBuildPreview() {
 
     const tbody = document.getElementById('dispatchTableBody');
     if (!tbody) return;
-    // Don't override if already populated by queue
-    if (tbody.children.length > 0) return;
+    // Don't override if already populated by queue — only pick up reviews done since
+    if (tbody.children.length > 0) {
+        syncReviewedRows();
+        return;
+    }
 
     tbody.innerHTML = '';
 
@@ -114,33 +119,36 @@ export function renderBuildPreview() {
     const postActions = document.getElementById('dispatchActions');
     if (postActions) postActions.style.display = 'none';
 
-    // Pre-select all actionable gaps
-    allActionable.forEach(g => { g.selected = true; });
+    // Pre-select all actionable gaps; low-confidence ones wait for review
+    allActionable.forEach(g => { g.selected = !needsReview(g); });
 
     allActionable.forEach((gap, i) => {
         const tr = document.createElement('tr');
         tr.id = `dispatch-row-${gap.id}`;
-        tr.className = 'dispatch-row remaining selected';
+        tr.className = `dispatch-row remaining${gap.selected ? ' selected' : ''}`;
         tr.dataset.gapId = gap.id;
         tr.style.animationDelay = `${i * 0.04}s`;
 
         tr.innerHTML = `
             <td class="col-check">
                 <label class="checkbox-wrapper">
-                    <input type="checkbox" data-gap-id="${gap.id}" checked onchange="handleBuildCheckboxChange(${gap.id})">
+                    <input type="checkbox" data-gap-id="${gap.id}"${gap.selected ? ' checked' : ''}${needsReview(gap) ? ' disabled' : ''} onchange="handleBuildCheckboxChange(${gap.id})">
                     <span class="checkmark"></span>
                 </label>
             </td>
-            <td class="col-req"><div class="td-requirement" onclick="toggleBuildRowExpand(${gap.id})">${escapeHtml(gap.requirement)}</div></td>
+            <td class="col-req">
+                <div class="td-requirement" onclick="toggleBuildRowExpand(${gap.id})">${escapeHtml(gap.requirement)}</div>
+                ${gap.dependsOn?.length ? `<div class="dispatch-after" title="${escapeHtml(gap.dependsOn.map(d => `#${d.id}: ${d.reason}`).join('\n'))}">${dependencyLabel(gap)}</div>` : ''}
+            </td>
             <td class="col-dispatch-mode">
-                <select class="agent-type-select" data-gap-id="${gap.id}">
+                <select class="agent-type-select" data-gap-id="${gap.id}" onchange="refreshRoadmap()">
                     <option value="local" selected>💻 Local Agent</option>
                     <option value="cloud">☁️ Cloud Agent</option>
                     <option value="developer">👤 Developer</option>
                 </select>
             </td>
             <td class="col-dispatch-issue" id="dispatch-issue-${gap.id}"><span class="text-muted">—</span></td>
-            <td class="col-dispatch-status" id="dispatch-status-${gap.id}"><span class="status-chip pending">Ready</span></td>
+            <td class="col-dispatch-status" id="dispatch-status-${gap.id}">${needsReview(gap) ? NEEDS_REVIEW_CHIP : READY_CHIP}</td>
         `;
 
         // Expandable detail row (pre-dispatch: gap summary, complexity, effort)
@@ -149,7 +157,7 @@ export function renderBuildPreview() {
         detailTr.className = 'build-detail-expandable';
         const gapSummary = gap.gap || '—';
         const complexity = gap.complexity || '—';
-        const effort = gap.estimatedEffort || '—';
+        const effort = formatEffort(gap);
         const details = gap.details || '';
         detailTr.innerHTML = `
             <td colspan="6">
@@ -199,6 +207,22 @@ export function renderBuildPreview() {
     updateBuildSelectedCount();
 }
 
+const READY_CHIP = '<span class="status-chip pending">Ready</span>';
+const NEEDS_REVIEW_CHIP = '<span class="status-chip skipped" title="Low-confidence analysis — accept or edit it in the analyze table">Needs Review</span>';
+
+/** Enable queue rows whose gap was reviewed after the queue was rendered. */
+function syncReviewedRows() {
+    getGaps().filter(g => g.hasGap).forEach(gap => {
+        const row = document.getElementById(`dispatch-row-${gap.id}`);
+        const cb = row ? row.querySelector('input[type="checkbox"]') : null;
+        if (!cb || !cb.disabled || needsReview(gap)) return;
+        cb.disabled = false;
+        const statusCell = document.getElementById(`dispatch-status-${gap.id}`);
+        if (statusCell) statusCell.innerHTML = READY_CHIP;
+    });
+    updateBuildSelectedCount();
+}
+
 // ─── Build Queue Selection Handlers ─────────────────────────────
 
 /**
@@ -227,11 +251,11 @@ export function handleBuildSelectAll() {
     const checked = selectAll ? selectAll.checked : false;
     const gaps = getGaps();
 
-    gaps.forEach(g => { if (g.hasGap) g.selected = checked; });
+    gaps.forEach(g => { if (g.hasGap && !needsReview(g)) g.selected = checked; });
 
     document.querySelectorAll('#dispatchTableBody .dispatch-row').forEach(row => {
         const cb = row.querySelector('input[type="checkbox"]');
-        if (cb) {
+        if (cb && !cb.disabled) {
             cb.checked = checked;
             row.classList.toggle('selected', checked);
         }
@@ -245,7 +269,7 @@ export function handleBuildSelectAll() {
  */
 export function toggleBuildSelectAll() {
     const gaps = getGaps();
-    const actionable = gaps.filter(g => g.hasGap);
+    const actionable = gaps.filter(g => g.hasGap && !needsReview(g));
     const anySelected = actionable.some(g => g.selected);
     const newState = !anySelected;
 
@@ -253,7 +277,7 @@ export function toggleBuildSelectAll() {
 
     document.querySelectorAll('#dispatchTableBody .dispatch-row').forEach(row => {
         const cb = row.querySelector('input[type="checkbox"]');
-        if (cb) {
+        if (cb && !cb.disabled) {
             cb.checked = newState;
             row.classList.toggle('selected', newState);
         }
@@ -270,7 +294,7 @@ export function toggleBuildSelectAll() {
  */
 export function updateBuildSelectedCount() {
     const gaps = getGaps();
-    const actionable = gaps.filter(g => g.hasGap);
+    const actionable = gaps.filter(g => g.hasGap && !needsReview(g));
     const count = actionable.filter(g => g.selected).length;
 
     const el = document.getElementById('buildSelectedCount');
@@ -284,6 +308,7 @@ export function updateBuildSelectedCount() {
         selectAll.checked = count === actionable.length && actionable.length > 0;
         selectAll.indeterminate = count > 0 && count < actionable.length;
     }
+    refreshRoadmap();
 }
 
 function incrementDispatchProgress() {
@@ -295,17 +320,33 @@ function incrementDispatchProgress() {
     }
 }
 
+/**
+ * Warn about gaps whose dependencies are neither dispatched nor part of this
+ * dispatch; their issues name the dependency instead of linking it.
+ * @param {Array} dispatching - Gaps about to be dispatched.
+ */
+function warnUnmetDependencies(dispatching) {
+    const ids = new Set(dispatching.map(g => g.id));
+    const unmet = dispatching.flatMap(g => (g.dependsOn || [])
+        .filter(d => !ids.has(d.id) && !dispatchedGapIds.has(d.id))
+        .map(d => `#${g.id} needs #${d.id}`));
+    if (unmet.length > 0) {
+        showToast(`Dispatching ahead of dependencies: ${unmet.join(', ')}`, 'warning');
+    }
+}
+
 // ─── Dispatch Selected ──────────────────────────────────────────
 /**
  * Entry point: partition selected gaps by agent type, create issues, assign agents.
  */
 export async function dispatchSelected() {
     const gaps = getGaps();
-    const selectedGaps = gaps.filter(g => g.selected && g.hasGap);
+    const selectedGaps = orderByDependencies(gaps.filter(g => g.selected && g.hasGap && !needsReview(g)));
     if (selectedGaps.length === 0) {
         showToast('Please select at least one gap to dispatch.');
         return;
     }
+    warnUnmetDependencies(selectedGaps);
 
     // Partition by agent type from build queue dropdowns
     const cloudGaps = [];
@@ -328,6 +369,8 @@ export async function dispatchSelected() {
     if (checkHeader) checkHeader.style.display = 'none';
     const queueActions = document.getElementById('dispatchQueueActions');
     if (queueActions) queueActions.style.display = 'none';
+    const roadmapPanel = document.getElementById('roadmapPanel');
+    if (roadmapPanel) roadmapPanel.style.display = 'none';
 
     const btn = document.getElementById('btnDispatch');
     if (btn) btn.disabled = true;
@@ -412,8 +455,9 @@ export async function dispatchSelected() {
             showToast(`Partial failure: ${errors.join('; ')}`, 'warning');
         }
 
-        // Mark dispatched items
-        selectedGaps.forEach(g => dispatchedGapIds.add(g.id));
+        // Mark dispatched items — cancelled local runs stay available for Dispatch Remaining
+        const cancelledIds = new Set(allResults.filter(r => r.cancelled).map(r => r.gapId));
+        selectedGaps.forEach(g => { if (!cancelledIds.has(g.id)) dispatchedGapIds.add(g.id); });
 
         // Update unified table rows with results
         allResults.forEach(result => {
@@ -422,7 +466,9 @@ export async function dispatchSelected() {
             if (row) {
                 const statusCell = row.querySelector('.col-status');
                 if (statusCell) {
-                    statusCell.innerHTML = result.assigned
+                    statusCell.innerHTML = result.cancelled
+                        ? '<span class="status-chip cancelled">Cancelled</span>'
+                        : result.assigned
                         ? '<span class="status-chip assigned"><svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3"><polyline points="20 6 9 17 4 12"/></svg> Dispatched</span>'
                         : '<span class="status-chip error"><svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M15 9l-6 6"/><path d="M9 9l6 6"/></svg> Failed</span>';
                 }
@@ -571,7 +617,7 @@ export function renderDispatchTable(selectedGaps, cloudGaps, localGaps, develope
 
         const agentLabel = isCloud ? '☁️ Cloud Agent' : isLocal ? '💻 Local Agent' : isDeveloper ? '👤 Developer' : '—';
         const gapSummary = gap.gap || '—';
-        const effort = gap.estimatedEffort || '—';
+        const effort = formatEffort(gap);
         const statusLabel = wasDispatched ? 'Dispatched' : isDispatching ? 'In Progress' : 'Queued';
 
         detailTr.innerHTML = `
@@ -629,7 +675,7 @@ export function updateDispatchRowIssue(gapId, issue) {
 /**
  * Update the status chip in the dispatch table for a given gap.
  * @param {number} gapId
- * @param {string} status - 'assigning'|'assigned'|'completed'|'implemented'|'working'|'failed'
+ * @param {string} status - 'assigning'|'assigned'|'completed'|'implemented'|'working'|'failed'|'cancelled'
  * @param {*} [extra]
  */
 export function updateDispatchRowStatus(gapId, status, extra) {
@@ -642,7 +688,7 @@ export function updateDispatchRowStatus(gapId, status, extra) {
     if (detailRow) {
         const statusItem = detailRow.querySelector('.build-detail-grid .build-detail-item:nth-child(3) .detail-value');
         if (statusItem) {
-            const labelMap = { assigning: 'Assigning…', assigned: 'Assigned ✓', completed: 'Completed ✓', implemented: 'Implemented ✓', working: 'Working…', failed: 'Failed ✗' };
+            const labelMap = { assigning: 'Assigning…', assigned: 'Assigned ✓', completed: 'Completed ✓', implemented: 'Implemented ✓', working: 'Working…', failed: 'Failed ✗', cancelled: 'Cancelled' };
             statusItem.textContent = labelMap[status] || status;
         }
     }
@@ -663,6 +709,9 @@ export function updateDispatchRowStatus(gapId, status, extra) {
     } else if (status === 'failed') {
         statusCell.innerHTML = `<span class="status-chip error"><svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M15 9l-6 6"/><path d="M9 9l6 6"/></svg> Failed</span>`;
         if (row) { row.classList.remove('dispatching'); row.classList.add('dispatch-failed'); }
+    } else if (status === 'cancelled') {
+        statusCell.innerHTML = `<span class="status-chip cancelled">Cancelled</span>`;
+        if (row) row.classList.remove('dispatching');
     }
 }
 
@@ -707,13 +756,19 @@ export function updateDispatchCounts() {
  */
 export async function dispatchRemaining() {
     const gaps = getGaps();
-    const remaining = gaps.filter(g => g.hasGap && !dispatchedGapIds.has(g.id));
+    const undispatched = gaps.filter(g => g.hasGap && !dispatchedGapIds.has(g.id));
+    const remaining = orderByDependencies(undispatched.filter(g => !needsReview(g)));
     if (remaining.length === 0) {
-        showToast('All requirements have been dispatched.');
+        if (undispatched.length > 0) {
+            showToast('Remaining gaps need review — accept or edit them in the analyze table.', 'warning');
+        } else {
+            showToast('All requirements have been dispatched.');
+        }
         return;
     }
 
     remaining.forEach(g => g.selected = true);
+    warnUnmetDependencies(remaining);
 
     const cloudGaps = remaining;
     const localGaps = [];
@@ -981,63 +1036,96 @@ async function dispatchLocalFromGaps(localGaps) {
     const decoder = new TextDecoder();
     let buffer = '';
     let results = [];
+    showCancelLocalAgentButton(true);
 
-    while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        buffer += decoder.decode(value, { stream: true });
-        const chunks = buffer.split('\n\n');
-        buffer = chunks.pop();
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const chunks = buffer.split('\n\n');
+            buffer = chunks.pop();
+
+            for (const chunk of chunks) {
+                if (!chunk.trim()) continue;
+                const lines = chunk.split('\n');
+                let eventType = '', eventData = '';
+                for (const line of lines) {
+                    if (line.startsWith('event: ')) eventType = line.slice(7);
+                    if (line.startsWith('data: ')) eventData = line.slice(6);
+                }
+                if (!eventType || !eventData) continue;
 
-        for (const chunk of chunks) {
-            if (!chunk.trim()) continue;
-            const lines = chunk.split('\n');
-            let eventType = '', eventData = '';
-            for (const line of lines) {
-                if (line.startsWith('event: ')) eventType = line.slice(7);
-                if (line.startsWith('data: ')) eventData = line.slice(6);
-            }
-            if (!eventType || !eventData) continue;
+                if (eventType === 'cancelled') {
+                    const { id } = JSON.parse(eventData);
+                    results.push({ gapId: id, assigned: false, cancelled: true, message: 'Cancelled' });
+                    updateDispatchRowStatus(id, 'cancelled');
+                    incrementDispatchProgress();
+                    appendLog('issueLogEntries', `  ⏹ Gap ${id}: Cancelled`);
+                } else if (eventType === 'item-complete') {
+                    const data = JSON.parse(eventData);
+                    results.push({ gapId: data.id, assigned: data.success, message: data.summary });
 
-            if (eventType === 'item-complete') {
-                const data = JSON.parse(eventData);
-                results.push({ gapId: data.id, assigned: data.success, message: data.summary });
+                    updateDispatchRowStatus(data.id, data.success ? 'implemented' : 'failed');
+                    incrementDispatchProgress();
 
-                updateDispatchRowStatus(data.id, data.success ? 'implemented' : 'failed');
-                incrementDispatchProgress();
+                    const issueCell = document.getElementById(`dispatch-issue-${data.id}`);
+                    if (issueCell) {
+                        issueCell.innerHTML = data.success
+                            ? `<span class="dispatch-local-done">✓ Done</span>`
+                            : `<span class="text-muted">—</span>`;
+                    }
 
-                const issueCell = document.getElementById(`dispatch-issue-${data.id}`);
-                if (issueCell) {
-                    issueCell.innerHTML = data.success
-                        ? `<span class="dispatch-local-done">✓ Done</span>`
-                        : `<span class="text-muted">—</span>`;
+                    appendLog('issueLogEntries', data.success
+                        ? `  ✅ Gap ${data.id}: ${(data.summary || '').substring(0, 60)}`
+                        : `  ❌ Gap ${data.id}: Failed`);
+                } else if (eventType === 'item-start') {
+                    const { id, requirement } = JSON.parse(eventData);
+                    updateDispatchRowStatus(id, 'working');
+                    const logDetails = document.getElementById('dispatchLogDetails');
+                    if (logDetails && !logDetails.open) logDetails.open = true;
+                    appendLog('issueLogEntries', `💻 Local agent working: ${requirement.substring(0, 60)}...`);
+                } else if (eventType === 'item-progress') {
+                    const { id, message } = JSON.parse(eventData);
+                    appendLog('issueLogEntries', `  ⚙ [Gap ${id}] ${message}`);
+                } else if (eventType === 'log') {
+                    const { message } = JSON.parse(eventData);
+                    appendLog('issueLogEntries', message);
+                } else if (eventType === 'error') {
+                    const { error } = JSON.parse(eventData);
+                    throw new Error(error);
                 }
-
-                appendLog('issueLogEntries', data.success
-                    ? `  ✅ Gap ${data.id}: ${(data.summary || '').substring(0, 60)}`
-                    : `  ❌ Gap ${data.id}: Failed`);
-            } else if (eventType === 'item-start') {
-                const { id, requirement } = JSON.parse(eventData);
-                updateDispatchRowStatus(id, 'working');
-                const logDetails = document.getElementById('dispatchLogDetails');
-                if (logDetails && !logDetails.open) logDetails.open = true;
-                appendLog('issueLogEntries', `💻 Local agent working: ${requirement.substring(0, 60)}...`);
-            } else if (eventType === 'item-progress') {
-                const { id, message } = JSON.parse(eventData);
-                appendLog('issueLogEntries', `  ⚙ [Gap ${id}] ${message}`);
-            } else if (eventType === 'log') {
-                const { message } = JSON.parse(eventData);
-                appendLog('issueLogEntries', message);
-            } else if (eventType === 'error') {
-                const { error } = JSON.parse(eventData);
-                throw new Error(error);
             }
         }
+    } finally {
+        showCancelLocalAgentButton(false);
     }
 
     return results;
 }
 
+/**
+ * Stop the local agent. The gap being implemented is rolled back and it and
+ * the ones still queued are marked Cancelled; Dispatch Remaining picks them up.
+ */
+export async function cancelLocalAgent() {
+    const btn = document.getElementById('btnCancelLocalAgent');
+    if (btn) btn.disabled = true;
+    try {
+        await cancelOperation('execute-local-agent');
+    } catch (error) {
+        showToast(error.message);
+        if (btn) btn.disabled = false;
+    }
+}
+
+function showCancelLocalAgentButton(visible) {
+    const actions = document.getElementById('dispatchCancelActions');
+    if (actions) actions.style.display = visible ? 'flex' : 'none';
+    const btn = document.getElementById('btnCancelLocalAgent');
+    if (btn) btn.disabled = false;
+}
+
 // ─── Developer dispatch: create issues without agent assignment ──
 /**
  * Create GitHub issues for developer-assigned gaps (no Copilot assignment).
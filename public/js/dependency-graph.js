@@ -0,0 +1,121 @@
+/**
+ * Dependencies between gaps: which gap must land before which. Rendered as a
+ * left-to-right graph above the analyze table — a gap sits one column right of
+ * the deepest gap it depends on. The build queue uses the same order.
+ * @module dependency-graph
+ */
+
+import { escapeHtml } from './utils.js';
+
+const NODE_WIDTH = 200;
+const NODE_HEIGHT = 44;
+const COLUMN_GAP = 64;
+const ROW_GAP = 14;
+
+/**
+ * Dependencies first, otherwise in the given order. Dependencies on gaps that
+ * aren't in the list don't hold anything back. Mirrors the server's ordering.
+ * @param {Array<{id: number, dependsOn?: Array<{id: number}>}>} gaps
+ * @returns {Array} A new, ordered array.
+ */
+export function orderByDependencies(gaps) {
+    const pending = [...gaps];
+    const placed = new Set();
+    const inList = new Set(gaps.map(g => g.id));
+    const ordered = [];
+    while (pending.length > 0) {
+        const ready = pending.findIndex(g => (g.dependsOn || []).every(d => placed.has(d.id) || !inList.has(d.id)));
+        const [next] = pending.splice(ready === -1 ? 0 : ready, 1);
+        ordered.push(next);
+        placed.add(next.id);
+    }
+    return ordered;
+}
+
+/**
+ * "after #2, #5" for a gap with dependencies; empty otherwise.
+ * @param {{dependsOn?: Array<{id: number}>}} gap
+ * @returns {string}
+ */
+export function dependencyLabel(gap) {
+    const deps = gap.dependsOn || [];
+    return deps.length ? `after ${deps.map(d => `#${d.id}`).join(', ')}` : '';
+}
+
+/**
+ * Render the graph into #gapDependencyGraph. Only gaps that depend on or are
+ * depended on by another appear; the container is hidden when there are none.
+ * @param {Array} gaps - Analyzed gaps, with `dependsOn` from the `dependencies` event.
+ */
+export function renderDependencyGraph(gaps) {
+    const container = document.getElementById('gapDependencyGraph');
+    if (!container) return;
+    const byId = new Map(gaps.filter(g => g.hasGap).map(g => [g.id, g]));
+    const edges = [];
+    byId.forEach(gap => (gap.dependsOn || []).forEach(d => {
+        if (byId.has(d.id)) edges.push({ from: d.id, to: gap.id, reason: d.reason });
+    }));
+    if (edges.length === 0) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    // Column = longest dependency chain below the gap
+    const involved = orderByDependencies([...new Set(edges.flatMap(e => [e.from, e.to]))].sort((a, b) => a - b).map(id => byId.get(id)));
+    const column = new Map();
+    involved.forEach(gap => {
+        const deps = (gap.dependsOn || []).filter(d => column.has(d.id));
+        column.set(gap.id, deps.length ? Math.max(...deps.map(d => column.get(d.id))) + 1 : 0);
+    });
+    const columns = [];
+    involved.forEach(gap => (columns[column.get(gap.id)] ||= []).push(gap));
+
+    const position = new Map();
+    columns.forEach((col, c) => col.forEach((gap, r) => position.set(gap.id, {
+        x: c * (NODE_WIDTH + COLUMN_GAP),
+        y: r * (NODE_HEIGHT + ROW_GAP),
+    })));
+    const width = columns.length * (NODE_WIDTH + COLUMN_GAP) - COLUMN_GAP;
+    const height = Math.max(...columns.map(col => col.length)) * (NODE_HEIGHT + ROW_GAP) - ROW_GAP;
+
+    const paths = edges.map(({ from, to, reason }) => {
+        const a = position.get(from);
+        const b = position.get(to);
+        const x1 = a.x + NODE_WIDTH, y1 = a.y + NODE_HEIGHT / 2;
+        const x2 = b.x, y2 = b.y + NODE_HEIGHT / 2;
+        const bend = (x2 - x1) / 2;
+        return `<path class="gap-graph-edge" d="M${x1},${y1} C${x1 + bend},${y1} ${x2 - bend},${y2} ${x2},${y2}" marker-end="url(#gapGraphArrow)"><title>#${to} needs #${from}: ${escapeHtml(reason)}</title></path>`;
+    }).join('');
+
+    const nodes = involved.map(gap => {
+        const { x, y } = position.get(gap.id);
+        const text = gap.requirement.length > 30 ? `${gap.requirement.substring(0, 30)}…` : gap.requirement;
+        return `
+            <g class="gap-graph-node" transform="translate(${x},${y})" onclick="document.getElementById('unified-row-${gap.id - 1}')?.scrollIntoView({ behavior: 'smooth', block: 'center' })">
+                <title>${escapeHtml(gap.requirement)}</title>
+                <rect width="${NODE_WIDTH}" height="${NODE_HEIGHT}" rx="6"></rect>
+                <text class="gap-graph-id" x="10" y="17">#${gap.id}${gap.requirementId ? ` · ${escapeHtml(gap.requirementId)}` : ''}</text>
+                <text class="gap-graph-text" x="10" y="34">${escapeHtml(text)}</text>
+            </g>`;
+    }).join('');
+
+    container.style.display = '';
+    container.innerHTML = `
+        <div class="req-proposals-header">
+            <span class="req-proposals-title">Dependencies</span>
+            <span class="req-proposals-sub">${edges.length} dependenc${edges.length === 1 ? 'y' : 'ies'} between gaps — the build queue dispatches left to right and issues link their blockers</span>
+        </div>
+        <div class="gap-graph-scroll">
+            <svg class="gap-graph-svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+                <defs>
+                    <marker id="gapGraphArrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+                        <path d="M0,0 L10,5 L0,10 z"></path>
+                    </marker>
+                </defs>
+                ${paths}
+                ${nodes}
+            </svg>
+        </div>
+    `;
+}
@@ -0,0 +1,148 @@
+/**
+ * Resume from an epic — rebuilds requirements, gaps and issues from an epic
+ * created by an earlier run (e.g. after a server restart) and reopens the
+ * loop at Analyze, Build or Verify.
+ * @module epic-resume
+ */
+
+import { store } from './store.js';
+import { showToast } from './toast.js';
+import {
+    updateLoopState, showPanel, openStageDetail, setStatus, showLoopHeader, setActivePhase,
+} from './stage-controller.js';
+import {
+    renderRequirementsForSelection, populateMeetingBanner, setAnalysisPhase, updateAnalyzeCount,
+} from './meeting-flow.js';
+import { renderRequirementEditLog, renderRequirementProposals } from './requirement-editor.js';
+import { setGaps, enrichRowWithGap } from './analyze-flow.js';
+import {
+    resetBuildFlow, getDispatchedGapIds, renderDispatchTable, updateDispatchRowIssue, updateDispatchRowStatus,
+} from './build-flow.js';
+
+/**
+ * Read the epic number or URL from the landing page and resume from it.
+ */
+export async function resumeFromEpic() {
+    const input = document.getElementById('resumeEpicInput');
+    const epic = input ? input.value.trim() : '';
+    if (!epic) {
+        showToast('Enter an epic issue number or URL.');
+        return;
+    }
+    const repoInput = document.getElementById('targetRepoInput');
+    const btn = document.getElementById('btnResumeEpic');
+    if (btn) btn.disabled = true;
+    setStatus('Reading epic...', 'processing');
+
+    try {
+        const response = await fetch('/api/resume-epic', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ epic, targetRepo: repoInput ? repoInput.value.trim() : '' }),
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.error || 'Could not resume from the epic');
+        if (repoInput) repoInput.value = data.repo;
+        restoreRun(data);
+    } catch (error) {
+        showToast(error.message);
+        setStatus('Error', 'error');
+    } finally {
+        if (btn) btn.disabled = false;
+    }
+}
+
+/**
+ * Load a resumed run into the store and the Meet / Analyze / Build panels.
+ * @param {Object} run - { repo, epic, info, requirements, edits, gaps, issues, stage }
+ */
+function restoreRun(run) {
+    const gapIdOf = issue => run.requirements.findIndex(r => r.id === issue.requirementId) + 1;
+
+    store.set('targetRepo', run.repo);
+    store.set('meeting.info', run.info);
+    store.set('requirements', run.requirements);
+    store.set('requirementEdits', run.edits || []);
+    store.set('requirementProposals', []);
+    store.set('requirementClarity', []);
+    store.set('requirementDiff', null);
+    store.set('epicIssue', run.epic);
+    store.set('createdIssues', run.issues.map(i => ({ number: i.number, url: i.url, title: i.title, gapId: gapIdOf(i) })));
+
+    // Meet: meeting details and the requirements table
+    populateMeetingBanner(run.info);
+    const brand = document.getElementById('meetingSourceBrand');
+    if (brand) brand.style.display = 'flex';
+    const brandLabel = document.getElementById('meetingSourceBrandLabel');
+    if (brandLabel) brandLabel.textContent = `Resumed from epic #${run.epic.number}`;
+    const brandLogo = document.getElementById('meetingSourceBrandLogo');
+    if (brandLogo) brandLogo.style.display = 'none';
+    document.getElementById('meetingCard').style.display = 'none';
+    const epicLink = document.getElementById('epicLink');
+    epicLink.href = run.epic.url;
+    epicLink.style.display = 'inline-flex';
+    document.getElementById('epicNumber').textContent = run.epic.number;
+    renderRequirementsForSelection(run.requirements);
+    renderRequirementProposals();
+    renderRequirementEditLog();
+
+    // Analyze: requirements with an issue were analyzed; the rest can still be
+    const gaps = run.gaps.map(g => ({ ...g, hasGap: true, selected: false }));
+    setGaps(gaps);
+    gaps.forEach(gap => {
+        enrichRowWithGap(gap);
+        const row = document.getElementById(`unified-row-${gap.id - 1}`);
+        const cb = row ? row.querySelector('input[type="checkbox"]') : null;
+        if (cb) { cb.checked = false; cb.disabled = true; }
+        if (row) row.classList.remove('selected');
+    });
+    document.getElementById('gapAnalyzedCount').textContent = gaps.length;
+    const remaining = run.requirements.length - gaps.length;
+    if (gaps.length > 0) document.getElementById('unifiedTable')?.classList.add('requirements-locked');
+    document.getElementById('btnAnalyzeGaps').style.display = remaining > 0 ? '' : 'none';
+    document.getElementById('btnCreateIssues').style.display = 'none';
+    document.getElementById('btnAnalyzeSkipped').style.display = 'none';
+    document.getElementById('btnDispatchNav').style.display = gaps.length > 0 ? '' : 'none';
+    setAnalysisPhase(gaps.length > 0 ? 'reviewed' : 'selecting');
+    updateAnalyzeCount();
+
+    // Build: every restored gap already has its issue
+    resetBuildFlow();
+    const dispatched = getDispatchedGapIds();
+    gaps.forEach(g => dispatched.add(g.id));
+    renderDispatchTable([], [], [], []);
+    run.issues.forEach(issue => {
+        const gapId = gapIdOf(issue);
+        updateDispatchRowIssue(gapId, issue);
+        updateDispatchRowStatus(gapId, issue.state === 'closed' ? 'completed' : 'assigned');
+    });
+    const dispatchActions = document.getElementById('dispatchActions');
+    if (dispatchActions) dispatchActions.style.display = gaps.length > 0 ? 'flex' : 'none';
+
+    const closed = run.issues.filter(i => i.state === 'closed').length;
+    updateLoopState({
+        meetingName: run.info.title,
+        activeStage: run.stage,
+        stages: {
+            meet: { status: 'complete', metrics: { primary: `${run.requirements.length} requirements`, secondary: run.info.date || '', statusText: 'Complete ✓' } },
+            analyze: run.stage === 'analyze'
+                ? { status: 'waiting', metrics: { primary: 'Select & Analyze', statusText: 'Waiting...' } }
+                : { status: 'complete', metrics: { primary: `${gaps.length} gaps${remaining > 0 ? ` / ${remaining} not analyzed` : ''}`, statusText: 'Complete ✓' } },
+            build: run.stage === 'verify'
+                ? { status: 'complete', metrics: { primary: `${closed} closed`, statusText: 'Complete ✓' } }
+                : run.stage === 'build'
+                    ? { status: 'active', metrics: { primary: `${closed}/${run.issues.length} closed`, statusText: 'In Progress' } }
+                    : { status: 'idle', metrics: {} },
+            verify: run.stage === 'verify'
+                ? { status: 'waiting', metrics: { primary: 'Ship & Validate', statusText: 'Waiting...' } }
+                : { status: 'idle', metrics: {} },
+        },
+    });
+
+    setActivePhase(run.stage);
+    setStatus(`Resumed epic #${run.epic.number}`, '');
+    showPanel('panel-loop');
+    showLoopHeader(true);
+    setTimeout(() => openStageDetail(run.stage), 400);
+    showToast(`Resumed from epic #${run.epic.number}: ${run.requirements.length} requirements, ${run.issues.length} issues`, 'success');
+}
@@ -71,9 +71,11 @@ export const eventBus = new EventBus();
 /** Well-known event name constants */
 export const Events = {
     // Meeting
+    MEETING_SOURCE_CHANGED: 'meeting:source-changed',
     MEETING_STARTED: 'meeting:started',
     MEETING_INFO_RECEIVED: 'meeting:info-received',
     REQUIREMENTS_RECEIVED: 'requirements:received',
+    REQUIREMENTS_EDITED: 'requirements:edited',
     EPIC_CREATED: 'epic:created',
     MEETING_COMPLETE: 'meeting:complete',
 
@@ -1,12 +1,18 @@
 /**
- * Meeting Flow — handles the "Meet" stage: connecting to M365, extracting requirements.
+ * Meeting Flow — handles the "Meet" stage: loading a meeting from the selected
+ * source (M365, transcript, notes, …) and extracting requirements.
  * @module meeting-flow
  */
 
 import { store } from './store.js';
 import { eventBus, Events } from './event-bus.js';
-import { escapeHtml } from './utils.js';
+import { escapeHtml, parseSSEStream } from './utils.js';
 import { showToast } from './toast.js';
+import { renderRequirementProposals, renderRequirementEditLog, closeRequirementEditor } from './requirement-editor.js';
+import { renderRequirementClarity } from './requirement-clarity.js';
+import { renderRequirementDiff, loadPreviousRuns, getPreviousRunId } from './requirement-diff.js';
+import { loadParticipants, renderParticipantDirectory } from './participant-directory.js';
+import { renderMeetingItems } from './meeting-items.js';
 import {
     updateLoopState, showPanel, showLoopHeader, openStageDetail,
     setStatus, setActiveAgent, appendLog, setActivePhase
@@ -69,14 +75,23 @@ export function toggleMeetingBanner() {
     if (brand) brand.classList.toggle('expanded');
 }
 
-function populateMeetingBanner(info) {
+/**
+ * Fill the meeting details banner (title, date, language, participants, summary).
+ * @param {Object} info - Meeting info from the server.
+ */
+export function populateMeetingBanner(info) {
     meetingInfoCache = info;
     const titleEl = document.getElementById('meetingDetailTitle');
     const dateEl = document.getElementById('meetingDetailDate');
     const participantsEl = document.getElementById('meetingDetailParticipants');
     const summaryEl = document.getElementById('meetingDetailSummary');
     if (titleEl) titleEl.innerHTML = info.title ? `<strong>Title:</strong> ${escapeHtml(info.title)}` : '';
-    if (dateEl) dateEl.innerHTML = info.date ? `<strong>Date:</strong> ${escapeHtml(info.date)}` : '';
+    if (dateEl) {
+        dateEl.innerHTML = [
+            info.date ? `<strong>Date:</strong> ${escapeHtml(info.date)}` : '',
+            info.language ? `<strong>Language:</strong> ${escapeHtml(info.language)}` : '',
+        ].filter(Boolean).join(' · ');
+    }
     if (participantsEl && info.participants && info.participants.length > 0) {
         participantsEl.innerHTML = `<strong>Participants:</strong> ${info.participants.map(p => escapeHtml(p)).join(', ')}`;
     }
@@ -85,15 +100,553 @@ function populateMeetingBanner(info) {
     }
 }
 
+// ─── Meeting sources ────────────────────────────────────────────
+/** Used until /api/meeting-sources responds (or if it fails). */
+const FALLBACK_SOURCES = [{
+    id: 'workiq',
+    label: 'Microsoft 365',
+    description: 'Find a Teams meeting on M365 with WorkIQ',
+    input: { kind: 'query', placeholder: 'Enter meeting name, e.g. Contoso Industries - Redesign' },
+}];
+
+/** WorkIQ-specific card copy; every other provider uses sourceCopy(). */
+const WORKIQ_COPY = {
+    running: 'WorkIQ Running',
+    connecting: 'WorkIQ is connecting to M365...',
+    initializing: 'WorkIQ is initializing...',
+    searching: 'WorkIQ is searching for meeting...',
+    connected: 'Connected to WorkIQ',
+    found: 'Meeting Found by WorkIQ',
+    processing: 'WorkIQ processing',
+    extracting: 'WorkIQ is extracting requirements...',
+    creatingEpic: 'WorkIQ is creating epic issue...',
+};
+
+const OFFICE_LOGO_URL = 'https://upload.wikimedia.org/wikipedia/commons/thumb/0/0c/Microsoft_Office_logo_%282013%E2%80%932019%29.svg/120px-Microsoft_Office_logo_%282013%E2%80%932019%29.svg.png';
+
+let meetingSources = FALLBACK_SOURCES;
+let selectedSourceId = 'workiq';
+/** Provider of the running/last extraction (the picker may change meanwhile). */
+let activeSource = FALLBACK_SOURCES[0];
+
+/**
+ * Meeting card copy for a provider.
+ * @param {Object} source - Provider descriptor.
+ * @returns {Object}
+ */
+function sourceCopy(source) {
+    if (source.id === 'workiq') return WORKIQ_COPY;
+    return {
+        running: `Reading ${source.label}`,
+        connecting: `Loading ${source.label}...`,
+        initializing: 'Preparing meeting content...',
+        searching: `Reading ${source.label}...`,
+        connected: `${source.label} loaded`,
+        found: `${source.label} Loaded`,
+        processing: 'Processing',
+        extracting: 'Extracting requirements...',
+        creatingEpic: 'Creating epic issue...',
+    };
+}
+
+/** @returns {Object} Descriptor of the provider selected in the picker. */
+function getSelectedSource() {
+    return meetingSources.find(s => s.id === selectedSourceId) || meetingSources[0];
+}
+
+/** @returns {File|null} The file picked for a file-based provider, if any. */
+function getSelectedFile() {
+    const fileInput = document.getElementById('sourceFileInput');
+    return fileInput && fileInput.files && fileInput.files.length > 0 ? fileInput.files[0] : null;
+}
+
+/**
+ * Whether the selected provider has the input it needs (name, file or text).
+ * @returns {boolean}
+ */
+export function hasMeetingSourceInput() {
+    const kind = getSelectedSource().input.kind;
+    if (kind === 'file') return !!getSelectedFile();
+    const el = document.getElementById(kind === 'text' ? 'meetingNotesInput' : 'meetingNameInput');
+    return !!(el && el.value.trim());
+}
+
+/**
+ * Clear the file selected for a file-based provider.
+ */
+export function clearSourceFile() {
+    const fileInput = document.getElementById('sourceFileInput');
+    if (fileInput) fileInput.value = '';
+    syncFileSelection();
+}
+
+/** Reflect the selected file in the landing UI. */
+function syncFileSelection() {
+    const file = getSelectedFile();
+    const nameEl = document.getElementById('sourceFileName');
+    const clearBtn = document.getElementById('btnClearSourceFile');
+    if (nameEl) nameEl.textContent = file ? file.name : '';
+    if (clearBtn) clearBtn.style.display = file ? '' : 'none';
+    const upload = document.getElementById('sourceFileUpload');
+    if (upload) upload.classList.toggle('has-file', !!file);
+    eventBus.emit(Events.MEETING_SOURCE_CHANGED, { sourceId: selectedSourceId });
+}
+
+/**
+ * Select a meeting source provider and show its input.
+ * @param {string} sourceId
+ */
+export function selectMeetingSource(sourceId) {
+    const source = meetingSources.find(s => s.id === sourceId);
+    if (!source) return;
+    selectedSourceId = sourceId;
+
+    document.querySelectorAll('.meeting-source-option').forEach(el => {
+        el.classList.toggle('active', el.dataset.source === sourceId);
+    });
+
+    const kind = source.input.kind;
+    const queryGroup = document.getElementById('meetingQueryGroup');
+    const dateRange = document.getElementById('meetingDateRange');
+    if (dateRange) dateRange.style.display = kind === 'query' && source.discovery ? '' : 'none';
+    const textGroup = document.getElementById('meetingTextGroup');
+    const upload = document.getElementById('sourceFileUpload');
+    if (queryGroup) queryGroup.style.display = kind === 'query' ? '' : 'none';
+    if (textGroup) textGroup.style.display = kind === 'text' ? '' : 'none';
+    if (upload) upload.style.display = kind === 'file' ? '' : 'none';
+
+    if (kind === 'query') {
+        const input = document.getElementById('meetingNameInput');
+        if (input) input.placeholder = source.input.placeholder;
+    } else if (kind === 'text') {
+        const notes = document.getElementById('meetingNotesInput');
+        if (notes) notes.placeholder = source.input.placeholder;
+    } else {
+        const fileInput = document.getElementById('sourceFileInput');
+        if (fileInput) fileInput.accept = source.input.accept || '';
+        const hint = document.getElementById('sourceFileHint');
+        if (hint) hint.textContent = source.input.placeholder;
+        // A file picked for another provider may not match this one's formats
+        clearSourceFile();
+    }
+
+    const description = document.getElementById('meetingSourceDescription');
+    if (description) description.textContent = source.description;
+
+    resetMeetingDiscovery();
+    eventBus.emit(Events.MEETING_SOURCE_CHANGED, { sourceId });
+}
+
+/** Render the provider picker from the registered meeting sources. */
+function renderSourcePicker() {
+    const picker = document.getElementById('meetingSourcePicker');
+    if (!picker) return;
+    picker.innerHTML = meetingSources.map(s => `
+        <button type="button" class="meeting-source-option${s.id === selectedSourceId ? ' active' : ''}"
+            data-source="${escapeHtml(s.id)}" title="${escapeHtml(s.description)}"
+            onclick="selectMeetingSource('${escapeHtml(s.id)}')">${escapeHtml(s.label)}</button>
+    `).join('');
+    picker.style.display = meetingSources.length > 1 ? '' : 'none';
+}
+
+/** Fetch the provider registry from the server and render the picker. */
+async function loadMeetingSources() {
+    try {
+        const response = await fetch('/api/meeting-sources');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { sources, defaultSource } = await response.json();
+        if (Array.isArray(sources) && sources.length > 0) {
+            meetingSources = sources;
+            if (!sources.some(s => s.id === selectedSourceId)) selectedSourceId = defaultSource || sources[0].id;
+        }
+    } catch (err) {
+        console.warn('[meeting-flow] Could not load meeting sources, using WorkIQ only:', err);
+    }
+    renderSourcePicker();
+    selectMeetingSource(selectedSourceId);
+}
+
+/**
+ * Collect the selected provider's input for POST /api/analyze.
+ * @param {Object} source - Provider descriptor.
+ * @returns {Promise<{input: Object, meetingName: string}|null>} null if input is missing.
+ */
+async function readSourceInput(source) {
+    const kind = source.input.kind;
+    if (kind === 'file') {
+        const file = getSelectedFile();
+        if (!file) return null;
+        return {
+            input: { fileName: file.name, content: await file.text() },
+            meetingName: file.name.replace(/\.[^.]+$/, ''),
+        };
+    }
+    if (kind === 'text') {
+        const content = document.getElementById('meetingNotesInput')?.value.trim() || '';
+        if (!content) return null;
+        const firstLine = content.split('\n')[0].replace(/^#+\s*/, '').trim();
+        return { input: { content }, meetingName: firstLine.substring(0, 80) || source.label };
+    }
+    const query = document.getElementById('meetingNameInput')?.value.trim() || '';
+    if (!query) return null;
+    const input = { query };
+    if (source.discovery) {
+        // Optional date range, e.g. to pick the occurrences of a weekly series
+        const from = document.getElementById('meetingFromInput')?.value || '';
+        const to = document.getElementById('meetingToInput')?.value || '';
+        if (from) input.from = from;
+        if (to) input.to = to;
+    }
+    return { input, meetingName: query };
+}
+
+// ─── Meeting discovery ──────────────────────────────────────────
+let discoveredMeetings = [];
+/** Ids of the selected candidates — several meetings are merged as a series. */
+let selectedCandidateIds = new Set();
+/** Candidates confirmed by the user — consumed by the next startAnalysis(). */
+let confirmedMeetings = null;
+let discoveryRunning = false;
+
+/** Hide and clear the discovered meeting candidates. */
+export function resetMeetingDiscovery() {
+    discoveredMeetings = [];
+    selectedCandidateIds = new Set();
+    confirmedMeetings = null;
+    const container = document.getElementById('meetingCandidates');
+    if (container) container.style.display = 'none';
+    const list = document.getElementById('meetingCandidatesList');
+    if (list) list.innerHTML = '';
+}
+
+/**
+ * Render one discovered meeting as a selectable card.
+ * @param {Object} candidate - { id, title, date?, organizer?, attendeeCount? }
+ */
+function renderMeetingCandidate(candidate) {
+    const list = document.getElementById('meetingCandidatesList');
+    if (!list) return;
+    const meta = [
+        candidate.date,
+        candidate.organizer ? `Organized by ${candidate.organizer}` : '',
+        typeof candidate.attendeeCount === 'number'
+            ? `${candidate.attendeeCount} attendee${candidate.attendeeCount === 1 ? '' : 's'}`
+            : '',
+    ].filter(Boolean);
+    const index = discoveredMeetings.indexOf(candidate);
+
+    const card = document.createElement('button');
+    card.type = 'button';
+    card.className = 'meeting-candidate';
+    card.dataset.candidateIndex = String(index);
+    card.setAttribute('onclick', `selectMeetingCandidate(${index})`);
+    card.innerHTML = `
+        <span class="meeting-candidate-check"></span>
+        <span class="meeting-candidate-body">
+            <span class="meeting-candidate-title">${escapeHtml(candidate.title)}</span>
+            <span class="meeting-candidate-meta">${meta.map(m => `<span>${escapeHtml(m)}</span>`).join('')}</span>
+        </span>
+    `;
+    list.appendChild(card);
+}
+
+/** Reflect the selected candidates in the cards and the confirm button. */
+function syncCandidateSelection() {
+    document.querySelectorAll('.meeting-candidate').forEach(el => {
+        const candidate = discoveredMeetings[Number(el.dataset.candidateIndex)];
+        el.classList.toggle('selected', !!candidate && selectedCandidateIds.has(candidate.id));
+    });
+    const count = selectedCandidateIds.size;
+    const btn = document.getElementById('btnConfirmMeeting');
+    if (btn) {
+        btn.disabled = count === 0;
+        btn.textContent = count > 1
+            ? `Extract & merge requirements from ${count} meetings`
+            : 'Extract requirements from this meeting';
+    }
+    const selectAllBtn = document.getElementById('btnSelectAllMeetings');
+    if (selectAllBtn) {
+        selectAllBtn.style.display = discoveredMeetings.length > 1 ? '' : 'none';
+        selectAllBtn.textContent = count === discoveredMeetings.length ? 'Clear selection' : 'Select all';
+    }
+}
+
+/**
+ * Toggle a discovered meeting card. Selecting several meetings extracts
+ * them as a series and merges their requirements.
+ * @param {number} index - Index into the discovered meetings.
+ */
+export function selectMeetingCandidate(index) {
+    const candidate = discoveredMeetings[index];
+    if (!candidate || discoveryRunning) return;
+    if (selectedCandidateIds.has(candidate.id)) selectedCandidateIds.delete(candidate.id);
+    else selectedCandidateIds.add(candidate.id);
+    syncCandidateSelection();
+}
+
+/**
+ * Select every discovered meeting (e.g. all occurrences of a recurring series),
+ * or clear the selection when everything is already selected.
+ */
+export function selectAllMeetingCandidates() {
+    if (discoveryRunning) return;
+    selectedCandidateIds = selectedCandidateIds.size === discoveredMeetings.length
+        ? new Set()
+        : new Set(discoveredMeetings.map(c => c.id));
+    syncCandidateSelection();
+}
+
+/**
+ * Confirm the selected meeting(s) and start requirement extraction.
+ */
+export function confirmMeetingSelection() {
+    const selected = discoveredMeetings.filter(c => selectedCandidateIds.has(c.id));
+    if (selected.length === 0) return;
+    confirmedMeetings = selected;
+    startAnalysis();
+}
+
+/**
+ * List candidate meetings for the query, streamed as SSE, for the user to pick.
+ * @param {Object} source - Provider descriptor (with discovery support).
+ * @param {Object} input - { query, from?, to? } typed by the user.
+ */
+async function discoverMeetings(source, input) {
+    const { query } = input;
+    resetMeetingDiscovery();
+    discoveryRunning = true;
+
+    const container = document.getElementById('meetingCandidates');
+    const status = document.getElementById('meetingCandidatesStatus');
+    const confirmBtn = document.getElementById('btnConfirmMeeting');
+    const btn = document.getElementById('btnAnalyze');
+    if (container) container.style.display = '';
+    if (status) status.textContent = `Searching ${source.label} for "${query}"...`;
+    if (confirmBtn) confirmBtn.disabled = true;
+    if (btn) btn.disabled = true;
+    setStatus('Searching...', 'processing');
+
+    try {
+        const response = await fetch('/api/discover-meetings', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ source: source.id, input }),
+        });
+
+        if (!response.ok) {
+            const errData = await response.json();
+            throw new Error(errData.error || 'Meeting discovery failed');
+        }
+
+        let finished = false;
+        for await (const { event, data } of parseSSEStream(response.body)) {
+            if (event === 'meeting-candidate') {
+                discoveredMeetings.push(data);
+                renderMeetingCandidate(data);
+                syncCandidateSelection();
+            } else if (event === 'log') {
+                appendLog('agentLogEntries', data.message);
+            } else if (event === 'warning') {
+                showToast(data.message, 'warning');
+            } else if (event === 'error') {
+                throw new Error(data.error || 'Meeting discovery failed');
+            } else if (event === 'complete') {
+                finished = true;
+            }
+        }
+        if (!finished) throw new Error('Connection to server lost during meeting discovery');
+
+        if (status) {
+            status.textContent = discoveredMeetings.length > 0
+                ? `${discoveredMeetings.length} meeting${discoveredMeetings.length === 1 ? '' : 's'} found — select the one to ship, or several to merge as a series`
+                : `No meetings found for "${query}". Try a different name.`;
+        }
+        setStatus('Ready', '');
+    } catch (error) {
+        showToast(error.message);
+        setStatus('Error', 'error');
+        if (container) container.style.display = 'none';
+    } finally {
+        discoveryRunning = false;
+        eventBus.emit(Events.MEETING_SOURCE_CHANGED, { sourceId: source.id });
+    }
+}
+
+// ─── Meeting SSE events ─────────────────────────────────────────
+/**
+ * Handle one SSE event from the meeting extraction stream.
+ * `complete` and `error` are handled by the caller.
+ * @param {string} eventType
+ * @param {Object} data
+ */
+function handleMeetingEvent(eventType, data) {
+    const copy = sourceCopy(activeSource);
+
+    if (eventType === 'progress') {
+        const { step } = data;
+        markStep(step);
+        const msgs = ['Connecting...', 'Fetching data...', 'Extracting requirements...', 'Creating epic...'];
+        updateLoopState({ stages: { meet: { metrics: { statusText: msgs[step] || 'Processing...' } } } });
+
+        const cardTitle = document.getElementById('meetingCardTitle');
+        const cardStatus = document.getElementById('meetingCardStatus');
+        if (step === 0) {
+            cardTitle.textContent = copy.searching;
+            cardStatus.textContent = copy.connected;
+            setActiveAgent('extractor');
+        } else if (step === 1) {
+            cardTitle.textContent = copy.found;
+            cardStatus.textContent = 'Fetching meeting data...';
+        } else if (step === 2) {
+            cardStatus.textContent = copy.extracting;
+        } else if (step === 3) {
+            cardStatus.textContent = copy.creatingEpic;
+        }
+    } else if (eventType === 'meeting-info') {
+        const info = data;
+        const card = document.getElementById('meetingCard');
+        card.style.display = 'flex';
+        card.classList.add('found');
+        const meetingBrand = document.getElementById('meetingSourceBrand');
+        if (meetingBrand) {
+            meetingBrand.style.display = 'flex';
+            meetingBrand.classList.add('expanded');
+        }
+        const brandLabel = document.getElementById('meetingSourceBrandLabel');
+        if (brandLabel) brandLabel.textContent = activeSource.id === 'workiq' ? 'Microsoft 365 Meeting' : activeSource.label;
+        const brandLogo = document.getElementById('meetingSourceBrandLogo');
+        if (brandLogo) brandLogo.style.display = activeSource.id === 'workiq' ? '' : 'none';
+        populateMeetingBanner(info);
+        const iconEl = document.getElementById('meetingCardIcon');
+        iconEl.className = 'meeting-card-icon found';
+        iconEl.innerHTML = activeSource.id !== 'workiq'
+            ? `<svg width="40" height="40" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/><line x1="16" y1="13" x2="8" y2="13"/><line x1="16" y1="17" x2="8" y2="17"/></svg>`
+            : `<img src="${OFFICE_LOGO_URL}" alt="Microsoft Office" width="48" height="48" style="object-fit: contain;" class="office-logo-img">`;
+        document.getElementById('meetingCardTitle').textContent = copy.found;
+        if (info.date) document.getElementById('meetingCardDate').textContent = info.date;
+        if (info.title) {
+            const dateEl = document.getElementById('meetingCardDate');
+            dateEl.textContent = (info.date ? info.date + '  ·  ' : '') + info.title;
+        }
+        if (info.participants && info.participants.length > 0) {
+            const el = document.getElementById('meetingCardParticipants');
+            el.style.display = 'flex';
+            el.innerHTML = info.participants.map(p => `<span class="participant-chip">${escapeHtml(p)}</span>`).join('');
+        }
+        updateLoopState({ stages: { meet: { metrics: { secondary: info.date || '' } } } });
+        const agentAttr = document.getElementById('meetingCardAgent');
+        if (agentAttr) agentAttr.style.display = activeSource.id === 'workiq' ? 'flex' : 'none';
+        document.getElementById('meetingCardStatus').textContent = info.requirementCount
+            ? `${copy.processing} ${info.requirementCount} requirements...`
+            : `${copy.processing} requirements...`;
+        store.set('meeting.info', info);
+        renderParticipantDirectory();
+        renderMeetingItems();
+    } else if (eventType === 'requirements') {
+        store.set('requirements', data.requirements);
+        const reqs = data.requirements;
+        updateLoopState({ stages: { meet: { metrics: { primary: `${reqs.length} requirements` } } } });
+        document.getElementById('meetingCard').style.display = 'none';
+        renderRequirementsForSelection(reqs);
+    } else if (eventType === 'requirement-proposals') {
+        store.set('requirementProposals', data.proposals || []);
+        renderRequirementProposals();
+        updateAnalyzeCount();
+    } else if (eventType === 'requirement-diff') {
+        store.set('requirementDiff', data.diff || null);
+        renderRequirementDiff();
+        updateAnalyzeCount();
+    } else if (eventType === 'requirement-clarity') {
+        store.set('requirementClarity', data.reviews || []);
+        renderRequirementClarity();
+        updateAnalyzeCount();
+    } else if (eventType === 'epic-created') {
+        const { number, url } = data;
+        store.set('epicIssue', { number, url });
+        if (number > 0) {
+            const link = document.getElementById('epicLink');
+            link.href = url;
+            link.style.display = 'inline-flex';
+            document.getElementById('epicNumber').textContent = number;
+        }
+    } else if (eventType === 'log') {
+        appendLog('agentLogEntries', data.message);
+    } else if (eventType === 'warning') {
+        // Already in the agent log — make sure the fallback doesn't go unnoticed
+        showToast(data.message, 'warning');
+    }
+}
+
+/** Mark the Meet stage complete once the extraction stream finishes. */
+function completeMeetingStage() {
+    [0, 1, 2, 3].forEach(i => {
+        const el = document.getElementById(stepIds[i]);
+        if (!el) return;
+        el.classList.remove('active');
+        el.classList.add('done');
+        el.querySelector('.loading-step-icon').classList.remove('spinner');
+    });
+    const reqs = store.get('requirements');
+    updateLoopState({ stages: { meet: { status: 'complete', endTime: Date.now(), metrics: { statusText: 'Complete ✓', primary: `${reqs.length} requirements` } } } });
+}
+
+/**
+ * Run the extraction for a meeting source (SSE over POST).
+ * @param {string} sourceId
+ * @param {Object} input - Provider input (query, fileName/content or content).
+ * @returns {Promise<Object>} The `complete` event payload.
+ */
+async function streamMeetingExtraction(sourceId, input) {
+    const response = await fetch('/api/analyze', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            source: sourceId,
+            input,
+            targetRepo: store.get('targetRepo') || '',
+            previousRunId: getPreviousRunId(),
+        }),
+    });
+
+    if (!response.ok) {
+        const errData = await response.json();
+        throw new Error(errData.error || 'Analysis failed');
+    }
+
+    for await (const { event, data } of parseSSEStream(response.body)) {
+        if (event === 'complete') {
+            completeMeetingStage();
+            return data;
+        }
+        if (event === 'error') throw new Error(data.error || 'Analysis failed');
+        handleMeetingEvent(event, data);
+    }
+    throw new Error('Connection to server lost during analysis');
+}
+
 // ─── Start Analysis ─────────────────────────────────────────────
 /**
- * Start meeting analysis: connects to M365 via SSE, extracts requirements,
+ * Start meeting analysis: loads the meeting from the selected source
+ * (WorkIQ, transcript, notes, …), extracts requirements via SSE and
  * renders them for selection. Entry point for the Meet stage.
  */
 export async function startAnalysis() {
-    const input = document.getElementById('meetingNameInput');
-    const meetingName = input ? input.value.trim() : '';
-    if (!meetingName) return;
+    const source = getSelectedSource();
+    const sourceInput = await readSourceInput(source);
+    if (!sourceInput) return;
+    let { input, meetingName } = sourceInput;
+
+    // Providers with discovery only extract meetings the user confirmed
+    if (source.discovery) {
+        if (!confirmedMeetings) return discoverMeetings(source, input);
+        input = { ...input, meetings: confirmedMeetings };
+        meetingName = confirmedMeetings.length > 1
+            ? `${confirmedMeetings[0].title} (+${confirmedMeetings.length - 1} more)`
+            : confirmedMeetings[0].title;
+        confirmedMeetings = null;
+    }
+    activeSource = source;
+    const copy = sourceCopy(source);
 
     // Read target repo (optional)
     const repoInput = document.getElementById('targetRepoInput');
@@ -108,7 +661,7 @@ export async function startAnalysis() {
     updateLoopState({
         meetingName,
         activeStage: 'meet',
-        stages: { meet: { status: 'active', startTime: Date.now(), metrics: { primary: 'Extracting...', secondary: '', statusText: 'WorkIQ Running' } } }
+        stages: { meet: { status: 'active', startTime: Date.now(), metrics: { primary: 'Extracting...', secondary: '', statusText: copy.running } } }
     });
     showPanel('panel-loop');
     showLoopHeader(true);
@@ -149,135 +702,34 @@ export async function startAnalysis() {
     meetingCard.style.display = 'flex';
     meetingCard.classList.remove('found');
     document.getElementById('meetingCardIcon').className = 'meeting-card-icon';
-    document.getElementById('meetingCardTitle').textContent = 'WorkIQ is connecting to M365...';
+    document.getElementById('meetingCardTitle').textContent = copy.connecting;
     document.getElementById('meetingCardDate').textContent = '';
     document.getElementById('meetingCardParticipants').style.display = 'none';
     document.getElementById('meetingCardAgent').style.display = 'none';
     document.getElementById('meetingCardStatusRow').style.display = 'flex';
-    document.getElementById('meetingCardStatus').textContent = 'WorkIQ is initializing...';
+    document.getElementById('meetingCardStatus').textContent = copy.initializing;
     document.getElementById('agentLogEntries').innerHTML = '';
 
     store.set('requirements', []);
+    store.set('requirementProposals', []);
+    store.set('requirementEdits', []);
+    store.set('requirementClarity', []);
+    store.set('requirementDiff', null);
     store.set('createdIssues', []);
+    renderRequirementProposals();
+    renderRequirementEditLog();
+    renderRequirementClarity();
+    renderRequirementDiff();
 
     markStep(0);
 
     try {
-        const result = await new Promise((resolve, reject) => {
-            const repoParam = store.get('targetRepo') ? '&repo=' + encodeURIComponent(store.get('targetRepo')) : '';
-            const eventSource = new EventSource('/api/analyze?meeting=' + encodeURIComponent(meetingName) + repoParam);
-
-            eventSource.addEventListener('progress', (e) => {
-                const { step, message } = JSON.parse(e.data);
-                markStep(step);
-                const msgs = ['Connecting...', 'Fetching data...', 'Extracting requirements...', 'Creating epic...'];
-                updateLoopState({ stages: { meet: { metrics: { statusText: msgs[step] || 'Processing...' } } } });
-
-                const cardTitle = document.getElementById('meetingCardTitle');
-                const cardStatus = document.getElementById('meetingCardStatus');
-                if (step === 0) {
-                    cardTitle.textContent = 'WorkIQ is searching for meeting...';
-                    cardStatus.textContent = 'Connected to WorkIQ';
-                    setActiveAgent('extractor');
-                } else if (step === 1) {
-                    cardTitle.textContent = 'Meeting Found by WorkIQ';
-                    cardStatus.textContent = 'Fetching meeting data...';
-                } else if (step === 2) {
-                    cardStatus.textContent = 'WorkIQ is extracting requirements...';
-                } else if (step === 3) {
-                    cardStatus.textContent = 'WorkIQ is creating epic issue...';
-                }
-            });
-
-            eventSource.addEventListener('meeting-info', (e) => {
-                const info = JSON.parse(e.data);
-                const card = document.getElementById('meetingCard');
-                card.style.display = 'flex';
-                card.classList.add('found');
-                const meetingBrand = document.getElementById('meetingSourceBrand');
-                if (meetingBrand) {
-                    meetingBrand.style.display = 'flex';
-                    meetingBrand.classList.add('expanded');
-                }
-                populateMeetingBanner(info);
-                const iconEl = document.getElementById('meetingCardIcon');
-                iconEl.className = 'meeting-card-icon found';
-                iconEl.innerHTML = `<img src="https://upload.wikimedia.org/wikipedia/commons/thumb/0/0c/Microsoft_Office_logo_%282013%E2%80%932019%29.svg/120px-Microsoft_Office_logo_%282013%E2%80%932019%29.svg.png" alt="Microsoft Office" width="48" height="48" style="object-fit: contain;" class="office-logo-img">`;
-                document.getElementById('meetingCardTitle').textContent = 'Meeting Found by WorkIQ';
-                if (info.date) document.getElementById('meetingCardDate').textContent = info.date;
-                if (info.title) {
-                    const dateEl = document.getElementById('meetingCardDate');
-                    dateEl.textContent = (info.date ? info.date + '  ·  ' : '') + info.title;
-                }
-                if (info.participants && info.participants.length > 0) {
-                    const el = document.getElementById('meetingCardParticipants');
-                    el.style.display = 'flex';
-                    el.innerHTML = info.participants.map(p => `<span class="participant-chip">${escapeHtml(p)}</span>`).join('');
-                }
-                updateLoopState({ stages: { meet: { metrics: { secondary: info.date || '' } } } });
-                const agentAttr = document.getElementById('meetingCardAgent');
-                if (agentAttr) agentAttr.style.display = 'flex';
-                document.getElementById('meetingCardStatus').textContent = info.requirementCount
-                    ? `WorkIQ processing ${info.requirementCount} requirements...`
-                    : 'WorkIQ processing requirements...';
-                store.set('meeting.info', info);
-            });
-
-            eventSource.addEventListener('requirements', (e) => {
-                const data = JSON.parse(e.data);
-                store.set('requirements', data.requirements);
-                const reqs = data.requirements;
-                updateLoopState({ stages: { meet: { metrics: { primary: `${reqs.length} requirements` } } } });
-                document.getElementById('meetingCard').style.display = 'none';
-                renderRequirementsForSelection(reqs);
-            });
-
-            eventSource.addEventListener('epic-created', (e) => {
-                const { number, url } = JSON.parse(e.data);
-                store.set('epicIssue', { number, url });
-                if (number > 0) {
-                    const link = document.getElementById('epicLink');
-                    link.href = url;
-                    link.style.display = 'inline-flex';
-                    document.getElementById('epicNumber').textContent = number;
-                }
-            });
-
-            eventSource.addEventListener('log', (e) => {
-                const { message } = JSON.parse(e.data);
-                appendLog('agentLogEntries', message);
-            });
-
-            eventSource.addEventListener('complete', (e) => {
-                eventSource.close();
-                const data = JSON.parse(e.data);
-                [0, 1, 2, 3].forEach(i => {
-                    const el = document.getElementById(stepIds[i]);
-                    if (!el) return;
-                    el.classList.remove('active');
-                    el.classList.add('done');
-                    el.querySelector('.loading-step-icon').classList.remove('spinner');
-                });
-                const reqs = store.get('requirements');
-                updateLoopState({ stages: { meet: { status: 'complete', endTime: Date.now(), metrics: { statusText: 'Complete ✓', primary: `${reqs.length} requirements` } } } });
-                resolve(data);
-            });
-
-            eventSource.addEventListener('error', (e) => {
-                if (e.data) {
-                    eventSource.close();
-                    const data = JSON.parse(e.data);
-                    reject(new Error(data.error || 'Analysis failed'));
-                    return;
-                }
-                eventSource.close();
-                reject(new Error('Connection to server lost during analysis'));
-            });
-        });
+        const result = await streamMeetingExtraction(source.id, input);
 
         if (!result.success) throw new Error('Extraction failed');
 
         analysisPhase = 'selecting';
+        loadPreviousRuns(store.get('targetRepo') || '');
         const reqs = store.get('requirements');
         setStatus(`${reqs.length} Requirements`, '');
         setActivePhase('analyze');
@@ -293,10 +745,61 @@ export async function startAnalysis() {
 }
 
 // ─── Render requirements for selection ────────────────────────
+/**
+ * Priority / category / requester chips shown under a requirement.
+ * @param {Object} req - Requirement { priority, category, requestedBy?, meetings?, supersedes? }
+ * @returns {string} HTML
+ */
+function renderRequirementMeta(req) {
+    const priorityClass = (req.priority || 'Should').toLowerCase().replace(/[^a-z]/g, '');
+    return `
+        <div class="req-meta">
+            <span class="req-priority req-priority--${priorityClass}">${escapeHtml(req.priority || 'Should')}</span>
+            <span class="req-category">${escapeHtml(req.category || 'feature')}</span>
+            ${req.requestedBy ? `<span class="req-requested-by">${escapeHtml(req.requestedBy)}</span>` : ''}
+            ${req.meetings && req.meetings.length > 1
+                ? `<span class="req-meetings" title="${escapeHtml(req.meetings.map(formatMeetingRef).join('\n'))}">${req.meetings.length} meetings</span>`
+                : ''}
+            ${req.supersedes && req.supersedes.length ? `<span class="req-supersedes">supersedes ${req.supersedes.length}</span>` : ''}
+        </div>
+        ${renderRequirementSource(req.provenance)}
+    `;
+}
+
+/**
+ * "Weekly sync (2025-03-04)"
+ * @param {Object} meeting - { title, date? }
+ * @returns {string}
+ */
+function formatMeetingRef(meeting) {
+    return meeting.date ? `${meeting.title} (${meeting.date})` : meeting.title;
+}
+
+/**
+ * Compact provenance line: quote, speaker and timestamp from the meeting.
+ * @param {Object|undefined} provenance - { quote, speaker?, timestamp?, verified? }
+ * @returns {string} HTML
+ */
+function renderRequirementSource(provenance) {
+    if (!provenance || !provenance.quote) return '';
+    const quote = provenance.quote.length > 140 ? provenance.quote.substring(0, 140) + '…' : provenance.quote;
+    const cite = [provenance.speaker, provenance.timestamp].filter(Boolean).map(escapeHtml).join(' · ');
+    const unverified = provenance.verified === false
+        ? '<span class="req-source-unverified" title="This quote was not found verbatim in the meeting content">unverified</span>'
+        : '';
+    return `
+        <div class="req-source" title="${escapeHtml(provenance.quote)}">
+            <span class="req-source-quote">“${escapeHtml(quote)}”</span>
+            ${cite ? `<span class="req-source-cite">— ${cite}</span>` : ''}
+            ${unverified}
+        </div>
+    `;
+}
+
 
 /**
  * Render the requirements list with checkboxes for user selection (before gap analysis).
- * @param {string[]} reqs - Array of requirement text strings.
+ * @param {Object[]} reqs - Requirements { id, text, priority, category, requestedBy?, acceptanceCriteria, provenance?, meetings?, supersedes?, clarifications?, original?, literals? }.
  */
 export function renderRequirementsForSelection(reqs) {
     const container = document.getElementById('unifiedTableContainer');
@@ -314,11 +817,14 @@ export function renderRequirementsForSelection(reqs) {
 
     const tbody = document.getElementById('unifiedTableBody');
     tbody.innerHTML = '';
+    closeRequirementEditor();
+    if (tableEl) tableEl.classList.remove('requirements-locked');
 
     reqs.forEach((req, i) => {
         const tr = document.createElement('tr');
         tr.id = `unified-row-${i}`;
         tr.dataset.index = i;
+        tr.dataset.reqId = req.id;
         tr.classList.add('unified-row', 'selected');
         tr.style.animationDelay = `${i * 0.04}s`;
 
@@ -329,18 +835,61 @@ export function renderRequirementsForSelection(reqs) {
                     <span class="checkmark"></span>
                 </label>
             </td>
-            <td class="col-req"><div class="td-requirement" onclick="toggleReqExpand(${i})">${escapeHtml(req)}</div></td>
+            <td class="col-req">
+                <div class="td-requirement" onclick="toggleReqExpand(${i})">${escapeHtml(req.text)}</div>
+                ${renderRequirementMeta(req)}
+                <div class="req-row-actions">
+                    <button type="button" title="Edit" onclick="openRequirementEditor('edit', ${i})">Edit</button>
+                    <button type="button" title="Split into several requirements" onclick="openRequirementEditor('split', ${i})">Split</button>
+                    <button type="button" title="Move up" onclick="openRequirementEditor('move-up', ${i})"${i === 0 ? ' disabled' : ''}>&uarr;</button>
+                    <button type="button" title="Move down" onclick="openRequirementEditor('move-down', ${i})"${i === reqs.length - 1 ? ' disabled' : ''}>&darr;</button>
+                    <button type="button" title="Delete" class="req-row-action-delete" onclick="openRequirementEditor('delete', ${i})">Delete</button>
+                </div>
+            </td>
             <td class="col-status"><span class="status-chip pending">Pending</span></td>
             <td class="col-complexity"><span class="cell-pending">\u2014</span></td>
             <td class="col-agent-type" style="display:none;"><span class="cell-pending">\u2014</span></td>
         `;
 
+        const criteria = req.acceptanceCriteria || [];
+        const meetings = req.meetings || [];
+        const supersedes = req.supersedes || [];
+        const clarifications = req.clarifications || [];
+        const literals = req.literals || [];
         const detailTr = document.createElement('tr');
         detailTr.id = `unified-detail-${i}`;
         detailTr.className = 'row-details-expandable';
         detailTr.innerHTML = `
             <td colspan="5">
                 <div class="detail-grid">
+                    <div class="detail-item detail-item-full" data-field="source"${req.provenance ? '' : ' style="display:none;"'}>
+                        <span class="detail-label">Source${req.provenance && req.provenance.speaker ? ` — ${escapeHtml(req.provenance.speaker)}` : ''}${req.provenance && req.provenance.timestamp ? ` at ${escapeHtml(req.provenance.timestamp)}` : ''}</span>
+                        <blockquote class="detail-value req-source-full">${req.provenance ? escapeHtml(req.provenance.quote) : ''}</blockquote>
+                    </div>
+                    <div class="detail-item detail-item-full" data-field="original"${req.original ? '' : ' style="display:none;"'}>
+                        <span class="detail-label">Original${req.original ? ` (${escapeHtml(req.original.language)})` : ''}</span>
+                        <span class="detail-value">${req.original ? escapeHtml(req.original.text) : ''}</span>
+                    </div>
+                    <div class="detail-item detail-item-full" data-field="literals"${literals.length ? '' : ' style="display:none;"'}>
+                        <span class="detail-label">Exact Text</span>
+                        <ul class="detail-value req-criteria">${literals.map(l => `<li><code>${escapeHtml(l)}</code></li>`).join('')}</ul>
+                    </div>
+                    <div class="detail-item detail-item-full" data-field="meetings"${meetings.length > 1 ? '' : ' style="display:none;"'}>
+                        <span class="detail-label">Mentioned In</span>
+                        <ul class="detail-value req-criteria">${meetings.map(m => `<li>${escapeHtml(formatMeetingRef(m))}</li>`).join('')}</ul>
+                    </div>
+                    <div class="detail-item detail-item-full" data-field="supersedes"${supersedes.length ? '' : ' style="display:none;"'}>
+                        <span class="detail-label">Supersedes</span>
+                        <ul class="detail-value req-criteria req-superseded">${supersedes.map(o => `<li><s>${escapeHtml(o.text)}</s>${o.meeting ? ` <span class="req-superseded-meeting">${escapeHtml(formatMeetingRef(o.meeting))}</span>` : ''}</li>`).join('')}</ul>
+                    </div>
+                    <div class="detail-item detail-item-full" data-field="clarifications"${clarifications.length ? '' : ' style="display:none;"'}>
+                        <span class="detail-label">Clarified</span>
+                        <ul class="detail-value req-criteria">${clarifications.map(c => `<li>${escapeHtml(c.question)} <strong>${escapeHtml(c.answer)}</strong>${c.answeredBy ? ` <span class="req-superseded-meeting">${escapeHtml(c.answeredBy)}</span>` : ''}</li>`).join('')}</ul>
+                    </div>
+                    <div class="detail-item detail-item-full" data-field="acceptance"${criteria.length ? '' : ' style="display:none;"'}>
+                        <span class="detail-label">Acceptance Criteria</span>
+                        <ul class="detail-value req-criteria">${criteria.map(c => `<li>${escapeHtml(c)}</li>`).join('')}</ul>
+                    </div>
                     <div class="detail-item" data-field="currentState">
                         <span class="detail-label">Current State</span>
                         <span class="detail-value">\u2014</span>
@@ -353,6 +902,10 @@ export function renderRequirementsForSelection(reqs) {
                         <span class="detail-label">Estimated Effort</span>
                         <span class="detail-value">\u2014</span>
                     </div>
+                    <div class="detail-item detail-item-full" data-field="evidence" style="display:none;">
+                        <span class="detail-label">Evidence</span>
+                        <ul class="detail-value req-criteria gap-evidence"></ul>
+                    </div>
                     <div class="detail-item detail-item-full" data-field="details" style="display:none;">
                         <span class="detail-label">Implementation Details</span>
                         <span class="detail-value"></span>
@@ -366,14 +919,20 @@ export function renderRequirementsForSelection(reqs) {
     });
 
     document.getElementById('colCheckHeader').style.display = '';
+    document.getElementById('btnAddRequirement').style.display = '';
     document.getElementById('tableActions').style.display = 'flex';
     document.getElementById('tableActions').style.animation = 'fadeSlideIn 0.4s var(--ease-out)';
     document.getElementById('selectAll').checked = true;
+    renderRequirementClarity();
+    renderRequirementDiff();
+    renderParticipantDirectory();
+    renderMeetingItems();
     updateAnalyzeCount();
 }
 
 /**
  * Count checked requirement checkboxes and update the analyze button badge.
+ * Analysis stays blocked while merge/split proposals or clarity flags are unresolved.
  */
 export function updateAnalyzeCount() {
     let count = 0;
@@ -382,8 +941,15 @@ export function updateAnalyzeCount() {
     });
     const el = document.getElementById('analyzeCount');
     if (el) el.textContent = count;
+    const pending = (store.get('requirementProposals') || []).length;
+    const unclear = (store.get('requirementClarity') || []).length;
     const btn = document.getElementById('btnAnalyzeGaps');
-    if (btn) btn.disabled = count === 0;
+    if (btn) {
+        btn.disabled = count === 0 || pending > 0 || unclear > 0;
+        btn.title = pending > 0 ? 'Accept or dismiss the merge/split proposals first'
+            : unclear > 0 ? 'Clarify the flagged requirements or keep them as is first'
+            : '';
+    }
 }
 
 // ─── Wire meeting input on init ─────────────────────────────────
@@ -392,26 +958,51 @@ export function updateAnalyzeCount() {
  */
 export function initMeetingFlow() {
     const input = document.getElementById('meetingNameInput');
+    const notesInput = document.getElementById('meetingNotesInput');
     const repoInput = document.getElementById('targetRepoInput');
     const btn = document.getElementById('btnAnalyze');
 
     function updateBtnState() {
         if (!btn) return;
-        const hasName = input && input.value.trim();
         const hasRepo = repoInput && repoInput.value.trim();
-        btn.disabled = !(hasName && hasRepo);
+        btn.disabled = discoveryRunning || !(hasMeetingSourceInput() && hasRepo);
     }
 
     if (input && btn) {
-        input.addEventListener('input', updateBtnState);
+        input.addEventListener('input', () => {
+            // Candidates belong to the previous search
+            if (discoveredMeetings.length > 0) resetMeetingDiscovery();
+            updateBtnState();
+        });
         input.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' && !btn.disabled) startAnalysis();
         });
     }
+    if (notesInput) notesInput.addEventListener('input', updateBtnState);
     if (repoInput && btn) {
         repoInput.addEventListener('input', updateBtnState);
+        // Saved runs of this repository can be compared with
+        repoInput.addEventListener('change', () => loadPreviousRuns(repoInput.value.trim()));
+        if (repoInput.value.trim()) loadPreviousRuns(repoInput.value.trim());
         repoInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' && !btn.disabled) startAnalysis();
         });
     }
+
+    const fileInput = document.getElementById('sourceFileInput');
+    if (fileInput) fileInput.addEventListener('change', syncFileSelection);
+
+    eventBus.on(Events.MEETING_SOURCE_CHANGED, updateBtnState);
+    eventBus.on(Events.REQUIREMENTS_EDITED, ({ requirements, changed }) => {
+        if (changed) {
+            renderRequirementsForSelection(requirements);
+            updateLoopState({ stages: { meet: { metrics: { primary: `${requirements.length} requirements` } } } });
+        } else {
+            renderRequirementClarity();
+            renderRequirementDiff();
+            updateAnalyzeCount();
+        }
+    });
+    loadMeetingSources();
+    loadParticipants();
 }
@@ -0,0 +1,57 @@
+/**
+ * Meeting items — decisions, action items and open questions classified
+ * during extraction. They are not code requirements, so they are shown next
+ * to the requirements table instead of in it, and are never analyzed.
+ * @module meeting-items
+ */
+
+import { store } from './store.js';
+import { escapeHtml } from './utils.js';
+
+const SECTIONS = [
+    { kind: 'decisions', label: 'Decisions' },
+    { kind: 'actionItems', label: 'Action items' },
+    { kind: 'openQuestions', label: 'Open questions' },
+];
+
+/**
+ * @param {Object} item - { text, owner?, due?, provenance? }
+ * @returns {string} HTML
+ */
+function renderItem(item) {
+    const meta = [item.owner, item.due ? `due ${item.due}` : ''].filter(Boolean).join(' · ');
+    const quote = item.provenance ? item.provenance.quote : '';
+    return `
+        <li class="meeting-item"${quote ? ` title="${escapeHtml(quote)}"` : ''}>
+            ${escapeHtml(item.text)}
+            ${meta ? `<span class="meeting-item-meta">${escapeHtml(meta)}</span>` : ''}
+        </li>
+    `;
+}
+
+/** Render the items of the current meeting; hidden when there are none. */
+export function renderMeetingItems() {
+    const container = document.getElementById('meetingItems');
+    if (!container) return;
+    const items = (store.get('meeting.info') || {}).items;
+    const sections = items ? SECTIONS.filter(s => (items[s.kind] || []).length > 0) : [];
+    if (sections.length === 0) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    container.style.display = '';
+    container.innerHTML = `
+        <div class="req-proposals-header">
+            <span class="req-proposals-title">Not code requirements</span>
+            <span class="req-proposals-sub">${sections.map(s => `${items[s.kind].length} ${s.label.toLowerCase()}`).join(' · ')} — tracked on the epic</span>
+        </div>
+        ${sections.map(s => `
+            <div class="meeting-items-section">
+                <span class="meeting-items-label">${s.label}</span>
+                <ul class="meeting-items-list">${items[s.kind].map(renderItem).join('')}</ul>
+            </div>
+        `).join('')}
+    `;
+}
@@ -0,0 +1,155 @@
+/**
+ * Participant directory — maps the people in a meeting (names or emails) to
+ * GitHub logins. Mapped people are @-mentioned on the epic and assigned the
+ * issues they asked for. The directory is shared across runs and stored on
+ * the server.
+ * @module participant-directory
+ */
+
+import { store } from './store.js';
+import { escapeHtml } from './utils.js';
+import { showToast } from './toast.js';
+
+/** @type {Object[]} Directory as saved on the server: { name, emails?, login } */
+let directory = [];
+
+const normalize = name => name.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Directory entry for a person as written in the meeting (name, email or login).
+ * Mirrors the server's matching in src/agents/participant-directory.ts.
+ * @param {string} person
+ * @returns {Object|undefined}
+ */
+function findEntry(person) {
+    const emails = (person.match(/[^\s<>@]+@[^\s<>@]+\.[^\s<>@]+/g) || []).map(e => e.toLowerCase());
+    const name = normalize(person.replace(/<[^>]*>/g, '').replace(/^@/, ''));
+    return directory.find(p => (p.emails || []).some(e => emails.includes(e)))
+        || directory.find(p => normalize(p.name) === name || p.login.toLowerCase() === name);
+}
+
+/** Load the directory from the server and render it. */
+export async function loadParticipants() {
+    try {
+        const response = await fetch('/api/participants');
+        if (response.ok) directory = (await response.json()).participants || [];
+    } catch {
+        // Directory unavailable — nothing is mapped
+    }
+    renderParticipantDirectory();
+}
+
+/**
+ * People to show: meeting participants and requesters first (mapped or not),
+ * then the other directory entries.
+ * @returns {Object[]} { name, emails, login }
+ */
+function collectPeople() {
+    const info = store.get('meeting.info') || {};
+    const reqs = store.get('requirements') || [];
+    const people = [];
+    const seen = new Set();
+    const add = (name, entry) => {
+        const key = normalize(entry ? entry.name : name);
+        if (seen.has(key)) return;
+        seen.add(key);
+        people.push(entry
+            ? { name: entry.name, emails: entry.emails || [], login: entry.login }
+            : { name, emails: [], login: '' });
+    };
+    [...(info.participants || []), ...reqs.map(r => r.requestedBy).filter(Boolean)]
+        .forEach(person => add(person, findEntry(person)));
+    directory.forEach(entry => add(entry.name, entry));
+    return people;
+}
+
+/**
+ * Render the directory editor and show the mapped login on requester chips.
+ */
+export function renderParticipantDirectory() {
+    document.querySelectorAll('.unified-row[data-req-id]').forEach(row => {
+        const chip = row.querySelector('.req-requested-by');
+        const req = (store.get('requirements') || []).find(r => r.id === row.dataset.reqId);
+        if (!chip || !req || !req.requestedBy) return;
+        const entry = findEntry(req.requestedBy);
+        chip.textContent = entry ? `${req.requestedBy} · ${entry.login}` : req.requestedBy;
+        chip.classList.toggle('req-requested-by--mapped', Boolean(entry));
+        chip.title = entry ? `Issues are assigned to @${entry.login}` : 'Not mapped to a GitHub user';
+    });
+
+    const container = document.getElementById('participantDirectory');
+    if (!container) return;
+    const people = collectPeople();
+    const wasOpen = container.open;
+    container.style.display = people.length > 0 || directory.length > 0 ? '' : 'none';
+    const mapped = people.filter(p => p.login).length;
+    container.innerHTML = `
+        <summary>People → GitHub (${mapped}/${people.length} mapped)</summary>
+        <p class="participant-hint">Mapped people are @-mentioned on the epic and assigned the issues they asked for.</p>
+        <div class="participant-rows" id="participantRows">
+            ${people.map(renderParticipantRow).join('')}
+        </div>
+        <div class="req-editor-actions">
+            <button type="button" class="btn btn-ghost btn-sm" onclick="addParticipantRow()">Add person</button>
+            <button type="button" class="btn btn-primary btn-sm" id="btnSaveParticipants" onclick="saveParticipants()">Save</button>
+        </div>
+    `;
+    container.open = wasOpen;
+}
+
+/**
+ * @param {Object} person - { name, emails, login }
+ * @returns {string} HTML
+ */
+function renderParticipantRow(person) {
+    return `
+        <div class="participant-row">
+            <input type="text" data-field="name" value="${escapeHtml(person.name)}" placeholder="Name" />
+            <input type="text" data-field="emails" value="${escapeHtml(person.emails.join(', '))}" placeholder="Emails (optional)" />
+            <input type="text" data-field="login" value="${escapeHtml(person.login)}" placeholder="GitHub login" />
+        </div>
+    `;
+}
+
+/** Append an empty row to the directory editor. */
+export function addParticipantRow() {
+    const rows = document.getElementById('participantRows');
+    if (!rows) return;
+    rows.insertAdjacentHTML('beforeend', renderParticipantRow({ name: '', emails: [], login: '' }));
+    const inputs = rows.querySelectorAll('.participant-row:last-child input');
+    if (inputs[0]) inputs[0].focus();
+}
+
+/**
+ * Save the rows that have a login. Rows without one are people left unmapped.
+ */
+export async function saveParticipants() {
+    const rows = document.querySelectorAll('#participantRows .participant-row');
+    const participants = [];
+    rows.forEach(row => {
+        const value = field => row.querySelector(`[data-field="${field}"]`).value.trim();
+        const name = value('name');
+        const login = value('login');
+        if (!name || !login) return;
+        const emails = value('emails').split(/[,;\s]+/).filter(Boolean);
+        participants.push({ name, login, ...(emails.length ? { emails } : {}) });
+    });
+
+    const btn = document.getElementById('btnSaveParticipants');
+    if (btn) btn.disabled = true;
+    try {
+        const response = await fetch('/api/participants', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ participants }),
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) throw new Error(data.error || 'Could not save the participant directory');
+        directory = data.participants;
+        renderParticipantDirectory();
+        showToast(`Saved ${directory.length} participant${directory.length === 1 ? '' : 's'}`, 'success');
+    } catch (error) {
+        showToast(error.message);
+        if (btn) btn.disabled = false;
+    }
+}
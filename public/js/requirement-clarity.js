@@ -0,0 +1,172 @@
+/**
+ * Clarifying questions for vague requirements. Flagged requirements get a chip
+ * in the selection table and a card above it where their questions are answered
+ * (here, or as replies to a comment on the epic). Answers rewrite the
+ * requirement into a testable one; analysis waits until every flag is resolved.
+ * @module requirement-clarity
+ */
+
+import { store } from './store.js';
+import { escapeHtml } from './utils.js';
+import { showToast } from './toast.js';
+import { applyRequirementsState, sendEdit, getEditorName, setEditorName } from './requirement-editor.js';
+
+/**
+ * Render the clarification cards and the "needs clarification" chips on the
+ * requirement rows.
+ */
+export function renderRequirementClarity() {
+    const reviews = store.get('requirementClarity') || [];
+    const reqs = store.get('requirements') || [];
+
+    document.querySelectorAll('.req-clarity-chip').forEach(el => el.remove());
+    reviews.forEach(review => {
+        const meta = document.querySelector(`.unified-row[data-req-id="${review.requirementId}"] .req-meta`);
+        if (!meta) return;
+        meta.insertAdjacentHTML('beforeend',
+            `<span class="req-clarity-chip" title="${escapeHtml(review.issues.join('\n'))}">needs clarification · ${review.score}</span>`);
+    });
+
+    const container = document.getElementById('reqClarity');
+    if (!container) return;
+    if (reviews.length === 0) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    const epic = store.get('epicIssue');
+    const hasEpic = epic && epic.number > 0;
+    const textOf = id => {
+        const req = reqs.find(r => r.id === id);
+        return req ? req.text : id;
+    };
+
+    container.style.display = '';
+    container.innerHTML = `
+        <div class="req-proposals-header">
+            <span class="req-proposals-title">Needs clarification</span>
+            <span class="req-proposals-sub">${reviews.length} requirement${reviews.length === 1 ? ' is' : 's are'} too vague to implement or test</span>
+            <label class="req-proposals-author">
+                Answering as
+                <input type="text" id="reqClarityAuthor" value="${escapeHtml(getEditorName())}" placeholder="Your name" />
+            </label>
+            ${hasEpic ? `
+                <button class="btn btn-ghost btn-sm" id="btnPostClarifyingQuestions" onclick="postClarifyingQuestions()">Ask on epic #${epic.number}</button>
+                <button class="btn btn-ghost btn-sm" id="btnFetchClarifyingAnswers" onclick="fetchClarifyingAnswers()">Check epic for answers</button>
+            ` : ''}
+        </div>
+        ${reviews.map(review => `
+            <div class="req-clarity-item" data-req-id="${escapeHtml(review.requirementId)}">
+                <div class="req-clarity-head">
+                    <span class="req-proposal-id">${escapeHtml(review.requirementId)}</span>
+                    <span class="req-clarity-text">${escapeHtml(textOf(review.requirementId))}</span>
+                    <span class="req-clarity-score" title="Clarity score (0–100)">${review.score}/100</span>
+                </div>
+                ${review.issues.length ? `<ul class="req-clarity-issues">${review.issues.map(i => `<li>${escapeHtml(i)}</li>`).join('')}</ul>` : ''}
+                <div class="req-clarity-questions">
+                    ${review.questions.map(q => `
+                        <label class="req-clarity-question">
+                            <span><code>${escapeHtml(q.id)}</code> ${escapeHtml(q.text)}</span>
+                            <input type="text" data-question-id="${escapeHtml(q.id)}" value="${escapeHtml(q.answer || '')}" placeholder="Answer" />
+                            ${q.answeredBy ? `<span class="req-clarity-answered-by">answered by ${escapeHtml(q.answeredBy)} on the epic</span>` : ''}
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="req-proposal-actions">
+                    <button class="btn btn-primary btn-sm" onclick="resolveRequirementClarity('${escapeHtml(review.requirementId)}', 'clarify')">Rewrite requirement</button>
+                    <button class="btn btn-ghost btn-sm" onclick="resolveRequirementClarity('${escapeHtml(review.requirementId)}', 'dismiss')">Keep as is</button>
+                </div>
+            </div>
+        `).join('')}
+    `;
+}
+
+/** Name from the "Answering as" field, remembered for later edits. */
+function readAuthor() {
+    const author = document.getElementById('reqClarityAuthor')?.value.trim() || getEditorName();
+    if (author) setEditorName(author);
+    return author;
+}
+
+/**
+ * Rewrite a flagged requirement from the typed answers, or keep it unchanged.
+ * @param {string} requirementId
+ * @param {'clarify'|'dismiss'} action
+ */
+export async function resolveRequirementClarity(requirementId, action) {
+    const author = readAuthor();
+    const card = document.querySelector(`.req-clarity-item[data-req-id="${requirementId}"]`);
+    const answers = {};
+    if (card) {
+        card.querySelectorAll('input[data-question-id]').forEach(input => {
+            if (input.value.trim()) answers[input.dataset.questionId] = input.value.trim();
+        });
+    }
+    if (action === 'clarify') {
+        if (!author) {
+            showToast('Enter your name under "Answering as" first.', 'warning');
+            return;
+        }
+        if (Object.keys(answers).length === 0) {
+            showToast('Answer at least one question first.', 'warning');
+            return;
+        }
+    }
+
+    const buttons = card ? card.querySelectorAll('button') : [];
+    buttons.forEach(b => { b.disabled = true; });
+    if (action === 'clarify' && buttons[0]) buttons[0].textContent = 'Rewriting...';
+    try {
+        const data = await sendEdit('POST', `/api/requirements/clarity/${encodeURIComponent(requirementId)}`, { action, answers, author });
+        applyRequirementsState(data, action === 'clarify');
+    } catch (error) {
+        showToast(error.message);
+        buttons.forEach(b => { b.disabled = false; });
+        if (action === 'clarify' && buttons[0]) buttons[0].textContent = 'Rewrite requirement';
+    }
+}
+
+/**
+ * Post the unanswered questions as a comment on the epic issue.
+ */
+export async function postClarifyingQuestions() {
+    const btn = document.getElementById('btnPostClarifyingQuestions');
+    if (btn) btn.disabled = true;
+    try {
+        const data = await sendEdit('POST', '/api/requirements/clarity/comment', {});
+        showToast('Questions posted on the epic — reply there, then check for answers.', 'success');
+        if (btn) btn.textContent = 'Posted on epic';
+        if (data.url) window.open(data.url, '_blank', 'noopener');
+    } catch (error) {
+        showToast(error.message);
+        if (btn) btn.disabled = false;
+    }
+}
+
+/**
+ * Fill in answers that were replied on the epic. Answers already typed here
+ * are kept.
+ */
+export async function fetchClarifyingAnswers() {
+    const typed = {};
+    document.querySelectorAll('.req-clarity-item input[data-question-id]').forEach(input => {
+        if (input.value.trim()) typed[input.dataset.questionId] = input.value;
+    });
+    const btn = document.getElementById('btnFetchClarifyingAnswers');
+    if (btn) btn.disabled = true;
+    try {
+        const data = await sendEdit('POST', '/api/requirements/clarity/answers', {});
+        applyRequirementsState(data, false);
+        Object.entries(typed).forEach(([id, value]) => {
+            const input = document.querySelector(`.req-clarity-item input[data-question-id="${id}"]`);
+            if (input) input.value = value;
+        });
+        showToast(data.found > 0 ? `Found ${data.found} answer${data.found === 1 ? '' : 's'} on the epic.` : 'No answers on the epic yet.', data.found > 0 ? 'success' : 'info');
+    } catch (error) {
+        showToast(error.message);
+    } finally {
+        const refreshed = document.getElementById('btnFetchClarifyingAnswers');
+        if (refreshed) refreshed.disabled = false;
+    }
+}
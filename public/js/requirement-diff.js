@@ -0,0 +1,138 @@
+/**
+ * Follow-up meetings — pick a saved run to compare with, then show which
+ * requirements are new, changed, unchanged or dropped since that run.
+ * Unchanged requirements keep their previous issue and are not analyzed again.
+ * @module requirement-diff
+ */
+
+import { store } from './store.js';
+import { escapeHtml } from './utils.js';
+
+const CHANGE_LABELS = {
+    new: 'new',
+    changed: 'changed',
+    unchanged: 'unchanged',
+    dropped: 'dropped',
+};
+
+// ─── Previous run picker ────────────────────────────────────────
+/**
+ * Load the saved runs for a repository into the "Follow-up of" picker.
+ * The picker is hidden when the repository has no saved runs.
+ * @param {string} repo - "owner/name"
+ */
+export async function loadPreviousRuns(repo) {
+    const row = document.getElementById('previousRunRow');
+    const select = document.getElementById('previousRunSelect');
+    if (!row || !select) return;
+
+    let runs = [];
+    if (repo.includes('/')) {
+        try {
+            const response = await fetch(`/api/runs?repo=${encodeURIComponent(repo)}`);
+            if (response.ok) runs = (await response.json()).runs || [];
+        } catch {
+            // No history available — the picker stays hidden
+        }
+    }
+
+    const selected = select.value;
+    select.innerHTML = `<option value="">None — new run</option>` + runs.map(run => {
+        const date = run.date || run.savedAt.substring(0, 10);
+        const epic = run.epicNumber ? ` · epic #${run.epicNumber}` : '';
+        return `<option value="${escapeHtml(run.id)}">${escapeHtml(run.title)} (${escapeHtml(date)}) · ${run.requirementCount} requirements${epic}</option>`;
+    }).join('');
+    if (runs.some(run => run.id === selected)) select.value = selected;
+    row.style.display = runs.length > 0 ? '' : 'none';
+}
+
+/** @returns {string} Id of the run to compare with, or '' for a new run. */
+export function getPreviousRunId() {
+    const row = document.getElementById('previousRunRow');
+    const select = document.getElementById('previousRunSelect');
+    return row && select && row.style.display !== 'none' ? select.value : '';
+}
+
+// ─── Diff rendering ─────────────────────────────────────────────
+/**
+ * Render the change chips on the requirement rows and the summary panel.
+ * Unchanged requirements are unchecked and cannot be selected for analysis.
+ */
+export function renderRequirementDiff() {
+    const diff = store.get('requirementDiff');
+    const reqs = store.get('requirements') || [];
+
+    document.querySelectorAll('.req-change-chip').forEach(el => el.remove());
+    document.querySelectorAll('.unified-row.req-unchanged').forEach(row => {
+        row.classList.remove('req-unchanged');
+        const cb = row.querySelector('input[type="checkbox"]');
+        if (cb) cb.disabled = false;
+    });
+
+    const container = document.getElementById('reqDiff');
+    if (!diff) {
+        if (container) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+        }
+        return;
+    }
+
+    diff.changes.filter(c => c.requirementId).forEach(change => {
+        const row = document.querySelector(`.unified-row[data-req-id="${change.requirementId}"]`);
+        const meta = row ? row.querySelector('.req-meta') : null;
+        if (!row || !meta) return;
+        const issue = change.issue ? ` (#${change.issue.number})` : '';
+        const title = change.status === 'changed' ? change.change || '' : change.previousText || '';
+        meta.insertAdjacentHTML('beforeend',
+            `<span class="req-change-chip req-change-chip--${change.status}" title="${escapeHtml(title)}">${CHANGE_LABELS[change.status]}${issue}</span>`);
+        if (change.status === 'unchanged') {
+            row.classList.add('req-unchanged');
+            row.classList.remove('selected');
+            const cb = row.querySelector('input[type="checkbox"]');
+            if (cb) {
+                cb.checked = false;
+                cb.disabled = true;
+            }
+        }
+    });
+
+    if (!container) return;
+    const count = status => diff.changes.filter(c => c.status === status).length;
+    const textOf = id => {
+        const req = reqs.find(r => r.id === id);
+        return req ? req.text : id;
+    };
+    const issueLink = issue => issue
+        ? ` <a href="${escapeHtml(issue.url)}" target="_blank" rel="noopener">#${issue.number}</a>`
+        : '';
+    const notable = diff.changes.filter(c => c.status === 'changed' || c.status === 'dropped');
+
+    container.style.display = '';
+    container.innerHTML = `
+        <div class="req-proposals-header">
+            <span class="req-proposals-title">Since ${escapeHtml(diff.previousTitle)}${diff.previousDate ? ` (${escapeHtml(diff.previousDate)})` : ''}</span>
+            <span class="req-proposals-sub">${count('new')} new · ${count('changed')} changed · ${count('unchanged')} unchanged · ${count('dropped')} dropped</span>
+        </div>
+        ${notable.length ? `
+            <ul class="req-diff-list">
+                ${notable.map(c => c.status === 'changed' ? `
+                    <li class="req-diff-item">
+                        <span class="req-change-chip req-change-chip--changed">changed</span>
+                        <span class="req-proposal-id">${escapeHtml(c.requirementId)}</span>
+                        ${escapeHtml(textOf(c.requirementId))}
+                        ${c.change ? `<span class="req-diff-note">${escapeHtml(c.change)}</span>` : ''}
+                        ${c.issue ? `<span class="req-diff-note">was${issueLink(c.issue)} — flagged for review</span>` : ''}
+                    </li>
+                ` : `
+                    <li class="req-diff-item">
+                        <span class="req-change-chip req-change-chip--dropped">dropped</span>
+                        <s>${escapeHtml(c.previousText || c.previousId)}</s>
+                        ${c.issue ? `<span class="req-diff-note">${issueLink(c.issue)} — flagged for review</span>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        ` : ''}
+        ${count('unchanged') ? `<p class="req-diff-hint">Unchanged requirements keep their existing issues and are not analyzed again.</p>` : ''}
+    `;
+}
@@ -0,0 +1,359 @@
+/**
+ * Requirement editing before gap analysis: inline add / edit / delete / split /
+ * reorder forms, merge/split proposals from the duplicate check, and the edit log.
+ * Every change goes through the server, which records who made it and why and
+ * updates the epic issue.
+ * @module requirement-editor
+ */
+
+import { store } from './store.js';
+import { eventBus, Events } from './event-bus.js';
+import { escapeHtml } from './utils.js';
+import { showToast } from './toast.js';
+
+const EDITOR_NAME_KEY = 'meeting2ship.editorName';
+const PRIORITIES = ['Must', 'Should', 'Could', "Won't"];
+const CATEGORIES = ['content', 'design', 'compliance', 'performance', 'feature'];
+
+/** Open form: { mode: 'add'|'edit'|'split'|'delete'|'move-up'|'move-down', index } */
+let activeEditor = null;
+
+// ─── Shared state ───────────────────────────────────────────────
+
+/** @returns {string} Name the user edits under (remembered across sessions). */
+export function getEditorName() {
+    try { return localStorage.getItem(EDITOR_NAME_KEY) || ''; } catch { return ''; }
+}
+
+/** @param {string} name */
+export function setEditorName(name) {
+    try { localStorage.setItem(EDITOR_NAME_KEY, name.trim()); } catch { /* private mode */ }
+}
+
+/**
+ * Store the server's requirement state and re-render everything that shows it.
+ * @param {Object} data - { requirements, proposals, edits, clarity, diff }
+ * @param {boolean} changed - Whether the requirement list itself changed.
+ */
+export function applyRequirementsState(data, changed) {
+    store.set('requirements', data.requirements);
+    store.set('requirementProposals', data.proposals || []);
+    store.set('requirementEdits', data.edits || []);
+    store.set('requirementClarity', data.clarity || []);
+    store.set('requirementDiff', data.diff || null);
+    renderRequirementProposals();
+    renderRequirementEditLog();
+    eventBus.emit(Events.REQUIREMENTS_EDITED, { requirements: data.requirements, changed });
+}
+
+/**
+ * Send an edit to the requirements API.
+ * @param {string} method
+ * @param {string} url
+ * @param {Object} body
+ * @returns {Promise<Object>} The new requirement state.
+ */
+export async function sendEdit(method, url, body) {
+    const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Could not update the requirements');
+    return data;
+}
+
+// ─── Inline editor ──────────────────────────────────────────────
+
+/**
+ * Remove the open editor form, if any.
+ */
+export function closeRequirementEditor() {
+    activeEditor = null;
+    const row = document.getElementById('reqEditorRow');
+    if (row) row.remove();
+}
+
+/**
+ * Fields for a requirement's text and metadata.
+ * @param {Object} [req] - Requirement to prefill.
+ * @returns {string} HTML
+ */
+function renderRequirementFields(req = {}) {
+    const priority = req.priority || 'Should';
+    const category = req.category || 'feature';
+    return `
+        <label class="req-editor-field req-editor-field--full">
+            <span>Requirement</span>
+            <textarea id="reqEditorText" rows="2">${escapeHtml(req.text || '')}</textarea>
+        </label>
+        <label class="req-editor-field">
+            <span>Priority</span>
+            <select id="reqEditorPriority">${PRIORITIES.map(p => `<option${p === priority ? ' selected' : ''}>${escapeHtml(p)}</option>`).join('')}</select>
+        </label>
+        <label class="req-editor-field">
+            <span>Category</span>
+            <select id="reqEditorCategory">${CATEGORIES.map(c => `<option${c === category ? ' selected' : ''}>${c}</option>`).join('')}</select>
+        </label>
+        <label class="req-editor-field">
+            <span>Requested by</span>
+            <input type="text" id="reqEditorRequestedBy" value="${escapeHtml(req.requestedBy || '')}" />
+        </label>
+        <label class="req-editor-field req-editor-field--full">
+            <span>Acceptance criteria <em>(one per line)</em></span>
+            <textarea id="reqEditorCriteria" rows="3">${escapeHtml((req.acceptanceCriteria || []).join('\n'))}</textarea>
+        </label>
+    `;
+}
+
+/**
+ * Split form: one text area per part, prefilled with the original text.
+ * @param {Object} req
+ * @returns {string} HTML
+ */
+function renderSplitFields(req) {
+    return `
+        <p class="req-editor-note">Split <strong>${escapeHtml(req.id)}</strong> into independent requirements. Parts keep its priority, category and source.</p>
+        <div class="req-editor-parts" id="reqEditorParts">
+            <textarea class="req-editor-part" rows="2">${escapeHtml(req.text)}</textarea>
+            <textarea class="req-editor-part" rows="2"></textarea>
+        </div>
+        <button type="button" class="btn btn-ghost btn-sm" onclick="addRequirementSplitPart()">+ Add part</button>
+    `;
+}
+
+/**
+ * Add another text area to the open split form.
+ */
+export function addRequirementSplitPart() {
+    const parts = document.getElementById('reqEditorParts');
+    if (!parts) return;
+    const area = document.createElement('textarea');
+    area.className = 'req-editor-part';
+    area.rows = 2;
+    parts.appendChild(area);
+    area.focus();
+}
+
+/**
+ * Open the inline form for an edit action.
+ * @param {'add'|'edit'|'split'|'delete'|'move-up'|'move-down'} mode
+ * @param {number} [index] - Row index of the requirement (not used for 'add').
+ */
+export function openRequirementEditor(mode, index) {
+    const reqs = store.get('requirements') || [];
+    const req = mode === 'add' ? null : reqs[index];
+    if (mode !== 'add' && !req) return;
+    closeRequirementEditor();
+    activeEditor = { mode, index };
+
+    const titles = {
+        add: 'Add a requirement',
+        edit: `Edit ${req?.id}`,
+        split: `Split ${req?.id}`,
+        delete: `Delete ${req?.id}`,
+        'move-up': `Move ${req?.id} up`,
+        'move-down': `Move ${req?.id} down`,
+    };
+    let fields = '';
+    if (mode === 'add' || mode === 'edit') fields = renderRequirementFields(req || {});
+    else if (mode === 'split') fields = renderSplitFields(req);
+    else fields = `<p class="req-editor-note">${escapeHtml(req.text)}</p>`;
+
+    const row = document.createElement('tr');
+    row.id = 'reqEditorRow';
+    row.className = 'req-editor-row';
+    row.innerHTML = `
+        <td colspan="5">
+            <form class="req-editor" onsubmit="event.preventDefault(); submitRequirementEditor();">
+                <div class="req-editor-title">${escapeHtml(titles[mode])}</div>
+                <div class="req-editor-grid">${fields}</div>
+                <div class="req-editor-grid req-editor-meta">
+                    <label class="req-editor-field">
+                        <span>Your name</span>
+                        <input type="text" id="reqEditorAuthor" value="${escapeHtml(getEditorName())}" required />
+                    </label>
+                    <label class="req-editor-field req-editor-field--wide">
+                        <span>Why?</span>
+                        <input type="text" id="reqEditorReason" placeholder="Reason for this change (recorded on the epic)" required />
+                    </label>
+                </div>
+                <div class="req-editor-actions">
+                    <button type="button" class="btn btn-ghost btn-sm" onclick="closeRequirementEditor()">Cancel</button>
+                    <button type="submit" class="btn btn-primary btn-sm" id="reqEditorSubmit">${mode === 'delete' ? 'Delete' : 'Save'}</button>
+                </div>
+            </form>
+        </td>
+    `;
+
+    const tbody = document.getElementById('unifiedTableBody');
+    const anchor = mode === 'add' ? null : document.getElementById(`unified-detail-${index}`);
+    if (anchor) anchor.after(row);
+    else tbody.appendChild(row);
+
+    const focus = document.getElementById(mode === 'add' || mode === 'edit' ? 'reqEditorText' : 'reqEditorReason');
+    if (focus) focus.focus();
+}
+
+/** Read the requirement fields of the open add/edit form. */
+function readRequirementFields() {
+    return {
+        text: document.getElementById('reqEditorText').value.trim(),
+        priority: document.getElementById('reqEditorPriority').value,
+        category: document.getElementById('reqEditorCategory').value,
+        requestedBy: document.getElementById('reqEditorRequestedBy').value.trim(),
+        acceptanceCriteria: document.getElementById('reqEditorCriteria').value
+            .split('\n').map(c => c.trim()).filter(Boolean),
+    };
+}
+
+/**
+ * Submit the open editor form to the requirements API.
+ */
+export async function submitRequirementEditor() {
+    if (!activeEditor) return;
+    const { mode, index } = activeEditor;
+    const reqs = store.get('requirements') || [];
+    const req = reqs[index];
+    const author = document.getElementById('reqEditorAuthor').value.trim();
+    const reason = document.getElementById('reqEditorReason').value.trim();
+    if (!author || !reason) {
+        showToast('Enter your name and a reason for the change.', 'warning');
+        return;
+    }
+    setEditorName(author);
+
+    const meta = { author, reason };
+    const submit = document.getElementById('reqEditorSubmit');
+    if (submit) submit.disabled = true;
+
+    try {
+        let data;
+        if (mode === 'add') {
+            data = await sendEdit('POST', '/api/requirements', { ...meta, requirement: readRequirementFields() });
+        } else if (mode === 'edit') {
+            data = await sendEdit('PATCH', `/api/requirements/${encodeURIComponent(req.id)}`, { ...meta, changes: readRequirementFields() });
+        } else if (mode === 'delete') {
+            data = await sendEdit('DELETE', `/api/requirements/${encodeURIComponent(req.id)}`, meta);
+        } else if (mode === 'split') {
+            const parts = [...document.querySelectorAll('#reqEditorParts .req-editor-part')]
+                .map(el => el.value.trim()).filter(Boolean)
+                .map(text => ({ text }));
+            data = await sendEdit('POST', `/api/requirements/${encodeURIComponent(req.id)}/split`, { ...meta, parts });
+        } else {
+            const ids = reqs.map(r => r.id);
+            const target = mode === 'move-up' ? index - 1 : index + 1;
+            [ids[index], ids[target]] = [ids[target], ids[index]];
+            data = await sendEdit('PUT', '/api/requirements/order', { ...meta, ids });
+        }
+        closeRequirementEditor();
+        applyRequirementsState(data, true);
+    } catch (error) {
+        showToast(error.message);
+        if (submit) submit.disabled = false;
+    }
+}
+
+// ─── Merge / split proposals ────────────────────────────────────
+
+/**
+ * Render the pending duplicate-check proposals above the requirements table.
+ */
+export function renderRequirementProposals() {
+    const container = document.getElementById('reqProposals');
+    if (!container) return;
+    const proposals = store.get('requirementProposals') || [];
+    if (proposals.length === 0) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    const reqs = store.get('requirements') || [];
+    const textOf = id => {
+        const req = reqs.find(r => r.id === id);
+        return req ? req.text : id;
+    };
+
+    container.style.display = '';
+    container.innerHTML = `
+        <div class="req-proposals-header">
+            <span class="req-proposals-title">Possible duplicates</span>
+            <span class="req-proposals-sub">Review ${proposals.length} proposal${proposals.length === 1 ? '' : 's'} before analyzing gaps</span>
+            <label class="req-proposals-author">
+                Reviewing as
+                <input type="text" id="reqProposalAuthor" value="${escapeHtml(getEditorName())}" placeholder="Your name" />
+            </label>
+        </div>
+        ${proposals.map(p => `
+            <div class="req-proposal" data-proposal-id="${escapeHtml(p.id)}">
+                <div class="req-proposal-body">
+                    <span class="req-proposal-kind req-proposal-kind--${p.kind}">${p.kind === 'merge' ? 'Merge' : 'Split'}</span>
+                    <ul class="req-proposal-from">
+                        ${p.requirementIds.map(id => `<li><span class="req-proposal-id">${escapeHtml(id)}</span> ${escapeHtml(textOf(id))}</li>`).join('')}
+                    </ul>
+                    <span class="req-proposal-arrow">&rarr;</span>
+                    <ul class="req-proposal-to">
+                        ${p.requirements.map(r => `<li>${escapeHtml(r.text)}</li>`).join('')}
+                    </ul>
+                    <p class="req-proposal-reason">${escapeHtml(p.reason)}</p>
+                </div>
+                <div class="req-proposal-actions">
+                    <button class="btn btn-primary btn-sm" onclick="resolveRequirementProposal('${escapeHtml(p.id)}', 'accept')">Accept</button>
+                    <button class="btn btn-ghost btn-sm" onclick="resolveRequirementProposal('${escapeHtml(p.id)}', 'dismiss')">Keep as is</button>
+                </div>
+            </div>
+        `).join('')}
+    `;
+}
+
+/**
+ * Accept or dismiss a merge/split proposal. Accepting is an edit like any
+ * other: it is logged under the reviewer's name with the proposal's reason.
+ * @param {string} proposalId
+ * @param {'accept'|'dismiss'} action
+ */
+export async function resolveRequirementProposal(proposalId, action) {
+    const author = document.getElementById('reqProposalAuthor')?.value.trim() || getEditorName();
+    if (action === 'accept' && !author) {
+        showToast('Enter your name under "Reviewing as" first.', 'warning');
+        return;
+    }
+    if (author) setEditorName(author);
+
+    const card = document.querySelector(`.req-proposal[data-proposal-id="${proposalId}"]`);
+    if (card) card.querySelectorAll('button').forEach(b => { b.disabled = true; });
+    try {
+        const data = await sendEdit('POST', `/api/requirements/proposals/${encodeURIComponent(proposalId)}`, { action, author });
+        applyRequirementsState(data, action === 'accept');
+    } catch (error) {
+        showToast(error.message);
+        if (card) card.querySelectorAll('button').forEach(b => { b.disabled = false; });
+    }
+}
+
+// ─── Edit log ───────────────────────────────────────────────────
+
+/**
+ * Render the collapsible edit history under the proposals.
+ */
+export function renderRequirementEditLog() {
+    const container = document.getElementById('reqEditLog');
+    if (!container) return;
+    const edits = store.get('requirementEdits') || [];
+    container.style.display = edits.length > 0 ? '' : 'none';
+    container.innerHTML = `
+        <summary>Edit history (${edits.length})</summary>
+        <ul>
+            ${edits.slice().reverse().map(e => `
+                <li>
+                    <span class="req-edit-time">${escapeHtml(new Date(e.at).toLocaleTimeString())}</span>
+                    <strong>${escapeHtml(e.author)}</strong>
+                    ${escapeHtml(e.summary)}
+                    <em>— ${escapeHtml(e.reason)}</em>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
@@ -0,0 +1,143 @@
+/**
+ * Roadmap View — plans the build queue over developers and agents by
+ * capacity and draws one lane per developer or agent. The plan comes from
+ * POST /api/roadmap; publishing puts its effort summary on the epic.
+ * @module roadmap-view
+ */
+
+import { escapeHtml, formatEffort } from './utils.js';
+import { showToast } from './toast.js';
+import { getGaps, needsReview } from './analyze-flow.js';
+
+/** Capacity inputs, kept across refreshes */
+const capacity = { developers: 1, agents: 2, developerHoursPerDay: 6, agentHoursPerDay: 16 };
+
+/**
+ * Show or hide the roadmap panel; showing it plans the current selection.
+ */
+export function toggleRoadmap() {
+    const panel = document.getElementById('roadmapPanel');
+    if (!panel) return;
+    if (panel.style.display !== 'none') {
+        panel.style.display = 'none';
+        return;
+    }
+    panel.style.display = '';
+    refreshRoadmap();
+}
+
+/**
+ * Read a capacity input back into `capacity`.
+ * @param {HTMLInputElement} input - Input with a `data-field` naming the capacity field.
+ */
+export function updateRoadmapCapacity(input) {
+    const value = Number(input.value);
+    if (!Number.isFinite(value) || value < 0) return;
+    capacity[input.dataset.field] = value;
+    refreshRoadmap();
+}
+
+/**
+ * Plan the selected gaps and render the roadmap.
+ * @param {boolean} [publish=false] - Also put the effort summary on the epic.
+ */
+export async function refreshRoadmap(publish = false) {
+    const panel = document.getElementById('roadmapPanel');
+    if (!panel || panel.style.display === 'none') return;
+
+    const selected = getGaps().filter(g => g.selected && g.hasGap && !needsReview(g));
+    if (selected.length === 0) {
+        renderRoadmap(null, 'Select gaps in the build queue to plan a roadmap.');
+        return;
+    }
+
+    // Developers implement developer-assigned gaps; local and cloud agents the rest
+    const assignments = {};
+    selected.forEach(gap => {
+        const select = document.querySelector(`.agent-type-select[data-gap-id="${gap.id}"]`);
+        assignments[gap.id] = select?.value === 'developer' ? 'developer' : 'agent';
+    });
+
+    try {
+        const response = await fetch('/api/roadmap', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ selectedIds: selected.map(g => g.id), assignments, publish, ...capacity }),
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to plan roadmap');
+        renderRoadmap(data.roadmap);
+        if (publish) {
+            if (data.epicUpdated) showToast('Effort summary posted to the epic', 'success');
+            else showToast('Roadmap saved — it goes on the epic once one is created', 'info');
+        }
+    } catch (err) {
+        renderRoadmap(null, err.message);
+        if (publish) showToast(`Roadmap failed: ${err.message}`);
+    }
+}
+
+/** Publish the current plan to the epic. */
+export function publishRoadmap() {
+    return refreshRoadmap(true);
+}
+
+function capacityInput(field, label, step) {
+    return `
+        <label class="roadmap-capacity-field">
+            <span>${label}</span>
+            <input type="number" min="0" step="${step}" value="${capacity[field]}" data-field="${field}" onchange="updateRoadmapCapacity(this)">
+        </label>`;
+}
+
+/**
+ * @param {Object|null} roadmap - Roadmap from the server, or null to show `message` instead.
+ * @param {string} [message]
+ */
+function renderRoadmap(roadmap, message = '') {
+    const panel = document.getElementById('roadmapPanel');
+    if (!panel) return;
+
+    let body;
+    if (!roadmap) {
+        body = `<div class="roadmap-empty">${escapeHtml(message)}</div>`;
+    } else {
+        const { totals } = roadmap;
+        const span = Math.max(totals.days, 0.1);
+        const lanes = roadmap.lanes.map(lane => {
+            const bars = roadmap.items.filter(i => i.laneId === lane.id).map(item => {
+                const left = (item.startDay / span) * 100;
+                const width = Math.max(((item.endDay - item.startDay) / span) * 100, 1);
+                const title = `#${item.gapId} ${item.requirement} — ${formatEffort({ effort: item.effort })}, day ${item.startDay}–${item.endDay}`;
+                return `<div class="roadmap-bar ${lane.kind}${item.effort.source === 'complexity' ? ' guessed' : ''}" style="left:${left}%;width:${width}%;" title="${escapeHtml(title)}">#${item.gapId}</div>`;
+            }).join('');
+            return `
+                <div class="roadmap-lane">
+                    <div class="roadmap-lane-name">${escapeHtml(lane.name)}<span>${lane.hours} h · ${lane.days} d</span></div>
+                    <div class="roadmap-lane-track">${bars}</div>
+                </div>`;
+        }).join('');
+        body = `
+            <div class="roadmap-totals">
+                <span><strong>${totals.minHours}–${totals.maxHours}</strong> hours</span>
+                <span><strong>${totals.storyPoints}</strong> story points</span>
+                <span><strong>${totals.days}</strong> working days</span>
+            </div>
+            <div class="roadmap-lanes">${lanes}</div>`;
+    }
+
+    panel.innerHTML = `
+        <div class="req-proposals-header">
+            <span class="req-proposals-title">Roadmap</span>
+            <span class="req-proposals-sub">Selected gaps, dependencies first, on whoever can finish them soonest</span>
+        </div>
+        <div class="roadmap-capacity">
+            ${capacityInput('developers', 'Developers', 1)}
+            ${capacityInput('developerHoursPerDay', 'h/day', 0.5)}
+            ${capacityInput('agents', 'Agents', 1)}
+            ${capacityInput('agentHoursPerDay', 'h/day', 0.5)}
+            <button class="btn btn-ghost btn-sm" onclick="publishRoadmap()"${roadmap ? '' : ' disabled'}>Post to epic</button>
+        </div>
+        ${body}
+    `;
+}
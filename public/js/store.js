@@ -203,7 +203,7 @@ const initialState = {
     meeting: {
         name: '',
         iteration: 1,
-        info: null, // { title, date, participants, summary }
+        info: null, // { title, date, participants, summary, language?, items?: { decisions, actionItems, openQuestions } }
     },
     stages: {
         meet:    { status: 'idle', metrics: {}, startTime: null, endTime: null },
@@ -215,11 +215,27 @@ const initialState = {
     detailPanelOpen: null,
 
     // Unified requirements data — THE single source of truth
-    // Each item: { id, text, selected, gapResult, dispatch, validation }
-    //   gapResult:  null | { hasGap, gap, currentState, complexity, estimatedEffort, details }
+    // Each item: { id, text, priority, category, requestedBy, acceptanceCriteria, provenance, meetings, supersedes, selected, gapResult, dispatch, validation }
+    //   priority:   'Must'|'Should'|'Could'|"Won't" (MoSCoW)
+    //   category:   'content'|'design'|'compliance'|'performance'|'feature'
+    //   provenance: null | { quote, speaker, timestamp, verified }
+    //   meetings:   null | [{ title, date }] — meetings of a series that mentioned it
+    //   supersedes: null | [{ text, meeting }] — earlier decisions it replaced
+    //   original:   null | { language, text } — wording in the meeting's language (text is normalized)
+    //   literals:   null | string[] — exact text to ship untranslated
+    //   gapResult:  null | { hasGap, gap, currentState, complexity, estimatedEffort, effort, details, evidence, confidence, dependsOn }
     //   dispatch:   null | { mode: 'cloud'|'local'|'developer', issueNumber, issueUrl, status: 'pending'|'creating'|'assigned'|'working'|'implemented'|'failed' }
     //   validation: null | { status: 'pending'|'validating'|'pass'|'fail', details, screenshot }
     requirements: [],
+    // Pending merge/split proposals: { id, kind: 'merge'|'split', requirementIds, requirements, reason }
+    requirementProposals: [],
+    // Edit log: { at, author, reason, action, requirementIds, summary }
+    requirementEdits: [],
+    // Flagged vague requirements: { requirementId, score, issues, questions: [{ id, text, answer?, answeredBy? }] }
+    requirementClarity: [],
+    // Changes since the previous run (follow-up meeting): { previousRunId, previousTitle, previousDate?,
+    //   changes: [{ status: 'new'|'changed'|'unchanged'|'dropped', requirementId?, previousId?, previousText?, change?, issue? }] }
+    requirementDiff: null,
 
     epicIssue: { number: 0, url: '' },
     deployedUrl: '',
@@ -31,6 +31,20 @@ export function isNoGap(gap) {
     return patterns.some(p => text.includes(p));
 }
 
+/**
+ * Effort as the analyzer wrote it, with the normalized numbers when known:
+ * "2-3 hours (2–3 h · 2 pts)".
+ * @param {{ estimatedEffort?: string, effort?: { minHours: number, maxHours: number, storyPoints: number } }} gap
+ * @returns {string}
+ */
+export function formatEffort(gap) {
+    const e = gap.effort;
+    if (!e) return gap.estimatedEffort || '\u2014';
+    const hours = e.minHours === e.maxHours ? `${e.maxHours}` : `${e.minHours}\u2013${e.maxHours}`;
+    const normalized = `${hours} h \u00b7 ${e.storyPoints} pt${e.storyPoints === 1 ? '' : 's'}`;
+    return gap.estimatedEffort ? `${gap.estimatedEffort} (${normalized})` : normalized;
+}
+
 /**
  * Format the current time as HH:MM:SS (24-hour).
  * @returns {string}
@@ -82,3 +96,16 @@ export async function* parseSSEStream(readableStream) {
         reader.releaseLock();
     }
 }
+
+/**
+ * Ask the server to cancel a running operation. Its SSE stream then reports
+ * the unfinished items as `cancelled` and completes.
+ * @param {'analyze-gaps'|'execute-local-agent'|'validate'|'deploy'} operation
+ * @returns {Promise<number>} How many runs were cancelled
+ */
+export async function cancelOperation(operation) {
+    const response = await fetch(`/api/cancel/${operation}`, { method: 'POST' });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `Could not cancel ${operation}`);
+    return data.cancelled || 0;
+}
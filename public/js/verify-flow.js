@@ -4,7 +4,7 @@
  */
 
 import { store } from './store.js';
-import { escapeHtml } from './utils.js';
+import { escapeHtml, cancelOperation } from './utils.js';
 import { showToast } from './toast.js';
 import {
     updateLoopState, setStatus, setQAStep, appendLog, setActivePhase, showPanel
@@ -15,6 +15,7 @@ import { getDispatchedGapIds } from './build-flow.js';
 // ─── State ──────────────────────────────────────────────────────
 let validationResults = [];
 let qaWorkflowRunning = false;
+let qaCancelled = false;
 let qaMode = false;
 let deployedUrl = '';
 
@@ -71,9 +72,10 @@ export function getFailedValidationGaps() {
     return validationResults
         .filter(v => !v.passed)
         .map((v, i) => {
-            const reqIndex = requirements.findIndex(r => r.trim() === v.requirement.trim());
+            const reqIndex = requirements.findIndex(r => r.id === v.requirementId || r.text.trim() === v.requirement.trim());
             return {
                 id: 9000 + i,  // High-range IDs to avoid collisions with analyze gaps
+                requirementId: v.requirementId,
                 requirement: v.requirement,
                 gap: `Verification failed: ${v.details || 'Did not pass validation'}`,
                 details: v.details || '',
@@ -128,7 +130,7 @@ export function buildQAGapTable() {
         tr.dataset.index = i;
 
         const gap = gaps.find(g => g.id === i + 1);
-        const vr = validationMap[req.trim()];
+        const vr = validationMap[req.text.trim()];
         const isDispatched = gap && dispatchedIds.has(gap.id);
         const issue = gap ? issueByGapId[gap.id] : null;
 
@@ -168,7 +170,7 @@ export function buildQAGapTable() {
         if (gap && !gap.hasGap && !vr) tr.classList.add('no-gap-row');
 
         tr.innerHTML = `
-            <td class="col-req"><div class="td-requirement">${escapeHtml(req)}</div></td>
+            <td class="col-req"><div class="td-requirement">${escapeHtml(req.text)}</div></td>
             <td class="col-verify-resolution">${resolutionHtml}</td>
             <td class="col-verify-validation">${validationHtml}</td>
         `;
@@ -281,6 +283,7 @@ export async function launchQAWorkflow() {
     setQAStep('deploy');
     validationResults = [];
     qaWorkflowRunning = true;
+    showCancelQAButton(true);
     updateLoopState({
         activeStage: 'verify',
         stages: { verify: { status: 'active', startTime: Date.now(), metrics: { primary: 'Deploying...', statusText: 'Deployer Running' } } }
@@ -333,18 +336,15 @@ export async function launchQAWorkflow() {
             stages: { verify: { status: failed > 0 ? 'error' : 'complete', endTime: Date.now(), metrics: { primary: `${passed} pass / ${failed} fail`, statusText: failed > 0 ? 'Issues Found' : 'All Passed ✓' } } }
         });
     } catch (error) {
-        showToast(error.message);
-        setStatus('Workflow Failed', 'error');
-        updateLoopState({ stages: { verify: { status: 'error', metrics: { statusText: 'Failed' } } } });
-        if (!wfDeploy.classList.contains('done')) {
-            wfDeploy.classList.remove('active');
-            wfDeploy.classList.add('failed');
-        } else {
-            wfValidate.classList.remove('active');
-            wfValidate.classList.add('failed');
-        }
+        showToast(error.message, qaCancelled ? 'warning' : 'error');
+        setStatus(qaCancelled ? 'Workflow Cancelled' : 'Workflow Failed', qaCancelled ? '' : 'error');
+        updateLoopState({ stages: { verify: { status: 'error', metrics: { statusText: qaCancelled ? 'Cancelled' : 'Failed' } } } });
+        const failedStep = wfDeploy.classList.contains('done') ? wfValidate : wfDeploy;
+        failedStep.classList.remove('active');
+        if (!qaCancelled) failedStep.classList.add('failed');
     } finally {
         qaWorkflowRunning = false;
+        showCancelQAButton(false);
         btn.disabled = false;
         updateQAButtonState();
     }
@@ -359,6 +359,7 @@ export async function runDeployOnly() {
     const btn = document.getElementById('btnLaunchQA');
     btn.disabled = true;
     qaWorkflowRunning = true;
+    showCancelQAButton(true);
 
     const progressEl = document.getElementById('qaWorkflowProgress');
     progressEl.style.display = '';
@@ -394,12 +395,13 @@ export async function runDeployOnly() {
         appendLog('qaWorkflowLogEntries', `✅ Deploy complete: ${deployUrl}`);
         appendLog('qaWorkflowLogEntries', `💡 Click the Validator icon to validate, or use "Re-deploy & Validate" for both.`);
     } catch (error) {
-        showToast(error.message);
-        setStatus('Deploy Failed', 'error');
+        showToast(error.message, qaCancelled ? 'warning' : 'error');
+        setStatus(qaCancelled ? 'Deploy Cancelled' : 'Deploy Failed', qaCancelled ? '' : 'error');
         wfDeploy.classList.remove('active');
-        wfDeploy.classList.add('failed');
+        if (!qaCancelled) wfDeploy.classList.add('failed');
     } finally {
         qaWorkflowRunning = false;
+        showCancelQAButton(false);
         btn.disabled = false;
         updateQAButtonState();
     }
@@ -418,6 +420,7 @@ export async function runValidateOnly() {
     const btn = document.getElementById('btnLaunchQA');
     btn.disabled = true;
     qaWorkflowRunning = true;
+    showCancelQAButton(true);
     validationResults = [];
 
     const progressEl = document.getElementById('qaWorkflowProgress');
@@ -445,12 +448,13 @@ export async function runValidateOnly() {
         finishValidationUI(wfValidate);
         setQAStep('complete');
     } catch (error) {
-        showToast(error.message);
-        setStatus('Validation Failed', 'error');
+        showToast(error.message, qaCancelled ? 'warning' : 'error');
+        setStatus(qaCancelled ? 'Validation Cancelled' : 'Validation Failed', qaCancelled ? '' : 'error');
         wfValidate.classList.remove('active');
-        wfValidate.classList.add('failed');
+        if (!qaCancelled) wfValidate.classList.add('failed');
     } finally {
         qaWorkflowRunning = false;
+        showCancelQAButton(false);
         btn.disabled = false;
         updateQAButtonState();
     }
@@ -500,6 +504,10 @@ async function runDeploy() {
                     } else if (eventType === 'complete') {
                         const data = JSON.parse(eventData);
                         url = data.url || url;
+                    } else if (eventType === 'cancelled') {
+                        const { message } = JSON.parse(eventData);
+                        appendLog('qaWorkflowLogEntries', `⏹ ${message}`);
+                        throw new Error(message);
                     } else if (eventType === 'error') {
                         const { error } = JSON.parse(eventData);
                         throw new Error(error);
@@ -555,9 +563,18 @@ async function runValidation(url) {
                         const { result } = JSON.parse(eventData);
                         validationResults.push(result);
                         updateQATableRowWithValidation(result);
+                    } else if (eventType === 'cancelled') {
+                        const { requirementIndex } = JSON.parse(eventData);
+                        setQATableRowCancelled(requirementIndex);
+                    } else if (eventType === 'complete') {
+                        const { cancelled } = JSON.parse(eventData);
+                        if (cancelled) throw new Error(`Validation cancelled — ${validationResults.length} requirement(s) validated`);
                     } else if (eventType === 'log') {
                         const { message } = JSON.parse(eventData);
                         appendLog('qaWorkflowLogEntries', message);
+                    } else if (eventType === 'warning') {
+                        const { message } = JSON.parse(eventData);
+                        showToast(message, 'warning');
                     } else if (eventType === 'error') {
                         const { error } = JSON.parse(eventData);
                         throw new Error(error);
@@ -569,6 +586,31 @@ async function runValidation(url) {
     });
 }
 
+// ─── Cancel ─────────────────────────────────────────────────────
+/**
+ * Stop the running deploy and/or validation. Azure and Playwright processes
+ * are killed; requirements not validated yet are marked Cancelled.
+ */
+export async function cancelQAWorkflow() {
+    qaCancelled = true;
+    const btn = document.getElementById('btnCancelQA');
+    if (btn) btn.disabled = true;
+    try {
+        await Promise.all([cancelOperation('deploy'), cancelOperation('validate')]);
+    } catch (error) {
+        showToast(error.message);
+        if (btn) btn.disabled = false;
+    }
+}
+
+function showCancelQAButton(visible) {
+    if (visible) qaCancelled = false;
+    const btn = document.getElementById('btnCancelQA');
+    if (!btn) return;
+    btn.style.display = visible ? '' : 'none';
+    btn.disabled = false;
+}
+
 // ─── Shared UI Helpers ──────────────────────────────────────────
 /**
  * Show the deployed URL in the QA UI bar.
@@ -632,7 +674,7 @@ export function setQATableRowValidating(reqIndex, requirement) {
     let row = document.getElementById(`qa-row-${reqIndex}`);
     if (!row && requirement) {
         const trimmed = requirement.trim();
-        const idx = requirements.findIndex(r => r.trim() === trimmed);
+        const idx = requirements.findIndex(r => r.text.trim() === trimmed);
         if (idx !== -1) row = document.getElementById(`qa-row-${idx}`);
     }
     if (!row) return;
@@ -645,6 +687,18 @@ export function setQATableRowValidating(reqIndex, requirement) {
     row.classList.add('validating-row');
 }
 
+/**
+ * Mark a QA table row as cancelled (validation stopped before it ran or finished).
+ * @param {number} reqIndex - Requirement index.
+ */
+export function setQATableRowCancelled(reqIndex) {
+    const row = document.getElementById(`qa-row-${reqIndex}`);
+    const validationTd = row ? row.querySelectorAll('td')[2] : null;
+    if (!validationTd) return;
+    validationTd.innerHTML = '<span class="status-chip cancelled">Cancelled</span>';
+    row.classList.remove('validating-row');
+}
+
 /**
  * Update a QA table row with validation result (pass/fail + evidence).
  * @param {Object} result - Validation result with requirement, passed, details, etc.
@@ -653,11 +707,11 @@ export function updateQATableRowWithValidation(result) {
     const requirements = store.get('requirements') || [];
     const gaps = getGaps();
     const reqText = result.requirement.trim();
-    let rowIdx = requirements.findIndex(r => r.trim() === reqText);
+    let rowIdx = requirements.findIndex(r => r.id === result.requirementId || r.text.trim() === reqText);
     if (rowIdx === -1) {
         rowIdx = requirements.findIndex(r =>
-            r.trim().toLowerCase().includes(reqText.toLowerCase().substring(0, 40)) ||
-            reqText.toLowerCase().includes(r.trim().toLowerCase().substring(0, 40))
+            r.text.trim().toLowerCase().includes(reqText.toLowerCase().substring(0, 40)) ||
+            reqText.toLowerCase().includes(r.text.trim().toLowerCase().substring(0, 40))
         );
     }
     if (rowIdx === -1) return;
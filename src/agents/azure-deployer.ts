@@ -6,6 +6,7 @@ import { join } from "path";
 const execAsync = promisify(exec);
 
 import { REPO, REPO_PATH } from "../config.js";
+import { isCancelled } from "./cancellation.js";
 const ENV_NAME = "corporate-website-dev";
 const AZURE_LOCATION = "eastus2";
 
@@ -13,12 +14,14 @@ interface DeployResult {
     success: boolean;
     url?: string;
     message: string;
-    errorType?: 'auth' | 'subscription' | 'timeout' | 'infra' | 'unknown';
+    errorType?: 'auth' | 'subscription' | 'timeout' | 'infra' | 'cancelled' | 'unknown';
 }
 
 interface DeployOptions {
     onProgress?: (step: number, message: string) => void;
     onLog?: (message: string) => void;
+    /** Kills the running git / azd / az command and stops the deployment */
+    signal?: AbortSignal;
 }
 
 /** Run a shell command in the repo directory, streaming output to log */
@@ -26,12 +29,15 @@ async function run(
     cmd: string,
     log: (msg: string) => void,
     timeoutMs = 300_000,
+    signal?: AbortSignal,
 ): Promise<{ stdout: string; stderr: string }> {
+    signal?.throwIfAborted();
     console.log(`[azure-deployer] $ ${cmd}`);
     log(`$ ${cmd}`);
     const result = await execAsync(cmd, {
         cwd: REPO_PATH,
         timeout: timeoutMs,
+        signal,
         env: { ...process.env, GITHUB_TOKEN: undefined, GH_PAGER: "cat" },
         maxBuffer: 10 * 1024 * 1024, // 10 MB for azd output
     });
@@ -46,10 +52,10 @@ async function run(
  * Check if the corporate-website is already deployed on Azure via azd.
  * Returns the endpoint URL if deployed, null otherwise.
  */
-async function checkExistingDeployment(log: (msg: string) => void): Promise<string | null> {
+async function checkExistingDeployment(log: (msg: string) => void, signal?: AbortSignal): Promise<string | null> {
     try {
         log("Checking for existing Azure deployment...");
-        const { stdout } = await run("azd show --output json 2>/dev/null", log, 30_000);
+        const { stdout } = await run("azd show --output json 2>/dev/null", log, 30_000, signal);
         const data = JSON.parse(stdout);
         if (data?.services) {
             for (const [, svc] of Object.entries(data.services as Record<string, { endpoint?: string }>)) {
@@ -60,7 +66,8 @@ async function checkExistingDeployment(log: (msg: string) => void): Promise<stri
             }
         }
         return null;
-    } catch {
+    } catch (err) {
+        if (isCancelled(err, signal)) throw err;
         log("No existing azd environment — will deploy fresh.");
         return null;
     }
@@ -72,16 +79,16 @@ async function checkExistingDeployment(log: (msg: string) => void): Promise<stri
  * (which creates remote branches via GitHub MCP).
  * Returns the list of branches that were merged.
  */
-async function mergeLocalAgentBranches(log: (msg: string) => void): Promise<string[]> {
+async function mergeLocalAgentBranches(log: (msg: string) => void, signal?: AbortSignal): Promise<string[]> {
     const merged: string[] = [];
     try {
         // Ensure we are on main
-        await run("git checkout main", log, 10_000);
+        await run("git checkout main", log, 10_000, signal);
 
         // List LOCAL feature/gap-* branches (created by the local agent)
         const { stdout } = await execAsync(
             "git branch --list 'feature/gap-*' | tr -d ' '",
-            { cwd: REPO_PATH, timeout: 10_000 },
+            { cwd: REPO_PATH, timeout: 10_000, signal },
         );
         const branches = stdout.trim().split("\n").filter(Boolean);
 
@@ -94,10 +101,11 @@ async function mergeLocalAgentBranches(log: (msg: string) => void): Promise<stri
 
         for (const branch of branches) {
             try {
-                await run(`git merge ${branch} --no-edit -m "Merge ${branch} into main for deploy"`, log, 15_000);
+                await run(`git merge ${branch} --no-edit -m "Merge ${branch} into main for deploy"`, log, 15_000, signal);
                 log(`Merged: ${branch}`);
                 merged.push(branch);
             } catch (mergeErr) {
+                if (isCancelled(mergeErr, signal)) throw mergeErr;
                 const msg = mergeErr instanceof Error ? mergeErr.message : String(mergeErr);
                 log(`Warning: could not merge ${branch} — ${msg.substring(0, 120)}`);
                 // Abort failed merge to keep tree clean
@@ -109,6 +117,11 @@ async function mergeLocalAgentBranches(log: (msg: string) => void): Promise<stri
             log(`Successfully merged ${merged.length} branch(es) into main.`);
         }
     } catch (err) {
+        if (isCancelled(err, signal)) {
+            // Don't leave a half-done merge behind
+            try { await execAsync("git merge --abort", { cwd: REPO_PATH, timeout: 5_000 }); } catch { /* ignore */ }
+            throw err;
+        }
         const msg = err instanceof Error ? err.message : String(err);
         log(`Warning: branch merge step failed — ${msg.substring(0, 200)}`);
     }
@@ -260,15 +273,16 @@ output id string = swa.id
 export async function deployToAzure(options: DeployOptions): Promise<DeployResult> {
     const progress = options.onProgress ?? (() => {});
     const log = options.onLog ?? (() => {});
+    const signal = options.signal;
 
     try {
         // ── Step 0: check existing ────────────────────────────────────────
         progress(0, "Checking existing Azure deployment...");
-        const existingUrl = await checkExistingDeployment(log);
+        const existingUrl = await checkExistingDeployment(log, signal);
         if (existingUrl) {
             // Existing deployment found — merge any local-agent branches and redeploy
             progress(1, "Merging local agent changes...");
-            const merged = await mergeLocalAgentBranches(log);
+            const merged = await mergeLocalAgentBranches(log, signal);
 
             // Also check for uncommitted local changes (from local agent filesystem edits).
             // NOTE: This commit is LOCAL-ONLY (never pushed to origin).
@@ -276,14 +290,15 @@ export async function deployToAzure(options: DeployOptions): Promise<DeployResul
             // runs `git reset --hard origin/main`.
             let hasLocalChanges = false;
             try {
-                const { stdout: statusOut } = await execAsync("git status --porcelain", { cwd: REPO_PATH, timeout: 10_000 });
+                const { stdout: statusOut } = await execAsync("git status --porcelain", { cwd: REPO_PATH, timeout: 10_000, signal });
                 if (statusOut.trim()) {
                     hasLocalChanges = true;
                     log(`Found uncommitted local changes:\n${statusOut.trim().split("\n").slice(0, 10).join("\n")}`);
-                    await run('git add -A && git commit -m "Include local agent changes for deployment"', log, 15_000);
+                    await run('git add -A && git commit -m "Include local agent changes for deployment"', log, 15_000, signal);
                     log("Committed local changes for deployment.");
                 }
             } catch (commitErr) {
+                if (isCancelled(commitErr, signal)) throw commitErr;
                 const msg = commitErr instanceof Error ? commitErr.message : String(commitErr);
                 log(`Warning: could not commit local changes — ${msg.substring(0, 200)}`);
             }
@@ -292,12 +307,13 @@ export async function deployToAzure(options: DeployOptions): Promise<DeployResul
             progress(2, "Redeploying to Azure...");
             log("Running azd deploy to push updated code...");
             try {
-                await run("azd deploy --no-prompt 2>&1", log, 600_000);
+                await run("azd deploy --no-prompt 2>&1", log, 600_000, signal);
                 log("Redeployment complete.");
             } catch (deployErr) {
+                if (isCancelled(deployErr, signal)) throw deployErr;
                 const msg = deployErr instanceof Error ? deployErr.message : String(deployErr);
                 log(`azd deploy failed, falling back to azd up: ${msg.substring(0, 200)}`);
-                await run("azd up --no-prompt 2>&1", log, 600_000);
+                await run("azd up --no-prompt 2>&1", log, 600_000, signal);
             }
             progress(4, "Redeployment complete!");
 
@@ -311,11 +327,11 @@ export async function deployToAzure(options: DeployOptions): Promise<DeployResul
         progress(1, "Preparing Azure deployment config...");
 
         // Also merge any local-agent branches before first deploy
-        await mergeLocalAgentBranches(log);
+        await mergeLocalAgentBranches(log, signal);
 
         let hasAzureYaml = false;
         try {
-            await execAsync(`test -f ${REPO_PATH}/azure.yaml`);
+            await execAsync(`test -f ${REPO_PATH}/azure.yaml`, { signal });
             hasAzureYaml = true;
             log("azure.yaml already exists.");
         } catch {
@@ -325,9 +341,10 @@ export async function deployToAzure(options: DeployOptions): Promise<DeployResul
         if (!hasAzureYaml) {
             try {
                 // Try azd init --from-code first (auto-detect project type)
-                await run("azd init --from-code --no-prompt", log, 60_000);
+                await run("azd init --from-code --no-prompt", log, 60_000, signal);
                 log("azd init completed — azure.yaml created.");
             } catch (initErr) {
+                if (isCancelled(initErr, signal)) throw initErr;
                 const msg = initErr instanceof Error ? initErr.message : String(initErr);
                 log(`azd init --from-code failed: ${msg.substring(0, 200)}`);
                 log("Creating azure.yaml manually for Vite static site...");
@@ -351,6 +368,7 @@ export async function deployToAzure(options: DeployOptions): Promise<DeployResul
                 await execAsync(`cat > ${REPO_PATH}/azure.yaml << 'YAML'\n${azureYaml}\nYAML`, {
                     cwd: REPO_PATH,
                     timeout: 5_000,
+                    signal,
                 });
                 log("Created azure.yaml for static web app deployment.");
             }
@@ -364,21 +382,21 @@ export async function deployToAzure(options: DeployOptions): Promise<DeployResul
 
         // Create env (ignore error if already exists)
         try {
-            await run(`azd env new ${ENV_NAME} --no-prompt`, log, 30_000);
+            await run(`azd env new ${ENV_NAME} --no-prompt`, log, 30_000, signal);
         } catch {
             log(`Environment "${ENV_NAME}" may already exist — continuing.`);
         }
 
         // Select it
         try {
-            await run(`azd env select ${ENV_NAME}`, log, 10_000);
+            await run(`azd env select ${ENV_NAME}`, log, 10_000, signal);
         } catch {
             log("Could not select env — it may already be active.");
         }
 
         // Set location
         try {
-            await run(`azd env set AZURE_LOCATION ${AZURE_LOCATION}`, log, 10_000);
+            await run(`azd env set AZURE_LOCATION ${AZURE_LOCATION}`, log, 10_000, signal);
         } catch {
             log("Warning: could not set AZURE_LOCATION — azd up will prompt or use default.");
         }
@@ -390,7 +408,7 @@ export async function deployToAzure(options: DeployOptions): Promise<DeployResul
             try {
                 const { stdout: azdStatus } = await execAsync(
                     "azd auth login --check-status 2>&1",
-                    { timeout: 15_000 },
+                    { timeout: 15_000, signal },
                 );
                 const userMatch = azdStatus.match(/Logged in to Azure as (\S+)/);
                 if (userMatch) azdUser = userMatch[1] ?? null;
@@ -402,7 +420,7 @@ export async function deployToAzure(options: DeployOptions): Promise<DeployResul
             // List all enabled subscriptions (includes user info)
             const { stdout: listJson } = await execAsync(
                 'az account list --query "[?state==\'Enabled\'].{id:id,tenantId:tenantId,name:name,user:user.name}" -o json',
-                { timeout: 15_000 },
+                { timeout: 15_000, signal },
             );
             const subs = JSON.parse(listJson.trim());
 
@@ -414,7 +432,7 @@ export async function deployToAzure(options: DeployOptions): Promise<DeployResul
             if (!sub) {
                 const { stdout: accountJson } = await execAsync(
                     'az account show --query "{id:id,tenantId:tenantId,user:user.name}" -o json',
-                    { timeout: 15_000 },
+                    { timeout: 15_000, signal },
                 );
                 const account = JSON.parse(accountJson.trim());
                 sub = subs.find((s: { tenantId: string }) => s.tenantId === account.tenantId) || subs[0];
@@ -422,8 +440,8 @@ export async function deployToAzure(options: DeployOptions): Promise<DeployResul
 
             if (sub) {
                 // Align az CLI + azd to the same subscription
-                await execAsync(`az account set --subscription ${sub.id}`, { timeout: 10_000 });
-                await run(`azd env set AZURE_SUBSCRIPTION_ID ${sub.id}`, log, 10_000);
+                await execAsync(`az account set --subscription ${sub.id}`, { timeout: 10_000, signal });
+                await run(`azd env set AZURE_SUBSCRIPTION_ID ${sub.id}`, log, 10_000, signal);
                 log(`Using subscription: ${sub.name} (${sub.id}) [tenant: ${sub.tenantId}]`);
             } else {
                 log("Warning: no enabled subscriptions found.");
@@ -440,6 +458,7 @@ export async function deployToAzure(options: DeployOptions): Promise<DeployResul
             "azd up --no-prompt 2>&1",
             log,
             600_000, // 10 min
+            signal,
         );
 
         const combined = upOut + "\n" + (upErr || "");
@@ -452,7 +471,7 @@ export async function deployToAzure(options: DeployOptions): Promise<DeployResul
         if (!url) {
             progress(3, "Retrieving deployment URL...");
             try {
-                const { stdout: showOut } = await run("azd show --output json", log, 30_000);
+                const { stdout: showOut } = await run("azd show --output json", log, 30_000, signal);
                 const data = JSON.parse(showOut);
                 if (data?.services) {
                     for (const [, svc] of Object.entries(data.services as Record<string, { endpoint?: string }>)) {
@@ -476,6 +495,10 @@ export async function deployToAzure(options: DeployOptions): Promise<DeployResul
 
         return { success: true, message: "Deployment completed — check Azure Portal for the URL" };
     } catch (error: unknown) {
+        if (isCancelled(error, signal)) {
+            log("⏹ Deployment cancelled");
+            return { success: false, message: "Deployment cancelled", errorType: "cancelled" };
+        }
         // exec errors have stderr/stdout with the real details
         const execErr = error as { stderr?: string; stdout?: string; message?: string };
         const detail =
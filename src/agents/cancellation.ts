@@ -0,0 +1,29 @@
+// ─── Cancellation ───────────────────────────────────────────────────────────
+// Long-running agent work takes an optional AbortSignal. Child processes get it
+// through exec's `signal` option and are killed when it fires; Copilot sessions
+// are aborted and destroyed (see createAgentSession). Work stopped this way is
+// reported as cancelled, never as a failure.
+
+/** Whether err was caused by cancellation (killed child process, aborted wait) rather than a real failure. */
+export function isCancelled(err: unknown, signal?: AbortSignal): boolean {
+    return Boolean(signal?.aborted) || (err instanceof Error && err.name === "AbortError");
+}
+
+/**
+ * Settle like `promise`, or reject with the signal's reason as soon as it
+ * fires. For waits that don't take a signal themselves (session.sendAndWait).
+ */
+export async function untilAborted<T>(promise: Promise<T>, signal?: AbortSignal): Promise<T> {
+    if (!signal) return promise;
+    signal.throwIfAborted();
+    let onAbort!: () => void;
+    const aborted = new Promise<never>((_, reject) => {
+        onAbort = () => reject(signal.reason);
+        signal.addEventListener("abort", onAbort, { once: true });
+    });
+    try {
+        return await Promise.race([promise, aborted]);
+    } finally {
+        signal.removeEventListener("abort", onAbort);
+    }
+}
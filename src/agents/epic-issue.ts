@@ -1,36 +1,86 @@
 import { exec } from "child_process";
 import { promisify } from "util";
 import type { MeetingInfo } from "./gap-analyzer.js";
+import { formatMeetingRef, formatProvenance } from "./requirements.js";
+import type { Requirement } from "./requirements.js";
+import type { RequirementEdit } from "./requirement-editor.js";
+import type { RequirementDiff } from "./requirement-diff.js";
+import { loadParticipantDirectory, withMention } from "./participant-directory.js";
+import type { Participant } from "./participant-directory.js";
+import type { MeetingItem } from "./meeting-items.js";
+import { formatRoadmapSection } from "./roadmap.js";
+import type { Roadmap } from "./roadmap.js";
 
 const execAsync = promisify(exec);
 
-import { OWNER, REPO } from "../config.js";
+import { ACTION_ITEMS_AS_CHECKLIST, OWNER, REPO } from "../config.js";
 
 interface EpicIssueResult {
     number: number;
     url: string;
 }
 
-export async function createEpicIssue(
-    meetingInfo: MeetingInfo,
-    requirements: string[],
-    onLog?: (message: string) => void,
-    overrideOwner?: string,
-    overrideRepo?: string,
-): Promise<EpicIssueResult> {
-    const log = onLog ?? (() => {});
-    const owner = overrideOwner || OWNER;
-    const repo = overrideRepo || REPO;
-    log("Creating epic issue on GitHub...");
-    console.log("[epic-issue] Creating epic issue...");
+function epicTitle(meetingInfo: MeetingInfo): string {
+    return `[Epic] ${meetingInfo.title || "Contoso Industries Redesign"}`;
+}
 
-    const title = `[Epic] ${meetingInfo.title || "Contoso Industries Redesign"}`;
+const CHANGE_STATUS = { new: "🆕 New", changed: "✏️ Changed", unchanged: "✔ Unchanged" } as const;
 
+function buildEpicBody(
+    meetingInfo: MeetingInfo,
+    requirements: Requirement[],
+    edits: RequirementEdit[] = [],
+    diff: RequirementDiff | null = null,
+    directory: Participant[] = [],
+    roadmap: Roadmap | null = null,
+): string {
     // Build a markdown table of requirements
+    const cell = (text: string) => text.replace(/\|/g, "\\|").replace(/\n/g, " ");
+    const status = (r: Requirement) => {
+        const change = diff?.changes.find(c => c.requirementId === r.id);
+        if (!change || change.status === "dropped") return "⏳ Pending";
+        return `${CHANGE_STATUS[change.status]}${change.status === "unchanged" && change.issue ? ` (#${change.issue.number})` : ""}`;
+    };
     const reqRows = requirements
-        .map((r, i) => `| ${i + 1} | ${r.replace(/\|/g, "\\|")} | ⏳ Pending |`)
+        .map((r, i) => `| ${i + 1} | ${cell(r.text)} | ${r.priority} | ${r.category} | ${r.requestedBy ? cell(withMention(directory, r.requestedBy)) : "—"} | ${status(r)} |`)
         .join("\n");
 
+    // Source quote + acceptance criteria per requirement, keyed by the table's # column
+    const series = (meetingInfo.meetings?.length ?? 0) > 1;
+    const detailBlocks = requirements
+        .map((r, i) => {
+            if (!r.provenance && r.acceptanceCriteria.length === 0 && !r.clarifications?.length && !r.original && !series) return "";
+            const lines = [`**${i + 1}. ${r.text}**`];
+            if (r.original) lines.push(`*Original (${r.original.language}):* ${r.original.text}`);
+            if (r.literals?.length) lines.push(`*Exact text:* ${r.literals.map(l => `\`${l}\``).join(", ")}`);
+            if (r.provenance) {
+                const unverified = r.provenance.verified === false ? " *(not found verbatim in the meeting content)*" : "";
+                lines.push(`> ${formatProvenance(r.provenance).replace(/\n/g, " ")}${unverified}`);
+            }
+            if (series && r.meetings?.length) {
+                lines.push(`*Mentioned in:* ${r.meetings.map(formatMeetingRef).join(", ")}`);
+            }
+            for (const old of r.supersedes ?? []) {
+                lines.push(`*Supersedes:* ~~${old.text}~~${old.meeting ? ` (${formatMeetingRef(old.meeting)})` : ""}`);
+            }
+            for (const c of r.clarifications ?? []) {
+                lines.push(`*Clarified:* ${c.question} → ${c.answer}${c.answeredBy ? ` (${c.answeredBy})` : ""}`);
+            }
+            lines.push(...r.acceptanceCriteria.map(c => `- [ ] ${c}`));
+            return lines.join("\n");
+        })
+        .filter(Boolean);
+
+    // Decisions, action items and open questions — "text — **owner** · due X"
+    const itemLine = (item: MeetingItem) => {
+        const meta = [
+            ...(item.owner ? [`**${withMention(directory, item.owner)}**`] : []),
+            ...(item.due ? [`due ${item.due}`] : []),
+        ];
+        return `${item.text.replace(/\n/g, " ")}${meta.length ? ` — ${meta.join(" · ")}` : ""}`;
+    };
+    const items = meetingInfo.items;
+
     const bodyParts: string[] = [
         `## 📋 ${meetingInfo.title || "Contoso Industries Redesign"}`,
         "",
@@ -38,26 +88,96 @@ export async function createEpicIssue(
 
     if (meetingInfo.date) bodyParts.push(`**Date:** ${meetingInfo.date}`);
     if (meetingInfo.participants?.length) {
-        bodyParts.push(`**Participants:** ${meetingInfo.participants.join(", ")}`);
+        // Mapped participants are @-mentioned so GitHub notifies them
+        bodyParts.push(`**Participants:** ${meetingInfo.participants.map(p => withMention(directory, p)).join(", ")}`);
     }
     if (meetingInfo.date || meetingInfo.participants?.length) bodyParts.push("");
 
+    if (series) {
+        bodyParts.push("### Meetings", ...meetingInfo.meetings!.map(m => `- ${formatMeetingRef(m)}`), "");
+    }
+
     if (meetingInfo.summary) {
         bodyParts.push("### Summary", meetingInfo.summary, "");
     }
 
+    if (items?.decisions.length) {
+        bodyParts.push("### Decisions", "", ...items.decisions.map(d => `- ${itemLine(d)}`), "");
+    }
+
     bodyParts.push(
         "### Requirements",
         "",
-        "| # | Requirement | Status |",
-        "|--:|------------|--------|",
-        reqRows,
+        "| # | Requirement | Priority | Category | Requested by | Status |",
+        "|--:|------------|----------|----------|--------------|--------|",
+        reqRows || "| — | *No code requirements in this meeting* | | | | |",
         "",
+    );
+
+    if (roadmap) bodyParts.push(...formatRoadmapSection(roadmap));
+
+    if (items?.actionItems.length) {
+        // Non-code tasks; as a checklist they can be ticked off on the epic
+        const bullet = (a: MeetingItem) => ACTION_ITEMS_AS_CHECKLIST ? (a.done ? "- [x]" : "- [ ]") : "-";
+        bodyParts.push("### Action Items", "", ...items.actionItems.map(a => `${bullet(a)} ${itemLine(a)}`), "");
+    }
+
+    if (items?.openQuestions.length) {
+        bodyParts.push("### Open Questions", "", ...items.openQuestions.map(q => `- ${itemLine(q)}`), "");
+    }
+
+    if (detailBlocks.length > 0) {
+        bodyParts.push("### Sources & Acceptance Criteria", "", detailBlocks.join("\n\n"), "");
+    }
+
+    const revised = diff?.changes.filter(c => c.status === "changed" || c.status === "dropped") ?? [];
+    if (diff && revised.length > 0) {
+        const indexOf = (id?: string) => requirements.findIndex(r => r.id === id) + 1;
+        bodyParts.push(
+            `### Changes since ${diff.previousTitle}${diff.previousDate ? ` (${diff.previousDate})` : ""}`,
+            "",
+            ...revised.map(c => {
+                const issue = c.issue ? ` — #${c.issue.number}` : "";
+                return c.status === "dropped"
+                    ? `- **Dropped:** ~~${c.previousText}~~${issue}`
+                    : `- **Changed (${indexOf(c.requirementId)}):** ${c.change ?? ""} Was: ~~${c.previousText}~~${issue}`;
+            }),
+            "",
+        );
+    }
+
+    if (edits.length > 0) {
+        bodyParts.push(
+            "### Edit History",
+            "",
+            ...edits.map(e => `- ${e.at.substring(0, 16).replace("T", " ")} — **${e.author}** ${e.summary.replace(/\n/g, " ")} — *${e.reason.replace(/\n/g, " ")}*`),
+            "",
+        );
+    }
+
+    bodyParts.push(
         "---",
-        `*Auto-generated by [Meeting → Ship](https://github.com/${OWNER}/meeting-2-code) • ${requirements.length} requirements extracted*`,
+        `*Auto-generated by [Meeting → Ship](https://github.com/${OWNER}/meeting-2-code) • ${requirements.length} requirements extracted${edits.length > 0 ? `, ${edits.length} edits` : ""}*`,
     );
 
-    const body = bodyParts.join("\n");
+    return bodyParts.join("\n");
+}
+
+export async function createEpicIssue(
+    meetingInfo: MeetingInfo,
+    requirements: Requirement[],
+    onLog?: (message: string) => void,
+    overrideOwner?: string,
+    overrideRepo?: string,
+): Promise<EpicIssueResult> {
+    const log = onLog ?? (() => {});
+    const owner = overrideOwner || OWNER;
+    const repo = overrideRepo || REPO;
+    log("Creating epic issue on GitHub...");
+    console.log("[epic-issue] Creating epic issue...");
+
+    const title = epicTitle(meetingInfo);
+    const body = buildEpicBody(meetingInfo, requirements, [], null, await loadParticipantDirectory());
 
     // Ensure "epic" label exists (create it if not — ignore errors)
     try {
@@ -98,6 +218,92 @@ export async function createEpicIssue(
     }
 }
 
+/**
+ * Rewrite the epic's body after the requirements were edited or compared with
+ * a previous run, including the edit history, the changes and the effort
+ * roadmap. Never throws — a stale epic shouldn't block the flow.
+ */
+export async function updateEpicIssue(
+    epicNumber: number,
+    meetingInfo: MeetingInfo,
+    requirements: Requirement[],
+    edits: RequirementEdit[],
+    diff: RequirementDiff | null,
+    onLog?: (message: string) => void,
+    overrideOwner?: string,
+    overrideRepo?: string,
+    roadmap: Roadmap | null = null,
+): Promise<boolean> {
+    if (epicNumber <= 0) return false;
+    const log = onLog ?? (() => {});
+    const owner = overrideOwner || OWNER;
+    const repo = overrideRepo || REPO;
+
+    try {
+        await execAsync(
+            `gh issue edit ${epicNumber} --title ${shellEscape(epicTitle(meetingInfo))} --body ${shellEscape(buildEpicBody(meetingInfo, requirements, edits, diff, await loadParticipantDirectory(), roadmap))} -R ${owner}/${repo}`,
+            { timeout: 30_000, env: { ...process.env, GITHUB_TOKEN: undefined, GH_PAGER: "cat" } },
+        );
+        log(`✔ Epic #${epicNumber} updated (${requirements.length} requirements)`);
+        console.log(`[epic-issue] Updated #${epicNumber}`);
+        return true;
+    } catch (err) {
+        const msg = err instanceof Error ? err.message : String(err);
+        log(`⚠ Failed to update epic #${epicNumber}: ${msg.substring(0, 150)}`);
+        console.error("[epic-issue] Update error:", msg);
+        return false;
+    }
+}
+
+/**
+ * Post a comment on the epic. Returns the comment URL, or null on failure.
+ */
+export async function commentOnEpicIssue(
+    epicNumber: number,
+    body: string,
+    onLog?: (message: string) => void,
+    overrideOwner?: string,
+    overrideRepo?: string,
+): Promise<string | null> {
+    if (epicNumber <= 0) return null;
+    const log = onLog ?? (() => {});
+    const owner = overrideOwner || OWNER;
+    const repo = overrideRepo || REPO;
+
+    try {
+        const { stdout } = await execAsync(
+            `gh issue comment ${epicNumber} --body ${shellEscape(body)} -R ${owner}/${repo}`,
+            { timeout: 30_000, env: { ...process.env, GITHUB_TOKEN: undefined, GH_PAGER: "cat" } },
+        );
+        log(`✔ Commented on epic #${epicNumber}`);
+        console.log(`[epic-issue] Commented on #${epicNumber}`);
+        return stdout.trim();
+    } catch (err) {
+        const msg = err instanceof Error ? err.message : String(err);
+        log(`⚠ Failed to comment on epic #${epicNumber}: ${msg.substring(0, 150)}`);
+        console.error("[epic-issue] Comment error:", msg);
+        return null;
+    }
+}
+
+/**
+ * Comments on the epic, oldest first. Throws when they can't be fetched.
+ */
+export async function listEpicComments(
+    epicNumber: number,
+    overrideOwner?: string,
+    overrideRepo?: string,
+): Promise<Array<{ author: string; body: string; createdAt: string }>> {
+    const owner = overrideOwner || OWNER;
+    const repo = overrideRepo || REPO;
+    const { stdout } = await execAsync(
+        `gh issue view ${epicNumber} --json comments -R ${owner}/${repo}`,
+        { timeout: 30_000, env: { ...process.env, GITHUB_TOKEN: undefined, GH_PAGER: "cat" } },
+    );
+    const { comments } = JSON.parse(stdout) as { comments: Array<{ author?: { login?: string }; body: string; createdAt: string }> };
+    return comments.map(c => ({ author: c.author?.login ?? "unknown", body: c.body, createdAt: c.createdAt }));
+}
+
 /**
  * Link individual gap issues as sub-issues of the epic.
  * Uses the GitHub REST API: POST /repos/{owner}/{repo}/issues/{epic}/sub_issues
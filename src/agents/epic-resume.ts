@@ -0,0 +1,346 @@
+import { exec } from "child_process";
+import { promisify } from "util";
+import { OWNER, REPO } from "../config.js";
+import type { GapItem, MeetingInfo } from "./gap-analyzer.js";
+import { normalizeRequirements } from "./requirements.js";
+import type { MeetingRef, Requirement, RequirementClarification } from "./requirements.js";
+import type { RequirementEdit, RequirementEditAction } from "./requirement-editor.js";
+import { countMeetingItems, normalizeMeetingItems } from "./meeting-items.js";
+import type { MeetingItem } from "./meeting-items.js";
+import type { RunIssue } from "./run-history.js";
+
+const execAsync = promisify(exec);
+
+// ─── Resume from an epic ────────────────────────────────────────────────────
+// Reads back an epic written by createEpicIssue / updateEpicIssue and the
+// issues created for it, so the loop can continue at Analyze, Build or Verify
+// after the server lost its in-memory state.
+
+export interface ResumedIssue extends RunIssue {
+    state: "open" | "closed";
+}
+
+export interface ResumedRun {
+    epic: { number: number; url: string };
+    info: MeetingInfo;
+    requirements: Requirement[];
+    edits: RequirementEdit[];
+    /** Gaps rebuilt from the issues' bodies (one per issue) */
+    gaps: GapItem[];
+    issues: ResumedIssue[];
+    /** Where to pick up: nothing analyzed yet, issues still open, or all closed */
+    stage: "analyze" | "build" | "verify";
+}
+
+interface GhIssue {
+    number: number;
+    title: string;
+    body: string;
+    url: string;
+    state: string;
+}
+
+/**
+ * Parse "123", "#123" or an issue URL. A URL also names the repository.
+ */
+export function parseEpicReference(ref: string): { number: number; repoSlug?: string } | null {
+    const url = ref.trim().match(/github\.com\/([^/\s]+\/[^/\s]+)\/issues\/(\d+)/);
+    if (url) return { number: parseInt(url[2]!, 10), repoSlug: url[1]! };
+    const plain = ref.trim().match(/^#?(\d+)$/);
+    return plain ? { number: parseInt(plain[1]!, 10) } : null;
+}
+
+/**
+ * Rebuild a run from an epic and its issues. Throws when the epic can't be
+ * read or wasn't written by Meeting → Ship; missing issues only reduce what
+ * is restored.
+ */
+export async function resumeFromEpic(
+    epicNumber: number,
+    onLog?: (message: string) => void,
+    overrideOwner?: string,
+    overrideRepo?: string,
+): Promise<ResumedRun> {
+    const log = onLog ?? (() => {});
+    const owner = overrideOwner || OWNER;
+    const repo = overrideRepo || REPO;
+    const env = { ...process.env, GITHUB_TOKEN: undefined, GH_PAGER: "cat" };
+
+    log(`Reading epic #${epicNumber} from ${owner}/${repo}...`);
+    const { stdout } = await execAsync(
+        `gh issue view ${epicNumber} --json number,title,body,url,state -R ${owner}/${repo}`,
+        { timeout: 30_000, env },
+    );
+    const epic = JSON.parse(stdout) as GhIssue;
+    const { info, requirements, edits } = parseEpicBody(epic.body);
+    log(`✔ Epic #${epicNumber}: ${requirements.length} requirements${edits.length ? `, ${edits.length} edits` : ""}`);
+
+    const issues = await listEpicIssues(epicNumber, owner, repo, log);
+    const gaps: GapItem[] = [];
+    const resumed: ResumedIssue[] = [];
+    for (const issue of issues) {
+        const index = matchRequirement(requirements, issue.title);
+        if (index < 0) {
+            log(`⚠ #${issue.number} doesn't match a requirement on the epic — skipped`);
+            continue;
+        }
+        const requirement = requirements[index]!;
+        if (resumed.some(i => i.requirementId === requirement.id)) continue;
+        gaps.push(parseIssueBody(issue.body, index + 1, requirement));
+        resumed.push({
+            requirementId: requirement.id,
+            number: issue.number,
+            url: issue.url,
+            title: issue.title,
+            state: issue.state.toLowerCase() === "closed" ? "closed" : "open",
+        });
+    }
+    gaps.sort((a, b) => a.id - b.id);
+
+    const open = resumed.filter(i => i.state === "open").length;
+    const stage = resumed.length === 0 ? "analyze" : open > 0 ? "build" : "verify";
+    log(`✔ Restored ${resumed.length} issue(s) (${open} open) — resuming at ${stage[0]!.toUpperCase()}${stage.slice(1)}`);
+    console.log(`[epic-resume] Resumed #${epicNumber}: ${requirements.length} requirements, ${resumed.length} issues → ${stage}`);
+
+    return { epic: { number: epic.number, url: epic.url }, info, requirements, edits, gaps, issues: resumed, stage };
+}
+
+/**
+ * Issues of the epic: its sub-issues, or — when sub-issues aren't available —
+ * issues whose body says "Part of #N".
+ */
+async function listEpicIssues(epicNumber: number, owner: string, repo: string, log: (message: string) => void): Promise<GhIssue[]> {
+    const env = { ...process.env, GITHUB_TOKEN: undefined, GH_PAGER: "cat" };
+    try {
+        const { stdout } = await execAsync(
+            `gh api repos/${owner}/${repo}/issues/${epicNumber}/sub_issues --paginate --jq '.[] | {number, title, body, url: .html_url, state}'`,
+            { timeout: 30_000, env },
+        );
+        const subIssues = stdout.split("\n").filter(line => line.trim()).map(line => JSON.parse(line) as GhIssue);
+        if (subIssues.length > 0) return subIssues;
+    } catch (err) {
+        console.warn("[epic-resume] Could not list sub-issues:", (err instanceof Error ? err.message : String(err)).substring(0, 200));
+    }
+
+    try {
+        const { stdout } = await execAsync(
+            `gh issue list --search ${shellEscape(`"Part of #${epicNumber}" in:body`)} --state all --limit 200 --json number,title,body,url,state -R ${owner}/${repo}`,
+            { timeout: 30_000, env },
+        );
+        return (JSON.parse(stdout) as GhIssue[]).filter(i => new RegExp(`Part of #${epicNumber}\\b`).test(i.body));
+    } catch (err) {
+        const msg = err instanceof Error ? err.message : String(err);
+        log(`⚠ Could not list the epic's issues: ${msg.substring(0, 150)}`);
+        console.error("[epic-resume] Issue search error:", msg);
+        return [];
+    }
+}
+
+// ─── Epic body ──────────────────────────────────────────────────────────────
+
+/** "Alex Wilber (@awilber)" → "Alex Wilber"; "@awilber" → "awilber" */
+function stripMention(person: string): string {
+    return person.replace(/\s*\(@[A-Za-z0-9-]+\)$/, "").replace(/^@/, "").trim();
+}
+
+/** Lines under each "### Heading", up to the next heading or the footer rule */
+function splitSections(body: string): Map<string, string[]> {
+    const sections = new Map<string, string[]>();
+    let current: string[] | null = null;
+    for (const line of body.replace(/\r\n/g, "\n").split("\n")) {
+        const heading = line.match(/^### (.+)$/);
+        if (heading) {
+            current = [];
+            sections.set(heading[1]!.trim(), current);
+        } else if (line.trim() === "---") {
+            current = null;
+        } else if (current) {
+            current.push(line);
+        }
+    }
+    return sections;
+}
+
+function parseTableRow(line: string): string[] {
+    return line.trim().replace(/^\||\|$/g, "")
+        .split(/(?<!\\)\|/)
+        .map(cell => cell.replace(/\\\|/g, "|").trim());
+}
+
+function parseMeetingRef(text: string): MeetingRef {
+    const m = text.trim().match(/^(.*) \(([^()]*)\)$/);
+    return m ? { title: m[1]!, date: m[2]! } : { title: text.trim() };
+}
+
+/** "- [ ] text — **owner** · due Friday" */
+function parseItemLine(line: string): MeetingItem | null {
+    const bullet = line.match(/^- (?:\[( |x|X)\] )?(.+)$/);
+    if (!bullet) return null;
+    let text = bullet[2]!.trim();
+    let owner: string | undefined;
+    let due: string | undefined;
+    const meta = text.match(/^(.*) — (\*\*.+?\*\*(?: · due .+)?|due .+)$/);
+    if (meta) {
+        text = meta[1]!;
+        owner = meta[2]!.match(/\*\*(.+?)\*\*/)?.[1];
+        due = meta[2]!.match(/(?:^| · )due (.+)$/)?.[1];
+    }
+    return {
+        text,
+        ...(owner ? { owner: stripMention(owner) } : {}),
+        ...(due ? { due } : {}),
+        ...(bullet[1]?.toLowerCase() === "x" ? { done: true } : {}),
+    };
+}
+
+const EDIT_ACTIONS: Array<[RegExp, RequirementEditAction]> = [
+    [/^Added /, "add"],
+    [/^Removed /, "delete"],
+    [/^Split /, "split"],
+    [/^Merged /, "merge"],
+    [/^Reordered /, "reorder"],
+];
+
+/**
+ * Meeting info, requirements and edit history from an epic body written by
+ * buildEpicBody. Requirement ids follow the table order.
+ */
+export function parseEpicBody(body: string): { info: MeetingInfo; requirements: Requirement[]; edits: RequirementEdit[] } {
+    const title = body.match(/^## 📋 (.+)$/m)?.[1]?.trim();
+    const sections = splitSections(body);
+    const table = sections.get("Requirements");
+    if (!title || !table) throw new Error("Not an epic created by Meeting → Ship (no requirements table)");
+
+    const date = body.match(/^\*\*Date:\*\* (.+)$/m)?.[1]?.trim();
+    const participants = body.match(/^\*\*Participants:\*\* (.+)$/m)?.[1]?.split(", ").map(stripMention).filter(Boolean);
+    const summary = sections.get("Summary")?.join("\n").trim();
+    const meetings = sections.get("Meetings")?.filter(l => l.startsWith("- ")).map(l => parseMeetingRef(l.slice(2)));
+    const itemList = (heading: string) => (sections.get(heading) ?? []).map(parseItemLine).filter((i): i is MeetingItem => !!i);
+    const items = normalizeMeetingItems({
+        decisions: itemList("Decisions"),
+        actionItems: itemList("Action Items"),
+        openQuestions: itemList("Open Questions"),
+    });
+
+    // | # | Requirement | Priority | Category | Requested by | Status |
+    const raw: Array<Record<string, unknown>> = table
+        .filter(line => line.trim().startsWith("|"))
+        .map(parseTableRow)
+        .filter(cells => /^\d+$/.test(cells[0] ?? ""))
+        .map(([, text, priority, category, requestedBy]) => ({
+            text,
+            priority,
+            category,
+            ...(requestedBy && requestedBy !== "—" ? { requestedBy: stripMention(requestedBy) } : {}),
+            acceptanceCriteria: [] as string[],
+        }));
+
+    // Detail blocks: "**3. text**" followed by quote, criteria and notes
+    const clarifications = new Map<number, RequirementClarification[]>();
+    const detailLines = sections.get("Sources & Acceptance Criteria") ?? [];
+    let current: Record<string, unknown> | undefined;
+    let currentIndex = -1;
+    for (const line of detailLines) {
+        const header = line.match(/^\*\*(\d+)\. .*\*\*$/);
+        if (header) {
+            currentIndex = parseInt(header[1]!, 10) - 1;
+            current = raw[currentIndex];
+            continue;
+        }
+        if (!current) continue;
+        let m: RegExpMatchArray | null;
+        if ((m = line.match(/^\*Original \((.+?)\):\* (.+)$/))) {
+            current.original = { language: m[1], text: m[2] };
+        } else if (line.startsWith("*Exact text:* ")) {
+            current.literals = [...line.matchAll(/`([^`]+)`/g)].map(l => l[1]);
+        } else if ((m = line.match(/^> “(.*)”(?: — (.+?))?(?: \[([^\]]+)\])?( \*\(not found verbatim in the meeting content\)\*)?$/))) {
+            current.provenance = {
+                quote: m[1],
+                ...(m[2] ? { speaker: m[2] } : {}),
+                ...(m[3] ? { timestamp: m[3] } : {}),
+                ...(m[4] ? { verified: false } : {}),
+            };
+        } else if (line.startsWith("*Mentioned in:* ")) {
+            current.meetings = line.slice("*Mentioned in:* ".length).split(", ").map(parseMeetingRef);
+        } else if ((m = line.match(/^\*Supersedes:\* ~~(.+)~~(?: \((.+)\))?$/))) {
+            current.supersedes = [...(current.supersedes as unknown[] ?? []), { text: m[1], ...(m[2] ? { meeting: parseMeetingRef(m[2]) } : {}) }];
+        } else if ((m = line.match(/^\*Clarified:\* (.+?) → (.+?)(?: \(([^()]+)\))?$/))) {
+            const list = clarifications.get(currentIndex) ?? [];
+            list.push({ question: m[1]!, answer: m[2]!, ...(m[3] ? { answeredBy: m[3] } : {}) });
+            clarifications.set(currentIndex, list);
+        } else if ((m = line.match(/^- \[[ xX]\] (.+)$/))) {
+            (current.acceptanceCriteria as string[]).push(m[1]!);
+        }
+    }
+
+    const requirements = normalizeRequirements(raw).map((r, i) => {
+        const answers = clarifications.get(i);
+        return answers ? { ...r, clarifications: answers } : r;
+    });
+
+    // "- 2025-03-11 15:20 — **author** summary — *reason*"
+    const edits = (sections.get("Edit History") ?? []).flatMap((line): RequirementEdit[] => {
+        const m = line.match(/^- (\d{4}-\d{2}-\d{2} \d{2}:\d{2}) — \*\*(.+?)\*\* (.+) — \*(.*)\*$/);
+        if (!m) return [];
+        const summary = m[3]!;
+        return [{
+            at: new Date(`${m[1]!.replace(" ", "T")}:00Z`).toISOString(),
+            author: m[2]!,
+            reason: m[4]!,
+            action: EDIT_ACTIONS.find(([pattern]) => pattern.test(summary))?.[1] ?? "edit",
+            requirementIds: [...new Set(summary.match(/REQ-\d+/g) ?? [])],
+            summary,
+        }];
+    });
+
+    const info: MeetingInfo = {
+        title,
+        ...(date ? { date } : {}),
+        ...(participants?.length ? { participants } : {}),
+        ...(summary ? { summary } : {}),
+        ...(meetings?.length ? { meetings } : {}),
+        ...(countMeetingItems(items) > 0 ? { items } : {}),
+        requirementCount: requirements.length,
+    };
+    return { info, requirements, edits };
+}
+
+// ─── Issue bodies ───────────────────────────────────────────────────────────
+
+/** Issue titles are the requirement text; fall back to a whitespace/case-insensitive match. */
+function matchRequirement(requirements: Requirement[], title: string): number {
+    const squash = (text: string) => text.toLowerCase().replace(/\s+/g, " ").trim();
+    const exact = requirements.findIndex(r => r.text.trim() === title.trim());
+    return exact >= 0 ? exact : requirements.findIndex(r => squash(r.text) === squash(title));
+}
+
+/** Rebuild the gap an issue was created from (see createGithubIssues). */
+function parseIssueBody(body: string, id: number, requirement: Requirement): GapItem {
+    const sections = new Map<string, string>();
+    let heading = "";
+    for (const line of body.replace(/\r\n/g, "\n").split("\n")) {
+        const m = line.match(/^## (.+)$/);
+        if (m) {
+            heading = m[1]!.trim();
+            sections.set(heading, "");
+        } else if (heading) {
+            sections.set(heading, `${sections.get(heading)}${line}\n`);
+        }
+    }
+    const section = (name: string) => (sections.get(name) ?? "").replace(/\n*Part of #\d+\s*$/, "").trim();
+    const effort = section("Estimated Effort").match(/^(.*?) \| Complexity: (Low|Medium|High|Critical)/);
+    return {
+        id,
+        requirementId: requirement.id,
+        requirement: requirement.text,
+        currentState: section("Current State") || "Unknown",
+        gap: section("Description") || requirement.text,
+        complexity: (effort?.[2] as GapItem["complexity"] | undefined) ?? "Medium",
+        estimatedEffort: effort?.[1] || "TBD",
+        details: section("Technical Details"),
+    };
+}
+
+function shellEscape(str: string): string {
+    return "'" + str.replace(/'/g, "'\\''") + "'";
+}
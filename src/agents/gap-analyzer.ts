@@ -1,15 +1,105 @@
 import type { CopilotClient, MCPLocalServerConfig, MCPRemoteServerConfig } from "@github/copilot-sdk";
+import { z } from "zod";
 import { createAgentSession } from "./session-helpers.js";
-import { REPO_PATH, OWNER, REPO } from "../config.js";
+import { sendStructured } from "./structured-output.js";
+import type { StructuredResult } from "./structured-output.js";
+import type { MeetingSource, MeetingSourceInput } from "./meeting-sources/index.js";
+import { normalizeRequirements, formatRequirementForPrompt, verifyProvenance, isSameLanguage, requirementOutputSchema, REQUIREMENT_OUTPUT_SHAPE } from "./requirements.js";
+import type { MeetingRef, Requirement } from "./requirements.js";
+import { normalizeMeetingItems, countMeetingItems, meetingItemsOutputSchema, MEETING_ITEMS_OUTPUT_SHAPE, MEETING_ITEMS_RULES } from "./meeting-items.js";
+import type { MeetingItems } from "./meeting-items.js";
+import { createRepoTools, REPO_TOOL_NAMES } from "./repo-tools.js";
+import { formatRepoIndex, getRepoIndex, WORKING_TREE } from "./repo-index.js";
+import { cacheGap, getCachedGap } from "./gap-cache.js";
+import { createCitationSource, verifyEvidence } from "./gap-evidence.js";
+import { needsReview, scoreConfidence } from "./gap-confidence.js";
+import { normalizeEffort } from "./gap-effort.js";
+import type { GapEffort } from "./gap-effort.js";
+import { attemptSettings, backoffDelay, resolveRetryPolicy, waitForRetry } from "./gap-retry.js";
+import type { GapRetryOverrides } from "./gap-retry.js";
+import { isCancelled } from "./cancellation.js";
+import type { GapCacheKey } from "./gap-cache.js";
+import { REPO_PATH, OWNER, REPO, WORKING_LANGUAGE } from "../config.js";
+
+/** A file and lines the analyzer cited for the current state */
+export interface GapEvidence {
+    /** Path relative to the repository root */
+    file: string;
+    startLine: number;
+    endLine: number;
+    snippet?: string;
+    /** Found at the analyzed commit (file, lines and snippet); unset before verification */
+    verified?: boolean;
+    /** The snippet was at other lines than cited; the lines were corrected */
+    relocated?: boolean;
+    /** Why the citation didn't resolve */
+    problem?: string;
+    /** The lines on GitHub at the analyzed commit */
+    url?: string;
+}
+
+/** How far the analysis can be trusted (see scoreConfidence) */
+export interface GapConfidence {
+    /** 0–100 */
+    score: number;
+    level: "high" | "medium" | "low";
+    /** What lowered the score, e.g. "2/3 citations did not resolve" */
+    reasons: string[];
+}
+
+/** A person signed off on a low-confidence gap, as is or after editing it */
+export interface GapReview {
+    action: "accepted" | "edited";
+    by: string;
+    at: string;
+}
 
 export interface GapItem {
     id: number;
+    /** Id of the analyzed Requirement (e.g. "REQ-3") */
+    requirementId: string;
     requirement: string;
     currentState: string;
     gap: string;
     complexity: "Low" | "Medium" | "High" | "Critical";
     estimatedEffort: string;
+    /** estimatedEffort as numbers that add up (see gap-effort) */
+    effort?: GapEffort;
     details: string;
+    /** Citations backing currentState, checked against the analyzed commit */
+    evidence?: GapEvidence[];
+    confidence?: GapConfidence;
+    /** Set once a low-confidence gap was accepted or edited; until then it can't be dispatched */
+    review?: GapReview;
+    /** Reused from the gap cache: when it was analyzed and at which commit */
+    cached?: { at: string; sha: string };
+    /** Session attempts it took, when more than one (see gap-retry) */
+    attempts?: number;
+    /** Gaps that must land first (see gap-dependencies) */
+    dependsOn?: GapDependency[];
+}
+
+/** Another gap this one builds on */
+export interface GapDependency {
+    /** Gap id of the dependency */
+    id: number;
+    requirementId: string;
+    /** What this gap needs from it */
+    reason: string;
+}
+
+/** A failed gap session that is about to be tried again */
+export interface GapRetry {
+    id: number;
+    /** The attempt about to start (2 for the first retry) */
+    attempt: number;
+    maxAttempts: number;
+    /** Backoff before it starts */
+    delayMs: number;
+    /** Why the previous attempt failed */
+    error: string;
+    model: string;
+    timeoutMs: number;
 }
 
 export interface MeetingInfo {
@@ -17,77 +107,195 @@ export interface MeetingInfo {
     date?: string;
     participants?: string[];
     summary?: string;
+    /** Language(s) the meeting was held in, as detected during extraction */
+    language?: string;
     requirementCount?: number;
+    /** Meetings merged into this result, oldest first (multi-meeting extraction) */
+    meetings?: MeetingRef[];
+    /** Decisions, non-code action items and open questions (not analyzed, tracked on the epic) */
+    items?: MeetingItems;
 }
 
 export interface MeetingResult {
     info: MeetingInfo;
-    requirements: string[];
+    requirements: Requirement[];
 }
 
-// ── Parsing helper ─────────────────────────────────────────────────────────
+// ── Output schemas ─────────────────────────────────────────────────────────
+
+const meetingOutputSchema = z.object({
+    title: z.string().nullish(),
+    date: z.string().nullish(),
+    participants: z.array(z.string()).nullish(),
+    summary: z.string().nullish(),
+    language: z.string().nullish(),
+    requirements: z.array(requirementOutputSchema),
+    ...meetingItemsOutputSchema,
+});
+
+const GAP_COMPLEXITIES = ["Low", "Medium", "High", "Critical"] as const;
+
+const gapOutputSchema = z.object({
+    requirement: z.string().nullish(),
+    currentState: z.string().trim().min(1),
+    gap: z.string().trim().min(1),
+    complexity: z.enum(GAP_COMPLEXITIES),
+    estimatedEffort: z.string().trim().min(1),
+    details: z.string().trim().min(1),
+    evidence: z.array(z.object({
+        file: z.string().trim().min(1),
+        startLine: z.coerce.number().int().positive(),
+        endLine: z.coerce.number().int().positive().nullish(),
+        snippet: z.string().nullish(),
+    })).default([]),
+    /** 0–1; percentages are accepted too */
+    certainty: z.coerce.number().transform(n => n > 1 ? n / 100 : n).pipe(z.number().min(0).max(1)).nullish(),
+    effortHours: z.object({
+        min: z.coerce.number().min(0),
+        max: z.coerce.number().min(0),
+    }).nullish(),
+    storyPoints: z.coerce.number().min(0).nullish(),
+});
+
+/** Used field by field when a gap response never validated. */
+const GAP_DEFAULTS = {
+    currentState: "Not assessed",
+    gap: "Unknown",
+    complexity: "Medium",
+    estimatedEffort: "TBD",
+    details: "No details available",
+    evidence: [] as z.infer<typeof gapOutputSchema>["evidence"],
+    certainty: null,
+    effortHours: null,
+    storyPoints: null,
+} as const satisfies Omit<z.infer<typeof gapOutputSchema>, "requirement">;
+
+// ── Parsing helpers ────────────────────────────────────────────────────────
 
 function parseMeetingResponse(
-    content: string,
+    output: StructuredResult<z.infer<typeof meetingOutputSchema>>,
     fallbackInfo: MeetingInfo,
     onMeetingInfo: (info: MeetingInfo) => void,
     log: (msg: string) => void,
-): { requirements: string[]; info: MeetingInfo } {
-    let requirements: string[] = [];
-    let info = { ...fallbackInfo };
-
-    try {
-        const jsonObjMatch = content.match(/\{[\s\S]*\}/);
-        if (jsonObjMatch) {
-            const parsed = JSON.parse(jsonObjMatch[0]);
-            if (parsed.requirements && Array.isArray(parsed.requirements)) {
-                requirements = parsed.requirements.filter((r: unknown) => typeof r === "string" && r.trim().length > 0);
-                info = {
-                    title: parsed.title || fallbackInfo.title,
-                    date: parsed.date,
-                    participants: parsed.participants,
-                    summary: parsed.summary,
-                    requirementCount: requirements.length,
-                };
-                onMeetingInfo(info);
-                log(`Meeting: "${info.title}"`);
-                if (parsed.participants?.length) {
-                    log(`Participants: ${parsed.participants.join(", ")}`);
-                }
-            }
-        }
-        if (requirements.length === 0) {
-            const jsonArrMatch = content.match(/\[[\s\S]*\]/);
-            const arr = JSON.parse(jsonArrMatch?.[0] || "[]");
-            requirements = Array.isArray(arr) ? arr.filter((r: unknown) => typeof r === "string" && r.trim().length > 0) : [];
-            info.requirementCount = requirements.length;
-            onMeetingInfo(info);
+    warn: (msg: string) => void,
+): { requirements: Requirement[]; info: MeetingInfo } {
+    if (output.ok) {
+        const parsed = output.data;
+        const language = parsed.language?.trim() || undefined;
+        // Original wording is only worth keeping when it was translated
+        const translated = language && !isSameLanguage(language, WORKING_LANGUAGE) ? language : undefined;
+        const requirements = normalizeRequirements(parsed.requirements, translated);
+        const participants = parsed.participants?.length ? parsed.participants : fallbackInfo.participants;
+        const items = normalizeMeetingItems(parsed);
+        const info: MeetingInfo = {
+            title: parsed.title || fallbackInfo.title,
+            ...(parsed.date || fallbackInfo.date ? { date: parsed.date || fallbackInfo.date } : {}),
+            ...(participants ? { participants } : {}),
+            ...(parsed.summary ? { summary: parsed.summary } : {}),
+            ...(language ? { language } : {}),
+            ...(countMeetingItems(items) > 0 ? { items } : {}),
+            requirementCount: requirements.length,
+        };
+        onMeetingInfo(info);
+        log(`Meeting: "${info.title}"`);
+        if (translated) log(`Language: ${translated} — requirements normalized to ${WORKING_LANGUAGE}`);
+        if (parsed.participants?.length) {
+            log(`Participants: ${parsed.participants.join(", ")}`);
         }
         log(`Parsed ${requirements.length} requirements`);
-    } catch {
-        log("Response wasn't valid JSON, parsing as text lines...");
-        requirements = content
+        if (info.items) {
+            log(`Also found ${items.decisions.length} decision(s), ${items.actionItems.length} action item(s) and ${items.openQuestions.length} open question(s)`);
+        }
+        return { requirements, info };
+    }
+
+    // Never validated — salvage what we can, but say so
+    const info = { ...fallbackInfo };
+    const candidate = output.candidate as { requirements?: unknown } | unknown[] | undefined;
+    let requirements: Requirement[];
+    if (Array.isArray(candidate)) {
+        requirements = normalizeRequirements(candidate);
+        warn(`Extraction response failed validation (${output.error}); used its bare requirement list`);
+    } else if (candidate && Array.isArray(candidate.requirements)) {
+        requirements = normalizeRequirements(candidate.requirements);
+        warn(`Extraction response failed validation (${output.error}); kept the requirements with default priority/category where invalid`);
+    } else {
+        requirements = normalizeRequirements(output.raw
             .split("\n")
             .map((l: string) => l.replace(/^[\d\-.*]+\s*/, "").trim())
-            .filter((l: string) => l.length > 10);
-        info.requirementCount = requirements.length;
-        onMeetingInfo(info);
-        log(`Extracted ${requirements.length} lines from text`);
+            .filter((l: string) => l.length > 10));
+        warn(`Extraction response was not valid JSON; parsed ${requirements.length} requirements from text lines`);
     }
-
+    info.requirementCount = requirements.length;
+    onMeetingInfo(info);
     return { requirements, info };
 }
 
-// ── Phase 1: Extract meeting requirements via WorkIQ ───────────────────────
+/**
+ * Build the gap fields from a validated response, or — when the response never
+ * validated — from whichever fields of the candidate are individually valid,
+ * defaulting the rest. Returns the names of the defaulted fields.
+ */
+function resolveGapFields(
+    output: StructuredResult<z.infer<typeof gapOutputSchema>>,
+): { fields: Omit<z.infer<typeof gapOutputSchema>, "requirement">; defaulted: string[] } {
+    if (output.ok) return { fields: output.data, defaulted: [] };
+
+    const candidate = (output.candidate && typeof output.candidate === "object" ? output.candidate : {}) as Record<string, unknown>;
+    const fields: Record<string, unknown> = {};
+    const defaulted: string[] = [];
+    for (const [key, fallback] of Object.entries(GAP_DEFAULTS)) {
+        const result = gapOutputSchema.shape[key as keyof typeof GAP_DEFAULTS].safeParse(candidate[key]);
+        if (result.success) {
+            fields[key] = result.data;
+        } else {
+            fields[key] = fallback;
+            defaulted.push(key);
+        }
+    }
+    return { fields: fields as Omit<z.infer<typeof gapOutputSchema>, "requirement">, defaulted };
+}
+
+// ── Phase 1: Extract meeting requirements from any meeting source ──────────
+
+/** Output contract for the requirement-extraction prompt. */
+const MEETING_OUTPUT_FORMAT = `return ONLY a JSON object:
+{
+  "title": "the meeting title",
+  "date": "meeting date/time if available",
+  "participants": ["list", "of", "attendees"],
+  "summary": "A brief 2-3 sentence summary of the key decisions and topics discussed",
+  "language": "language the meeting was held in, e.g. Spanish",
+  "requirements": [
+    ${REQUIREMENT_OUTPUT_SHAPE}
+  ],
+  ${MEETING_ITEMS_OUTPUT_SHAPE}
+}
+
+${MEETING_ITEMS_RULES}
+Requirements should be specific, actionable items — things that need to change in code/design.
+Priority is MoSCoW: "Must" for commitments and deadlines, "Should" by default, "Could" for nice-to-haves, "Won't" for items explicitly deferred.
+Acceptance criteria must be concrete, observable conditions a tester can check.
+Write the summary, requirement text and acceptance criteria in ${WORKING_LANGUAGE}, whatever language the meeting was held in.
+Exact text to ship (headlines, taglines, button labels, legal wording) is never translated: quote it in its original language inside the requirement and list it in "literals".
+Every requirement MUST cite its source: the exact words from the content (do not paraphrase), the speaker and the timestamp when the content has them.
+Do NOT output anything before or after the JSON object.`;
 
 interface ExtractOptions {
-    meetingName: string;
-    workiqMcp: Record<string, MCPLocalServerConfig | MCPRemoteServerConfig>;
+    source: MeetingSource;
+    input: MeetingSourceInput;
     onProgress?: (step: number, message: string) => void;
     onMeetingInfo?: (info: MeetingInfo) => void;
     onLog?: (message: string) => void;
+    /** Agent output that failed validation and fell back to defaults */
+    onWarning?: (message: string) => void;
 }
 
+/**
+ * Load a meeting from the given source provider (WorkIQ, transcript file,
+ * pasted notes, …) and extract actionable requirements from its raw content.
+ * Extraction is source-agnostic: the session gets the content inline and no tools.
+ */
 export async function extractMeetingRequirements(
     client: CopilotClient,
     options: ExtractOptions,
@@ -95,115 +303,89 @@ export async function extractMeetingRequirements(
     const progress = options.onProgress ?? (() => {});
     const onMeetingInfo = options.onMeetingInfo ?? (() => {});
     const log = options.onLog ?? (() => {});
+    const warn = options.onWarning ?? (() => {});
+    const { source } = options;
+
+    progress(0, `Connecting to ${source.label}...`);
+    console.log(`[gap-analyzer] Loading meeting from source "${source.id}"...`);
 
-    progress(0, "Connecting to M365...");
-    log("Initializing WorkIQ MCP session (npx @microsoft/workiq mcp)...");
-    console.log("[gap-analyzer] Creating WorkIQ MCP session...");
+    const meeting = await source.load(options.input, { client, onLog: log, onWarning: warn });
+    let info: MeetingInfo = meeting.info;
+    let requirements: Requirement[] = [];
 
-    const meetingName = options.meetingName;
-    let requirements: string[] = [];
-    let info: MeetingInfo = { title: meetingName };
+    progress(1, `Fetched meeting from ${source.label}`);
+    onMeetingInfo(info);
+    log(`Meeting content loaded (${meeting.content.length} chars)`);
 
     try {
-        const meetingSession = await createAgentSession(client, {
+        const session = await createAgentSession(client, {
             model: "gpt-5.2-codex",
-            mcpServers: options.workiqMcp,
-            workingDirectory: REPO_PATH,
+            mcpServers: {},
             systemMessage: {
-                content: `You are a meeting analyst. Your ONLY purpose: retrieve meeting data from Microsoft 365 using WorkIQ tools.
-
-## Tool Usage — MANDATORY
-1. You MUST call WorkIQ tools to search for meetings. These are the ONLY tools you should use.
-2. NEVER call filesystem tools (glob, view, grep, read_file, list_directory, etc.). They are IRRELEVANT to your task.
-3. If a tool call fails or returns no results, try different search queries (see Search Strategy below).
+                content: `You are a meeting analyst. You are given the raw content of a meeting (${source.label}: notes, transcript, discussion thread or requirements document). Your ONLY purpose: extract the meeting details and actionable requirements from that content.
 
-## Search Strategy
-Search for the meeting using MULTIPLE approaches if needed:
-- First try: search for "${meetingName}"
-- If no results: try shorter variations of the meeting name (individual keywords)
-- If no results: list recent meetings/calendar events and find the most relevant one
+## Rules
+1. Use ONLY the content provided in the prompt. Do NOT call any tools.
+2. In transcripts, speaker names appear before a colon; timestamps appear in square brackets.
+3. The meeting may be held in any language. Detect it, write the requirements in ${WORKING_LANGUAGE} and keep the original wording in "originalText" when the meeting is not in ${WORKING_LANGUAGE}. Source quotes stay verbatim in the meeting's language.
 
 ## Output Format
-After retrieving the meeting data, return ONLY a JSON object:
-{
-  "title": "the meeting title",
-  "date": "meeting date/time if available",
-  "participants": ["list", "of", "attendees"],
-  "summary": "A brief 2-3 sentence summary of the key decisions and topics discussed",
-  "requirements": ["requirement 1", "requirement 2", ...]
-}
-
-Requirements should be specific, actionable items — things that need to change in code/design.
-Do NOT output anything before or after the JSON object.`,
+${MEETING_OUTPUT_FORMAT}`,
             },
-            label: "workiq-meeting",
+            label: `${source.id}-extract`,
             onLog: log,
         });
 
-        progress(1, "Fetching meeting from WorkIQ...");
-        log(`Session created. Searching for meeting "${meetingName}"...`);
-        console.log("[gap-analyzer] Sending WorkIQ query...");
-
-        const meetingResult = await meetingSession.sendAndWait({
-            prompt: `Find the meeting about "${meetingName}" in my Microsoft 365 calendar.
-
-Step-by-step:
-1. Use the WorkIQ search/calendar tools to search for this meeting. Try the full title first: "${meetingName}".
-2. If that returns nothing, try shorter variations or keywords from the title.
-3. If still nothing, list my recent meetings and pick the most relevant one.
-4. Once you find the meeting, retrieve its full notes, transcript, or body content.
-5. Extract all actionable requirements, decisions, and action items from the content.
-
-Return the JSON object with title, date, participants, summary, and requirements array.
-
-IMPORTANT: Do NOT use glob, view, grep, read_file, or any filesystem tools. Only use WorkIQ/meeting/calendar tools.`,
-        }, 300_000);
-        const meetingContent = meetingResult?.data?.content || "{}";
-        console.log("[gap-analyzer] WorkIQ response:", meetingContent.substring(0, 500));
-        log(`Agent response received (${meetingContent.length} chars)`);
-
-        // Parse meeting info + requirements
-        ({ requirements, info } = parseMeetingResponse(meetingContent, info, onMeetingInfo, log));
-
-        // ── Retry with broader search if first attempt found nothing ──────
-        if (requirements.length === 0) {
-            log("No requirements found on first attempt — retrying with broader search...");
-            console.log("[gap-analyzer] Retry: broader WorkIQ search...");
-
-            const retryResult = await meetingSession.sendAndWait({
-                prompt: `The previous search didn't return meeting content. Try again with these strategies IN ORDER:
-
-1. List ALL my recent meetings or calendar events from the last 30 days.
-2. Look for any meeting with "Contoso" in the title, body, or attendees.
-3. If you find it, retrieve the full notes/transcript/body.
-4. Extract actionable requirements from the content.
-
-Return the same JSON format: { title, date, participants, summary, requirements: [...] }
-
-CRITICAL: Only use WorkIQ/calendar tools. Do NOT use filesystem tools.`,
-            }, 180_000);
-
-            const retryContent = retryResult?.data?.content || "{}";
-            console.log("[gap-analyzer] Retry response:", retryContent.substring(0, 500));
-            log(`Retry response received (${retryContent.length} chars)`);
-
-            ({ requirements, info } = parseMeetingResponse(retryContent, info, onMeetingInfo, log));
+        log("Extracting requirements from meeting content...");
+        let output;
+        try {
+            output = await sendStructured(session, `Meeting "${info.title}" (source: ${source.label}):
+
+"""
+${meeting.content}
+"""
+
+Extract all actionable requirements, decisions, action items and open questions from this content.
+Return the JSON object with title, date, participants, summary, requirements, decisions, actionItems and openQuestions.`, {
+                schema: meetingOutputSchema,
+                timeoutMs: 300_000,
+                label: `${source.id}-extract`,
+                onLog: log,
+            });
+        } finally {
+            await session.destroy().catch(() => {});
         }
 
-        await meetingSession.destroy();
+        console.log("[gap-analyzer] Extraction response:", output.raw.substring(0, 500));
+        log(`Agent response received (${output.raw.length} chars)`);
+
+        ({ requirements, info } = parseMeetingResponse(output, info, onMeetingInfo, log, (msg) => {
+            console.warn(`[gap-analyzer] ${msg}`);
+            log(`⚠ ${msg}`);
+            warn(msg);
+        }));
+
+        requirements = verifyProvenance(requirements, meeting.content);
+        if (info.items) {
+            info.items = {
+                decisions: verifyProvenance(info.items.decisions, meeting.content),
+                actionItems: verifyProvenance(info.items.actionItems, meeting.content),
+                openQuestions: verifyProvenance(info.items.openQuestions, meeting.content),
+            };
+        }
+        const unverified = requirements.filter(r => r.provenance && !r.provenance.verified).length;
+        if (unverified > 0) log(`⚠ ${unverified} source quote(s) not found verbatim in the meeting content`);
     } catch (err) {
-        console.error("[gap-analyzer] WorkIQ MCP error:", err);
-        log(`❌ WorkIQ MCP error: ${err instanceof Error ? err.message : String(err)}`);
+        console.error("[gap-analyzer] Requirement extraction error:", err);
+        log(`❌ Requirement extraction error: ${err instanceof Error ? err.message : String(err)}`);
         throw new Error(
-            `Failed to connect to WorkIQ MCP Server: ${err instanceof Error ? err.message : String(err)}. ` +
-            `Make sure 'npx -y @microsoft/workiq mcp' works and you have authenticated.`
+            `Failed to extract requirements from ${source.label}: ${err instanceof Error ? err.message : String(err)}`
         );
     }
 
-    if (requirements.length === 0) {
-        throw new Error(
-            `No requirements found in the meeting. Make sure a meeting titled '${meetingName}' exists in your M365 calendar.`
-        );
+    // A meeting with only decisions or action items still gets an epic
+    if (requirements.length === 0 && countMeetingItems(info.items) === 0) {
+        throw new Error(`No requirements found in meeting '${info.title}'.`);
     }
 
     progress(2, `Extracted ${requirements.length} requirements from meeting`);
@@ -215,19 +397,46 @@ CRITICAL: Only use WorkIQ/calendar tools. Do NOT use filesystem tools.`,
 
 // ── Phase 2: Parallel gap analysis for selected requirements ───────────────
 
+/**
+ * Where the analyzer reads the code: the GitHub MCP server (remote default
+ * branch) or read-only tools over the local clone at repoPath.
+ */
+export type AnalysisMode = "github" | "local";
+
 interface AnalyzeGapsOptions {
-    requirements: Array<{ index: number; text: string }>;
+    requirements: Array<{ index: number; requirement: Requirement }>;
     githubMcp: Record<string, MCPLocalServerConfig | MCPRemoteServerConfig>;
+    /** Defaults to "github" */
+    mode?: AnalysisMode;
+    /** Re-analyze every requirement, replacing cached results */
+    force?: boolean;
+    /** Stops the analysis: open sessions are destroyed, queued requirements are not started */
+    signal?: AbortSignal;
     owner?: string;
     repo?: string;
     repoPath?: string;
     onProgress?: (step: number, message: string) => void;
     onGapStarted?: (id: number) => void;
     onGap?: (gap: GapItem) => void;
+    /** Retry policy overrides for the run */
+    retry?: GapRetryOverrides;
+    /** Retry policy overrides for single gaps, by gap id; applied over `retry` */
+    retryByGap?: Record<number, GapRetryOverrides>;
+    /** A failed session will be tried again after a backoff */
+    onGapRetry?: (retry: GapRetry) => void;
+    /** Requirement whose analysis was stopped or never started because of the signal */
+    onCancelled?: (id: number) => void;
     onLog?: (message: string) => void;
+    /** Agent output that failed validation and fell back to defaults */
+    onWarning?: (message: string) => void;
 }
 
 const MAX_CONCURRENT = 4;
+const GAP_MODEL = "claude-opus-4.5";
+/** Response timeout of the first attempt; retries may get longer (see gap-retry) */
+const GAP_TIMEOUT_MS = 120_000;
+/** Part of the gap cache key — bump when the gap prompts change */
+const GAP_PROMPT_VERSION = 4;
 
 export async function analyzeSelectedGaps(
     client: CopilotClient,
@@ -237,41 +446,110 @@ export async function analyzeSelectedGaps(
     const progress = options.onProgress ?? (() => {});
     const onGapStarted = options.onGapStarted ?? (() => {});
     const onGap = options.onGap ?? (() => {});
+    const onGapRetry = options.onGapRetry ?? (() => {});
+    const onCancelled = options.onCancelled ?? (() => {});
     const log = options.onLog ?? (() => {});
+    const warn = options.onWarning ?? (() => {});
+    const signal = options.signal;
     const owner = options.owner || OWNER;
     const repo = options.repo || REPO;
     const rPath = options.repoPath || REPO_PATH;
+    const mode = options.mode ?? "github";
+    // Local mode: only the read-only repo tools — no GitHub MCP, shell or edits
+    const localTools = mode === "local" ? await createRepoTools(rPath) : undefined;
+    const sessionTools = localTools
+        ? { mcpServers: {}, tools: localTools, availableTools: [...REPO_TOOL_NAMES] }
+        : { mcpServers: options.githubMcp };
+    const toolRules = mode === "local"
+        ? `You have read-only tools over a local checkout of the repository (it may include unpushed work) — USE THEM: list_directory, find_files, search_code and read_file. Paths are relative to the repository root.`
+        : `You have access to GitHub MCP tools — USE THEM to browse the repository structure, read source files, and understand what currently exists.`;
 
-    const concurrent = Math.min(MAX_CONCURRENT, requirements.length);
     progress(4, `Analyzing ${owner}/${repo}...`);
-    log(`Starting parallel gap analysis (${concurrent} concurrent sessions)...`);
-    console.log(`[gap-analyzer] Starting parallel analysis of ${requirements.length} requirements (concurrency: ${concurrent})...`);
+
+    // One repository map for all sessions; without it they browse from scratch
+    let repoMap = "";
+    /** Commit analyzed; results are cached only when it is known */
+    let sha: string | undefined;
+    try {
+        const index = await getRepoIndex({ owner, repo, repoPath: rPath, mode, signal, onLog: log });
+        repoMap = formatRepoIndex(index);
+        if (index.sha !== WORKING_TREE) sha = index.sha;
+    } catch (err) {
+        // Cancelled: nothing starts below, requirements are reported as cancelled
+        if (!isCancelled(err, signal)) {
+            const msg = `Repository index unavailable — sessions will browse the repository: ${err instanceof Error ? err.message : String(err)}`;
+            console.warn(`[gap-analyzer] ${msg}`);
+            log(`⚠ ${msg}`);
+        }
+    }
+
+    const citations = createCitationSource({ owner, repo, repoPath: rPath, mode, sha, signal });
+
+    const cacheKey = (requirement: Requirement): GapCacheKey | undefined => sha ? {
+        requirement: formatRequirementForPrompt(requirement),
+        repoSlug: `${owner}/${repo}`,
+        sha,
+        model: GAP_MODEL,
+        promptVersion: GAP_PROMPT_VERSION,
+    } : undefined;
 
     const gapItems: GapItem[] = [];
     let completedCount = 0;
 
-    async function analyzeOne(req: { index: number; text: string }): Promise<void> {
-        const id = req.index + 1; // 1-based ID matching original requirement index
-        const label = req.text.length > 50 ? req.text.substring(0, 50) + "..." : req.text;
+    // Cache hits are returned before any session starts
+    const queue: typeof requirements = [];
+    for (const item of requirements) {
+        const key = cacheKey(item.requirement);
+        const hit = key && !options.force ? await getCachedGap(key) : undefined;
+        if (!hit) {
+            queue.push(item);
+            continue;
+        }
+        const gap: GapItem = { ...hit, id: item.index + 1, requirementId: item.requirement.id, requirement: item.requirement.text };
+        gapItems.push(gap);
+        onGap(gap);
+        completedCount++;
+    }
+    if (completedCount > 0) {
+        log(`✔ ${completedCount}/${requirements.length} results reused from the cache (${sha!.substring(0, 7)})`);
+        console.log(`[gap-analyzer] ${completedCount} cache hits for ${owner}/${repo}@${sha}`);
+    }
+    if (options.force && sha) log("Force refresh — cached results are replaced");
 
-        onGapStarted(id);
-        log(`🔍 [${completedCount + 1}/${requirements.length}] Analyzing: ${label}`);
-        console.log(`[gap-analyzer] Starting analysis #${id}: ${label}`);
+    const concurrent = Math.min(MAX_CONCURRENT, queue.length);
+    if (queue.length > 0 && !signal?.aborted) {
+        log(`Starting parallel gap analysis (${concurrent} concurrent sessions, ${mode === "local" ? `local checkout ${rPath}` : "GitHub MCP"})...`);
+        console.log(`[gap-analyzer] Starting parallel analysis of ${queue.length} requirements (concurrency: ${concurrent})...`);
+    }
 
-        try {
-            const session = await createAgentSession(client, {
-                model: "claude-opus-4.5",
-                mcpServers: options.githubMcp,
-                workingDirectory: rPath,
-                systemMessage: {
-                    content: `You are a senior software architect performing gap analysis on the GitHub repository "${owner}/${repo}".
+    /** Report requirements that never started; the gaps finished so far are returned */
+    function cancelRemaining(pending: typeof requirements): GapItem[] {
+        pending.forEach(({ index }) => onCancelled(index + 1));
+        log(`⏹ Analysis cancelled — ${gapItems.length}/${requirements.length} analyzed`);
+        console.log(`[gap-analyzer] Cancelled with ${gapItems.length}/${requirements.length} analyzed`);
+        return gapItems;
+    }
 
-You have access to GitHub MCP tools — USE THEM to browse the repository structure, read source files, and understand what currently exists.
+    /** One session for one requirement: the agent reads the code and answers in JSON */
+    async function runSession(
+        id: number,
+        requirement: Requirement,
+        { model, timeoutMs }: { model: string; timeoutMs: number },
+    ): Promise<StructuredResult<z.infer<typeof gapOutputSchema>>> {
+        const session = await createAgentSession(client, {
+            model,
+            ...sessionTools,
+            workingDirectory: rPath,
+            signal,
+            systemMessage: {
+                content: `You are a senior software architect performing gap analysis on the GitHub repository "${owner}/${repo}".
 
+${toolRules}
+${repoMap ? `\n${repoMap}\n` : ""}
 For the requirement you are given, you MUST:
 1. Browse the repo to find relevant files
 2. Read actual code to understand what's implemented
-3. Compare what exists against what the requirement asks for
+3. Compare what exists against what the requirement asks for — check every acceptance criterion
 
 Return ONLY a valid JSON object (no markdown, no commentary):
 {
@@ -280,48 +558,144 @@ Return ONLY a valid JSON object (no markdown, no commentary):
   "gap": "what's missing or needs to change (or 'No gap' if fully met)",
   "complexity": "Low|Medium|High|Critical",
   "estimatedEffort": "time estimate",
-  "details": "specific implementation steps"
-}`,
-                },
+  "effortHours": { "min": 2, "max": 4 },
+  "storyPoints": 3,
+  "details": "specific implementation steps",
+  "evidence": [
+    { "file": "path/from/repo/root.ext", "startLine": 12, "endLine": 30, "snippet": "a line or two copied verbatim from those lines" }
+  ],
+  "certainty": 0.8
+}
+
+"evidence" lists the code you read that supports currentState — only files you actually opened, with their real line numbers and a verbatim snippet. Every citation is checked against the repository; citations that don't match lower the confidence of your analysis. Use [] when nothing relevant exists.
+
+"effortHours" is estimatedEffort as a range of working hours for one developer (a day is 8 hours). "storyPoints" is on the Fibonacci scale: 1, 2, 3, 5, 8, 13, 21.
+
+"certainty" is how sure you are of this analysis, from 0 (guess) to 1 (verified in the code). Be honest: uncertain analyses are sent to a person for review instead of straight to implementation.`,
+            },
+            label: `gap-${id}`,
+        });
+
+        try {
+            return await sendStructured(session, `Analyze this ONE requirement against the repository "${owner}/${repo}":
+
+${formatRequirementForPrompt(requirement)}
+
+Use the ${mode === "local" ? "repository tools" : "GitHub MCP tools"} to browse and read the actual source files. Be specific about what files exist and what's missing.
+Return ONLY a valid JSON object.`, {
+                schema: gapOutputSchema,
+                timeoutMs,
                 label: `gap-${id}`,
+                signal,
             });
+        } finally {
+            await session.destroy().catch(() => {});
+        }
+    }
 
-            const result = await session.sendAndWait({
-                prompt: `Analyze this ONE requirement against the repository "${owner}/${repo}":
+    async function analyzeOne({ index, requirement }: { index: number; requirement: Requirement }): Promise<void> {
+        const id = index + 1; // 1-based ID matching original requirement index
+        const label = requirement.text.length > 50 ? requirement.text.substring(0, 50) + "..." : requirement.text;
 
-"${req.text}"
+        const policy = resolveRetryPolicy(options.retry, options.retryByGap?.[id]);
+        let attempt = 1;
 
-Use GitHub MCP tools to browse and read the actual source files. Be specific about what files exist and what's missing.
-Return ONLY a valid JSON object.`,
-            }, 120_000);
+        onGapStarted(id);
+        log(`🔍 [${completedCount + 1}/${requirements.length}] Analyzing: ${label}`);
+        console.log(`[gap-analyzer] Starting analysis #${id}: ${label}`);
 
-            const content = result?.data?.content || "{}";
-            await session.destroy();
+        try {
+            const first = { model: GAP_MODEL, timeoutMs: GAP_TIMEOUT_MS };
+            let output: StructuredResult<z.infer<typeof gapOutputSchema>> | undefined;
+            let model = GAP_MODEL;
+            while (!output) {
+                const settings = attemptSettings(policy, attempt, first);
+                try {
+                    output = await runSession(id, requirement, settings);
+                    model = settings.model;
+                } catch (err) {
+                    if (isCancelled(err, signal) || attempt >= policy.maxAttempts) throw err;
+                    const reason = err instanceof Error ? err.message : String(err);
+                    const next = attemptSettings(policy, ++attempt, first);
+                    const delayMs = backoffDelay(policy, attempt);
+                    console.warn(`[gap-analyzer] Gap #${id} attempt ${attempt - 1}/${policy.maxAttempts} failed: ${reason}`);
+                    log(`↻ Gap #${id}: attempt ${attempt - 1}/${policy.maxAttempts} failed — retrying in ${Math.round(delayMs / 1000)}s${next.model !== settings.model ? ` with ${next.model}` : ""}`);
+                    onGapRetry({ id, attempt, maxAttempts: policy.maxAttempts, delayMs, error: reason.substring(0, 200), ...next });
+                    await waitForRetry(delayMs, signal);
+                }
+            }
+
+            const { fields, defaulted } = resolveGapFields(output);
+            if (!output.ok) {
+                const msg = `Gap #${id} (${label}): response failed validation after ${output.repairs} repair attempt(s) — defaulted ${defaulted.join(", ") || "nothing"}`;
+                console.warn(`[gap-analyzer] ${msg}: ${output.error}`);
+                log(`⚠ ${msg}`);
+                warn(msg);
+            }
 
-            const jsonMatch = content.match(/\{[\s\S]*\}/);
-            const parsed = JSON.parse(jsonMatch?.[0] || "{}");
+            const evidence = await verifyEvidence(fields.evidence.map(e => ({
+                file: e.file,
+                startLine: e.startLine,
+                endLine: e.endLine ?? e.startLine,
+                ...(e.snippet ? { snippet: e.snippet } : {}),
+            })), citations);
+            signal?.throwIfAborted();
+            const unresolved = evidence.filter(e => !e.verified);
+            const confidence = scoreConfidence({ parsed: output.ok, defaulted, repairs: output.repairs, evidence, certainty: fields.certainty });
+            if (unresolved.length > 0) {
+                const msg = `Gap #${id}: ${unresolved.length}/${evidence.length} citation(s) did not resolve (${unresolved.map(e => e.file).join(", ")})`;
+                console.warn(`[gap-analyzer] ${msg}`);
+                log(`⚠ ${msg}`);
+            }
 
             const gap: GapItem = {
                 id,
-                requirement: parsed.requirement || req.text,
-                currentState: parsed.currentState || "Not assessed",
-                gap: parsed.gap || "Unknown",
-                complexity: parsed.complexity || "Medium",
-                estimatedEffort: parsed.estimatedEffort || "TBD",
-                details: parsed.details || "No details available",
+                requirementId: requirement.id,
+                requirement: requirement.text,
+                currentState: fields.currentState,
+                gap: fields.gap,
+                complexity: fields.complexity,
+                estimatedEffort: fields.estimatedEffort,
+                effort: normalizeEffort({
+                    text: fields.estimatedEffort,
+                    complexity: fields.complexity,
+                    hours: fields.effortHours,
+                    storyPoints: fields.storyPoints,
+                }),
+                details: fields.details,
+                evidence,
+                confidence,
+                ...(attempt > 1 ? { attempts: attempt } : {}),
             };
             gapItems.push(gap);
             onGap(gap);
+            if (needsReview(gap)) log(`⚠ Gap #${id} needs review (confidence ${confidence.score}): ${confidence.reasons.join("; ")}`);
+            // Defaulted fields would be reused as if the agent had said them; doubtful
+            // results get a fresh analysis next time instead of the same doubt. The key
+            // names GAP_MODEL, so answers from a retry model aren't stored under it.
+            const key = cacheKey(requirement);
+            if (output.ok && key && !needsReview(gap) && model === GAP_MODEL) {
+                const { attempts: _attempts, ...cacheable } = gap;
+                await cacheGap(key, cacheable);
+            }
         } catch (err) {
-            console.error(`[gap-analyzer] Error analyzing requirement #${id}:`, err);
+            if (isCancelled(err, signal)) {
+                log(`⏹ Cancelled: ${label}`);
+                onCancelled(id);
+                return;
+            }
+            console.error(`[gap-analyzer] Error analyzing requirement #${id} (attempt ${attempt}/${policy.maxAttempts}):`, err);
             const gap: GapItem = {
                 id,
-                requirement: req.text,
+                requirementId: requirement.id,
+                requirement: requirement.text,
                 currentState: "Analysis failed",
                 gap: `Error: ${err instanceof Error ? err.message : String(err)}`.substring(0, 200),
                 complexity: "Medium",
                 estimatedEffort: "TBD",
-                details: "Retry recommended",
+                details: attempt > 1 ? `Retry recommended — ${attempt} attempts failed` : "Retry recommended",
+                confidence: scoreConfidence({ failed: true }),
+                ...(attempt > 1 ? { attempts: attempt } : {}),
             };
             gapItems.push(gap);
             onGap(gap);
@@ -333,14 +707,14 @@ Return ONLY a valid JSON object.`,
     }
 
     // Bounded concurrency worker pool
-    const queue = [...requirements];
     const workers = Array.from({ length: concurrent }, async () => {
-        while (queue.length > 0) {
+        while (queue.length > 0 && !signal?.aborted) {
             const req = queue.shift()!;
             await analyzeOne(req);
         }
     });
     await Promise.all(workers);
+    if (signal?.aborted) return cancelRemaining(queue);
 
     log(`✔ Analysis complete: ${gapItems.length} gaps analyzed`);
     console.log(`[gap-analyzer] ${gapItems.length} gaps analyzed.`);
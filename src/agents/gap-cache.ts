@@ -0,0 +1,65 @@
+import { createHash } from "crypto";
+import { mkdir, readFile, writeFile } from "fs/promises";
+import path from "path";
+import { GAP_CACHE_DIR } from "../config.js";
+import type { GapItem } from "./gap-analyzer.js";
+
+// ─── Gap analysis cache ─────────────────────────────────────────────────────
+// A requirement analyzed against the same commit, with the same model and
+// prompts, gets the same answer — so the result is stored on disk and reused
+// instead of spending minutes of agent time again. One JSON file per key.
+
+export interface GapCacheKey {
+    /** The requirement as given to the analyzer (text, criteria, literals, clarifications) */
+    requirement: string;
+    repoSlug: string;
+    /** Commit SHA the repository was analyzed at */
+    sha: string;
+    model: string;
+    promptVersion: number;
+}
+
+interface GapCacheEntry {
+    key: Omit<GapCacheKey, "requirement"> & { requirementHash: string };
+    cachedAt: string;
+    gap: GapItem;
+}
+
+function hash(text: string): string {
+    return createHash("sha256").update(text).digest("hex");
+}
+
+function entryPath(key: GapCacheKey): string {
+    const id = hash(JSON.stringify([hash(key.requirement), key.repoSlug.toLowerCase(), key.sha, key.model, key.promptVersion]));
+    return path.join(GAP_CACHE_DIR, `${id}.json`);
+}
+
+/**
+ * Cached result for the key, marked `cached` with the time it was analyzed;
+ * undefined on a miss or an unreadable entry.
+ */
+export async function getCachedGap(key: GapCacheKey): Promise<GapItem | undefined> {
+    try {
+        const entry = JSON.parse(await readFile(entryPath(key), "utf-8")) as GapCacheEntry;
+        return { ...entry.gap, cached: { at: entry.cachedAt, sha: key.sha } };
+    } catch {
+        return undefined;
+    }
+}
+
+/** Store a result. Failures are logged — a cache that can't be written only costs a re-analysis. */
+export async function cacheGap(key: GapCacheKey, gap: GapItem): Promise<void> {
+    const { requirement, ...rest } = key;
+    const { cached: _, ...fresh } = gap;
+    const entry: GapCacheEntry = {
+        key: { ...rest, requirementHash: hash(requirement) },
+        cachedAt: new Date().toISOString(),
+        gap: fresh,
+    };
+    try {
+        await mkdir(GAP_CACHE_DIR, { recursive: true });
+        await writeFile(entryPath(key), JSON.stringify(entry, null, 2));
+    } catch (err) {
+        console.warn(`[gap-cache] Could not cache ${gap.requirementId}: ${err instanceof Error ? err.message : String(err)}`);
+    }
+}
@@ -0,0 +1,101 @@
+import { z } from "zod";
+import type { GapConfidence, GapEvidence, GapItem } from "./gap-analyzer.js";
+import { normalizeEffort } from "./gap-effort.js";
+
+// ─── Gap confidence ─────────────────────────────────────────────────────────
+// A 0–100 score per gap from three signals: whether its citations resolved,
+// how cleanly the response parsed, and how certain the analyzer said it was.
+// Low-confidence gaps need a person to accept or edit them before dispatch.
+
+/** Scores below this are "low" and need review; at or above HIGH_CONFIDENCE "high" */
+export const REVIEW_THRESHOLD = 50;
+const HIGH_CONFIDENCE = 75;
+
+interface ConfidenceSignals {
+    /** The session failed — every field is a placeholder */
+    failed?: boolean;
+    /** The response validated against the schema */
+    parsed?: boolean;
+    /** Fields that fell back to defaults */
+    defaulted?: string[];
+    /** Repair prompts it took to get a valid response */
+    repairs?: number;
+    evidence?: GapEvidence[];
+    /** The analyzer's own certainty, 0–1 */
+    certainty?: number | null;
+}
+
+export function scoreConfidence(signals: ConfidenceSignals): GapConfidence {
+    if (signals.failed) return { score: 0, level: "low", reasons: ["Analysis failed"] };
+
+    let score = 1;
+    const reasons: string[] = [];
+    if (!signals.parsed) {
+        score *= 0.5;
+        reasons.push(`Response failed validation${signals.defaulted?.length ? ` — defaulted ${signals.defaulted.join(", ")}` : ""}`);
+    } else if (signals.repairs) {
+        score *= 0.9;
+        reasons.push(`Needed ${signals.repairs} repair prompt(s)`);
+    }
+
+    const evidence = signals.evidence ?? [];
+    const unresolved = evidence.filter(e => !e.verified).length;
+    if (evidence.length === 0) {
+        score *= 0.85;
+        reasons.push("No code cited");
+    } else if (unresolved > 0) {
+        score *= 0.4 + 0.6 * (evidence.length - unresolved) / evidence.length;
+        reasons.push(`${unresolved}/${evidence.length} citation(s) did not resolve`);
+    }
+
+    if (signals.certainty !== undefined && signals.certainty !== null) {
+        score *= 0.5 + 0.5 * signals.certainty;
+        if (signals.certainty < 0.7) reasons.push(`Analyzer certainty ${Math.round(signals.certainty * 100)}%`);
+    }
+
+    const rounded = Math.round(score * 100);
+    return {
+        score: rounded,
+        level: rounded >= HIGH_CONFIDENCE ? "high" : rounded >= REVIEW_THRESHOLD ? "medium" : "low",
+        reasons,
+    };
+}
+
+/** Low confidence and nobody has accepted or edited it yet */
+export function needsReview(gap: Pick<GapItem, "confidence" | "review">): boolean {
+    return gap.confidence?.level === "low" && !gap.review;
+}
+
+// ─── Review ─────────────────────────────────────────────────────────────────
+
+/** Fields a reviewer may correct */
+export const gapReviewChangesSchema = z.object({
+    currentState: z.string().trim().min(1),
+    gap: z.string().trim().min(1),
+    complexity: z.enum(["Low", "Medium", "High", "Critical"]),
+    estimatedEffort: z.string().trim().min(1),
+    details: z.string().trim().min(1),
+}).partial();
+
+/**
+ * Sign off on a gap as is ("accept") or with corrections ("edit"). Either
+ * way it can be dispatched afterwards. A corrected effort or complexity
+ * replaces the normalized effort.
+ */
+export function reviewGap(
+    gap: GapItem,
+    action: "accept" | "edit",
+    changes: z.infer<typeof gapReviewChangesSchema>,
+    by: string,
+): GapItem {
+    const edited = action === "edit" && Object.entries(changes).some(([key, value]) => gap[key as keyof typeof changes] !== value);
+    const reviewed: GapItem = {
+        ...gap,
+        ...(action === "edit" ? changes : {}),
+        review: { action: edited ? "edited" : "accepted", by, at: new Date().toISOString() },
+    };
+    if (reviewed.estimatedEffort !== gap.estimatedEffort || reviewed.complexity !== gap.complexity) {
+        reviewed.effort = normalizeEffort({ text: reviewed.estimatedEffort, complexity: reviewed.complexity });
+    }
+    return reviewed;
+}
@@ -0,0 +1,176 @@
+import type { CopilotClient } from "@github/copilot-sdk";
+import { z } from "zod";
+import { createAgentSession } from "./session-helpers.js";
+import { sendStructured } from "./structured-output.js";
+import { isCancelled } from "./cancellation.js";
+import type { GapDependency, GapItem } from "./gap-analyzer.js";
+
+// ─── Gap dependencies ───────────────────────────────────────────────────────
+// After gap analysis, a tool-less session reads the gaps side by side and names
+// the ones that can only be implemented once another has landed ("add privacy
+// page" before "link privacy page from contact form"). Dependencies order the
+// build queue and the issues, and become "blocked by" links between issues.
+
+interface InferOptions {
+    signal?: AbortSignal;
+    onLog?: (message: string) => void;
+    onWarning?: (message: string) => void;
+}
+
+/** Gaps worth ordering: analyzed, and something is missing */
+function isActionable(gap: GapItem): boolean {
+    return gap.currentState !== "Analysis failed" && !/^\s*no gap\b/i.test(gap.gap);
+}
+
+function dependencySchema(ids: number[]) {
+    const id = z.coerce.number().int().refine(n => ids.includes(n), { message: `Gap id must be one of ${ids.join(", ")}` });
+    return z.object({
+        dependencies: z.array(z.object({
+            gap: id,
+            dependsOn: id,
+            reason: z.string().trim().min(1),
+        }).refine(d => d.gap !== d.dependsOn, { message: "A gap can't depend on itself" })),
+    });
+}
+
+/** Whether `to` can be reached from `from` following dependsOn edges */
+export function reaches(edges: Map<number, GapDependency[]>, from: number, to: number): boolean {
+    const stack = [from];
+    const seen = new Set<number>();
+    while (stack.length > 0) {
+        const id = stack.pop()!;
+        if (id === to) return true;
+        if (seen.has(id)) continue;
+        seen.add(id);
+        stack.push(...(edges.get(id) ?? []).map(d => d.id));
+    }
+    return false;
+}
+
+/**
+ * Ask an agent which gaps depend on which. Returns the dependencies of each
+ * gap by gap id; edges that would close a cycle are dropped. Never throws —
+ * a failed pass is reported as a warning and yields no dependencies.
+ */
+export async function inferGapDependencies(
+    client: CopilotClient,
+    gaps: GapItem[],
+    options: InferOptions = {},
+): Promise<Map<number, GapDependency[]>> {
+    const log = options.onLog ?? (() => {});
+    const warn = options.onWarning ?? (() => {});
+    const edges = new Map<number, GapDependency[]>();
+    const actionable = gaps.filter(isActionable);
+    if (actionable.length < 2) return edges;
+
+    log(`Looking for dependencies between ${actionable.length} gaps...`);
+    console.log(`[gap-dependencies] Checking ${actionable.length} gaps...`);
+
+    try {
+        const session = await createAgentSession(client, {
+            model: "gpt-5.2-codex",
+            mcpServers: {},
+            signal: options.signal,
+            systemMessage: {
+                content: `You plan the implementation order of gaps found in a codebase. Each gap becomes its own GitHub issue, implemented by a separate coding agent, so a gap that builds on another must wait until that one has landed.
+
+## Rules
+1. Use ONLY the gaps provided in the prompt. Do NOT call any tools.
+2. A gap depends on another only when it can't be implemented or verified without the other's change — it links to a page the other creates, uses a component, route, field or style the other adds.
+3. Touching the same file or area is NOT a dependency. When in doubt, leave it out.
+4. Never create cycles.
+
+## Output Format
+Return ONLY a JSON object:
+{
+  "dependencies": [
+    { "gap": 4, "dependsOn": 2, "reason": "one sentence: what #4 needs from #2" }
+  ]
+}
+Return "dependencies": [] when the gaps are independent. Do NOT output anything before or after the JSON object.`,
+            },
+            label: "gap-dependencies",
+            onLog: log,
+        });
+
+        const list = actionable.map(g => `- #${g.id}: ${JSON.stringify({
+            requirement: g.requirement,
+            gap: g.gap,
+            details: g.details.substring(0, 600),
+        })}`).join("\n");
+
+        let output;
+        try {
+            output = await sendStructured(session, `Which of these gaps depend on each other?
+
+${list}
+
+Return the JSON object with the dependencies array.`, {
+                schema: dependencySchema(actionable.map(g => g.id)),
+                timeoutMs: 120_000,
+                label: "gap-dependencies",
+                signal: options.signal,
+                onLog: log,
+            });
+        } finally {
+            await session.destroy().catch(() => {});
+        }
+
+        if (!output.ok) {
+            const msg = `Dependency check response failed validation after ${output.repairs} repair attempt(s) (${output.error}) — gaps are treated as independent`;
+            console.warn(`[gap-dependencies] ${msg}`);
+            log(`⚠ ${msg}`);
+            warn(msg);
+            return edges;
+        }
+
+        const byId = new Map(actionable.map(g => [g.id, g]));
+        let dropped = 0;
+        for (const { gap, dependsOn, reason } of output.data.dependencies) {
+            const existing = edges.get(gap) ?? [];
+            if (existing.some(d => d.id === dependsOn)) continue;
+            // Keep the order the agent gave them in: the edge that closes a cycle goes
+            if (reaches(edges, dependsOn, gap)) {
+                dropped++;
+                continue;
+            }
+            edges.set(gap, [...existing, { id: dependsOn, requirementId: byId.get(dependsOn)!.requirementId, reason }]);
+        }
+        if (dropped > 0) {
+            console.warn(`[gap-dependencies] Dropped ${dropped} dependency(ies) that would form a cycle`);
+            log(`⚠ Dropped ${dropped} dependency(ies) that would form a cycle`);
+        }
+
+        const count = [...edges.values()].reduce((n, deps) => n + deps.length, 0);
+        log(count > 0
+            ? `✔ ${count} dependency(ies) between gaps — the build queue follows them`
+            : "✔ The gaps are independent");
+        return edges;
+    } catch (err) {
+        if (isCancelled(err, options.signal)) return edges;
+        const msg = `Dependency check failed: ${err instanceof Error ? err.message : String(err)}`;
+        console.error(`[gap-dependencies] ${msg}`);
+        log(`⚠ ${msg}`);
+        warn(msg);
+        return edges;
+    }
+}
+
+/**
+ * Dependencies first, otherwise in the given order. Dependencies on gaps that
+ * aren't in the list don't hold anything back.
+ */
+export function orderByDependencies<T extends { id: number; dependsOn?: GapDependency[] }>(gaps: T[]): T[] {
+    const pending = [...gaps];
+    const placed = new Set<number>();
+    const inList = new Set(gaps.map(g => g.id));
+    const ordered: T[] = [];
+    while (pending.length > 0) {
+        const ready = pending.findIndex(g => (g.dependsOn ?? []).every(d => placed.has(d.id) || !inList.has(d.id)));
+        // A cycle can't come out of inferGapDependencies; if one is there anyway, keep the given order
+        const [next] = pending.splice(ready === -1 ? 0 : ready, 1);
+        ordered.push(next!);
+        placed.add(next!.id);
+    }
+    return ordered;
+}
@@ -0,0 +1,90 @@
+import type { GapItem } from "./gap-analyzer.js";
+
+// ─── Effort normalization ───────────────────────────────────────────────────
+// estimatedEffort is free text ("2-3 hours", "1 day", "TBD") — fine to read,
+// useless to add up. Each gap also gets an hours range and story points: the
+// analyzer's own numbers when it gave them, otherwise parsed from the text,
+// otherwise a range for the gap's complexity.
+
+export interface GapEffort {
+    minHours: number;
+    maxHours: number;
+    /** Fibonacci: 1, 2, 3, 5, 8, 13, 21 */
+    storyPoints: number;
+    /** Where the numbers came from; "complexity" is a guess */
+    source: "analyzer" | "text" | "complexity";
+}
+
+type Complexity = GapItem["complexity"];
+
+/** Working hours per unit; a day is 8 hours, a week 5 days, a sprint 2 weeks */
+const UNIT_HOURS: Array<[RegExp, number]> = [
+    [/^(m|min|mins|minute|minutes)$/, 1 / 60],
+    [/^(h|hr|hrs|hour|hours)$/, 1],
+    [/^(d|day|days)$/, 8],
+    [/^(w|wk|wks|week|weeks)$/, 40],
+    [/^(sprint|sprints)$/, 80],
+];
+
+/** Ranges used when nothing better is known */
+const COMPLEXITY_HOURS: Record<Complexity, [number, number]> = {
+    Low: [1, 4],
+    Medium: [4, 8],
+    High: [8, 24],
+    Critical: [24, 40],
+};
+
+/** Story points by the most hours a gap is expected to take */
+const POINT_SCALE: Array<[number, number]> = [[2, 1], [4, 2], [8, 3], [16, 5], [24, 8], [40, 13]];
+const FIBONACCI = [1, 2, 3, 5, 8, 13, 21];
+
+const round = (n: number) => Math.round(n * 10) / 10;
+
+/** Hours range from text like "2-3 hours", "1 day", "30 min", "1 to 2 weeks"; undefined for "TBD" */
+export function parseEffortText(text: string): [number, number] | undefined {
+    const match = text.toLowerCase().match(/(\d+(?:\.\d+)?)\s*(?:(?:-|–|to)\s*(\d+(?:\.\d+)?)\s*)?([a-z]+)/);
+    if (!match) return undefined;
+    const perUnit = UNIT_HOURS.find(([pattern]) => pattern.test(match[3]!))?.[1];
+    if (perUnit === undefined) return undefined;
+    const min = parseFloat(match[1]!) * perUnit;
+    const max = match[2] ? parseFloat(match[2]) * perUnit : min;
+    return [round(Math.min(min, max)), round(Math.max(min, max))];
+}
+
+export function pointsForHours(maxHours: number): number {
+    return POINT_SCALE.find(([hours]) => maxHours <= hours)?.[1] ?? 21;
+}
+
+/**
+ * Hours range and story points for a gap. Numbers the analyzer gave win,
+ * then the text, then the complexity.
+ */
+export function normalizeEffort(input: {
+    text: string;
+    complexity: Complexity;
+    hours?: { min: number; max: number } | null;
+    storyPoints?: number | null;
+}): GapEffort {
+    let range: [number, number] | undefined;
+    let source: GapEffort["source"];
+    if (input.hours && input.hours.max > 0) {
+        range = [round(Math.min(input.hours.min, input.hours.max)), round(Math.max(input.hours.min, input.hours.max))];
+        source = "analyzer";
+    } else if ((range = parseEffortText(input.text))) {
+        source = "text";
+    } else {
+        range = COMPLEXITY_HOURS[input.complexity];
+        source = "complexity";
+    }
+    // Points off the scale snap to the nearest one on it
+    const storyPoints = input.storyPoints && input.storyPoints > 0
+        ? FIBONACCI.reduce((best, p) => Math.abs(p - input.storyPoints!) < Math.abs(best - input.storyPoints!) ? p : best)
+        : pointsForHours(range[1]);
+    return { minHours: range[0], maxHours: range[1], storyPoints, source };
+}
+
+/** "2–4 h · 3 pts" */
+export function formatEffort(effort: GapEffort): string {
+    const hours = effort.minHours === effort.maxHours ? `${effort.maxHours}` : `${effort.minHours}–${effort.maxHours}`;
+    return `${hours} h · ${effort.storyPoints} pt${effort.storyPoints === 1 ? "" : "s"}`;
+}
@@ -0,0 +1,171 @@
+import { exec } from "child_process";
+import { promisify } from "util";
+import path from "path";
+import { readText } from "./repo-tools.js";
+import type { AnalysisMode, GapEvidence } from "./gap-analyzer.js";
+
+const execAsync = promisify(exec);
+
+// ─── Citation verification ──────────────────────────────────────────────────
+// The analyzer backs its "current state" with citations: file, line range and
+// snippet. Each one is checked against the repository at the analyzed commit.
+// Citations that don't resolve lower the gap's confidence (see gap-confidence)
+// and are left out of issues, so invented paths never reach the implementing agent.
+
+/** Citations checked per gap; the rest are dropped */
+const MAX_CITATIONS = 8;
+/** Lines a snippet may sit outside the cited range and still count as found there */
+const LINE_SLACK = 3;
+
+interface CitationSourceOptions {
+    owner: string;
+    repo: string;
+    repoPath: string;
+    mode: AnalysisMode;
+    /** Analyzed commit; undefined for a working tree with uncommitted changes or an unknown head */
+    sha?: string;
+    signal?: AbortSignal;
+}
+
+/** Reads files as they were analyzed, and links to them */
+export interface CitationSource {
+    read(file: string): Promise<string | null>;
+    /** GitHub link to the lines at the analyzed commit; undefined when the commit is unknown */
+    link(file: string, startLine: number, endLine: number): string | undefined;
+}
+
+/**
+ * Files at the analyzed commit: `git show` when the local clone has the
+ * commit, the GitHub contents API otherwise, the working tree in local mode
+ * with uncommitted changes. Reads are memoized — gaps often cite the same files.
+ */
+export function createCitationSource(options: CitationSourceOptions): CitationSource {
+    const { owner, repo, repoPath, mode, sha, signal } = options;
+    const env = { ...process.env, GITHUB_TOKEN: undefined, GH_PAGER: "cat" };
+    const root = path.resolve(repoPath);
+    const cache = new Map<string, Promise<string | null>>();
+    let hasCommit: Promise<boolean> | undefined;
+
+    const fromDisk = async (file: string) => {
+        const full = path.resolve(root, file);
+        if (!full.startsWith(root + path.sep)) return null;
+        return readText(full).catch(() => null);
+    };
+    const fromGit = async (file: string) => {
+        const { stdout } = await execAsync(`git -C ${shellEscape(root)} show ${shellEscape(`${sha}:${file}`)}`,
+            { timeout: 15_000, signal, maxBuffer: 5 * 1024 * 1024 });
+        return stdout;
+    };
+    const fromGithub = async (file: string) => {
+        const ref = sha ? `?ref=${sha}` : "";
+        const { stdout } = await execAsync(
+            `gh api ${shellEscape(`repos/${owner}/${repo}/contents/${file.split("/").map(encodeURIComponent).join("/")}${ref}`)} -H "Accept: application/vnd.github.raw"`,
+            { timeout: 30_000, env, signal, maxBuffer: 5 * 1024 * 1024 },
+        );
+        return stdout;
+    };
+
+    const load = async (file: string): Promise<string | null> => {
+        if (!sha) return mode === "local" ? fromDisk(file) : fromGithub(file).catch(() => null);
+        hasCommit ??= execAsync(`git -C ${shellEscape(root)} cat-file -e ${shellEscape(`${sha}^{commit}`)}`, { timeout: 10_000, signal })
+            .then(() => true, () => false);
+        return (await hasCommit ? fromGit(file) : fromGithub(file)).catch(() => null);
+    };
+
+    return {
+        read(file) {
+            let pending = cache.get(file);
+            if (!pending) {
+                pending = load(file);
+                cache.set(file, pending);
+            }
+            return pending;
+        },
+        link(file, startLine, endLine) {
+            if (!sha) return undefined;
+            const lines = endLine > startLine ? `L${startLine}-L${endLine}` : `L${startLine}`;
+            return `https://github.com/${owner}/${repo}/blob/${sha}/${file.split("/").map(encodeURIComponent).join("/")}#${lines}`;
+        },
+    };
+}
+
+/** "./src/a.ts", "/src/a.ts" or a GitHub blob URL → "src/a.ts" */
+function normalizeFile(file: string): string {
+    return file.trim()
+        .replace(/^https?:\/\/github\.com\/[^/]+\/[^/]+\/blob\/[^/]+\//, "")
+        .replace(/#.*$/, "")
+        .replace(/^\.?\/+/, "");
+}
+
+const squash = (text: string) => text.replace(/\s+/g, " ").trim();
+
+/** Parts of a snippet between "..." elisions, whitespace-insensitive */
+function snippetParts(snippet: string): string[] {
+    return snippet.split(/\.\.\.|…/).map(squash).filter(Boolean);
+}
+
+function containsAll(lines: string[], parts: string[]): boolean {
+    const text = squash(lines.join("\n"));
+    return parts.every(part => text.includes(part));
+}
+
+/**
+ * Check each citation against the source. A citation is verified when the
+ * file exists, the lines are in it and the snippet (if any) is at those lines.
+ * A snippet found elsewhere in the file is verified at its actual lines.
+ */
+export async function verifyEvidence(citations: GapEvidence[], source: CitationSource): Promise<GapEvidence[]> {
+    const verified: GapEvidence[] = [];
+    for (const citation of citations.slice(0, MAX_CITATIONS)) {
+        const file = normalizeFile(citation.file);
+        let startLine = citation.startLine;
+        let endLine = Math.max(citation.endLine, startLine);
+        const snippet = citation.snippet?.trim() || undefined;
+        const base = { file, startLine, endLine, ...(snippet ? { snippet: snippet.substring(0, 500) } : {}) };
+
+        const text = file ? await source.read(file) : null;
+        if (text === null) {
+            verified.push({ ...base, verified: false, problem: "File not found at the analyzed commit" });
+            continue;
+        }
+        const lines = text.split("\n");
+        if (startLine > lines.length) {
+            verified.push({ ...base, verified: false, problem: `Line ${startLine} is past the end of the file (${lines.length} lines)` });
+            continue;
+        }
+        endLine = Math.min(endLine, lines.length);
+
+        let relocated = false;
+        const parts = snippet ? snippetParts(snippet) : [];
+        if (parts.length > 0 && !containsAll(lines.slice(Math.max(0, startLine - 1 - LINE_SLACK), endLine + LINE_SLACK), parts)) {
+            const span = endLine - startLine;
+            const window = Math.max(span + 1, snippet!.split("\n").length) + LINE_SLACK;
+            let at = lines.findIndex((_, i) => containsAll(lines.slice(i, i + window), parts));
+            // First window that holds the snippet; trim its leading lines to where the snippet starts
+            const end = at + window;
+            while (at !== -1 && at + 1 < end && containsAll(lines.slice(at + 1, end), parts)) at++;
+            if (at === -1) {
+                verified.push({ ...base, endLine, verified: false, problem: "Snippet not found in the file" });
+                continue;
+            }
+            startLine = at + 1;
+            endLine = Math.min(startLine + span, lines.length);
+            relocated = true;
+        }
+
+        const url = source.link(file, startLine, endLine);
+        verified.push({
+            ...base,
+            startLine,
+            endLine,
+            verified: true,
+            ...(relocated ? { relocated: true } : {}),
+            ...(url ? { url } : {}),
+        });
+    }
+    return verified;
+}
+
+function shellEscape(str: string): string {
+    return "'" + str.replace(/'/g, "'\\''") + "'";
+}
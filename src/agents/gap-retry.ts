@@ -0,0 +1,75 @@
+import { setTimeout as delay } from "timers/promises";
+import { z } from "zod";
+import { GAP_MAX_ATTEMPTS, GAP_RETRY_MODEL } from "../config.js";
+
+// ─── Gap retry policy ───────────────────────────────────────────────────────
+// A gap session that throws (response timeout, MCP server error, dropped
+// connection) is tried again after an exponential backoff instead of ending as
+// an error row. Later attempts can get a longer timeout or a different model.
+// Validation failures don't throw — structured-output repairs those.
+
+export interface GapRetryPolicy {
+    /** Attempts in total, the first included; 1 disables retries */
+    maxAttempts: number;
+    /** Wait before the first retry, doubled for each one after it */
+    backoffMs: number;
+    /** Upper bound for the wait */
+    maxBackoffMs: number;
+    /** Each attempt's response timeout is this many times the previous one's */
+    timeoutFactor: number;
+    /** Model for retries; undefined keeps the analyzer's */
+    retryModel?: string;
+}
+
+export const DEFAULT_GAP_RETRY: GapRetryPolicy = {
+    maxAttempts: GAP_MAX_ATTEMPTS,
+    backoffMs: 5_000,
+    maxBackoffMs: 60_000,
+    timeoutFactor: 1.5,
+    retryModel: GAP_RETRY_MODEL,
+};
+
+/** Policy overrides from a request: for the whole run or for one gap */
+export const gapRetryPolicySchema = z.object({
+    maxAttempts: z.number().int().min(1).max(5),
+    backoffMs: z.number().int().min(0).max(60_000),
+    maxBackoffMs: z.number().int().min(0).max(300_000),
+    timeoutFactor: z.number().min(1).max(4),
+    retryModel: z.string().trim().min(1),
+}).partial();
+
+export type GapRetryOverrides = z.infer<typeof gapRetryPolicySchema>;
+
+/** Per-gap overrides from a request, keyed by gap id */
+export const retryByGapSchema = z.record(z.string().regex(/^\d+$/, "Gap ids must be numbers"), gapRetryPolicySchema);
+
+/** The default policy with the overrides applied in order (later wins) */
+export function resolveRetryPolicy(...overrides: Array<GapRetryOverrides | undefined>): GapRetryPolicy {
+    return Object.assign({}, DEFAULT_GAP_RETRY, ...overrides.filter(Boolean));
+}
+
+/** Model and response timeout for attempt n (1-based) */
+export function attemptSettings(
+    policy: GapRetryPolicy,
+    attempt: number,
+    first: { model: string; timeoutMs: number },
+): { model: string; timeoutMs: number } {
+    return {
+        model: attempt > 1 && policy.retryModel ? policy.retryModel : first.model,
+        timeoutMs: Math.round(first.timeoutMs * policy.timeoutFactor ** (attempt - 1)),
+    };
+}
+
+/**
+ * Wait before attempt n (n ≥ 2): backoffMs, 2×backoffMs, 4×… up to
+ * maxBackoffMs, ±20% so parallel sessions that failed together don't retry together.
+ */
+export function backoffDelay(policy: GapRetryPolicy, attempt: number): number {
+    const base = Math.min(policy.backoffMs * 2 ** (attempt - 2), policy.maxBackoffMs);
+    return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+/** Sleep for the backoff; rejects with an AbortError when the signal fires */
+export async function waitForRetry(ms: number, signal?: AbortSignal): Promise<void> {
+    await delay(ms, undefined, { signal });
+}
@@ -4,15 +4,24 @@ import { promisify } from "util";
 const execAsync = promisify(exec);
 
 import { OWNER, REPO } from "../config.js";
+import type { Requirement } from "./requirements.js";
+import type { RequirementDiff } from "./requirement-diff.js";
+import { findGithubLogin, withMention } from "./participant-directory.js";
+import type { Participant } from "./participant-directory.js";
+import type { GapDependency, GapEvidence } from "./gap-analyzer.js";
+import { orderByDependencies } from "./gap-dependencies.js";
 
 interface GapItem {
     id: number;
+    requirementId?: string;
     requirement: string;
     currentState: string;
     gap: string;
     complexity: "Low" | "Medium" | "High" | "Critical";
     estimatedEffort: string;
     details: string;
+    evidence?: GapEvidence[];
+    dependsOn?: GapDependency[];
 }
 
 interface CreatedIssue {
@@ -20,12 +29,20 @@ interface CreatedIssue {
     title: string;
     number: number;
     url: string;
+    /** Requester the issue was assigned to */
+    assignee?: string;
     error?: string;
 }
 
 interface CreateIssuesOptions {
     gaps: GapItem[];
+    /** Structured requirements, matched to gaps by requirementId */
+    requirements?: Requirement[];
     epicIssueNumber?: number;
+    /** Requesters found here are mentioned and assigned their issues */
+    directory?: Participant[];
+    /** Issues filed earlier, by requirement id — dependencies on them become "blocked by" links */
+    knownIssues?: Map<string, number>;
     owner?: string;
     repo?: string;
     onProgress?: (current: number, total: number, message: string) => void;
@@ -42,30 +59,48 @@ export async function createGithubIssues(
     const total = options.gaps.length;
     const owner = options.owner || OWNER;
     const repo = options.repo || REPO;
+    const directory = options.directory ?? [];
+    const env = { ...process.env, GITHUB_TOKEN: undefined, GH_PAGER: "cat" };
 
     progress(0, total, "Connecting to GitHub...");
     log("Creating GitHub issues via gh CLI...");
     console.log(`[github-issues] Creating ${total} issues via gh CLI...`);
 
     const createdIssues: CreatedIssue[] = [];
+    // Dependencies are filed first, so the issues that build on them can link them
+    const gaps = orderByDependencies(options.gaps);
+    const filed = new Map(options.knownIssues ?? []);
 
-    for (let i = 0; i < options.gaps.length; i++) {
-        const gap = options.gaps[i]!;
+    for (let i = 0; i < gaps.length; i++) {
+        const gap = gaps[i]!;
         const label = gap.requirement.length > 50 ? gap.requirement.substring(0, 50) + "..." : gap.requirement;
         progress(i + 1, total, `Creating issue ${i + 1}/${total}: ${label}`);
         log(`Creating issue ${i + 1}/${total}: ${label}`);
         console.log(`[github-issues] Creating issue ${i + 1}/${total}...`);
 
         const title = `${gap.requirement}`;
+        const req = options.requirements?.find(r => r.id === gap.requirementId);
+        const blockers = (gap.dependsOn ?? []).flatMap(d => filed.get(d.requirementId) ?? []);
+        const criteria = [
+            ...(req?.acceptanceCriteria.length
+                ? req.acceptanceCriteria.map(c => `- [ ] ${c}`)
+                : ["- The gap described above is fully addressed"]),
+            // Literals ship exactly as said in the meeting, whatever language the issue is in
+            ...(req?.literals ?? []).map(l => `- [ ] The text \`${l}\` appears exactly as written (not translated)`),
+        ];
         const bodyParts = [
+            ...(req ? [`**Priority:** ${req.priority} · **Category:** ${req.category}${req.requestedBy ? ` · **Requested by:** ${withMention(directory, req.requestedBy)}` : ""}`, ""] : []),
+            ...(req?.original ? [`> **Original (${req.original.language}):** ${req.original.text}`, ""] : []),
             "## Description",
             gap.gap,
             "",
             "## Current State",
             gap.currentState,
             "",
+            ...evidenceSection(gap.evidence),
+            ...dependencySection(gap.dependsOn, filed, options.requirements),
             "## Acceptance Criteria",
-            "- The gap described above is fully addressed",
+            ...criteria,
             "",
             "## Technical Details",
             gap.details,
@@ -79,13 +114,22 @@ export async function createGithubIssues(
         }
 
         const body = bodyParts.join("\n");
+        const create = `gh issue create --title ${shellEscape(title)} --body ${shellEscape(body)} --label enhancement -R ${owner}/${repo}`;
+        let assignee = req?.requestedBy ? findGithubLogin(directory, req.requestedBy) : undefined;
 
         try {
-            // Use gh issue create with --json to get structured output
-            const { stdout, stderr } = await execAsync(
-                `gh issue create --title ${shellEscape(title)} --body ${shellEscape(body)} --label enhancement -R ${owner}/${repo}`,
-                { timeout: 30_000, env: { ...process.env, GITHUB_TOKEN: undefined, GH_PAGER: "cat" } },
-            );
+            let result: { stdout: string; stderr: string };
+            try {
+                result = await execAsync(assignee ? `${create} --assignee ${shellEscape(assignee)}` : create, { timeout: 30_000, env });
+            } catch (err) {
+                if (!assignee) throw err;
+                // Requesters who aren't collaborators can't be assigned — still mentioned in the body
+                log(`⚠ Could not assign @${assignee} (not a collaborator?) — creating the issue unassigned`);
+                console.warn(`[github-issues] Could not assign @${assignee}:`, (err instanceof Error ? err.message : String(err)).substring(0, 200));
+                assignee = undefined;
+                result = await execAsync(create, { timeout: 30_000, env });
+            }
+            const { stdout, stderr } = result;
 
             if (stderr) console.log(`[github-issues] stderr for issue ${i + 1}:`, stderr.trim());
 
@@ -100,11 +144,19 @@ export async function createGithubIssues(
                     title,
                     number: issueNumber,
                     url,
+                    ...(assignee ? { assignee } : {}),
                 };
                 createdIssues.push(issue);
+                if (gap.requirementId) filed.set(gap.requirementId, issueNumber);
                 onIssueCreated(issue);
-                log(`✔ Issue #${issueNumber} created: ${title.substring(0, 60)}`);
+                log(`✔ Issue #${issueNumber} created: ${title.substring(0, 60)}${assignee ? ` → @${assignee}` : ""}`);
                 console.log(`[github-issues] Issue ${i + 1} created: #${issueNumber} → ${url}`);
+                if (blockers.length > 0) {
+                    const linked = await linkBlockedBy(owner, repo, issueNumber, blockers, env);
+                    log(linked === blockers.length
+                        ? `✔ #${issueNumber} blocked by ${blockers.map(n => `#${n}`).join(", ")}`
+                        : `⚠ #${issueNumber}: linked ${linked}/${blockers.length} blocker(s) — the issue body still lists them`);
+                }
             } else {
                 console.error(`[github-issues] Unexpected gh output for issue ${i + 1}:`, stdout);
                 log(`⚠ Issue ${i + 1}: unexpected output — ${stdout.substring(0, 100)}`);
@@ -145,6 +197,134 @@ export async function createGithubIssues(
     return createdIssues;
 }
 
+const CHANGE_LABELS = {
+    changed: { name: "requirement-changed", color: "d4a72c", description: "The requirement changed in a later meeting" },
+    dropped: { name: "requirement-dropped", color: "6e7781", description: "The requirement was dropped in a later meeting" },
+} as const;
+
+/**
+ * Flag issues of a previous run whose requirement changed or was dropped in
+ * the current meeting: adds a label and a comment explaining what happened.
+ * Never throws; returns the number of issues flagged.
+ */
+export async function flagChangedIssues(
+    diff: RequirementDiff,
+    meetingTitle: string,
+    options: { onLog?: (message: string) => void; owner?: string; repo?: string } = {},
+): Promise<number> {
+    const log = options.onLog ?? (() => {});
+    const owner = options.owner || OWNER;
+    const repo = options.repo || REPO;
+    const env = { ...process.env, GITHUB_TOKEN: undefined, GH_PAGER: "cat" };
+
+    const targets = diff.changes.filter(c => (c.status === "changed" || c.status === "dropped") && c.issue && c.issue.number > 0);
+    if (targets.length === 0) return 0;
+    log(`Flagging ${targets.length} issue(s) whose requirement changed or was dropped...`);
+
+    for (const label of Object.values(CHANGE_LABELS)) {
+        try {
+            await execAsync(
+                `gh label create ${label.name} --description ${shellEscape(label.description)} --color ${label.color} -R ${owner}/${repo}`,
+                { timeout: 10_000, env },
+            );
+        } catch {
+            // Label may already exist — that's fine
+        }
+    }
+
+    let flagged = 0;
+    for (const change of targets) {
+        const status = change.status as "changed" | "dropped";
+        const body = status === "dropped"
+            ? `⚠️ **Requirement dropped** in *${meetingTitle}*: it no longer appears in the meeting's requirements. Consider closing this issue.`
+            : `⚠️ **Requirement changed** in *${meetingTitle}*: ${change.change ?? "the requirement was revised."}\n\nThis issue describes the earlier version; the updated requirement is tracked on the epic.`;
+        try {
+            await execAsync(
+                `gh issue edit ${change.issue!.number} --add-label ${CHANGE_LABELS[status].name} -R ${owner}/${repo}`,
+                { timeout: 15_000, env },
+            );
+            await execAsync(
+                `gh issue comment ${change.issue!.number} --body ${shellEscape(body)} -R ${owner}/${repo}`,
+                { timeout: 15_000, env },
+            );
+            flagged++;
+            console.log(`[github-issues] Flagged #${change.issue!.number} as ${status}`);
+        } catch (err) {
+            const msg = err instanceof Error ? err.message : String(err);
+            console.error(`[github-issues] Failed to flag #${change.issue!.number}:`, msg.substring(0, 200));
+            log(`⚠ Could not flag issue #${change.issue!.number}: ${msg.substring(0, 100)}`);
+        }
+    }
+    log(`✔ Flagged ${flagged}/${targets.length} issue(s) as changed or dropped`);
+    return flagged;
+}
+
+/** Verified citations as links; unresolved ones are only counted so invented paths don't reach the agent */
+function evidenceSection(evidence: GapEvidence[] | undefined): string[] {
+    if (!evidence?.length) return [];
+    const verified = evidence.filter(e => e.verified);
+    const skipped = evidence.length - verified.length;
+    return [
+        "## Evidence",
+        ...verified.map(e => {
+            const lines = e.endLine > e.startLine ? `L${e.startLine}-L${e.endLine}` : `L${e.startLine}`;
+            return e.url ? `- [${e.file}#${lines}](${e.url})` : `- \`${e.file}\` ${lines}`;
+        }),
+        ...(skipped > 0 ? [`_${skipped} citation(s) could not be verified against the repository and were left out._`] : []),
+        "",
+    ];
+}
+
+/** "Blocked by #n" for dependencies with an issue; the rest are named by requirement */
+function dependencySection(
+    dependsOn: GapDependency[] | undefined,
+    filed: Map<string, number>,
+    requirements: Requirement[] | undefined,
+): string[] {
+    if (!dependsOn?.length) return [];
+    return [
+        "## Dependencies",
+        ...dependsOn.map(d => {
+            const number = filed.get(d.requirementId);
+            if (number) return `- Blocked by #${number} — ${d.reason}`;
+            const text = requirements?.find(r => r.id === d.requirementId)?.text;
+            return `- Depends on ${d.requirementId}${text ? `: ${text}` : ""} — ${d.reason} _(no issue yet)_`;
+        }),
+        "",
+    ];
+}
+
+/**
+ * Record "blocked by" relations through GitHub's issue dependencies API. The
+ * lines in the issue body remain where the API isn't available. Never throws;
+ * returns the number of blockers linked.
+ */
+async function linkBlockedBy(
+    owner: string,
+    repo: string,
+    issueNumber: number,
+    blockers: number[],
+    env: NodeJS.ProcessEnv,
+): Promise<number> {
+    let linked = 0;
+    for (const blocker of blockers) {
+        try {
+            // The API takes the blocker's database ID, not its number
+            const { stdout } = await execAsync(`gh api repos/${owner}/${repo}/issues/${blocker} --jq '.id'`, { timeout: 10_000, env });
+            const blockerId = parseInt(stdout.trim(), 10);
+            if (!blockerId) continue;
+            await execAsync(
+                `gh api repos/${owner}/${repo}/issues/${issueNumber}/dependencies/blocked_by --method POST -F issue_id=${blockerId}`,
+                { timeout: 15_000, env },
+            );
+            linked++;
+        } catch (err) {
+            console.warn(`[github-issues] Could not mark #${issueNumber} blocked by #${blocker}:`, (err instanceof Error ? err.message : String(err)).substring(0, 200));
+        }
+    }
+    return linked;
+}
+
 /** Shell-escape a string for use in a command argument */
 function shellEscape(str: string): string {
     // Replace single quotes, then wrap in single quotes
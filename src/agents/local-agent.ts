@@ -4,6 +4,7 @@ import { readFileSync, writeFileSync, existsSync, readdirSync, statSync, mkdirSy
 import { join, relative, dirname, normalize } from "path";
 import type { CopilotClient, MCPLocalServerConfig, MCPRemoteServerConfig } from "@github/copilot-sdk";
 import { createAgentSession } from "./session-helpers.js";
+import { isCancelled, untilAborted } from "./cancellation.js";
 
 const execAsync = promisify(exec);
 
@@ -15,6 +16,8 @@ interface LocalGapItem {
     gap: string;
     details: string;
     complexity: string;
+    /** Ids of gaps this one builds on; their branches from the same run are its base */
+    dependsOn?: number[];
 }
 
 interface LocalAgentResult {
@@ -33,41 +36,60 @@ interface ExecuteLocalAgentOptions {
     onItemStart?: (id: number, requirement: string) => void;
     onItemProgress?: (id: number, message: string) => void;
     onItemComplete?: (id: number, success: boolean, summary: string) => void;
+    /** Gap that was stopped, or never started, because of the signal */
+    onItemCancelled?: (id: number) => void;
+    /** Stops the run: kills git, destroys the agent session, skips the remaining gaps */
+    signal?: AbortSignal;
     onLog?: (message: string) => void;
 }
 
 // ── Clone helpers ─────────────────────────────────────────────────────────────
 
 /** Ensure the corporate-website repo is cloned locally and up-to-date. */
-async function ensureClone(log: (m: string) => void, owner: string, repo: string, repoUrl: string, repoPath: string): Promise<void> {
+async function ensureClone(log: (m: string) => void, owner: string, repo: string, repoUrl: string, repoPath: string, signal?: AbortSignal): Promise<void> {
     if (!existsSync(join(repoPath, ".git"))) {
         log(`Cloning ${owner}/${repo} to ${repoPath}...`);
-        await execAsync(`git clone ${repoUrl} "${repoPath}"`, { timeout: 120_000 });
+        await execAsync(`git clone ${repoUrl} "${repoPath}"`, { timeout: 120_000, signal });
     }
-    await execAsync("git fetch origin", { cwd: repoPath, timeout: 30_000 });
-    await execAsync("git checkout main --force", { cwd: repoPath, timeout: 10_000 });
-    await execAsync("git reset --hard origin/main", { cwd: repoPath, timeout: 10_000 });
-    await execAsync("git clean -fd", { cwd: repoPath, timeout: 10_000 });
+    await execAsync("git fetch origin", { cwd: repoPath, timeout: 30_000, signal });
+    await execAsync("git checkout main --force", { cwd: repoPath, timeout: 10_000, signal });
+    await execAsync("git reset --hard origin/main", { cwd: repoPath, timeout: 10_000, signal });
+    await execAsync("git clean -fd", { cwd: repoPath, timeout: 10_000, signal });
     log(`Local clone of ${owner}/${repo} is up-to-date on main.`);
 }
 
-/** Create a feature branch in the local clone (force-creates if it already exists). */
-async function createLocalBranch(branchName: string, log: (m: string) => void, repoPath: string): Promise<void> {
-    await execAsync(`git checkout -B ${branchName}`, { cwd: repoPath, timeout: 10_000 });
-    log(`Created local branch: ${branchName}`);
+/**
+ * Create a feature branch in the local clone (force-creates if it already exists),
+ * from the current branch or from the first of `bases`; the other bases are merged in.
+ * A base that doesn't merge cleanly is left out with a warning.
+ */
+async function createLocalBranch(branchName: string, log: (m: string) => void, repoPath: string, signal?: AbortSignal, bases: string[] = []): Promise<void> {
+    const [first, ...rest] = bases;
+    await execAsync(`git checkout -B ${branchName}${first ? ` ${first}` : ""}`, { cwd: repoPath, timeout: 10_000, signal });
+    log(first ? `Created local branch: ${branchName} from ${first}` : `Created local branch: ${branchName}`);
+    for (const base of rest) {
+        try {
+            await execAsync(`git merge --no-edit ${base}`, { cwd: repoPath, timeout: 30_000, signal });
+            log(`Merged ${base} into ${branchName}`);
+        } catch (err) {
+            if (isCancelled(err, signal)) throw err;
+            try { await execAsync("git merge --abort", { cwd: repoPath, timeout: 10_000 }); } catch { /* ignore */ }
+            log(`⚠ ${base} doesn't merge cleanly into ${branchName} — continuing without it`);
+        }
+    }
 }
 
 /** Commit all changes and push the branch to origin. */
-async function commitAndPush(branchName: string, message: string, log: (m: string) => void, repoPath: string): Promise<void> {
-    await execAsync("git add -A", { cwd: repoPath, timeout: 10_000 });
+async function commitAndPush(branchName: string, message: string, log: (m: string) => void, repoPath: string, signal?: AbortSignal): Promise<void> {
+    await execAsync("git add -A", { cwd: repoPath, timeout: 10_000, signal });
     // Check if there are staged changes
-    const { stdout: status } = await execAsync("git status --porcelain", { cwd: repoPath, timeout: 10_000 });
+    const { stdout: status } = await execAsync("git status --porcelain", { cwd: repoPath, timeout: 10_000, signal });
     if (!status.trim()) {
         log("No changes to commit.");
         return;
     }
     const safeMsg = message.replace(/"/g, '\\"').replace(/\n/g, " ");
-    await execAsync(`git commit -m "${safeMsg}"`, { cwd: repoPath, timeout: 10_000 });
+    await execAsync(`git commit -m "${safeMsg}"`, { cwd: repoPath, timeout: 10_000, signal });
     log(`Committed changes on branch ${branchName} (local only).`);
 }
 
@@ -158,34 +180,52 @@ export async function executeLocalAgent(
     const onStart = options.onItemStart ?? (() => {});
     const onProgress = options.onItemProgress ?? (() => {});
     const onComplete = options.onItemComplete ?? (() => {});
+    const onCancelled = options.onItemCancelled ?? (() => {});
     const log = options.onLog ?? (() => {});
+    const signal = options.signal;
     const owner = options.owner || OWNER;
     const repo = options.repo || REPO;
     const repoUrl = options.repoUrl || REPO_URL;
     const repoPath = options.repoPath || REPO_PATH;
     const results: LocalAgentResult[] = [];
+    /** Branch of each gap completed in this run, for the gaps that build on it */
+    const branchOf = new Map<number, string>();
 
     log(`Starting local agent execution for ${options.gaps.length} gap(s)...`);
 
     // Ensure target repo is cloned and clean before starting
     onProgress(options.gaps[0]?.id ?? 0, `Preparing local clone of ${owner}/${repo}...`);
-    await ensureClone(log, owner, repo, repoUrl, repoPath);
+    try {
+        await ensureClone(log, owner, repo, repoUrl, repoPath, signal);
+    } catch (err) {
+        if (!isCancelled(err, signal)) throw err;
+    }
 
     for (let i = 0; i < options.gaps.length; i++) {
         const gap = options.gaps[i]!;
+        if (signal?.aborted) {
+            options.gaps.slice(i).forEach(g => onCancelled(g.id));
+            log(`⏹ Local agent cancelled — ${options.gaps.length - i} gap(s) not started`);
+            break;
+        }
         log(`\n── Gap ${i + 1}/${options.gaps.length}: ${gap.requirement.substring(0, 80)} ──`);
         onStart(gap.id, gap.requirement);
 
         const branchName = `feature/gap-${gap.id}-${gap.requirement.substring(0, 30).replace(/[^a-zA-Z0-9]+/g, "-").toLowerCase()}`;
 
         try {
-            // Reset to main before each gap so branches are independent
-            await execAsync("git checkout main --force", { cwd: repoPath, timeout: 10_000 });
-            await execAsync("git reset --hard origin/main", { cwd: repoPath, timeout: 10_000 });
+            // Reset to main before each gap; a gap that builds on others starts from their branches
+            await execAsync("git checkout main --force", { cwd: repoPath, timeout: 10_000, signal });
+            await execAsync("git reset --hard origin/main", { cwd: repoPath, timeout: 10_000, signal });
+            const bases = (gap.dependsOn ?? []).flatMap(id => branchOf.get(id) ?? []);
+            const missing = (gap.dependsOn ?? []).filter(id => !branchOf.has(id));
+            if (missing.length > 0) {
+                log(`⚠ Gap #${gap.id} depends on ${missing.map(id => `#${id}`).join(", ")}, not implemented in this run — its branch won't contain those changes`);
+            }
 
             // Create feature branch in the LOCAL clone
             onProgress(gap.id, `Creating branch ${branchName} in local clone...`);
-            await createLocalBranch(branchName, log, repoPath);
+            await createLocalBranch(branchName, log, repoPath, signal, bases);
 
             // Read the website files from the local clone for context
             onProgress(gap.id, "Reading website files from local clone...");
@@ -233,6 +273,7 @@ Include the FULL file content, not diffs or partial snippets.
 Only output files that actually need changes.`,
                 },
                 label: `local-agent-gap-${gap.id}`,
+                signal,
                 onLog: (msg) => {
                     log(msg);
                     onProgress(gap.id, msg);
@@ -260,7 +301,7 @@ Please analyze the requirement, read any additional files you need using GitHub
 (always use owner="${owner}" and repo="${repo}"), then output the complete updated content
 of every file that needs to change using the FILE: format described in your instructions.`;
 
-            const response = await session.sendAndWait({ prompt }, 300_000);
+            const response = await untilAborted(session.sendAndWait({ prompt }, 300_000), signal);
             const responseContent = response?.data?.content ?? "";
             await session.destroy();
 
@@ -271,17 +312,18 @@ of every file that needs to change using the FILE: format described in your inst
             if (changes.length === 0) {
                 // The agent may have used built-in SDK filesystem tools to write
                 // files directly (via workingDirectory). Check git for changes.
-                const { stdout: gitStatus } = await execAsync("git status --porcelain", { cwd: repoPath, timeout: 10_000 });
+                const { stdout: gitStatus } = await execAsync("git status --porcelain", { cwd: repoPath, timeout: 10_000, signal });
                 if (gitStatus.trim()) {
                     const changedFiles = gitStatus.trim().split("\n").map(l => l.substring(3).trim());
                     log(`Agent used built-in tools to write ${changedFiles.length} file(s): ${changedFiles.join(", ")}`);
                     onProgress(gap.id, "Committing changes made by agent...");
                     const commitMsg = `Implement gap #${gap.id}: ${gap.requirement.substring(0, 60)}`;
-                    await commitAndPush(branchName, commitMsg, log, repoPath);
+                    await commitAndPush(branchName, commitMsg, log, repoPath, signal);
                     const summary = `Applied ${changedFiles.length} file change(s) to branch ${branchName}: ${changedFiles.join(", ")}`;
                     log(`✔ Gap #${gap.id} completed successfully`);
                     onComplete(gap.id, true, summary);
                     results.push({ id: gap.id, success: true, summary });
+                    branchOf.set(gap.id, branchName);
                     continue;
                 }
                 log("✘ No parseable file changes in agent response — marking as failed.");
@@ -314,13 +356,21 @@ of every file that needs to change using the FILE: format described in your inst
             // Commit and push from the local clone
             onProgress(gap.id, "Committing and pushing changes...");
             const commitMsg = `Implement gap #${gap.id}: ${gap.requirement.substring(0, 60)}`;
-            await commitAndPush(branchName, commitMsg, log, repoPath);
+            await commitAndPush(branchName, commitMsg, log, repoPath, signal);
 
             const summary = `Applied ${changes.length} file change(s) to branch ${branchName}: ${changes.map(c => c.file).join(", ")}`;
             log(`✔ Gap #${gap.id} completed successfully`);
             onComplete(gap.id, true, summary);
             results.push({ id: gap.id, success: true, summary });
+            branchOf.set(gap.id, branchName);
         } catch (err) {
+            if (isCancelled(err, signal)) {
+                // Leave the clone on main without this gap's half-written changes
+                log(`⏹ Gap #${gap.id} cancelled`);
+                onCancelled(gap.id);
+                try { await execAsync("git checkout main --force", { cwd: repoPath, timeout: 10_000 }); } catch { /* ignore */ }
+                continue;
+            }
             const errorMsg = err instanceof Error ? err.message : String(err);
             console.error(`[local-agent] Error on gap #${gap.id}:`, errorMsg);
             log(`✘ Gap #${gap.id} failed: ${errorMsg.substring(0, 200)}`);
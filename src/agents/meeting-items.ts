@@ -0,0 +1,116 @@
+import { z } from "zod";
+import { normalizeProvenance, sourceOutputSchema, squashText } from "./requirements.js";
+import type { RequirementProvenance } from "./requirements.js";
+
+// ─── Non-requirement meeting items ──────────────────────────────────────────
+// Extraction classifies what was said into code requirements (gap analysis,
+// issues) and three kinds of items that never reach the codebase: decisions,
+// action items for people, and open questions. These are tracked on the epic.
+
+export interface MeetingItem {
+    text: string;
+    /** Who does it (action item) or should answer it (open question) */
+    owner?: string;
+    /** Deadline as said in the meeting, e.g. "Friday" */
+    due?: string;
+    /** Ticked off on the epic's checklist (action items) */
+    done?: boolean;
+    provenance?: RequirementProvenance;
+}
+
+export interface MeetingItems {
+    /** Settled points that need no code change */
+    decisions: MeetingItem[];
+    /** Tasks for people outside the codebase ("Legal to review copy by Friday") */
+    actionItems: MeetingItem[];
+    /** Questions the meeting left unanswered */
+    openQuestions: MeetingItem[];
+}
+
+export const MEETING_ITEM_KINDS = ["decisions", "actionItems", "openQuestions"] as const;
+
+/** JSON fields the extraction agent adds next to "requirements". */
+export const MEETING_ITEMS_OUTPUT_SHAPE = `"decisions": [
+    { "text": "what was settled that needs no code change", "source": { "quote": "verbatim excerpt", "speaker": "…", "timestamp": "…" } }
+  ],
+  "actionItems": [
+    { "text": "task for a person outside the codebase", "owner": "who does it (omit if unknown)", "due": "deadline as said (omit if none)", "source": { "quote": "…" } }
+  ],
+  "openQuestions": [
+    { "text": "question the meeting left unanswered", "owner": "who should answer it (omit if unknown)", "source": { "quote": "…" } }
+  ]`;
+
+/** How the extractor tells the four kinds apart. */
+export const MEETING_ITEMS_RULES = `Classify everything actionable into exactly one of:
+- "requirements": changes to the product's code, content or design that the development team implements.
+- "decisions": settled points that need no code change (scope, process, vendors, dates). A decision that changes the product is a requirement.
+- "actionItems": tasks for people that are not code changes — reviews, approvals, sending notes, providing assets ("Legal to review copy by Friday").
+- "openQuestions": questions raised but not answered in the meeting.
+Use empty arrays when there is nothing of a kind.`;
+
+const meetingItemOutputSchema = z.object({
+    text: z.string().trim().min(1),
+    owner: z.string().nullish(),
+    due: z.string().nullish(),
+    source: sourceOutputSchema.nullish(),
+});
+
+/** Optional so responses from before the classification still validate. */
+export const meetingItemsOutputSchema = {
+    decisions: z.array(meetingItemOutputSchema).nullish(),
+    actionItems: z.array(meetingItemOutputSchema).nullish(),
+    openQuestions: z.array(meetingItemOutputSchema).nullish(),
+};
+
+function normalizeItemList(value: unknown): MeetingItem[] {
+    if (!Array.isArray(value)) return [];
+    return value.flatMap(v => {
+        const raw = typeof v === "string" ? { text: v } : v;
+        if (!raw || typeof raw !== "object") return [];
+        const r = raw as Record<string, unknown>;
+        const str = (x: unknown) => (typeof x === "string" && x.trim() ? x.trim() : undefined);
+        const text = str(r.text);
+        if (!text) return [];
+        const owner = str(r.owner);
+        const due = str(r.due);
+        const provenance = normalizeProvenance(r.provenance ?? r.source);
+        return [{
+            text,
+            ...(owner ? { owner } : {}),
+            ...(due ? { due } : {}),
+            ...(r.done === true ? { done: true } : {}),
+            ...(provenance ? { provenance } : {}),
+        }];
+    });
+}
+
+/** Coerce agent output (or stored JSON) into MeetingItems; missing kinds are empty. */
+export function normalizeMeetingItems(value: unknown): MeetingItems {
+    const v = (value && typeof value === "object" ? value : {}) as Record<string, unknown>;
+    return {
+        decisions: normalizeItemList(v.decisions),
+        actionItems: normalizeItemList(v.actionItems),
+        openQuestions: normalizeItemList(v.openQuestions),
+    };
+}
+
+export function countMeetingItems(items: MeetingItems | undefined): number {
+    return items ? MEETING_ITEM_KINDS.reduce((n, kind) => n + items[kind].length, 0) : 0;
+}
+
+/**
+ * Combine the items of several meetings (oldest first), dropping repeats.
+ */
+export function mergeMeetingItems(lists: MeetingItems[]): MeetingItems {
+    const merged = normalizeMeetingItems({});
+    for (const kind of MEETING_ITEM_KINDS) {
+        const seen = new Set<string>();
+        for (const item of lists.flatMap(l => l[kind])) {
+            const key = squashText(item.text);
+            if (seen.has(key)) continue;
+            seen.add(key);
+            merged[kind].push(item);
+        }
+    }
+    return merged;
+}
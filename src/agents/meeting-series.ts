@@ -0,0 +1,280 @@
+import type { CopilotClient } from "@github/copilot-sdk";
+import { z } from "zod";
+import { createAgentSession } from "./session-helpers.js";
+import { sendStructured } from "./structured-output.js";
+import { extractMeetingRequirements } from "./gap-analyzer.js";
+import type { MeetingInfo, MeetingResult } from "./gap-analyzer.js";
+import type { MeetingCandidate, MeetingSource, MeetingSourceInput } from "./meeting-sources/index.js";
+import { normalizeRequirements, formatMeetingRef, keepLiterals, requirementOutputSchema, squashText } from "./requirements.js";
+import { countMeetingItems, mergeMeetingItems } from "./meeting-items.js";
+import type { MeetingItems } from "./meeting-items.js";
+import type { MeetingRef, Requirement } from "./requirements.js";
+
+// ─── Multi-meeting series extraction ────────────────────────────────────────
+// Each meeting is extracted on its own (same path as a single meeting), then a
+// tool-less merge session consolidates the per-meeting lists: repeats are
+// merged, later contradicting decisions supersede earlier ones, and every
+// resulting requirement records which meetings mentioned it.
+
+interface SeriesOptions {
+    source: MeetingSource;
+    /** Provider input; `input.meetings` lists the confirmed meetings */
+    input: MeetingSourceInput;
+    onProgress?: (step: number, message: string) => void;
+    onMeetingInfo?: (info: MeetingInfo) => void;
+    onLog?: (message: string) => void;
+    onWarning?: (message: string) => void;
+}
+
+/** A requirement from one meeting, keyed for the merge prompt ("M2-REQ-4"). */
+interface KeyedRequirement {
+    key: string;
+    meetingIndex: number;
+    requirement: Requirement;
+}
+
+const MERGE_OUTPUT_FORMAT = `return ONLY a JSON object:
+{
+  "summary": "2-3 sentences on what the series decided overall",
+  "requirements": [
+    {
+      "text": "consolidated requirement, reflecting the LATEST decision",
+      "priority": "Must|Should|Could|Won't",
+      "category": "content|design|compliance|performance|feature",
+      "requestedBy": "participant who asked for it (omit if unknown)",
+      "acceptanceCriteria": ["verifiable condition 1", "verifiable condition 2"],
+      "mergedFrom": ["M1-REQ-2", "M3-REQ-1"],
+      "supersedes": ["M1-REQ-4"]
+    }
+  ]
+}
+
+- "mergedFrom": keys of every input requirement that says the same thing (at least one).
+- "supersedes": keys of EARLIER input requirements that this one contradicts and replaces. Superseded items must not appear as requirements of their own.
+- Every input key must appear exactly once, either in some "mergedFrom" or in some "supersedes".
+Do NOT output anything before or after the JSON object.`;
+
+/** Oldest first; undated meetings keep their relative order after dated ones. */
+function sortChronologically(meetings: MeetingCandidate[]): MeetingCandidate[] {
+    const time = (m: MeetingCandidate) => {
+        const t = m.date ? Date.parse(m.date) : NaN;
+        return Number.isNaN(t) ? Infinity : t;
+    };
+    return meetings
+        .map((m, i) => ({ m, i }))
+        .sort((a, b) => time(a.m) - time(b.m) || a.i - b.i)
+        .map(({ m }) => m);
+}
+
+function seriesTitle(meetings: MeetingRef[]): string {
+    const first = meetings[0]?.title ?? "Meeting series";
+    return meetings.every(m => m.title === first) ? first : `${first} (+${meetings.length - 1} more)`;
+}
+
+function mergeOutputSchema(keys: string[]) {
+    const key = z.enum(keys as [string, ...string[]]);
+    return z.object({
+        summary: z.string().nullish(),
+        requirements: z.array(requirementOutputSchema.omit({ source: true }).extend({
+            mergedFrom: z.array(key).min(1),
+            supersedes: z.array(key).nullish(),
+        })),
+    }).superRefine((output, ctx) => {
+        const seen = new Set(output.requirements.flatMap(r => [...r.mergedFrom, ...(r.supersedes ?? [])]));
+        const missing = keys.filter(k => !seen.has(k));
+        if (missing.length > 0) {
+            ctx.addIssue({ code: "custom", message: `Input requirements not accounted for: ${missing.join(", ")}` });
+        }
+    });
+}
+
+/**
+ * Fallback when the merge response never validated: merge only requirements
+ * whose text is identical, keep everything else. Contradictions stay unresolved.
+ */
+function mergeIdentical(items: KeyedRequirement[], meetings: MeetingRef[]): Requirement[] {
+    const groups = new Map<string, KeyedRequirement[]>();
+    for (const item of items) {
+        const k = squashText(item.requirement.text);
+        groups.set(k, [...(groups.get(k) ?? []), item]);
+    }
+    return normalizeRequirements([...groups.values()].map(group => {
+        const latest = group[group.length - 1]!;
+        const { id: _id, ...rest } = latest.requirement;
+        return { ...rest, meetings: [...new Set(group.map(g => g.meetingIndex))].map(i => meetings[i]) };
+    }));
+}
+
+/**
+ * Extract requirements from several meetings of the same source and merge them
+ * into one consolidated list. Meetings are processed oldest first.
+ */
+export async function extractMeetingSeries(
+    client: CopilotClient,
+    options: SeriesOptions,
+): Promise<MeetingResult> {
+    const progress = options.onProgress ?? (() => {});
+    const onMeetingInfo = options.onMeetingInfo ?? (() => {});
+    const log = options.onLog ?? (() => {});
+    const warn = options.onWarning ?? (() => {});
+    const { source } = options;
+
+    const candidates = sortChronologically(options.input.meetings ?? []);
+    const refs: MeetingRef[] = candidates.map(c => ({ title: c.title, ...(c.date ? { date: c.date } : {}) }));
+    const dates = refs.map(r => r.date).filter((d): d is string => !!d);
+    const seriesInfo: MeetingInfo = {
+        title: seriesTitle(refs),
+        ...(dates.length > 0 ? { date: dates.length > 1 ? `${dates[0]} – ${dates[dates.length - 1]}` : dates[0] } : {}),
+        meetings: refs,
+    };
+
+    progress(0, `Connecting to ${source.label}...`);
+    onMeetingInfo(seriesInfo);
+    console.log(`[meeting-series] Extracting ${candidates.length} meetings from "${source.id}"...`);
+
+    // ── Per-meeting extraction ──
+    const items: KeyedRequirement[] = [];
+    const participants = new Set<string>();
+    const languages = new Set<string>();
+    const meetingItems: MeetingItems[] = [];
+    const extracted: MeetingRef[] = [];
+
+    for (const [i, meeting] of candidates.entries()) {
+        const tag = `[${i + 1}/${candidates.length}]`;
+        progress(1, `${tag} ${formatMeetingRef(refs[i]!)}`);
+        log(`📅 ${tag} Extracting "${formatMeetingRef(refs[i]!)}"...`);
+        try {
+            const result = await extractMeetingRequirements(client, {
+                source,
+                input: { ...options.input, meeting, meetings: undefined },
+                onLog: (msg) => log(`${tag} ${msg}`),
+                onWarning: (msg) => warn(`${tag} ${msg}`),
+            });
+            result.info.participants?.forEach(p => participants.add(p));
+            if (result.info.language) languages.add(result.info.language);
+            if (result.info.items) meetingItems.push(result.info.items);
+            extracted.push(refs[i]!);
+            for (const requirement of result.requirements) {
+                items.push({ key: `M${i + 1}-${requirement.id}`, meetingIndex: i, requirement });
+            }
+        } catch (err) {
+            const msg = `${tag} Skipped "${refs[i]!.title}": ${err instanceof Error ? err.message : String(err)}`;
+            console.warn(`[meeting-series] ${msg}`);
+            log(`⚠ ${msg}`);
+            warn(msg);
+        }
+    }
+
+    const mergedItems = mergeMeetingItems(meetingItems);
+    const info: MeetingInfo = {
+        ...seriesInfo,
+        ...(participants.size > 0 ? { participants: [...participants] } : {}),
+        ...(languages.size > 0 ? { language: [...languages].join(", ") } : {}),
+        ...(countMeetingItems(mergedItems) > 0 ? { items: mergedItems } : {}),
+    };
+
+    if (items.length === 0) {
+        if (!info.items) throw new Error(`No requirements found in any of the ${candidates.length} selected meetings.`);
+        // Only decisions, action items or open questions — nothing to merge
+        info.requirementCount = 0;
+        onMeetingInfo(info);
+        progress(2, `No code requirements in ${extracted.length} meetings`);
+        return { info, requirements: [] };
+    }
+
+    // ── Merge ──
+    log(`Merging ${items.length} requirements from ${extracted.length} meetings...`);
+    let requirements: Requirement[];
+    try {
+        const session = await createAgentSession(client, {
+            model: "gpt-5.2-codex",
+            mcpServers: {},
+            systemMessage: {
+                content: `You consolidate requirements extracted from a series of meetings into one list.
+
+## Rules
+1. Use ONLY the requirements provided in the prompt. Do NOT call any tools.
+2. Meetings are listed oldest first. When a later meeting changes or reverses an earlier decision, the LATER decision wins and the earlier requirement is superseded.
+3. Requirements that repeat across meetings are merged into one, keeping the most specific wording and the union of their acceptance criteria.
+4. Keep requirements that are unrelated to each other separate.
+5. Exact text in quotes (headlines, taglines, labels) is copied character for character — never translated or reworded.
+
+## Output Format
+${MERGE_OUTPUT_FORMAT}`,
+            },
+            label: `${source.id}-merge`,
+            onLog: log,
+        });
+
+        const prompt = candidates.map((_, i) => {
+            const own = items.filter(it => it.meetingIndex === i);
+            if (own.length === 0) return "";
+            return `## M${i + 1}: ${formatMeetingRef(refs[i]!)}\n` + own.map(it =>
+                `- ${it.key}: ${JSON.stringify({
+                    text: it.requirement.text,
+                    priority: it.requirement.priority,
+                    category: it.requirement.category,
+                    requestedBy: it.requirement.requestedBy,
+                    acceptanceCriteria: it.requirement.acceptanceCriteria,
+                    literals: it.requirement.literals,
+                })}`).join("\n");
+        }).filter(Boolean).join("\n\n");
+
+        let output;
+        try {
+            output = await sendStructured(session, `Consolidate the requirements of this meeting series:
+
+${prompt}
+
+Return the JSON object with summary and the consolidated requirements array.`, {
+                schema: mergeOutputSchema(items.map(it => it.key)),
+                timeoutMs: 300_000,
+                label: `${source.id}-merge`,
+                onLog: log,
+            });
+        } finally {
+            await session.destroy().catch(() => {});
+        }
+
+        if (output.ok) {
+            const byKey = new Map(items.map(it => [it.key, it]));
+            requirements = normalizeRequirements(output.data.requirements.map(({ mergedFrom, supersedes, originalText: _originalText, literals: _literals, ...r }) => {
+                const merged = mergedFrom.map(k => byKey.get(k)!).sort((a, b) => a.meetingIndex - b.meetingIndex);
+                // Quote and original wording from the most recent mention; the quote was verified against that meeting
+                const latest = merged[merged.length - 1]!;
+                const literals = keepLiterals({ text: r.text, acceptanceCriteria: r.acceptanceCriteria }, merged.flatMap(m => m.requirement.literals ?? []));
+                return {
+                    ...r,
+                    ...(latest.requirement.provenance ? { provenance: latest.requirement.provenance } : {}),
+                    ...(latest.requirement.original ? { original: latest.requirement.original } : {}),
+                    ...(literals.length > 0 ? { literals } : {}),
+                    meetings: [...new Set(merged.map(m => m.meetingIndex))].map(i => refs[i]),
+                    supersedes: (supersedes ?? []).map(k => byKey.get(k)!).map(s => ({
+                        text: s.requirement.text,
+                        meeting: refs[s.meetingIndex],
+                    })),
+                };
+            }));
+            if (output.data.summary) info.summary = output.data.summary;
+            const superseded = requirements.reduce((n, r) => n + (r.supersedes?.length ?? 0), 0);
+            log(`✔ Merged into ${requirements.length} requirements${superseded > 0 ? ` (${superseded} superseded by later decisions)` : ""}`);
+        } else {
+            requirements = mergeIdentical(items, refs);
+            const msg = `Merge response failed validation after ${output.repairs} repair attempt(s) (${output.error}) — only identical requirements were merged; contradictions are not resolved`;
+            console.warn(`[meeting-series] ${msg}`);
+            log(`⚠ ${msg}`);
+            warn(msg);
+        }
+    } catch (err) {
+        console.error("[meeting-series] Merge error:", err);
+        log(`❌ Merge error: ${err instanceof Error ? err.message : String(err)}`);
+        throw new Error(`Failed to merge the meeting series: ${err instanceof Error ? err.message : String(err)}`);
+    }
+
+    info.requirementCount = requirements.length;
+    onMeetingInfo(info);
+    progress(2, `Extracted ${requirements.length} requirements from ${extracted.length} meetings`);
+    console.log(`[meeting-series] ${requirements.length} requirements merged from ${extracted.length} meetings.`);
+
+    return { info, requirements };
+}
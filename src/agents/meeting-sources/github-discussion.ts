@@ -0,0 +1,127 @@
+import { exec } from "child_process";
+import { promisify } from "util";
+import type { MeetingSource, MeetingSourceInput } from "./types.js";
+
+const execAsync = promisify(exec);
+
+// ─── GitHub Discussions (fetched via gh CLI GraphQL) ────────────────────────
+
+const DISCUSSION_QUERY = `query($owner: String!, $repo: String!, $number: Int!) {
+  repository(owner: $owner, name: $repo) {
+    discussion(number: $number) {
+      title
+      body
+      url
+      createdAt
+      author { login }
+      comments(first: 100) {
+        nodes {
+          body
+          createdAt
+          author { login }
+          replies(first: 50) { nodes { body createdAt author { login } } }
+        }
+      }
+    }
+  }
+}`;
+
+interface DiscussionPost {
+    body: string;
+    createdAt: string;
+    author: { login: string } | null;
+}
+
+interface DiscussionComment extends DiscussionPost {
+    replies: { nodes: DiscussionPost[] };
+}
+
+interface Discussion extends DiscussionPost {
+    title: string;
+    url: string;
+    comments: { nodes: DiscussionComment[] };
+}
+
+/**
+ * Accepts "https://github.com/owner/repo/discussions/42" or "owner/repo#42".
+ */
+function parseDiscussionRef(input: MeetingSourceInput): { owner: string; repo: string; number: number } {
+    const ref = (input.query || "").trim();
+    const match =
+        ref.match(/github\.com\/([\w.-]+)\/([\w.-]+)\/discussions\/(\d+)/) ||
+        ref.match(/^([\w.-]+)\/([\w.-]+)#(\d+)$/);
+    if (!match) {
+        throw new Error("Enter a GitHub Discussion URL or owner/repo#number");
+    }
+    return { owner: match[1]!, repo: match[2]!, number: Number(match[3]) };
+}
+
+function renderPost(post: DiscussionPost, indent = ""): string {
+    const author = post.author?.login ?? "ghost";
+    return `${indent}[${post.createdAt.substring(0, 10)}] ${author}: ${post.body.trim().replace(/\n/g, `\n${indent}`)}`;
+}
+
+export const githubDiscussionSource: MeetingSource = {
+    id: "github-discussion",
+    label: "GitHub Discussion",
+    description: "Use a GitHub Discussion thread as the meeting",
+    input: {
+        kind: "query",
+        placeholder: "Discussion URL, e.g. https://github.com/owner/repo/discussions/42",
+    },
+
+    validate(input) {
+        parseDiscussionRef(input);
+    },
+
+    async load(input, { onLog }) {
+        const { owner, repo, number } = parseDiscussionRef(input);
+        onLog(`Fetching discussion ${owner}/${repo}#${number} via gh CLI...`);
+        console.log(`[meeting-sources] Fetching discussion ${owner}/${repo}#${number}...`);
+
+        let discussion: Discussion | null | undefined;
+        try {
+            const { stdout } = await execAsync(
+                `gh api graphql -f query=${shellEscape(DISCUSSION_QUERY)} -F owner=${shellEscape(owner)} -F repo=${shellEscape(repo)} -F number=${number}`,
+                { env: { ...process.env, GITHUB_TOKEN: undefined, GH_PAGER: "cat" }, maxBuffer: 10 * 1024 * 1024 },
+            );
+            discussion = JSON.parse(stdout)?.data?.repository?.discussion;
+        } catch (err) {
+            const msg = err instanceof Error ? err.message : String(err);
+            console.error("[meeting-sources] gh api graphql failed:", msg.substring(0, 300));
+            throw new Error(`Failed to fetch discussion ${owner}/${repo}#${number}: ${msg.substring(0, 200)}`);
+        }
+
+        if (!discussion) {
+            throw new Error(`Discussion ${owner}/${repo}#${number} not found`);
+        }
+
+        const posts: string[] = [renderPost(discussion)];
+        const participants = new Set<string>();
+        if (discussion.author) participants.add(discussion.author.login);
+
+        for (const comment of discussion.comments.nodes) {
+            posts.push(renderPost(comment));
+            if (comment.author) participants.add(comment.author.login);
+            for (const reply of comment.replies.nodes) {
+                posts.push(renderPost(reply, "    "));
+                if (reply.author) participants.add(reply.author.login);
+            }
+        }
+
+        onLog(`✔ Discussion "${discussion.title}" — ${discussion.comments.nodes.length} comments, ${participants.size} participants`);
+
+        return {
+            info: {
+                title: discussion.title,
+                date: discussion.createdAt.substring(0, 10),
+                participants: [...participants],
+            },
+            content: `# ${discussion.title}\n${discussion.url}\n\n${posts.join("\n\n")}`,
+        };
+    },
+};
+
+function shellEscape(str: string): string {
+    return "'" + str.replace(/'/g, "'\\''") + "'";
+}
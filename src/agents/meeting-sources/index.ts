@@ -0,0 +1,35 @@
+import type { MeetingSource, MeetingSourceDescriptor } from "./types.js";
+import { workIQSource } from "./workiq.js";
+import { transcriptFileSource } from "./transcript-file.js";
+import { pastedNotesSource } from "./pasted-notes.js";
+import { githubDiscussionSource } from "./github-discussion.js";
+import { markdownPrdSource } from "./markdown-prd.js";
+
+export type { MeetingCandidate, MeetingSource, MeetingSourceDescriptor, MeetingSourceInput, RawMeeting } from "./types.js";
+
+// ─── Provider registry ──────────────────────────────────────────────────────
+// To add a meeting source, implement MeetingSource and register it here —
+// requirement extraction and the meeting panel pick it up automatically.
+
+const SOURCES: MeetingSource[] = [
+    workIQSource,
+    transcriptFileSource,
+    pastedNotesSource,
+    githubDiscussionSource,
+    markdownPrdSource,
+];
+
+export const DEFAULT_MEETING_SOURCE = workIQSource.id;
+/** Source behind the POST /api/analyze-transcript upload route */
+export const TRANSCRIPT_MEETING_SOURCE = transcriptFileSource.id;
+
+export function getMeetingSource(id: string): MeetingSource | undefined {
+    return SOURCES.find(s => s.id === id);
+}
+
+/** Provider descriptors for the frontend picker (registration order). */
+export function listMeetingSources(): MeetingSourceDescriptor[] {
+    return SOURCES.map(({ id, label, description, input, discover }) => ({
+        id, label, description, input, discovery: !!discover,
+    }));
+}
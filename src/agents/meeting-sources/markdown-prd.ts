@@ -0,0 +1,50 @@
+import { MAX_TRANSCRIPT_CHARS } from "../transcript-parser.js";
+import type { MeetingSource } from "./types.js";
+
+// ─── Markdown product requirement documents ─────────────────────────────────
+
+export const markdownPrdSource: MeetingSource = {
+    id: "prd",
+    label: "Markdown PRD",
+    description: "Upload a product requirements document",
+    input: {
+        kind: "file",
+        placeholder: "Markdown (.md)",
+        accept: ".md,.markdown",
+    },
+
+    validate(input) {
+        if (!input.fileName || !input.content || !input.content.trim()) {
+            throw new Error("No PRD provided");
+        }
+        if (input.content.length > MAX_TRANSCRIPT_CHARS) {
+            throw new Error(`PRD is too large (${input.content.length} chars, max ${MAX_TRANSCRIPT_CHARS})`);
+        }
+    },
+
+    async load(input, { onLog }) {
+        const content = input.content!.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+        const heading = content.match(/^#\s+(.+)$/m);
+        const title = heading
+            ? heading[1]!.trim()
+            : input.fileName!.replace(/\.[^.]+$/, "").replace(/[_-]+/g, " ").trim() || "Product requirements";
+
+        // Common PRD front matter: "Owner: …", "Date: …", "Stakeholders: a, b"
+        const field = (name: string) => content.match(new RegExp(`^\\W*${name}\\W*:[*_\\s]*(.+)$`, "im"))?.[1]?.trim();
+        const date = field("date");
+        const people = field("stakeholders") ?? field("authors?") ?? field("owners?");
+        const participants = people ? people.split(/[,;]/).map(p => p.trim()).filter(Boolean) : [];
+
+        const sections = content.match(/^#{2,3}\s+/gm)?.length ?? 0;
+        onLog(`Parsed ${input.fileName} (${sections} sections)`);
+
+        return {
+            info: {
+                title,
+                ...(date ? { date } : {}),
+                ...(participants.length ? { participants } : {}),
+            },
+            content,
+        };
+    },
+};
@@ -0,0 +1,33 @@
+import { MAX_TRANSCRIPT_CHARS } from "../transcript-parser.js";
+import type { MeetingSource } from "./types.js";
+
+// ─── Meeting notes pasted into the browser ──────────────────────────────────
+
+export const pastedNotesSource: MeetingSource = {
+    id: "notes",
+    label: "Pasted notes",
+    description: "Paste meeting notes or minutes",
+    input: {
+        kind: "text",
+        placeholder: "Paste meeting notes, minutes or action items…",
+    },
+
+    validate(input) {
+        if (!input.content || !input.content.trim()) {
+            throw new Error("No meeting notes provided");
+        }
+        if (input.content.length > MAX_TRANSCRIPT_CHARS) {
+            throw new Error(`Notes are too large (${input.content.length} chars, max ${MAX_TRANSCRIPT_CHARS})`);
+        }
+    },
+
+    async load(input, { onLog }) {
+        const content = input.content!.trim();
+        // First non-empty line doubles as the title ("# Weekly sync" or plain text)
+        const firstLine = content.split("\n")[0]!.replace(/^#+\s*/, "").trim();
+        const title = firstLine.length > 0 && firstLine.length <= 100 ? firstLine : "Pasted meeting notes";
+
+        onLog(`Read ${content.length} chars of pasted notes`);
+        return { info: { title }, content };
+    },
+};
@@ -0,0 +1,38 @@
+import { parseTranscript } from "../transcript-parser.js";
+import type { MeetingSource } from "./types.js";
+
+// ─── Uploaded transcript files (WebVTT, SRT, TXT, Markdown) ─────────────────
+
+export const transcriptFileSource: MeetingSource = {
+    id: "transcript",
+    label: "Transcript file",
+    description: "Upload a Zoom, Google Meet or Teams transcript",
+    input: {
+        kind: "file",
+        placeholder: "WebVTT, SRT, TXT or Markdown",
+        accept: ".vtt,.srt,.txt,.md,.markdown",
+    },
+
+    validate(input) {
+        if (!input.fileName || typeof input.content !== "string") {
+            throw new Error("No transcript provided");
+        }
+        parseTranscript(input.fileName, input.content);
+    },
+
+    async load(input, { onLog }) {
+        const fileName = input.fileName!;
+        const transcript = parseTranscript(fileName, input.content!);
+        const speakers = [...new Set(transcript.segments.map(s => s.speaker).filter((s): s is string => !!s))];
+
+        onLog(`Parsed ${fileName} (${transcript.format.toUpperCase()}, ${transcript.segments.length} segments, ${speakers.length} speakers)`);
+
+        return {
+            info: {
+                title: transcript.title,
+                ...(speakers.length ? { participants: speakers } : {}),
+            },
+            content: transcript.text,
+        };
+    },
+};
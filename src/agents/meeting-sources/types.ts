@@ -0,0 +1,79 @@
+import type { CopilotClient } from "@github/copilot-sdk";
+import type { MeetingInfo } from "../gap-analyzer.js";
+
+// ─── Meeting source provider contract ───────────────────────────────────────
+
+/**
+ * Raw user input for a meeting source. Which fields are used depends on the
+ * provider's input kind (see MeetingSourceDescriptor.input).
+ */
+export interface MeetingSourceInput {
+    /** Meeting name, discussion URL, … (input kind "query") */
+    query?: string;
+    /** Uploaded file name (input kind "file") */
+    fileName?: string;
+    /** Uploaded file content or pasted text (input kinds "file" and "text") */
+    content?: string;
+    /** Meeting confirmed by the user after discovery */
+    meeting?: MeetingCandidate;
+    /** Several meetings confirmed for series extraction (merged afterwards) */
+    meetings?: MeetingCandidate[];
+    /** Optional discovery date range, ISO dates (YYYY-MM-DD) */
+    from?: string;
+    to?: string;
+}
+
+/** A meeting found during discovery, shown to the user for confirmation. */
+export interface MeetingCandidate {
+    /** Provider-specific meeting identifier used to load exactly this meeting */
+    id: string;
+    title: string;
+    date?: string;
+    organizer?: string;
+    attendeeCount?: number;
+}
+
+/** What a provider hands to the shared requirement extraction step. */
+export interface RawMeeting {
+    /** Normalized meeting metadata */
+    info: MeetingInfo;
+    /** Raw meeting content (notes, transcript, discussion thread, PRD…) */
+    content: string;
+}
+
+export interface MeetingSourceContext {
+    client: CopilotClient;
+    onLog: (message: string) => void;
+    /** Fallbacks the user should know about (invalid agent output, …) */
+    onWarning?: (message: string) => void;
+}
+
+/** Serializable description of a provider, rendered by the meeting panel. */
+export interface MeetingSourceDescriptor {
+    id: string;
+    label: string;
+    description: string;
+    input: {
+        kind: "query" | "file" | "text";
+        placeholder: string;
+        /** File picker filter for input kind "file" */
+        accept?: string;
+    };
+    /** The user must pick one of the discovered meetings before extraction */
+    discovery: boolean;
+}
+
+export interface MeetingSource extends Omit<MeetingSourceDescriptor, "discovery"> {
+    /** Throws when the input is missing or malformed (reported as HTTP 400). */
+    validate(input: MeetingSourceInput): void;
+    /**
+     * List candidate meetings matching `input.query`. Providers that implement
+     * this only load a meeting once the user confirmed one (`input.meeting`).
+     */
+    discover?(
+        input: MeetingSourceInput,
+        ctx: MeetingSourceContext & { onCandidate: (candidate: MeetingCandidate) => void },
+    ): Promise<MeetingCandidate[]>;
+    /** Fetch the meeting and return its metadata plus raw content. */
+    load(input: MeetingSourceInput, ctx: MeetingSourceContext): Promise<RawMeeting>;
+}
@@ -0,0 +1,303 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import type { MCPLocalServerConfig, MCPRemoteServerConfig } from "@github/copilot-sdk";
+import { z } from "zod";
+import { createAgentSession } from "../session-helpers.js";
+import { sendStructured } from "../structured-output.js";
+import type { StructuredResult } from "../structured-output.js";
+import { REPO_PATH, WORKIQ_MODE, WORKIQ_FIXTURES_DIR } from "../../config.js";
+import type { MeetingInfo } from "../gap-analyzer.js";
+import type { MeetingCandidate, MeetingSource, MeetingSourceContext, RawMeeting } from "./types.js";
+
+// ─── Microsoft 365 meetings via the WorkIQ MCP server ───────────────────────
+
+const offline = WORKIQ_MODE === "offline";
+
+/** The offline stand-in, next to this module's tree (.ts under tsx, .js in dist) */
+const OFFLINE_SERVER_PATH = fileURLToPath(new URL(
+    `../../mcp/workiq-offline${path.extname(fileURLToPath(import.meta.url))}`,
+    import.meta.url,
+));
+
+export function getWorkIQMcpConfig(): Record<string, MCPLocalServerConfig | MCPRemoteServerConfig> {
+    if (offline) {
+        return {
+            workiq: {
+                type: "local",
+                command: process.execPath,
+                args: ["--import", "tsx", OFFLINE_SERVER_PATH],
+                // Project root, so "tsx" resolves from our node_modules
+                cwd: path.resolve(path.dirname(OFFLINE_SERVER_PATH), "..", ".."),
+                env: { WORKIQ_FIXTURES_DIR },
+                tools: ["*"],
+                timeout: 30000,
+            } as MCPLocalServerConfig,
+        };
+    }
+    return {
+        workiq: {
+            type: "local",
+            command: "npx",
+            args: ["-y", "@microsoft/workiq", "mcp"],
+            tools: ["*"],
+            timeout: 180000,
+        } as MCPLocalServerConfig,
+    };
+}
+
+const SYSTEM_RULES = `You are a meeting analyst. Your ONLY purpose: retrieve meeting data from Microsoft 365 using WorkIQ tools.
+
+## Tool Usage — MANDATORY
+1. You MUST call WorkIQ tools to search for meetings. These are the ONLY tools you should use.
+2. NEVER call filesystem tools (glob, view, grep, read_file, list_directory, etc.). They are IRRELEVANT to your task.
+3. NEVER choose a meeting on the user's behalf — the user picks the meeting.`;
+
+const DISCOVERY_OUTPUT_FORMAT = `return ONLY a JSON array (most likely match first, at most 20 entries):
+[
+  {
+    "id": "the meeting/event identifier returned by the WorkIQ tools",
+    "title": "the meeting title",
+    "date": "meeting date/time",
+    "organizer": "organizer name",
+    "attendeeCount": 5
+  }
+]
+
+Return [] if no meeting matches. Do NOT output anything before or after the JSON array.`;
+
+const RETRIEVAL_OUTPUT_FORMAT = `return ONLY a JSON object:
+{
+  "title": "the meeting title",
+  "date": "meeting date/time if available",
+  "participants": ["list", "of", "attendees"],
+  "content": "the FULL meeting notes, transcript and/or body, verbatim"
+}
+
+Do NOT summarize or shorten the content. If the meeting cannot be retrieved, return "content": "".
+Do NOT output anything before or after the JSON object.`;
+
+const candidateOutputSchema = z.object({
+    id: z.string().trim().min(1),
+    title: z.string().nullish(),
+    date: z.string().nullish(),
+    organizer: z.string().nullish(),
+    attendeeCount: z.number().nullish(),
+});
+
+const discoveryOutputSchema = z.array(candidateOutputSchema);
+
+const retrievalOutputSchema = z.object({
+    title: z.string().nullish(),
+    date: z.string().nullish(),
+    participants: z.array(z.string()).nullish(),
+    content: z.string(),
+});
+
+/**
+ * Candidates from the discovery reply. A reply that never validated keeps the
+ * entries that are valid on their own, and says so.
+ */
+function parseCandidates(
+    output: StructuredResult<z.infer<typeof discoveryOutputSchema>>,
+    warn: (msg: string) => void,
+): MeetingCandidate[] {
+    let entries: Array<z.infer<typeof candidateOutputSchema>>;
+    if (output.ok) {
+        entries = output.data;
+    } else {
+        entries = (Array.isArray(output.candidate) ? output.candidate : []).flatMap(c => {
+            const entry = candidateOutputSchema.safeParse(c);
+            return entry.success ? [entry.data] : [];
+        });
+        warn(`Meeting search response failed validation after ${output.repairs} repair attempt(s) (${output.error}) — ` +
+            (entries.length > 0 ? `kept ${entries.length} candidate(s) that could be read` : "no candidates could be read"));
+    }
+
+    const seen = new Set<string>();
+    const candidates: MeetingCandidate[] = [];
+    for (const c of entries) {
+        if (seen.has(c.id)) continue;
+        seen.add(c.id);
+        candidates.push({
+            id: c.id,
+            title: c.title || "Untitled meeting",
+            ...(c.date ? { date: c.date } : {}),
+            ...(c.organizer ? { organizer: c.organizer } : {}),
+            ...(typeof c.attendeeCount === "number" ? { attendeeCount: c.attendeeCount } : {}),
+        });
+    }
+    return candidates;
+}
+
+/**
+ * Meeting from the retrieval reply. A reply that never validated is used as
+ * the meeting content as a whole, and says so.
+ */
+function parseRetrievalResponse(
+    output: StructuredResult<z.infer<typeof retrievalOutputSchema>>,
+    fallbackInfo: MeetingInfo,
+    warn: (msg: string) => void,
+): RawMeeting {
+    if (!output.ok) {
+        const content = output.raw.trim();
+        if (content) {
+            warn(`Meeting retrieval response failed validation after ${output.repairs} repair attempt(s) (${output.error}) — using the whole reply as meeting content`);
+        }
+        return { info: fallbackInfo, content };
+    }
+    const parsed = output.data;
+    return {
+        info: {
+            title: parsed.title || fallbackInfo.title,
+            ...(parsed.date || fallbackInfo.date ? { date: parsed.date || fallbackInfo.date } : {}),
+            ...(parsed.participants?.length ? { participants: parsed.participants } : {}),
+        },
+        content: parsed.content.trim(),
+    };
+}
+
+function createWorkIQSession(client: MeetingSourceContext["client"], outputFormat: string, onLog: (message: string) => void) {
+    onLog(offline
+        ? `Initializing offline WorkIQ session (fixtures in ${WORKIQ_FIXTURES_DIR})...`
+        : "Initializing WorkIQ MCP session (npx @microsoft/workiq mcp)...");
+    console.log(`[meeting-sources] Creating ${offline ? "offline " : ""}WorkIQ MCP session...`);
+    return createAgentSession(client, {
+        model: "gpt-5.2-codex",
+        mcpServers: getWorkIQMcpConfig(),
+        workingDirectory: REPO_PATH,
+        systemMessage: { content: `${SYSTEM_RULES}\n\n## Output Format\n${outputFormat}` },
+        label: "workiq-meeting",
+        onLog,
+    });
+}
+
+/** Log, console and the caller's warning callback, so a fallback never goes unnoticed */
+function warner(onLog: (message: string) => void, onWarning?: (message: string) => void): (msg: string) => void {
+    return (msg) => {
+        console.warn(`[meeting-sources] ${msg}`);
+        onLog(`⚠ ${msg}`);
+        onWarning?.(msg);
+    };
+}
+
+function workIQError(err: unknown, onLog: (message: string) => void): Error {
+    console.error("[meeting-sources] WorkIQ MCP error:", err);
+    onLog(`❌ WorkIQ MCP error: ${err instanceof Error ? err.message : String(err)}`);
+    return new Error(
+        `Failed to connect to WorkIQ MCP Server: ${err instanceof Error ? err.message : String(err)}. ` +
+        (offline
+            ? `Check that ${WORKIQ_FIXTURES_DIR} exists and contains meeting fixtures.`
+            : `Make sure 'npx -y @microsoft/workiq mcp' works and you have authenticated.`)
+    );
+}
+
+export const workIQSource: MeetingSource = {
+    id: "workiq",
+    label: offline ? "Microsoft 365 (offline)" : "Microsoft 365",
+    description: offline ? "Find a fixture meeting with the offline WorkIQ stand-in" : "Find a Teams meeting on M365 with WorkIQ",
+    input: {
+        kind: "query",
+        placeholder: "Enter meeting name, e.g. Contoso Industries - Redesign",
+    },
+
+    validate(input) {
+        if (!input.meeting?.id) {
+            throw new Error("Select a meeting to extract requirements from");
+        }
+    },
+
+    async discover(input, { client, onLog, onWarning, onCandidate }) {
+        const query = input.query!.trim();
+        const range = input.from || input.to
+            ? `between ${input.from || "the earliest date"} and ${input.to || "today"} (inclusive)`
+            : "";
+        let candidates: MeetingCandidate[] = [];
+
+        try {
+            const session = await createWorkIQSession(client, DISCOVERY_OUTPUT_FORMAT, onLog);
+            onLog(`Session created. Searching for meetings matching "${query}"${range ? ` ${range}` : ""}...`);
+
+            let output;
+            try {
+                output = await sendStructured(session, `Search my Microsoft 365 calendar for meetings matching "${query}"${range ? ` held ${range}` : ""}.
+
+Step-by-step:
+1. Use the WorkIQ search/calendar tools with the full title: "${query}".
+2. Also try shorter variations or keywords from the title.
+3. If the meeting is part of a recurring series, list EACH occurrence as its own entry (its own identifier and date).
+4. Collect every plausible match with its identifier, title, date, organizer and number of attendees.${range ? `
+5. Only include meetings held ${range}.` : ""}
+
+Return the JSON array of candidate meetings. Do NOT pick one — list them all.
+
+IMPORTANT: Do NOT use glob, view, grep, read_file, or any filesystem tools. Only use WorkIQ/meeting/calendar tools.`, {
+                    schema: discoveryOutputSchema,
+                    timeoutMs: 180_000,
+                    label: "workiq-discovery",
+                    onLog,
+                });
+            } finally {
+                // Each session runs its own WorkIQ MCP server process
+                await session.destroy().catch(() => {});
+            }
+
+            console.log("[meeting-sources] WorkIQ discovery response:", output.raw.substring(0, 500));
+            candidates = parseCandidates(output, warner(onLog, onWarning));
+        } catch (err) {
+            throw workIQError(err, onLog);
+        }
+
+        for (const candidate of candidates) onCandidate(candidate);
+        onLog(candidates.length > 0
+            ? `✔ Found ${candidates.length} candidate meeting${candidates.length === 1 ? "" : "s"}`
+            : `⚠ No meetings found matching "${query}"`);
+        return candidates;
+    },
+
+    async load(input, { client, onLog, onWarning }) {
+        const meeting = input.meeting!;
+        const fallbackInfo: MeetingInfo = { title: meeting.title, ...(meeting.date ? { date: meeting.date } : {}) };
+        let raw: RawMeeting = { info: fallbackInfo, content: "" };
+
+        try {
+            const session = await createWorkIQSession(client, RETRIEVAL_OUTPUT_FORMAT, onLog);
+            onLog(`Session created. Retrieving meeting "${meeting.title}"...`);
+            console.log(`[meeting-sources] Retrieving WorkIQ meeting ${meeting.id}...`);
+
+            let output;
+            try {
+                output = await sendStructured(session, `Retrieve the Microsoft 365 meeting with identifier "${meeting.id}" (title: "${meeting.title}"${meeting.date ? `, date: ${meeting.date}` : ""}).
+
+Use the WorkIQ tools to fetch the full notes, transcript, or body content of EXACTLY this meeting.
+Do NOT substitute a different meeting, even if this one has no content.
+
+Return the JSON object with title, date, participants, and the full content.
+
+IMPORTANT: Do NOT use glob, view, grep, read_file, or any filesystem tools. Only use WorkIQ/meeting/calendar tools.`, {
+                    schema: retrievalOutputSchema,
+                    timeoutMs: 300_000,
+                    label: "workiq-retrieval",
+                    onLog,
+                });
+            } finally {
+                await session.destroy().catch(() => {});
+            }
+
+            console.log("[meeting-sources] WorkIQ response:", output.raw.substring(0, 500));
+            onLog(`Agent response received (${output.raw.length} chars)`);
+            raw = parseRetrievalResponse(output, fallbackInfo, warner(onLog, onWarning));
+        } catch (err) {
+            throw workIQError(err, onLog);
+        }
+
+        if (!raw.content) {
+            throw new Error(`Meeting '${meeting.title}' has no notes or transcript in M365.`);
+        }
+
+        onLog(`Meeting: "${raw.info.title}"`);
+        if (raw.info.participants?.length) {
+            onLog(`Participants: ${raw.info.participants.join(", ")}`);
+        }
+        return raw;
+    },
+};
@@ -0,0 +1,106 @@
+import { readFile, writeFile } from "fs/promises";
+import { z } from "zod";
+import { PARTICIPANTS_FILE } from "../config.js";
+import type { MeetingInfo } from "./gap-analyzer.js";
+import type { Requirement } from "./requirements.js";
+
+// ─── Participant directory ──────────────────────────────────────────────────
+// Maps meeting participants — as names, emails or logins — to GitHub users.
+// Stored as JSON in PARTICIPANTS_FILE and edited from the UI. Mapped people
+// are @-mentioned on the epic and assigned the issues they asked for.
+
+export interface Participant {
+    name: string;
+    emails?: string[];
+    /** GitHub login, without "@" */
+    login: string;
+}
+
+const participantSchema = z.object({
+    name: z.string().trim().min(1, "Name is required"),
+    emails: z.array(z.string().trim().toLowerCase().pipe(z.email("Not a valid email"))).optional(),
+    login: z.string().trim()
+        .regex(/^@?[A-Za-z0-9](?:[A-Za-z0-9-]{0,38})$/, "Not a valid GitHub login")
+        .transform(login => login.replace(/^@/, "")),
+});
+
+const directorySchema = z.array(participantSchema).superRefine((entries, ctx) => {
+    const seen = new Set<string>();
+    for (const entry of entries) {
+        const key = normalizeName(entry.name);
+        if (seen.has(key)) ctx.addIssue({ code: "custom", message: `${entry.name} is listed more than once` });
+        seen.add(key);
+    }
+});
+
+/** Case-, accent- and whitespace-insensitive form of a name */
+function normalizeName(name: string): string {
+    return name.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Load the directory. A missing file is an empty directory; an invalid one is
+ * logged and treated as empty so issue creation never depends on it.
+ */
+export async function loadParticipantDirectory(): Promise<Participant[]> {
+    let raw: string;
+    try {
+        raw = await readFile(PARTICIPANTS_FILE, "utf-8");
+    } catch {
+        return [];
+    }
+    try {
+        const parsed = directorySchema.safeParse(JSON.parse(raw));
+        if (parsed.success) return parsed.data;
+        console.warn(`[participant-directory] Ignoring ${PARTICIPANTS_FILE}: ${parsed.error.issues[0]?.message}`);
+    } catch (err) {
+        console.warn(`[participant-directory] Ignoring ${PARTICIPANTS_FILE}: ${err instanceof Error ? err.message : String(err)}`);
+    }
+    return [];
+}
+
+/**
+ * Validate and store the directory. Throws with a readable message when an
+ * entry is invalid.
+ */
+export async function saveParticipantDirectory(entries: unknown): Promise<Participant[]> {
+    const parsed = directorySchema.safeParse(entries);
+    if (!parsed.success) {
+        const issue = parsed.error.issues[0]!;
+        const where = typeof issue.path[0] === "number" ? `Entry ${issue.path[0] + 1}: ` : "";
+        throw new Error(`${where}${issue.message}`);
+    }
+    await writeFile(PARTICIPANTS_FILE, JSON.stringify(parsed.data, null, 2) + "\n");
+    console.log(`[participant-directory] Saved ${parsed.data.length} participants`);
+    return parsed.data;
+}
+
+/**
+ * GitHub login for a person as written in the meeting: "Alex Wilber",
+ * "alex@contoso.com", "Alex Wilber <alex@contoso.com>" or a login.
+ */
+export function findGithubLogin(directory: Participant[], person: string): string | undefined {
+    const emails = (person.match(/[^\s<>@]+@[^\s<>@]+\.[^\s<>@]+/g) ?? []).map(e => e.toLowerCase());
+    const name = normalizeName(person.replace(/<[^>]*>/g, "").replace(/^@/, ""));
+    const entry = directory.find(p => p.emails?.some(e => emails.includes(e)))
+        ?? directory.find(p => normalizeName(p.name) === name || p.login.toLowerCase() === name);
+    return entry?.login;
+}
+
+/** "Alex Wilber (@awilber)", or the name unchanged when it isn't mapped. */
+export function withMention(directory: Participant[], person: string): string {
+    const login = findGithubLogin(directory, person);
+    if (!login) return person;
+    return person.replace(/^@/, "").toLowerCase() === login.toLowerCase() ? `@${login}` : `${person} (@${login})`;
+}
+
+/** Logins of the meeting's participants and requesters, without duplicates. */
+export function stakeholderLogins(directory: Participant[], meetingInfo: MeetingInfo, requirements: Requirement[]): string[] {
+    const people = [...(meetingInfo.participants ?? []), ...requirements.flatMap(r => r.requestedBy ? [r.requestedBy] : [])];
+    const logins = new Map<string, string>();
+    for (const person of people) {
+        const login = findGithubLogin(directory, person);
+        if (login) logins.set(login.toLowerCase(), login);
+    }
+    return [...logins.values()];
+}
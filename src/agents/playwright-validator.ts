@@ -4,7 +4,12 @@ import { writeFile, unlink } from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
 import type { CopilotClient } from "@github/copilot-sdk";
+import { z } from "zod";
 import { createAgentSession } from "./session-helpers.js";
+import { sendStructured } from "./structured-output.js";
+import { isCancelled } from "./cancellation.js";
+import { formatRequirementForPrompt } from "./requirements.js";
+import type { Requirement } from "./requirements.js";
 
 const execAsync = promisify(exec);
 
@@ -14,6 +19,7 @@ const REPO_PATH = `/Users/${process.env.USER || "danielmeppiel"}/Repos/corporate
 
 interface ValidationResult {
     requirementIndex: number;
+    requirementId: string;
     requirement: string;
     passed: boolean;
     details: string;
@@ -21,14 +27,26 @@ interface ValidationResult {
 
 interface ValidateOptions {
     url: string;
-    requirements: string[];
+    requirements: Requirement[];
     client: CopilotClient;
     onProgress?: (current: number, total: number, message: string) => void;
     onResult?: (result: ValidationResult) => void;
     onStart?: (requirementIndex: number, requirement: string) => void;
+    /** Requirement whose evaluation was stopped, or never started, because of the signal */
+    onCancelled?: (requirementIndex: number) => void;
     onLog?: (message: string) => void;
+    /** Judge output that failed validation and was treated as FAIL */
+    onWarning?: (message: string) => void;
+    /** Stops the run: kills Playwright, destroys the judge sessions */
+    signal?: AbortSignal;
 }
 
+const judgeOutputSchema = z.object({
+    passed: z.boolean(),
+    decomposition: z.array(z.string()).min(1),
+    details: z.string().trim().min(1),
+});
+
 // ── Playwright Deep Audit ─────────────────────────────────────────────────────
 
 /**
@@ -612,10 +630,15 @@ function deterministicPreCheck(
 async function evaluateSingleRequirement(
     client: CopilotClient,
     audit: Record<string, unknown>,
-    requirement: string,
+    req: Requirement,
     reqIndex: number,
     log: (msg: string) => void,
+    warn: (msg: string) => void,
+    signal?: AbortSignal,
 ): Promise<ValidationResult> {
+    const requirement = req.text;
+    const requirementId = req.id;
+
     // ── Deterministic pre-check: catch obvious failures without AI ──
     const preCheck = deterministicPreCheck(audit, requirement);
     if (preCheck?.autoFail) {
@@ -623,6 +646,7 @@ async function evaluateSingleRequirement(
         log(`[Req ${reqIndex + 1}] ${preCheck.reason.substring(0, 200)}`);
         return {
             requirementIndex: reqIndex,
+            requirementId,
             requirement,
             passed: false,
             details: preCheck.reason,
@@ -677,6 +701,7 @@ Decompose to:
 4. **Privacy policy**: A "mandatory privacy policy checkbox" means an actual checkbox element in/near the form whose label text references "privacy" or "policy". hasPrivacyCheckbox in the evidence directly answers this. If it says false, there is NO such checkbox. No exceptions.
 
 5. **Text matching**: If exact text is specified (headlines, taglines), it must appear EXACTLY in the corresponding element. "Innovating for Tomorrow" in an <h1> is NOT the same as "Innovation for Tomorrow's World".
+   Exact text is compared in the language it is given in — NEVER translate either side. The requirement description may be in a different language than the site; the "Exact text" strings are what the site must show. "Automatización que trabaja tanto como tú" is NOT met by "Automation that works as hard as you do", and vice versa.
 
 6. **Dedicated pages**: A page that returns 200 but redirects to home (redirectedToHome: true) does NOT count as existing.
 
@@ -696,12 +721,12 @@ Return ONLY valid JSON (no markdown fences, no text before/after):
 }`,
         },
         label: `qa-req-${reqIndex + 1}`,
+        signal,
         onLog: (msg) => log(`[Req ${reqIndex + 1}] ${msg}`),
     });
 
     try {
-        const result = await session.sendAndWait({
-            prompt: `## EVIDENCE COLLECTED BY PLAYWRIGHT FROM THE LIVE DEPLOYED SITE
+        const output = await sendStructured(session, `## EVIDENCE COLLECTED BY PLAYWRIGHT FROM THE LIVE DEPLOYED SITE
 
 ${evidence}
 
@@ -709,43 +734,49 @@ ${evidence}
 
 ## THE ONE REQUIREMENT YOU MUST EVALUATE
 
-Requirement #${reqIndex + 1}: "${requirement}"
+Requirement #${reqIndex + 1}: ${formatRequirementForPrompt(req)}
 
-Decompose this requirement into every individual testable claim. Check each claim against the evidence. If ANY claim fails, the whole requirement FAILS. Return your judgment as JSON.`,
-        }, 120_000);
-
-        const content = result?.data?.content || '{}';
+Every acceptance criterion listed above is a testable claim in its own right.
+Decompose this requirement into every individual testable claim. Check each claim against the evidence. If ANY claim fails, the whole requirement FAILS. Return your judgment as JSON.`, {
+            schema: judgeOutputSchema,
+            timeoutMs: 120_000,
+            label: `qa-req-${reqIndex + 1}`,
+            signal,
+            onLog: (msg) => log(`[Req ${reqIndex + 1}] ${msg}`),
+        });
         await session.destroy();
 
-        try {
-            const jsonMatch = content.match(/\{[\s\S]*\}/);
-            const parsed = JSON.parse(jsonMatch?.[0] || '{}');
-
-            const decomp = parsed.decomposition;
-            const decompStr = Array.isArray(decomp) ? `\nDecomposition:\n${decomp.map((d: string) => `  • ${d}`).join('\n')}` : '';
-
-            return {
-                requirementIndex: reqIndex,
-                requirement,
-                passed: parsed.passed === true,
-                details: (parsed.details || 'No evaluation details') + decompStr,
-            };
-        } catch {
-            log(`[Req ${reqIndex + 1}] Failed to parse sub-agent response`);
-            log(`[Req ${reqIndex + 1}] Raw (first 400): ${content.substring(0, 400)}`);
+        if (!output.ok) {
+            const msg = `Req ${reqIndex + 1}: judge response failed validation after ${output.repairs} repair attempt(s) (${output.error}) — treating as FAIL`;
+            log(`[Req ${reqIndex + 1}] Raw (first 400): ${output.raw.substring(0, 400)}`);
+            log(`⚠ ${msg}`);
+            warn(msg);
             return {
                 requirementIndex: reqIndex,
+                requirementId,
                 requirement,
                 passed: false,
-                details: 'Sub-agent response could not be parsed — treating as FAIL',
+                details: 'Sub-agent response could not be validated — treating as FAIL',
             };
         }
+
+        const { passed, decomposition, details } = output.data;
+        return {
+            requirementIndex: reqIndex,
+            requirementId,
+            requirement,
+            passed,
+            details: `${details}\nDecomposition:\n${decomposition.map(d => `  • ${d}`).join('\n')}`,
+        };
     } catch (err) {
+        // Not a verdict — the caller reports the requirement as cancelled
+        if (isCancelled(err, signal)) throw err;
         const msg = err instanceof Error ? err.message : String(err);
         log(`[Req ${reqIndex + 1}] Sub-agent error: ${msg.substring(0, 200)}`);
         try { await session.destroy(); } catch { /* ignore */ }
         return {
             requirementIndex: reqIndex,
+            requirementId,
             requirement,
             passed: false,
             details: `Sub-agent error: ${msg.substring(0, 200)}`,
@@ -761,11 +792,14 @@ Decompose this requirement into every individual testable claim. Check each clai
 async function evaluateRequirementsParallel(
     client: CopilotClient,
     audit: Record<string, unknown>,
-    requirements: string[],
+    requirements: Requirement[],
     log: (msg: string) => void,
+    warn: (msg: string) => void,
     onResult: (result: ValidationResult) => void,
     onProgress: (current: number, total: number, message: string) => void,
     onStart: (requirementIndex: number, requirement: string) => void,
+    onCancelled: (requirementIndex: number) => void,
+    signal?: AbortSignal,
 ): Promise<ValidationResult[]> {
     const MAX_CONCURRENT = 4;
     const total = requirements.length;
@@ -780,18 +814,26 @@ async function evaluateRequirementsParallel(
 
     for (let w = 0; w < Math.min(MAX_CONCURRENT, total); w++) {
         workers.push((async () => {
-            while (queue.length > 0) {
+            while (queue.length > 0 && !signal?.aborted) {
                 const item = queue.shift();
                 if (!item) break;
                 const { req, i } = item;
 
-                log(`[Req ${i + 1}/${total}] Sub-agent starting: "${req.substring(0, 60)}..."`);
-                onStart(i, req);
-                const result = await evaluateSingleRequirement(client, audit, req, i, log);
+                log(`[Req ${i + 1}/${total}] Sub-agent starting: "${req.text.substring(0, 60)}..."`);
+                onStart(i, req.text);
+                let result: ValidationResult;
+                try {
+                    result = await evaluateSingleRequirement(client, audit, req, i, log, warn, signal);
+                } catch (err) {
+                    if (!isCancelled(err, signal)) throw err;
+                    log(`⏹ Req ${i + 1} cancelled`);
+                    onCancelled(i);
+                    continue;
+                }
                 results[i] = result;
                 completed++;
 
-                onProgress(completed, total, `${result.passed ? '✅' : '❌'} Req ${i + 1}: ${req.substring(0, 50)}...`);
+                onProgress(completed, total, `${result.passed ? '✅' : '❌'} Req ${i + 1}: ${req.text.substring(0, 50)}...`);
                 onResult(result);
                 log(`${result.passed ? '✅' : '❌'} Req ${i + 1} complete: ${result.passed ? 'PASS' : 'FAIL'} — ${result.details.substring(0, 120)}`);
             }
@@ -799,7 +841,12 @@ async function evaluateRequirementsParallel(
     }
 
     await Promise.all(workers);
-    return results;
+    if (signal?.aborted) {
+        queue.forEach(({ i }) => onCancelled(i));
+        log(`⏹ Validation cancelled — ${completed}/${total} requirements evaluated`);
+    }
+    // Cancelled requirements have no result
+    return results.filter(Boolean);
 }
 
 // ── Public API ────────────────────────────────────────────────────────────────
@@ -814,6 +861,15 @@ export async function validateDeployment(options: ValidateOptions): Promise<Vali
     const onResult = options.onResult ?? (() => {});
     const onStart = options.onStart ?? (() => {});
     const log = options.onLog ?? (() => {});
+    const warn = options.onWarning ?? (() => {});
+    const onCancelled = options.onCancelled ?? (() => {});
+    const signal = options.signal;
+    /** Every requirement reported as cancelled, no results */
+    const cancelAll = (): ValidationResult[] => {
+        options.requirements.forEach((_, i) => onCancelled(i));
+        log('⏹ Validation cancelled before the audit finished');
+        return [];
+    };
 
     const total = options.requirements.length;
     log(`Starting deep validation of ${total} requirements against ${options.url}`);
@@ -821,20 +877,23 @@ export async function validateDeployment(options: ValidateOptions): Promise<Vali
 
     // Ensure Playwright is available
     try {
-        await execAsync('npx playwright --version', { timeout: 30_000 });
+        await execAsync('npx playwright --version', { timeout: 30_000, signal });
         log('Playwright is available');
     } catch {
+        if (signal?.aborted) return cancelAll();
         log('Installing Playwright...');
         progress(0, total, 'Installing Playwright browsers...');
         try {
-            await execAsync('npx playwright install chromium', { timeout: 120_000 });
+            await execAsync('npx playwright install chromium', { timeout: 120_000, signal });
             log('Playwright chromium installed');
         } catch (installErr) {
+            if (isCancelled(installErr, signal)) return cancelAll();
             const msg = installErr instanceof Error ? installErr.message : String(installErr);
             log(`Failed to install Playwright: ${msg}`);
             return options.requirements.map((req, i) => ({
                 requirementIndex: i,
-                requirement: req,
+                requirementId: req.id,
+                requirement: req.text,
                 passed: false,
                 details: 'Playwright not installed. Run: npx playwright install chromium',
             }));
@@ -854,6 +913,7 @@ export async function validateDeployment(options: ValidateOptions): Promise<Vali
         const { stdout, stderr } = await execAsync(`node ${scriptPath}`, {
             cwd: PROJECT_ROOT,
             timeout: 240_000,
+            signal,
             maxBuffer: 20 * 1024 * 1024,
             env: { ...process.env, PLAYWRIGHT_BROWSERS_PATH: undefined },
         });
@@ -866,7 +926,7 @@ export async function validateDeployment(options: ValidateOptions): Promise<Vali
             log('Could not parse Playwright audit output');
             log(`stdout tail: ${stdout.slice(-400)}`);
             return options.requirements.map((req, i) => ({
-                requirementIndex: i, requirement: req, passed: false,
+                requirementIndex: i, requirementId: req.id, requirement: req.text, passed: false,
                 details: 'Playwright audit produced no parseable output',
             }));
         }
@@ -875,12 +935,13 @@ export async function validateDeployment(options: ValidateOptions): Promise<Vali
         audit = JSON.parse(json);
         log(`Phase 1 complete — collected ${Object.keys(audit).length} evidence categories`);
     } catch (error: unknown) {
+        if (isCancelled(error, signal)) return cancelAll();
         const execErr = error as { stderr?: string; stdout?: string; message?: string };
         const detail = execErr.stderr?.trim() || execErr.stdout?.trim() || (error instanceof Error ? error.message : String(error));
         const msg = detail.length > 400 ? '...' + detail.slice(-400) : detail;
         log(`Playwright audit error: ${msg}`);
         return options.requirements.map((req, i) => ({
-            requirementIndex: i, requirement: req, passed: false,
+            requirementIndex: i, requirementId: req.id, requirement: req.text, passed: false,
             details: `Audit error: ${msg.substring(0, 200)}`,
         }));
     } finally {
@@ -892,7 +953,7 @@ export async function validateDeployment(options: ValidateOptions): Promise<Vali
     log('Phase 2: Spawning dedicated sub-agent per requirement for adversarial evaluation...');
 
     const results = await evaluateRequirementsParallel(
-        options.client, audit, options.requirements, log, onResult, progress, onStart,
+        options.client, audit, options.requirements, log, warn, onResult, progress, onStart, onCancelled, signal,
     );
 
     const passed = results.filter(r => r.passed).length;
@@ -0,0 +1,333 @@
+import { exec } from "child_process";
+import { promisify } from "util";
+import { mkdir, readFile, writeFile } from "fs/promises";
+import path from "path";
+import { REPO_INDEX_DIR } from "../config.js";
+import { readText, walk } from "./repo-tools.js";
+import type { AnalysisMode } from "./gap-analyzer.js";
+
+const execAsync = promisify(exec);
+
+// ─── Repository index ───────────────────────────────────────────────────────
+// A map of the target repository — file tree, exported symbols, routes, pages,
+// styles and frameworks — built once per commit SHA before gap analysis and
+// given to every gap session, so parallel sessions don't each rediscover the
+// structure through tool calls. Cached as JSON in REPO_INDEX_DIR.
+
+export interface RepoIndex {
+    repoSlug: string;
+    sha: string;
+    builtAt: string;
+    /** Where the files were read: the local clone or the GitHub API */
+    source: "local" | "github";
+    /** Every file path, sorted (skips .git, node_modules and build output) */
+    files: string[];
+    /** GitHub returned a partial tree (very large repositories) */
+    truncated?: boolean;
+    /** HTML pages and page components of file-based routers */
+    pages: string[];
+    /** Server routes ("GET /api/items  src/server.ts") and file-based routes ("/about  pages/about.tsx") */
+    routes: string[];
+    /** Stylesheets */
+    styles: string[];
+    /** Frameworks and tooling detected from manifests and config files */
+    frameworks: string[];
+    /** Exported names per source file (only files that export something) */
+    symbols: Array<{ file: string; names: string[] }>;
+}
+
+interface IndexSource {
+    kind: RepoIndex["source"];
+    /** Commit the files belong to; undefined for a dirty or non-git working tree */
+    sha?: string;
+    /** Whether GitHub truncated the tree */
+    truncated?: boolean;
+    files: string[];
+    read(file: string): Promise<string | null>;
+}
+
+interface RepoIndexOptions {
+    owner: string;
+    repo: string;
+    repoPath: string;
+    /** "local" indexes the working tree at repoPath; "github" the default branch */
+    mode: AnalysisMode;
+    /** Kills git / gh and stops reading files */
+    signal?: AbortSignal;
+    onLog?: (message: string) => void;
+}
+
+const SOURCE_EXTENSIONS = /\.(?:[cm]?[jt]sx?|vue|svelte|astro|py)$/;
+const STYLE_EXTENSIONS = /\.(?:css|scss|sass|less|styl)$/;
+const SKIPPED_SOURCES = /(?:\.min\.js|\.d\.ts|\.(?:test|spec)\.[jt]sx?)$/;
+/** Source files read for symbols and routes; each costs an API call on GitHub */
+const MAX_SOURCE_FILES = { local: 400, github: 60 } as const;
+
+/** Dependency → label, checked in every package.json found */
+const PACKAGE_FRAMEWORKS: Record<string, string> = {
+    "next": "Next.js", "react": "React", "vue": "Vue", "nuxt": "Nuxt", "svelte": "Svelte",
+    "@sveltejs/kit": "SvelteKit", "@angular/core": "Angular", "astro": "Astro", "solid-js": "Solid",
+    "express": "Express", "fastify": "Fastify", "koa": "Koa", "@nestjs/core": "NestJS",
+    "tailwindcss": "Tailwind CSS", "bootstrap": "Bootstrap", "sass": "Sass", "styled-components": "styled-components",
+    "vite": "Vite", "webpack": "webpack", "@11ty/eleventy": "Eleventy", "gatsby": "Gatsby",
+    "typescript": "TypeScript", "jest": "Jest", "vitest": "Vitest", "@playwright/test": "Playwright",
+};
+
+/** File name pattern → label, for stacks without a package.json entry */
+const FILE_FRAMEWORKS: Array<[RegExp, string]> = [
+    [/(?:^|\/)requirements\.txt$|(?:^|\/)pyproject\.toml$/, "Python"],
+    [/(?:^|\/)manage\.py$/, "Django"],
+    [/(?:^|\/)go\.mod$/, "Go"],
+    [/(?:^|\/)Gemfile$/, "Ruby"],
+    [/(?:^|\/)Cargo\.toml$/, "Rust"],
+    [/(?:^|\/)_config\.yml$/, "Jekyll"],
+    [/(?:^|\/)hugo\.(?:toml|ya?ml)$/, "Hugo"],
+    [/(?:^|\/)Dockerfile$/, "Docker"],
+];
+
+/** sha of an index built from a working tree with uncommitted changes */
+export const WORKING_TREE = "working-tree";
+
+const building = new Map<string, Promise<RepoIndex>>();
+
+/**
+ * Index for the repository's current commit, from the cache when it was
+ * built before. A local working tree with uncommitted changes is indexed
+ * fresh every time and not cached.
+ */
+export async function getRepoIndex(options: RepoIndexOptions): Promise<RepoIndex> {
+    const log = options.onLog ?? (() => {});
+    const signal = options.signal;
+    const repoSlug = `${options.owner}/${options.repo}`;
+    const source = options.mode === "local"
+        ? await localSource(options.repoPath, signal)
+        : await githubSource(options.owner, options.repo, options.repoPath, signal);
+    signal?.throwIfAborted();
+
+    const sha = source.sha;
+    if (!sha) {
+        log(`Indexing ${repoSlug} (uncommitted changes — not cached)...`);
+        return buildIndex(repoSlug, WORKING_TREE, source, signal);
+    }
+
+    const file = indexPath(repoSlug, sha);
+    try {
+        const cached = JSON.parse(await readFile(file, "utf-8")) as RepoIndex;
+        log(`✔ Repository index for ${sha.substring(0, 7)} loaded from cache (${cached.files.length} files)`);
+        return cached;
+    } catch {
+        // Not built yet for this commit
+    }
+
+    const key = `${repoSlug}@${sha}`;
+    let pending = building.get(key);
+    if (!pending) {
+        log(`Indexing ${repoSlug} at ${sha.substring(0, 7)}...`);
+        pending = buildIndex(repoSlug, sha, source, signal).then(async index => {
+            await mkdir(path.dirname(file), { recursive: true });
+            await writeFile(file, JSON.stringify(index, null, 2));
+            console.log(`[repo-index] Cached ${repoSlug}@${sha} (${index.files.length} files, ${index.symbols.length} with exports)`);
+            return index;
+        }).finally(() => building.delete(key));
+        building.set(key, pending);
+    }
+    const index = await pending;
+    log(`✔ Repository index built: ${index.files.length} files, ${index.pages.length} pages, ${index.routes.length} routes`);
+    return index;
+}
+
+function indexPath(repoSlug: string, sha: string): string {
+    return path.join(REPO_INDEX_DIR, repoSlug.replace(/[^\w.-]+/g, "__"), `${sha}.json`);
+}
+
+// ─── Sources ────────────────────────────────────────────────────────────────
+
+/** HEAD of the clone, or undefined when the working tree has changes (or isn't a git repo) */
+async function cleanHead(repoPath: string, signal?: AbortSignal): Promise<string | undefined> {
+    try {
+        const { stdout: sha } = await execAsync(`git -C ${shellEscape(repoPath)} rev-parse HEAD`, { timeout: 10_000, signal });
+        const { stdout: status } = await execAsync(`git -C ${shellEscape(repoPath)} status --porcelain`, { timeout: 30_000, signal });
+        return status.trim() ? undefined : sha.trim();
+    } catch {
+        return undefined;
+    }
+}
+
+async function localSource(repoPath: string, signal?: AbortSignal): Promise<IndexSource> {
+    const files: string[] = [];
+    for await (const file of walk(repoPath, repoPath)) files.push(file.split(path.sep).join("/"));
+    return {
+        kind: "local",
+        sha: await cleanHead(repoPath, signal),
+        files: files.sort(),
+        read: file => readText(path.join(repoPath, file)).catch(() => null),
+    };
+}
+
+/**
+ * The default branch's head on GitHub. When the local clone is checked out
+ * at that commit with no changes, files are read from disk instead.
+ */
+async function githubSource(owner: string, repo: string, repoPath: string, signal?: AbortSignal): Promise<IndexSource> {
+    const env = { ...process.env, GITHUB_TOKEN: undefined, GH_PAGER: "cat" };
+    const { stdout: head } = await execAsync(`gh api repos/${owner}/${repo}/commits/HEAD --jq .sha`, { timeout: 30_000, env, signal });
+    const sha = head.trim();
+
+    if (await cleanHead(repoPath, signal) === sha) {
+        return { ...(await localSource(repoPath, signal)), kind: "local", sha };
+    }
+
+    const { stdout } = await execAsync(
+        `gh api "repos/${owner}/${repo}/git/trees/${sha}?recursive=1" --jq '{truncated, files: [.tree[] | select(.type == "blob") | .path]}'`,
+        { timeout: 60_000, env, signal, maxBuffer: 50 * 1024 * 1024 },
+    );
+    const tree = JSON.parse(stdout) as { truncated: boolean; files: string[] };
+    const skipped = /(?:^|\/)(?:node_modules|dist|build|coverage|\.next|\.cache)\//;
+    return {
+        kind: "github",
+        sha,
+        truncated: tree.truncated || undefined,
+        files: tree.files.filter(f => !skipped.test(f)).sort(),
+        read: async file => {
+            try {
+                const { stdout: text } = await execAsync(
+                    `gh api ${shellEscape(`repos/${owner}/${repo}/contents/${file.split("/").map(encodeURIComponent).join("/")}?ref=${sha}`)} -H "Accept: application/vnd.github.raw"`,
+                    { timeout: 30_000, env, signal, maxBuffer: 5 * 1024 * 1024 },
+                );
+                return text;
+            } catch {
+                return null;
+            }
+        },
+    };
+}
+
+// ─── Extraction ─────────────────────────────────────────────────────────────
+
+async function buildIndex(repoSlug: string, sha: string, source: IndexSource, signal?: AbortSignal): Promise<RepoIndex> {
+    const { files } = source;
+    const frameworks = new Set<string>();
+    for (const [pattern, label] of FILE_FRAMEWORKS) {
+        if (files.some(f => pattern.test(f))) frameworks.add(label);
+    }
+    for (const manifest of files.filter(f => /(?:^|\/)package\.json$/.test(f)).slice(0, 5)) {
+        try {
+            const pkg = JSON.parse(await source.read(manifest) ?? "{}") as Record<string, Record<string, string> | undefined>;
+            const deps = { ...pkg.dependencies, ...pkg.devDependencies };
+            for (const [name, label] of Object.entries(PACKAGE_FRAMEWORKS)) if (name in deps) frameworks.add(label);
+        } catch {
+            // Malformed manifest — skip it
+        }
+    }
+
+    const pages = files.filter(f => /\.html?$/.test(f) || pageRoute(f) !== undefined);
+    const routes = pages.flatMap(f => {
+        const route = pageRoute(f);
+        return route === undefined ? [] : [`${route}  ${f}`];
+    });
+
+    const symbols: RepoIndex["symbols"] = [];
+    const sources = files
+        .filter(f => SOURCE_EXTENSIONS.test(f) && !SKIPPED_SOURCES.test(f))
+        // Application code before scripts, config and tests
+        .sort((a, b) => sourceRank(a) - sourceRank(b))
+        .slice(0, MAX_SOURCE_FILES[source.kind]);
+    for (const file of sources) {
+        signal?.throwIfAborted();
+        const text = await source.read(file);
+        if (!text) continue;
+        const names = exportedNames(file, text);
+        if (names.length > 0) symbols.push({ file, names });
+        routes.push(...serverRoutes(text).map(route => `${route}  ${file}`));
+    }
+    symbols.sort((a, b) => a.file.localeCompare(b.file));
+
+    return {
+        repoSlug,
+        sha,
+        builtAt: new Date().toISOString(),
+        source: source.kind,
+        files,
+        ...(source.truncated ? { truncated: true } : {}),
+        pages,
+        routes,
+        styles: files.filter(f => STYLE_EXTENSIONS.test(f)),
+        frameworks: [...frameworks],
+        symbols,
+    };
+}
+
+function sourceRank(file: string): number {
+    if (/(?:^|\/)(?:tests?|__tests__|e2e|scripts?)\//.test(file) || /\.config\.[cm]?[jt]s$/.test(file)) return 2;
+    return /^(?:src|app|pages|lib|server|api|components)\//.test(file) ? 0 : 1;
+}
+
+/** Route of a page component in a file-based router (Next.js, Nuxt, SvelteKit, Astro) */
+function pageRoute(file: string): string | undefined {
+    const next = file.match(/^(?:src\/)?pages\/(.+)\.(?:[jt]sx?|vue|astro|md)$/);
+    if (next && !/(?:^|\/)_/.test(next[1]!) && !next[1]!.startsWith("api/")) {
+        return "/" + next[1]!.replace(/(?:^|\/)index$/, "");
+    }
+    const app = file.match(/^(?:src\/)?app\/(?:(.+)\/)?page\.[jt]sx?$/);
+    if (app) return "/" + (app[1] ?? "").replace(/\([^)]*\)\/?/g, "").replace(/\/$/, "");
+    const kit = file.match(/^src\/routes\/(?:(.+)\/)?\+page\.svelte$/);
+    if (kit) return "/" + (kit[1] ?? "");
+    return undefined;
+}
+
+/** "GET /api/items" for Express-style and Flask/FastAPI route definitions */
+function serverRoutes(text: string): string[] {
+    const routes = new Set<string>();
+    for (const m of text.matchAll(/\b(?:app|router|server)\.(get|post|put|patch|delete|all)\(\s*["'`]([^"'`]+)["'`]/g)) {
+        routes.add(`${m[1]!.toUpperCase()} ${m[2]}`);
+    }
+    for (const m of text.matchAll(/@(?:app|router|bp)\.(get|post|put|patch|delete|route)\(\s*["']([^"']+)["']/g)) {
+        routes.add(`${m[1] === "route" ? "ANY" : m[1]!.toUpperCase()} ${m[2]}`);
+    }
+    return [...routes];
+}
+
+function exportedNames(file: string, text: string): string[] {
+    const names = new Set<string>();
+    if (file.endsWith(".py")) {
+        for (const m of text.matchAll(/^(?:async\s+)?(?:def|class)\s+([A-Za-z]\w*)/gm)) names.add(m[1]!);
+        return [...names];
+    }
+    for (const m of text.matchAll(/^export\s+(?:default\s+)?(?:declare\s+)?(?:async\s+)?(?:function\*?|class|const|let|var|interface|type|enum)\s+([\w$]+)/gm)) {
+        names.add(m[1]!);
+    }
+    for (const m of text.matchAll(/^export\s*\{([^}]*)\}/gm)) {
+        for (const part of m[1]!.split(",")) {
+            const name = part.trim().split(/\s+as\s+/).pop()?.replace(/^type\s+/, "");
+            if (name) names.add(name);
+        }
+    }
+    if (/^export\s+default\b/m.test(text) && names.size === 0) names.add("default");
+    for (const m of text.matchAll(/module\.exports\.([\w$]+)\s*=|exports\.([\w$]+)\s*=/g)) names.add((m[1] ?? m[2])!);
+    return [...names];
+}
+
+// ─── Prompt context ─────────────────────────────────────────────────────────
+
+const MAX_PROMPT_FILES = 400;
+const MAX_PROMPT_SYMBOL_FILES = 150;
+
+/**
+ * The index as a prompt section. Long lists are cut, with a note saying how
+ * much was left out.
+ */
+export function formatRepoIndex(index: RepoIndex): string {
+    const list = (items: string[], max: number) => items.length <= max
+        ? items.join("\n")
+        : `${items.slice(0, max).join("\n")}\n… ${items.length - max} more`;
+    const section = (title: string, body: string) => (body ? `### ${title}\n${body}\n\n` : "");
+
+    return `## Repository map (${index.repoSlug} at ${index.sha.substring(0, 7)})
+Built from the ${index.source === "local" ? "local clone" : "GitHub tree"}. Use it to go straight to the relevant files instead of browsing the tree; read a file before describing what it contains.
+
+${section("Frameworks", index.frameworks.join(", "))}${section("Pages", list(index.pages, 100))}${section("Routes", list(index.routes, 100))}${section("Styles", list(index.styles, 60))}${section("Exports", list(index.symbols.map(s => `${s.file}: ${s.names.slice(0, 20).join(", ")}${s.names.length > 20 ? ", …" : ""}`), MAX_PROMPT_SYMBOL_FILES))}${section(`Files (${index.files.length}${index.truncated ? ", tree truncated by GitHub" : ""})`, list(index.files, MAX_PROMPT_FILES))}`.trimEnd();
+}
+
+function shellEscape(str: string): string {
+    return "'" + str.replace(/'/g, "'\\''") + "'";
+}
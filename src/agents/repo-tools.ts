@@ -0,0 +1,197 @@
+import { readdir, readFile, realpath, stat } from "fs/promises";
+import path from "path";
+import { defineTool } from "@github/copilot-sdk";
+import type { Tool } from "@github/copilot-sdk";
+import { z } from "zod";
+
+// ─── Read-only tools over a local checkout ──────────────────────────────────
+// Stand-in for the GitHub MCP server when gap analysis runs against a local
+// clone (private mirrors, unpushed branches, offline work). Every path is
+// resolved inside the clone; nothing can write, run commands or leave it.
+
+/** Directories never listed in searches: VCS data, dependencies, build output */
+const SKIPPED_DIRS = new Set([".git", "node_modules", "dist", "build", "coverage", ".next", ".cache"]);
+const MAX_FILE_BYTES = 512 * 1024;
+const MAX_READ_LINES = 400;
+
+export const REPO_TOOL_NAMES = ["list_directory", "find_files", "read_file", "search_code"] as const;
+
+/**
+ * Resolve a path the agent gave inside the clone, following symlinks.
+ * Throws for anything outside it.
+ */
+async function resolveInside(root: string, relative: string): Promise<string> {
+    const target = path.resolve(root, relative.replace(/^\/+/, ""));
+    const real = await realpath(target).catch(() => {
+        throw new Error(`No such file or directory: ${relative}`);
+    });
+    if (real !== root && !real.startsWith(root + path.sep)) throw new Error(`Outside the repository: ${relative}`);
+    return real;
+}
+
+/** Files under dir (relative to root), skipping SKIPPED_DIRS and symlinks */
+export async function* walk(root: string, dir: string): AsyncGenerator<string> {
+    const entries = await readdir(dir, { withFileTypes: true }).catch(() => []);
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!SKIPPED_DIRS.has(entry.name)) yield* walk(root, full);
+        } else if (entry.isFile()) {
+            yield path.relative(root, full);
+        }
+    }
+}
+
+/** "src/**\/*.ts" → RegExp over "/"-separated relative paths; a pattern without "/" matches file names anywhere */
+function globToRegExp(glob: string): RegExp {
+    const source = glob.replace(/^\.\//, "").split(/(\*\*\/?|\*|\?)/).map(part => {
+        if (part === "**/" || part === "**") return "(?:.*/)?" + (part === "**" ? ".*" : "");
+        if (part === "*") return "[^/]*";
+        if (part === "?") return "[^/]";
+        return part.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }).join("");
+    return new RegExp(glob.includes("/") ? `^${source}$` : `(?:^|/)${source}$`, "i");
+}
+
+/** Text content, or null for large and binary files */
+export async function readText(file: string): Promise<string | null> {
+    const info = await stat(file);
+    if (info.size > MAX_FILE_BYTES) return null;
+    const buffer = await readFile(file);
+    return buffer.subarray(0, 8000).includes(0) ? null : buffer.toString("utf-8");
+}
+
+const listArgs = z.object({ path: z.string().default(".") });
+const findArgs = z.object({ pattern: z.string().min(1), limit: z.number().int().positive().max(500).default(200) });
+const readArgs = z.object({
+    path: z.string().min(1),
+    startLine: z.number().int().positive().default(1),
+    endLine: z.number().int().positive().optional(),
+});
+const searchArgs = z.object({
+    query: z.string().min(1),
+    regex: z.boolean().default(false),
+    caseSensitive: z.boolean().default(false),
+    glob: z.string().optional(),
+    limit: z.number().int().positive().max(300).default(100),
+});
+
+/** Invalid arguments and missing files go back to the agent as text, not as tool failures */
+function safely<T>(schema: z.ZodType<T>, run: (args: T) => Promise<string>) {
+    return async (raw: unknown) => {
+        try {
+            return await run(schema.parse(raw ?? {}));
+        } catch (err) {
+            return err instanceof z.ZodError
+                ? `Invalid arguments: ${err.issues.map(i => `${i.path.join(".")}: ${i.message}`).join("; ")}`
+                : `Error: ${err instanceof Error ? err.message : String(err)}`;
+        }
+    };
+}
+
+/**
+ * Tools for one analysis session, scoped to the clone at repoPath. Pass their
+ * names (REPO_TOOL_NAMES) as the session's only available tools.
+ */
+export async function createRepoTools(repoPath: string): Promise<Tool<any>[]> {
+    const root = await realpath(repoPath);
+
+    return [
+        defineTool("list_directory", {
+            description: "List a directory of the repository. Directories end with \"/\". Paths are relative to the repository root.",
+            parameters: {
+                type: "object",
+                properties: { path: { type: "string", description: "Directory, e.g. \"src\" (default: repository root)" } },
+            },
+            handler: safely(listArgs, async ({ path: dir }) => {
+                const full = await resolveInside(root, dir);
+                const entries = await readdir(full, { withFileTypes: true });
+                const lines = entries
+                    .filter(e => e.name !== ".git")
+                    .sort((a, b) => Number(b.isDirectory()) - Number(a.isDirectory()) || a.name.localeCompare(b.name))
+                    .map(e => e.isDirectory() ? `${e.name}/` : e.name);
+                return lines.join("\n") || "(empty directory)";
+            }),
+        }),
+        defineTool("find_files", {
+            description: "Find files by glob pattern, e.g. \"**/*.css\" or \"src/pages/*.html\". A pattern without \"/\" matches file names anywhere. Skips .git, node_modules and build output.",
+            parameters: {
+                type: "object",
+                properties: {
+                    pattern: { type: "string", description: "Glob pattern" },
+                    limit: { type: "number", description: "Maximum number of results (default 200)" },
+                },
+                required: ["pattern"],
+            },
+            handler: safely(findArgs, async ({ pattern, limit }) => {
+                const matcher = globToRegExp(pattern);
+                const found: string[] = [];
+                for await (const file of walk(root, root)) {
+                    if (!matcher.test(file.split(path.sep).join("/"))) continue;
+                    found.push(file);
+                    if (found.length >= limit) break;
+                }
+                return found.join("\n") || `No files match ${pattern}`;
+            }),
+        }),
+        defineTool("read_file", {
+            description: `Read a text file with line numbers, at most ${MAX_READ_LINES} lines per call. Use startLine/endLine for longer files.`,
+            parameters: {
+                type: "object",
+                properties: {
+                    path: { type: "string", description: "File path relative to the repository root" },
+                    startLine: { type: "number", description: "First line, 1-based (default 1)" },
+                    endLine: { type: "number", description: "Last line, inclusive" },
+                },
+                required: ["path"],
+            },
+            handler: safely(readArgs, async ({ path: file, startLine, endLine }) => {
+                const text = await readText(await resolveInside(root, file));
+                if (text === null) return `${file} is binary or larger than ${MAX_FILE_BYTES / 1024} KB`;
+                const lines = text.split("\n");
+                const requested = Math.min(lines.length, endLine ?? lines.length);
+                const last = Math.min(requested, startLine + MAX_READ_LINES - 1);
+                const numbered = lines.slice(startLine - 1, last).map((line, i) => `${startLine + i}: ${line}`);
+                const more = last < requested ? `\n… ${requested - last} more lines (read from startLine ${last + 1})` : "";
+                return numbered.join("\n") + more;
+            }),
+        }),
+        defineTool("search_code", {
+            description: "Search file contents. Returns \"path:line: text\" for each match. Skips .git, node_modules, build output, binary and large files.",
+            parameters: {
+                type: "object",
+                properties: {
+                    query: { type: "string", description: "Text to find (or a regular expression with regex: true)" },
+                    regex: { type: "boolean", description: "Treat query as a regular expression" },
+                    caseSensitive: { type: "boolean", description: "Match case (default false)" },
+                    glob: { type: "string", description: "Only search files matching this glob, e.g. \"**/*.tsx\"" },
+                    limit: { type: "number", description: "Maximum number of matches (default 100)" },
+                },
+                required: ["query"],
+            },
+            handler: safely(searchArgs, async ({ query, regex, caseSensitive, glob, limit }) => {
+                const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+                const matcher = new RegExp(source, caseSensitive ? "" : "i");
+                const fileFilter = glob ? globToRegExp(glob) : null;
+                const matches: string[] = [];
+                for await (const file of walk(root, root)) {
+                    if (fileFilter && !fileFilter.test(file.split(path.sep).join("/"))) continue;
+                    const text = await readText(path.join(root, file)).catch(() => null);
+                    if (text === null) continue;
+                    const lines = text.split("\n");
+                    for (let i = 0; i < lines.length && matches.length < limit; i++) {
+                        if (matcher.test(lines[i]!)) matches.push(`${file}:${i + 1}: ${lines[i]!.trim().substring(0, 200)}`);
+                    }
+                    if (matches.length >= limit) break;
+                }
+                return matches.join("\n") || `No matches for ${query}`;
+            }),
+        }),
+    ];
+}
+
+/** Whether repoPath is an existing directory (local analysis needs a clone). */
+export async function isLocalCheckout(repoPath: string): Promise<boolean> {
+    return stat(repoPath).then(s => s.isDirectory(), () => false);
+}
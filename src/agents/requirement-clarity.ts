@@ -0,0 +1,270 @@
+import type { CopilotClient } from "@github/copilot-sdk";
+import { z } from "zod";
+import { createAgentSession } from "./session-helpers.js";
+import { sendStructured } from "./structured-output.js";
+import { formatRequirementForPrompt } from "./requirements.js";
+import type { Requirement, RequirementClarification } from "./requirements.js";
+
+// ─── Ambiguity detection & clarification ────────────────────────────────────
+// After extraction, a tool-less session scores how clear and testable each
+// requirement is and asks specific questions about the vague ones. Questions
+// are answered in the UI or as replies to a comment on the epic; a second
+// session then rewrites the requirement from the answers. Flagged requirements
+// block gap analysis until they are clarified or kept as is.
+
+/** Requirements scoring below this (0–100) are flagged for clarification. */
+export const CLARITY_THRESHOLD = 60;
+
+const MAX_QUESTIONS = 3;
+
+/** Marks the epic comment that carries the questions. */
+const QUESTIONS_MARKER = "<!-- meeting-2-code:clarifying-questions -->";
+
+export interface ClarifyingQuestion {
+    /** "REQ-3-Q1" — also the reply key on the epic comment */
+    id: string;
+    text: string;
+    answer?: string;
+    answeredBy?: string;
+}
+
+export interface ClarityReview {
+    requirementId: string;
+    /** 0 (unimplementable) – 100 (precise and testable) */
+    score: number;
+    /** What makes the requirement vague, e.g. "no measurable target" */
+    issues: string[];
+    questions: ClarifyingQuestion[];
+}
+
+interface ClarityOptions {
+    onLog?: (message: string) => void;
+    onWarning?: (message: string) => void;
+}
+
+const CLARITY_OUTPUT_FORMAT = `return ONLY a JSON object:
+{
+  "reviews": [
+    {
+      "id": "REQ-1",
+      "score": 35,
+      "issues": ["what makes it vague or untestable"],
+      "questions": ["specific question whose answer makes it testable"]
+    }
+  ]
+}
+
+- Review EVERY requirement exactly once.
+- "score": 0–100. 80+ means a developer could implement it and a tester could verify it as written. Below ${CLARITY_THRESHOLD} means it is ambiguous or untestable.
+- "issues" and "questions" may be empty for clear requirements. Requirements below ${CLARITY_THRESHOLD} need 1–${MAX_QUESTIONS} questions.
+Do NOT output anything before or after the JSON object.`;
+
+function clarityOutputSchema(ids: string[]) {
+    return z.object({
+        reviews: z.array(z.object({
+            id: z.enum(ids as [string, ...string[]]),
+            score: z.number().min(0).max(100),
+            issues: z.array(z.string().trim().min(1)),
+            questions: z.array(z.string().trim().min(1)).max(MAX_QUESTIONS),
+        })),
+    }).superRefine((output, ctx) => {
+        const reviewed = new Set(output.reviews.map(r => r.id));
+        const missing = ids.filter(id => !reviewed.has(id));
+        if (missing.length > 0) ctx.addIssue({ code: "custom", message: `Requirements not reviewed: ${missing.join(", ")}` });
+        for (const review of output.reviews) {
+            if (review.score < CLARITY_THRESHOLD && review.questions.length === 0) {
+                ctx.addIssue({ code: "custom", message: `${review.id} scores below ${CLARITY_THRESHOLD} but has no questions` });
+            }
+        }
+    });
+}
+
+const rewriteOutputSchema = z.object({
+    text: z.string().trim().min(1),
+    acceptanceCriteria: z.array(z.string().trim().min(1)).min(1),
+});
+
+/**
+ * Score every requirement and return reviews for the flagged ones. Never
+ * throws — a failed pass is reported as a warning and flags nothing.
+ */
+export async function reviewRequirementClarity(
+    client: CopilotClient,
+    requirements: Requirement[],
+    options: ClarityOptions = {},
+): Promise<ClarityReview[]> {
+    const log = options.onLog ?? (() => {});
+    const warn = options.onWarning ?? (() => {});
+    if (requirements.length === 0) return [];
+
+    log(`Scoring ${requirements.length} requirements for clarity...`);
+    console.log(`[requirement-clarity] Scoring ${requirements.length} requirements...`);
+
+    try {
+        const session = await createAgentSession(client, {
+            model: "gpt-5.2-codex",
+            mcpServers: {},
+            systemMessage: {
+                content: `You review requirements extracted from a meeting before a coding agent implements them and a browser test verifies them. Vague requirements ("make the site feel more modern") produce vague issues that cannot be implemented or verified.
+
+## Rules
+1. Use ONLY the requirements provided in the prompt. Do NOT call any tools.
+2. A requirement is clear when it names what changes, where, and how success is measured. Subjective words ("modern", "faster", "better", "clean") without a measurable target make it vague.
+3. Questions must be specific and answerable in one sentence by the person who asked for the requirement — offer concrete options where possible ("Which pages…?", "What load time…?").
+4. Do not ask about implementation details the coding agent can decide.
+
+## Output Format
+${CLARITY_OUTPUT_FORMAT}`,
+            },
+            label: "requirement-clarity",
+            onLog: log,
+        });
+
+        const list = requirements.map(r => `## ${r.id}\n${formatRequirementForPrompt(r)}`).join("\n\n");
+        let output;
+        try {
+            output = await sendStructured(session, `Score these requirements for clarity and testability:
+
+${list}
+
+Return the JSON object with the reviews array.`, {
+                schema: clarityOutputSchema(requirements.map(r => r.id)),
+                timeoutMs: 180_000,
+                label: "requirement-clarity",
+                onLog: log,
+            });
+        } finally {
+            await session.destroy().catch(() => {});
+        }
+
+        if (!output.ok) {
+            const msg = `Clarity check response failed validation after ${output.repairs} repair attempt(s) (${output.error}) — no requirements flagged`;
+            console.warn(`[requirement-clarity] ${msg}`);
+            log(`⚠ ${msg}`);
+            warn(msg);
+            return [];
+        }
+
+        const reviews = output.data.reviews
+            .filter(r => r.score < CLARITY_THRESHOLD)
+            .map((r): ClarityReview => ({
+                requirementId: r.id,
+                score: Math.round(r.score),
+                issues: r.issues,
+                questions: r.questions.map((text, i) => ({ id: `${r.id}-Q${i + 1}`, text })),
+            }));
+
+        log(reviews.length > 0
+            ? `✔ ${reviews.length} of ${requirements.length} requirements need clarification — answer their questions before analysis`
+            : "✔ All requirements are clear and testable");
+        return reviews;
+    } catch (err) {
+        const msg = `Clarity check failed: ${err instanceof Error ? err.message : String(err)}`;
+        console.error(`[requirement-clarity] ${msg}`);
+        log(`⚠ ${msg}`);
+        warn(msg);
+        return [];
+    }
+}
+
+/**
+ * Rewrite a flagged requirement into a testable one using the answers to its
+ * questions. Throws when no valid rewrite comes back.
+ */
+export async function rewriteRequirement(
+    client: CopilotClient,
+    requirement: Requirement,
+    clarifications: RequirementClarification[],
+    options: { onLog?: (message: string) => void } = {},
+): Promise<{ text: string; acceptanceCriteria: string[] }> {
+    const log = options.onLog ?? (() => {});
+    log(`Rewriting ${requirement.id} from ${clarifications.length} answer(s)...`);
+    console.log(`[requirement-clarity] Rewriting ${requirement.id}...`);
+
+    const session = await createAgentSession(client, {
+        model: "gpt-5.2-codex",
+        mcpServers: {},
+        systemMessage: {
+            content: `You rewrite a vague requirement into a specific, testable one using the stakeholders' answers to clarifying questions.
+
+## Rules
+1. Use ONLY the requirement and answers provided. Do NOT call any tools.
+2. Keep the stakeholder's intent; the answers decide anything the original left open.
+3. Acceptance criteria must be verifiable by looking at or interacting with the running application.
+
+## Output Format
+return ONLY a JSON object:
+{
+  "text": "specific, actionable requirement",
+  "acceptanceCriteria": ["verifiable condition 1", "verifiable condition 2"]
+}
+Do NOT output anything before or after the JSON object.`,
+        },
+        label: `clarify-${requirement.id}`,
+        onLog: log,
+    });
+
+    try {
+        const output = await sendStructured(session, `Rewrite this requirement:
+
+${formatRequirementForPrompt(requirement)}
+
+Answers to the clarifying questions:
+${clarifications.map(c => `- Q: ${c.question}\n  A: ${c.answer}`).join("\n")}
+
+Return the JSON object with text and acceptanceCriteria.`, {
+            schema: rewriteOutputSchema,
+            timeoutMs: 120_000,
+            label: `clarify-${requirement.id}`,
+            onLog: log,
+        });
+        if (!output.ok) {
+            throw new Error(`Rewrite response failed validation after ${output.repairs} repair attempt(s) (${output.error})`);
+        }
+        log(`✔ ${requirement.id} rewritten`);
+        return output.data;
+    } finally {
+        await session.destroy();
+    }
+}
+
+// ─── Questions on the epic ──────────────────────────────────────────────────
+
+/** Comment body listing every open question with its reply key. */
+export function formatClarifyingComment(reviews: ClarityReview[], requirements: Requirement[]): string {
+    const textOf = (id: string) => requirements.find(r => r.id === id)?.text ?? id;
+    const open = reviews.filter(r => r.questions.some(q => !q.answer));
+    return [
+        QUESTIONS_MARKER,
+        "### ❓ Clarifying questions",
+        "",
+        "These requirements are too vague to implement or test as written. Reply to this issue with one line per answer, starting with the question's key, e.g. `" + (open[0]?.questions[0]?.id ?? "REQ-1-Q1") + ": the home and pricing pages`.",
+        "",
+        ...open.flatMap(r => [
+            `**${r.requirementId}** — ${textOf(r.requirementId)}`,
+            ...r.questions.filter(q => !q.answer).map(q => `- \`${q.id}\` ${q.text}`),
+            "",
+        ]),
+    ].join("\n");
+}
+
+/**
+ * Find answers in epic comments: lines of the form "REQ-3-Q1: answer".
+ * The questions comment itself is skipped; later answers win.
+ */
+export function parseClarifyingAnswers(
+    comments: Array<{ author: string; body: string }>,
+    questionIds: string[],
+): Array<{ questionId: string; answer: string; author: string }> {
+    const byKey = new Map(questionIds.map(id => [id.toLowerCase(), id]));
+    const answers = new Map<string, { questionId: string; answer: string; author: string }>();
+    for (const comment of comments) {
+        if (comment.body.includes(QUESTIONS_MARKER)) continue;
+        for (const line of comment.body.split("\n")) {
+            const match = line.replace(/[*_`>]/g, "").trim().match(/^(?:[-•]\s*)?(\S+?)\s*[:\-–—]\s+(.+)$/);
+            const questionId = match && byKey.get(match[1]!.toLowerCase());
+            if (questionId) answers.set(questionId, { questionId, answer: match[2]!.trim(), author: comment.author });
+        }
+    }
+    return [...answers.values()];
+}
@@ -0,0 +1,226 @@
+import type { CopilotClient } from "@github/copilot-sdk";
+import { z } from "zod";
+import { createAgentSession } from "./session-helpers.js";
+import { sendStructured } from "./structured-output.js";
+import { normalizeRequirements, nextRequirementId, keepLiterals, requirementOutputSchema } from "./requirements.js";
+import type { Requirement } from "./requirements.js";
+
+// ─── Semantic deduplication ─────────────────────────────────────────────────
+// After extraction, a tool-less session groups near-duplicate requirements
+// (merge proposals) and flags requirements that bundle unrelated asks (split
+// proposals). Nothing is applied automatically: the user accepts or dismisses
+// each proposal in the selection list before gap analysis starts.
+
+export interface RequirementProposal {
+    /** "P1", "P2", … — unique within one extraction */
+    id: string;
+    kind: "merge" | "split";
+    /** Requirements the proposal replaces (≥ 2 for merge, 1 for split) */
+    requirementIds: string[];
+    /** Replacement requirements (1 for merge, ≥ 2 for split) */
+    requirements: Requirement[];
+    reason: string;
+}
+
+interface ProposeOptions {
+    onLog?: (message: string) => void;
+    onWarning?: (message: string) => void;
+}
+
+const DEDUP_OUTPUT_FORMAT = `return ONLY a JSON object:
+{
+  "proposals": [
+    {
+      "kind": "merge",
+      "requirementIds": ["REQ-2", "REQ-5"],
+      "reason": "one sentence: why these are the same ask",
+      "requirements": [
+        {
+          "text": "single requirement covering all merged ones",
+          "priority": "Must|Should|Could|Won't",
+          "category": "content|design|compliance|performance|feature",
+          "requestedBy": "participant who asked for it (omit if unknown)",
+          "acceptanceCriteria": ["union of the acceptance criteria"]
+        }
+      ]
+    },
+    {
+      "kind": "split",
+      "requirementIds": ["REQ-3"],
+      "reason": "one sentence: which unrelated asks it bundles",
+      "requirements": [ { "text": "first part", "...": "same fields as above" }, { "text": "second part", "...": "..." } ]
+    }
+  ]
+}
+
+- "merge": two or more requirements that ask for the same change, even when worded differently. Exactly one replacement requirement.
+- "split": ONE requirement that bundles independent changes that would be implemented and verified separately. Two or more replacement requirements.
+- A requirement id may appear in at most one proposal. Return "proposals": [] when nothing should change.
+Do NOT output anything before or after the JSON object.`;
+
+function proposalSchema(ids: string[]) {
+    const id = z.enum(ids as [string, ...string[]]);
+    const replacement = requirementOutputSchema.omit({ source: true });
+    return z.object({
+        proposals: z.array(z.discriminatedUnion("kind", [
+            z.object({
+                kind: z.literal("merge"),
+                requirementIds: z.array(id).min(2),
+                reason: z.string().trim().min(1),
+                requirements: z.array(replacement).length(1),
+            }),
+            z.object({
+                kind: z.literal("split"),
+                requirementIds: z.array(id).length(1),
+                reason: z.string().trim().min(1),
+                requirements: z.array(replacement).min(2),
+            }),
+        ])),
+    }).superRefine((output, ctx) => {
+        const seen = new Set<string>();
+        for (const proposal of output.proposals) {
+            for (const reqId of proposal.requirementIds) {
+                if (seen.has(reqId)) ctx.addIssue({ code: "custom", message: `${reqId} appears in more than one proposal` });
+                seen.add(reqId);
+            }
+        }
+    });
+}
+
+/**
+ * Ask an agent for merge/split proposals. Never throws — a failed pass is
+ * reported as a warning and yields no proposals.
+ */
+export async function proposeRequirementChanges(
+    client: CopilotClient,
+    requirements: Requirement[],
+    options: ProposeOptions = {},
+): Promise<RequirementProposal[]> {
+    const log = options.onLog ?? (() => {});
+    const warn = options.onWarning ?? (() => {});
+    if (requirements.length === 0) return [];
+
+    log(`Checking ${requirements.length} requirements for duplicates...`);
+    console.log(`[requirement-dedup] Checking ${requirements.length} requirements...`);
+
+    try {
+        const session = await createAgentSession(client, {
+            model: "gpt-5.2-codex",
+            mcpServers: {},
+            systemMessage: {
+                content: `You review a list of requirements extracted from a meeting before they are analyzed and turned into GitHub issues. Every requirement becomes its own gap analysis, issue and validation, so duplicates waste work and bundled requirements hide gaps.
+
+## Rules
+1. Use ONLY the requirements provided in the prompt. Do NOT call any tools.
+2. Only propose a merge when the requirements would be implemented by the same change.
+3. Only propose a split when the parts are independent. Do not split a requirement just because it has several acceptance criteria.
+4. Keep wording concrete and preserve every acceptance criterion.
+5. Exact text in quotes (headlines, taglines, labels) is copied character for character — never translated or reworded.
+
+## Output Format
+${DEDUP_OUTPUT_FORMAT}`,
+            },
+            label: "requirement-dedup",
+            onLog: log,
+        });
+
+        const list = requirements.map(r => `- ${r.id}: ${JSON.stringify({
+            text: r.text,
+            priority: r.priority,
+            category: r.category,
+            requestedBy: r.requestedBy,
+            acceptanceCriteria: r.acceptanceCriteria,
+            literals: r.literals,
+        })}`).join("\n");
+
+        let output;
+        try {
+            output = await sendStructured(session, `Review these requirements for duplicates and bundled asks:
+
+${list}
+
+Return the JSON object with the proposals array.`, {
+                schema: proposalSchema(requirements.map(r => r.id)),
+                timeoutMs: 180_000,
+                label: "requirement-dedup",
+                onLog: log,
+            });
+        } finally {
+            await session.destroy().catch(() => {});
+        }
+
+        if (!output.ok) {
+            const msg = `Duplicate check response failed validation after ${output.repairs} repair attempt(s) (${output.error}) — no merge/split proposals`;
+            console.warn(`[requirement-dedup] ${msg}`);
+            log(`⚠ ${msg}`);
+            warn(msg);
+            return [];
+        }
+
+        const byId = new Map(requirements.map(r => [r.id, r]));
+        const proposals = output.data.proposals.map((p, i): RequirementProposal => {
+            const originals = p.requirementIds.map(id => byId.get(id)!);
+            // Replacements inherit where the originals came from
+            const provenance = originals.find(r => r.provenance)?.provenance;
+            const original = originals.find(r => r.original)?.original;
+            const meetings = [...new Map(originals.flatMap(r => r.meetings ?? []).map(m => [`${m.title}|${m.date ?? ""}`, m])).values()];
+            const supersedes = originals.flatMap(r => r.supersedes ?? []);
+            return {
+                id: `P${i + 1}`,
+                kind: p.kind,
+                requirementIds: p.requirementIds,
+                reason: p.reason,
+                requirements: normalizeRequirements(p.requirements.map(({ originalText: _originalText, ...r }) => ({
+                    ...r,
+                    requestedBy: r.requestedBy || originals.find(o => o.requestedBy)?.requestedBy,
+                    // Exact text survives only where the replacement still quotes it
+                    literals: keepLiterals({ text: r.text, acceptanceCriteria: r.acceptanceCriteria }, originals.flatMap(o => o.literals ?? [])),
+                    ...(provenance ? { provenance } : {}),
+                    ...(original ? { original } : {}),
+                    ...(meetings.length > 0 ? { meetings } : {}),
+                    ...(supersedes.length > 0 ? { supersedes } : {}),
+                }))),
+            };
+        });
+
+        const merges = proposals.filter(p => p.kind === "merge").length;
+        log(proposals.length > 0
+            ? `✔ ${merges} merge and ${proposals.length - merges} split proposal(s) — confirm them before analysis`
+            : "✔ No duplicate or bundled requirements found");
+        return proposals;
+    } catch (err) {
+        const msg = `Duplicate check failed: ${err instanceof Error ? err.message : String(err)}`;
+        console.error(`[requirement-dedup] ${msg}`);
+        log(`⚠ ${msg}`);
+        warn(msg);
+        return [];
+    }
+}
+
+/**
+ * Apply an accepted proposal: the replacements take the position of the first
+ * replaced requirement and the first replacement keeps its id; further split
+ * parts get fresh ids.
+ */
+export function applyRequirementProposal(
+    requirements: Requirement[],
+    proposal: RequirementProposal,
+): { requirements: Requirement[]; ids: string[] } {
+    const replaced = new Set(proposal.requirementIds);
+    const position = requirements.findIndex(r => replaced.has(r.id));
+    if (position < 0 || proposal.requirementIds.some(id => !requirements.some(r => r.id === id))) {
+        throw new Error(`Proposal ${proposal.id} no longer matches the requirement list`);
+    }
+
+    const firstId = requirements[position]!.id;
+    const used = new Set(requirements.filter(r => !replaced.has(r.id)).map(r => r.id));
+    used.add(firstId);
+    const replacements = proposal.requirements.map((r, i) => ({ ...r, id: i === 0 ? firstId : nextRequirementId(used) }));
+
+    // Nothing before `position` is replaced, so it splits the kept list too
+    const kept = requirements.filter(r => !replaced.has(r.id));
+    return {
+        requirements: [...kept.slice(0, position), ...replacements, ...kept.slice(position)],
+        ids: replacements.map(r => r.id),
+    };
+}
@@ -0,0 +1,257 @@
+import type { CopilotClient } from "@github/copilot-sdk";
+import { z } from "zod";
+import { createAgentSession } from "./session-helpers.js";
+import { sendStructured } from "./structured-output.js";
+import { formatRequirementForPrompt, squashText } from "./requirements.js";
+import type { Requirement } from "./requirements.js";
+import type { RunSnapshot } from "./run-history.js";
+
+// ─── Change detection between runs ──────────────────────────────────────────
+// A follow-up meeting's requirements are matched against a saved run: each is
+// new, changed or unchanged, and previous requirements nobody matched are
+// dropped. Only new and changed requirements go to gap analysis; changed and
+// dropped ones are flagged on the previous run's issues.
+
+export type RequirementChangeStatus = "new" | "changed" | "unchanged" | "dropped";
+
+export interface RequirementChange {
+    status: RequirementChangeStatus;
+    /** Current requirement (absent for dropped) */
+    requirementId?: string;
+    /** Matching requirement of the previous run (absent for new) */
+    previousId?: string;
+    previousText?: string;
+    /** What changed, for "changed" */
+    change?: string;
+    /** Issue created for the previous requirement */
+    issue?: { number: number; url: string };
+}
+
+export interface RequirementDiff {
+    previousRunId: string;
+    previousTitle: string;
+    previousDate?: string;
+    /** Current requirements in list order, then dropped ones */
+    changes: RequirementChange[];
+}
+
+interface DiffOptions {
+    onLog?: (message: string) => void;
+    onWarning?: (message: string) => void;
+}
+
+const DIFF_OUTPUT_FORMAT = `return ONLY a JSON object:
+{
+  "matches": [
+    { "id": "REQ-1", "previousId": "REQ-4", "status": "unchanged" },
+    { "id": "REQ-2", "previousId": "REQ-1", "status": "changed", "change": "one sentence: what is different now" },
+    { "id": "REQ-3", "previousId": null, "status": "new" }
+  ]
+}
+
+- One entry for EVERY current requirement.
+- "previousId": the previous requirement asking for the same thing, or null. Each previous requirement matches at most one current requirement.
+- "unchanged": same ask, even if worded differently. "changed": same feature but the scope, target, wording that matters for implementation, or acceptance criteria differ. "new": no previous requirement matches.
+Do NOT output anything before or after the JSON object.`;
+
+function diffOutputSchema(currentIds: string[], previousIds: string[]) {
+    const previousId = previousIds.length > 0
+        ? z.enum(previousIds as [string, ...string[]]).nullable()
+        : z.null();
+    return z.object({
+        matches: z.array(z.object({
+            id: z.enum(currentIds as [string, ...string[]]),
+            previousId,
+            status: z.enum(["new", "changed", "unchanged"]),
+            change: z.string().trim().min(1).nullish(),
+        })),
+    }).superRefine((output, ctx) => {
+        const seen = new Set(output.matches.map(m => m.id));
+        const missing = currentIds.filter(id => !seen.has(id));
+        if (missing.length > 0) ctx.addIssue({ code: "custom", message: `Requirements not classified: ${missing.join(", ")}` });
+        const matched = new Set<string>();
+        for (const m of output.matches) {
+            if ((m.status === "new") !== (m.previousId === null)) {
+                ctx.addIssue({ code: "custom", message: `${m.id}: "new" requires previousId null, and only "new" may have it` });
+            }
+            if (m.status === "changed" && !m.change) ctx.addIssue({ code: "custom", message: `${m.id}: "changed" needs a "change" description` });
+            if (m.previousId) {
+                if (matched.has(m.previousId)) ctx.addIssue({ code: "custom", message: `${m.previousId} is matched more than once` });
+                matched.add(m.previousId);
+            }
+        }
+    });
+}
+
+/** Fallback: only requirements with identical text are matched. */
+function matchIdentical(previous: Requirement[], current: Requirement[]) {
+    const unmatched = new Map(previous.map(p => [squashText(p.text), p]));
+    return current.map(r => {
+        const match = unmatched.get(squashText(r.text));
+        if (!match) return { id: r.id, previousId: null, status: "new" as const };
+        unmatched.delete(squashText(r.text));
+        const same = JSON.stringify(match.acceptanceCriteria) === JSON.stringify(r.acceptanceCriteria) && match.priority === r.priority;
+        return same
+            ? { id: r.id, previousId: match.id, status: "unchanged" as const }
+            : { id: r.id, previousId: match.id, status: "changed" as const, change: "Priority or acceptance criteria changed" };
+    });
+}
+
+function buildDiff(
+    previous: RunSnapshot,
+    current: Requirement[],
+    matches: Array<{ id: string; previousId: string | null; status: "new" | "changed" | "unchanged"; change?: string | null }>,
+): RequirementDiff {
+    const byId = new Map(matches.map(m => [m.id, m]));
+    const previousById = new Map(previous.requirements.map(r => [r.id, r]));
+    const issueOf = (id: string) => {
+        const issue = previous.issues.find(i => i.requirementId === id);
+        return issue ? { number: issue.number, url: issue.url } : undefined;
+    };
+    const describe = (previousId: string) => {
+        const issue = issueOf(previousId);
+        return { previousId, previousText: previousById.get(previousId)?.text ?? previousId, ...(issue ? { issue } : {}) };
+    };
+
+    const changes: RequirementChange[] = current.map(r => {
+        const m = byId.get(r.id)!;
+        if (!m.previousId) return { status: "new", requirementId: r.id };
+        return {
+            status: m.status,
+            requirementId: r.id,
+            ...describe(m.previousId),
+            ...(m.status === "changed" && m.change ? { change: m.change } : {}),
+        };
+    });
+    const matched = new Set(matches.map(m => m.previousId).filter(Boolean));
+    for (const old of previous.requirements) {
+        if (!matched.has(old.id)) changes.push({ status: "dropped", ...describe(old.id) });
+    }
+
+    return {
+        previousRunId: previous.id,
+        previousTitle: previous.meetingInfo.title,
+        ...(previous.meetingInfo.date ? { previousDate: previous.meetingInfo.date } : {}),
+        changes,
+    };
+}
+
+/** "3 new, 2 changed, 4 unchanged, 1 dropped" */
+export function summarizeDiff(diff: RequirementDiff): string {
+    const count = (status: RequirementChangeStatus) => diff.changes.filter(c => c.status === status).length;
+    return (["new", "changed", "unchanged", "dropped"] as const).map(s => `${count(s)} ${s}`).join(", ");
+}
+
+/**
+ * Compare the current requirements with a saved run. Never throws — when the
+ * agent's answer never validates, only identical requirements are matched and
+ * a warning is raised.
+ */
+export async function diffRequirements(
+    client: CopilotClient,
+    previous: RunSnapshot,
+    current: Requirement[],
+    options: DiffOptions = {},
+): Promise<RequirementDiff> {
+    const log = options.onLog ?? (() => {});
+    const warn = options.onWarning ?? (() => {});
+    const fallback = (reason: string) => {
+        const msg = `${reason} — only identical requirements were matched`;
+        console.warn(`[requirement-diff] ${msg}`);
+        log(`⚠ ${msg}`);
+        warn(msg);
+        return buildDiff(previous, current, matchIdentical(previous.requirements, current));
+    };
+
+    log(`Comparing ${current.length} requirements with "${previous.meetingInfo.title}" (${previous.requirements.length} requirements)...`);
+    console.log(`[requirement-diff] Comparing with run ${previous.id}...`);
+    if (current.length === 0 || previous.requirements.length === 0) {
+        return buildDiff(previous, current, matchIdentical(previous.requirements, current));
+    }
+
+    let diff: RequirementDiff;
+    try {
+        const session = await createAgentSession(client, {
+            model: "gpt-5.2-codex",
+            mcpServers: {},
+            systemMessage: {
+                content: `You compare the requirements of a follow-up meeting with the requirements of an earlier run, so only new and changed work is analyzed again.
+
+## Rules
+1. Use ONLY the requirements provided in the prompt. Do NOT call any tools.
+2. Match requirements by what they ask for, not by their ids or wording.
+3. When in doubt between "changed" and "unchanged", choose "changed".
+
+## Output Format
+${DIFF_OUTPUT_FORMAT}`,
+            },
+            label: "requirement-diff",
+            onLog: log,
+        });
+
+        const list = (reqs: Requirement[]) => reqs.map(r => `### ${r.id}\n${formatRequirementForPrompt(r)}`).join("\n\n");
+        let output;
+        try {
+            output = await sendStructured(session, `## Previous run: ${previous.meetingInfo.title}${previous.meetingInfo.date ? ` (${previous.meetingInfo.date})` : ""}
+
+${list(previous.requirements)}
+
+## Current meeting
+
+${list(current)}
+
+Classify every current requirement. Return the JSON object with the matches array.`, {
+                schema: diffOutputSchema(current.map(r => r.id), previous.requirements.map(r => r.id)),
+                timeoutMs: 180_000,
+                label: "requirement-diff",
+                onLog: log,
+            });
+        } finally {
+            await session.destroy().catch(() => {});
+        }
+
+        diff = output.ok
+            ? buildDiff(previous, current, output.data.matches)
+            : fallback(`Change detection response failed validation after ${output.repairs} repair attempt(s) (${output.error})`);
+    } catch (err) {
+        diff = fallback(`Change detection failed: ${err instanceof Error ? err.message : String(err)}`);
+    }
+
+    log(`✔ Compared with the previous run: ${summarizeDiff(diff)}`);
+    return diff;
+}
+
+/**
+ * Keep a diff in line with requirement edits: requirements that were removed
+ * drop their previous match, edited unchanged ones become changed and added
+ * ones are new.
+ */
+export function reconcileDiff(diff: RequirementDiff, requirements: Requirement[], touchedIds: string[]): RequirementDiff {
+    const present = new Set(requirements.map(r => r.id));
+    const touched = new Set(touchedIds);
+    const byId = new Map<string, RequirementChange>();
+    const dropped: RequirementChange[] = [];
+
+    for (const change of diff.changes) {
+        if (change.status === "dropped") {
+            dropped.push(change);
+        } else if (!present.has(change.requirementId!)) {
+            if (change.previousId) {
+                const { requirementId: _id, change: _change, ...previous } = change;
+                dropped.push({ ...previous, status: "dropped" });
+            }
+        } else if (touched.has(change.requirementId!) && change.status === "unchanged") {
+            byId.set(change.requirementId!, { ...change, status: "changed", change: "Edited before analysis" });
+        } else {
+            byId.set(change.requirementId!, change);
+        }
+    }
+
+    return {
+        ...diff,
+        changes: [
+            ...requirements.map(r => byId.get(r.id) ?? { status: "new" as const, requirementId: r.id }),
+            ...dropped,
+        ],
+    };
+}
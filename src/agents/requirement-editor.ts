@@ -0,0 +1,164 @@
+import { z } from "zod";
+import { keepLiterals, nextRequirementId, REQUIREMENT_CATEGORIES, REQUIREMENT_PRIORITIES } from "./requirements.js";
+import type { Requirement } from "./requirements.js";
+
+// ─── Requirement editing (before gap analysis) ──────────────────────────────
+// Pure operations on the requirement list. Each returns the new list plus an
+// edit-log entry recording who changed what and why.
+
+export type RequirementEditAction = "add" | "edit" | "delete" | "split" | "merge" | "reorder";
+
+export interface RequirementEdit {
+    /** ISO timestamp */
+    at: string;
+    author: string;
+    reason: string;
+    action: RequirementEditAction;
+    /** Requirements the edit touched (before and after, e.g. a split's parts) */
+    requirementIds: string[];
+    /** Human-readable description, e.g. "REQ-3: changed text, priority" */
+    summary: string;
+}
+
+export interface EditResult {
+    requirements: Requirement[];
+    edit: RequirementEdit;
+}
+
+/** Who and why — required for every edit. */
+export const editMetaSchema = z.object({
+    author: z.string().trim().min(1, "Say who is making the edit"),
+    reason: z.string().trim().min(1, "Give a reason for the edit"),
+});
+
+export type EditMeta = z.infer<typeof editMetaSchema>;
+
+/** A requirement as typed by a user; omitted fields get defaults. */
+export const requirementDraftSchema = z.object({
+    text: z.string().trim().min(1, "Requirement text is required"),
+    priority: z.enum(REQUIREMENT_PRIORITIES).optional(),
+    category: z.enum(REQUIREMENT_CATEGORIES).optional(),
+    requestedBy: z.string().trim().optional(),
+    acceptanceCriteria: z.array(z.string().trim().min(1)).optional(),
+});
+
+export type RequirementDraft = z.infer<typeof requirementDraftSchema>;
+
+function makeEdit(meta: EditMeta, action: RequirementEditAction, requirementIds: string[], summary: string): RequirementEdit {
+    return { at: new Date().toISOString(), author: meta.author, reason: meta.reason, action, requirementIds, summary };
+}
+
+function findIndex(requirements: Requirement[], id: string): number {
+    const index = requirements.findIndex(r => r.id === id);
+    if (index < 0) throw new Error(`Unknown requirement: ${id}`);
+    return index;
+}
+
+function fromDraft(id: string, draft: RequirementDraft, base?: Requirement): Requirement {
+    const requestedBy = draft.requestedBy ?? base?.requestedBy;
+    const { literals: baseLiterals, ...rest } = base ?? {};
+    const acceptanceCriteria = draft.acceptanceCriteria ?? base?.acceptanceCriteria ?? [];
+    // Exact text is kept only while the requirement still quotes it
+    const literals = keepLiterals({ text: draft.text, acceptanceCriteria }, baseLiterals ?? []);
+    return {
+        ...rest,
+        id,
+        text: draft.text,
+        priority: draft.priority ?? base?.priority ?? "Should",
+        category: draft.category ?? base?.category ?? "feature",
+        ...(requestedBy ? { requestedBy } : {}),
+        acceptanceCriteria,
+        ...(literals.length > 0 ? { literals } : {}),
+    };
+}
+
+/** Insert a new requirement at `position` (default: end of the list). */
+export function addRequirement(
+    requirements: Requirement[],
+    draft: RequirementDraft,
+    position: number | undefined,
+    meta: EditMeta,
+): EditResult {
+    const id = nextRequirementId(new Set(requirements.map(r => r.id)));
+    const at = Math.max(0, Math.min(position ?? requirements.length, requirements.length));
+    const next = [...requirements];
+    next.splice(at, 0, fromDraft(id, draft));
+    return { requirements: next, edit: makeEdit(meta, "add", [id], `Added ${id}: ${draft.text}`) };
+}
+
+/** Change some fields of a requirement; provenance and series info are kept. */
+export function editRequirement(
+    requirements: Requirement[],
+    id: string,
+    changes: Partial<RequirementDraft>,
+    meta: EditMeta,
+): EditResult {
+    const index = findIndex(requirements, id);
+    const current = requirements[index]!;
+    const updated = fromDraft(id, { ...changes, text: changes.text ?? current.text }, current);
+    if (changes.requestedBy === "") delete updated.requestedBy;
+
+    const changed = (["text", "priority", "category", "requestedBy", "acceptanceCriteria"] as const)
+        .filter(field => JSON.stringify(updated[field]) !== JSON.stringify(current[field]));
+    if (changed.length === 0) throw new Error(`No changes to ${id}`);
+
+    const next = [...requirements];
+    next[index] = updated;
+    return { requirements: next, edit: makeEdit(meta, "edit", [id], `${id}: changed ${changed.join(", ")}`) };
+}
+
+export function deleteRequirement(requirements: Requirement[], id: string, meta: EditMeta): EditResult {
+    const index = findIndex(requirements, id);
+    return {
+        requirements: requirements.filter((_, i) => i !== index),
+        edit: makeEdit(meta, "delete", [id], `Removed ${id}: ${requirements[index]!.text}`),
+    };
+}
+
+/**
+ * Replace a requirement with two or more parts in its position. The first part
+ * keeps the id; every part inherits the original's provenance and metadata.
+ */
+export function splitRequirement(
+    requirements: Requirement[],
+    id: string,
+    parts: RequirementDraft[],
+    meta: EditMeta,
+): EditResult {
+    if (parts.length < 2) throw new Error("A split needs at least two parts");
+    const index = findIndex(requirements, id);
+    const original = requirements[index]!;
+    const used = new Set(requirements.map(r => r.id));
+    const replacements = parts.map((part, i) => fromDraft(i === 0 ? id : nextRequirementId(used), part, original));
+
+    const next = [...requirements];
+    next.splice(index, 1, ...replacements);
+    const ids = replacements.map(r => r.id);
+    return { requirements: next, edit: makeEdit(meta, "split", ids, `Split ${id} into ${ids.join(", ")}`) };
+}
+
+/** Reorder to match `ids`, which must list every requirement exactly once. */
+export function reorderRequirements(requirements: Requirement[], ids: string[], meta: EditMeta): EditResult {
+    const byId = new Map(requirements.map(r => [r.id, r]));
+    if (ids.length !== requirements.length || new Set(ids).size !== ids.length || ids.some(id => !byId.has(id))) {
+        throw new Error("The new order must list every requirement exactly once");
+    }
+    const moved = ids.filter((id, i) => requirements[i]!.id !== id);
+    return {
+        requirements: ids.map(id => byId.get(id)!),
+        edit: makeEdit(meta, "reorder", moved, `Reordered ${moved.length} requirement${moved.length === 1 ? "" : "s"}`),
+    };
+}
+
+/** Log entry for an accepted duplicate-check proposal (see requirement-dedup). */
+export function proposalEdit(
+    kind: "merge" | "split",
+    replacedIds: string[],
+    resultIds: string[],
+    meta: EditMeta,
+): RequirementEdit {
+    const summary = kind === "merge"
+        ? `Merged ${replacedIds.join(", ")} into ${resultIds.join(", ")}`
+        : `Split ${replacedIds.join(", ")} into ${resultIds.join(", ")}`;
+    return makeEdit(meta, kind, [...new Set([...replacedIds, ...resultIds])], summary);
+}
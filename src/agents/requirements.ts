@@ -0,0 +1,295 @@
+import { z } from "zod";
+
+// ─── Structured requirement model ───────────────────────────────────────────
+
+export const REQUIREMENT_PRIORITIES = ["Must", "Should", "Could", "Won't"] as const;
+
+export const REQUIREMENT_CATEGORIES = ["content", "design", "compliance", "performance", "feature"] as const;
+
+export type RequirementPriority = typeof REQUIREMENT_PRIORITIES[number];
+
+export type RequirementCategory = typeof REQUIREMENT_CATEGORIES[number];
+
+/** Where in the meeting a requirement came from. */
+export interface RequirementProvenance {
+    /** Verbatim excerpt from the transcript / notes */
+    quote: string;
+    speaker?: string;
+    /** Timestamp or offset as printed in the source, e.g. "00:14:32" */
+    timestamp?: string;
+    /** Whether the quote was found verbatim in the meeting content */
+    verified?: boolean;
+}
+
+/** A meeting of a series that mentioned a requirement. */
+export interface MeetingRef {
+    title: string;
+    date?: string;
+}
+
+/** A clarifying question about a vague requirement and its answer. */
+export interface RequirementClarification {
+    question: string;
+    answer: string;
+    /** Who answered (UI user or epic commenter) */
+    answeredBy?: string;
+}
+
+/** A requirement as worded in the meeting's language, when that isn't the working language. */
+export interface OriginalWording {
+    /** e.g. "Spanish" */
+    language: string;
+    text: string;
+}
+
+export interface Requirement {
+    /** Stable identifier, e.g. "REQ-3" */
+    id: string;
+    text: string;
+    /** MoSCoW priority */
+    priority: RequirementPriority;
+    category: RequirementCategory;
+    /** Participant who asked for it, if the meeting says so */
+    requestedBy?: string;
+    /** Verifiable conditions used by gap analysis, issues and validation */
+    acceptanceCriteria: string[];
+    provenance?: RequirementProvenance;
+    /** Meetings that mentioned it, oldest first (multi-meeting extraction) */
+    meetings?: MeetingRef[];
+    /** Earlier, contradicting decisions this requirement replaced */
+    supersedes?: Array<{ text: string; meeting?: MeetingRef }>;
+    /** Answers that turned a vague requirement into this testable one */
+    clarifications?: RequirementClarification[];
+    /** Wording in the meeting's language; `text` is normalized to the working language */
+    original?: OriginalWording;
+    /** Quoted strings (headlines, taglines, labels) that must ship exactly as written, untranslated */
+    literals?: string[];
+}
+
+/** JSON shape the extraction agent must produce for each requirement. */
+export const REQUIREMENT_OUTPUT_SHAPE = `{
+      "text": "specific, actionable requirement",
+      "priority": "Must|Should|Could|Won't",
+      "category": "content|design|compliance|performance|feature",
+      "requestedBy": "participant who asked for it (omit if unknown)",
+      "acceptanceCriteria": ["verifiable condition 1", "verifiable condition 2"],
+      "originalText": "the requirement in the meeting's language (omit when the meeting is in the working language)",
+      "literals": ["exact text to ship as-is — headline, tagline, button label — in its original language (omit if none)"],
+      "source": {
+        "quote": "verbatim excerpt the requirement comes from — copy it exactly",
+        "speaker": "who said it (omit if unknown)",
+        "timestamp": "timestamp or offset from the content, e.g. 00:14:32 (omit if none)"
+      }
+    }`;
+
+/** Schema for the "source" citation agents emit for requirements and meeting items. */
+export const sourceOutputSchema = z.object({
+    quote: z.string().trim().min(1),
+    speaker: z.string().nullish(),
+    timestamp: z.string().nullish(),
+});
+
+/** Schema for one requirement as emitted by an agent (REQUIREMENT_OUTPUT_SHAPE). */
+export const requirementOutputSchema = z.object({
+    text: z.string().trim().min(1),
+    priority: z.enum(REQUIREMENT_PRIORITIES),
+    category: z.enum(REQUIREMENT_CATEGORIES),
+    requestedBy: z.string().nullish(),
+    acceptanceCriteria: z.array(z.string()),
+    originalText: z.string().nullish(),
+    literals: z.array(z.string()).nullish(),
+    source: sourceOutputSchema.nullish(),
+});
+
+export function requirementId(index: number): string {
+    return `REQ-${index + 1}`;
+}
+
+/** Next free "REQ-n" id given the ids in use; the new id is added to `used`. */
+export function nextRequirementId(used: Set<string>): string {
+    let n = used.size;
+    while (used.has(requirementId(n))) n++;
+    const id = requirementId(n);
+    used.add(id);
+    return id;
+}
+
+function normalizePriority(value: unknown): RequirementPriority {
+    const v = String(value ?? "").toLowerCase().replace(/[^a-z']/g, "");
+    if (v.startsWith("must")) return "Must";
+    if (v.startsWith("could")) return "Could";
+    if (v.startsWith("won") || v.startsWith("willnot")) return "Won't";
+    return "Should";
+}
+
+/** Coerce an agent's "source" (or a stored provenance) into a RequirementProvenance. */
+export function normalizeProvenance(value: unknown): RequirementProvenance | undefined {
+    if (!value || typeof value !== "object") return undefined;
+    const v = value as Record<string, unknown>;
+    const str = (x: unknown) => (typeof x === "string" && x.trim() ? x.trim() : undefined);
+    const quote = str(v.quote);
+    if (!quote) return undefined;
+    const speaker = str(v.speaker);
+    const timestamp = str(v.timestamp);
+    return {
+        quote,
+        ...(speaker ? { speaker } : {}),
+        ...(timestamp ? { timestamp } : {}),
+        ...(typeof v.verified === "boolean" ? { verified: v.verified } : {}),
+    };
+}
+
+function normalizeMeetingRef(value: unknown): MeetingRef | undefined {
+    if (!value || typeof value !== "object") return undefined;
+    const v = value as Record<string, unknown>;
+    if (typeof v.title !== "string" || !v.title.trim()) return undefined;
+    return {
+        title: v.title.trim(),
+        ...(typeof v.date === "string" && v.date.trim() ? { date: v.date.trim() } : {}),
+    };
+}
+
+function normalizeSupersedes(value: unknown): Requirement["supersedes"] {
+    if (!Array.isArray(value)) return undefined;
+    const items = value.flatMap(v => {
+        if (!v || typeof v !== "object" || typeof v.text !== "string" || !v.text.trim()) return [];
+        const meeting = normalizeMeetingRef(v.meeting);
+        return [{ text: v.text.trim(), ...(meeting ? { meeting } : {}) }];
+    });
+    return items.length > 0 ? items : undefined;
+}
+
+function normalizeLiterals(value: unknown): string[] {
+    if (!Array.isArray(value)) return [];
+    const literals = value.filter((l): l is string => typeof l === "string" && l.trim().length > 0).map(l => l.trim());
+    return [...new Set(literals)];
+}
+
+/**
+ * Literals that still appear in a requirement's text or acceptance criteria —
+ * used when requirements are merged, split or edited.
+ */
+export function keepLiterals(req: Pick<Requirement, "text" | "acceptanceCriteria">, literals: string[]): string[] {
+    const haystack = [req.text, ...req.acceptanceCriteria].join("\n").toLowerCase();
+    return [...new Set(literals)].filter(l => haystack.includes(l.toLowerCase()));
+}
+
+/** "Spanish" vs "spanish (Spain)" — compares the language name only. */
+export function isSameLanguage(a: string, b: string): boolean {
+    const base = (l: string) => l.toLowerCase().replace(/\(.*\)/, "").trim();
+    return base(a) === base(b);
+}
+
+function normalizeCategory(value: unknown): RequirementCategory {
+    const v = String(value ?? "").toLowerCase().trim();
+    return REQUIREMENT_CATEGORIES.find(c => v.startsWith(c)) ?? "feature";
+}
+
+/**
+ * Coerce agent output (or client-supplied JSON) into Requirements.
+ * Plain strings are accepted so older outputs keep working; they get
+ * default priority "Should" and category "feature". Existing ids are kept;
+ * missing or duplicate ones are assigned from the item's position.
+ * Agents emit "originalText"; it is kept as the original wording only when
+ * `language` (the meeting's language, if not the working one) is given.
+ */
+export function normalizeRequirements(items: unknown[], language?: string): Requirement[] {
+    const requirements: Requirement[] = [];
+    const usedIds = new Set<string>();
+    for (const item of items) {
+        const raw = typeof item === "string" ? { text: item } : item;
+        if (!raw || typeof raw !== "object") continue;
+        const r = raw as Record<string, unknown>;
+        const text = typeof r.text === "string" ? r.text.trim() : "";
+        if (!text) continue;
+
+        const criteria = Array.isArray(r.acceptanceCriteria)
+            ? r.acceptanceCriteria.filter((c): c is string => typeof c === "string" && c.trim().length > 0).map(c => c.trim())
+            : [];
+        const requestedBy = typeof r.requestedBy === "string" && r.requestedBy.trim() ? r.requestedBy.trim() : undefined;
+        // Agents emit "source"; stored requirements use "provenance"
+        const provenance = normalizeProvenance(r.provenance ?? r.source);
+        const meetings = Array.isArray(r.meetings)
+            ? r.meetings.map(normalizeMeetingRef).filter((m): m is MeetingRef => !!m)
+            : [];
+        const supersedes = normalizeSupersedes(r.supersedes);
+        const literals = normalizeLiterals(r.literals);
+        const stored = r.original as Partial<OriginalWording> | undefined;
+        const original: OriginalWording | undefined =
+            stored && typeof stored.language === "string" && typeof stored.text === "string" && stored.text.trim()
+                ? { language: stored.language, text: stored.text.trim() }
+                : language && typeof r.originalText === "string" && r.originalText.trim() && r.originalText.trim() !== text
+                    ? { language, text: r.originalText.trim() }
+                    : undefined;
+
+        let id = typeof r.id === "string" && r.id.trim() ? r.id.trim() : requirementId(requirements.length);
+        for (let n = requirements.length; usedIds.has(id); n++) id = requirementId(n);
+        usedIds.add(id);
+
+        requirements.push({
+            id,
+            text,
+            priority: normalizePriority(r.priority),
+            category: normalizeCategory(r.category),
+            ...(requestedBy ? { requestedBy } : {}),
+            acceptanceCriteria: criteria,
+            ...(provenance ? { provenance } : {}),
+            ...(meetings.length > 0 ? { meetings } : {}),
+            ...(supersedes ? { supersedes } : {}),
+            ...(original ? { original } : {}),
+            ...(literals.length > 0 ? { literals } : {}),
+        });
+    }
+    return requirements;
+}
+
+/**
+ * Render a requirement for an agent prompt: text, metadata and acceptance criteria.
+ */
+export function formatRequirementForPrompt(req: Requirement): string {
+    const lines = [
+        `"${req.text}"`,
+        `Priority: ${req.priority} · Category: ${req.category}${req.requestedBy ? ` · Requested by: ${req.requestedBy}` : ""}`,
+    ];
+    if (req.literals?.length) {
+        lines.push(`Exact text (must appear character for character, never translated): ${req.literals.map(l => `"${l}"`).join(", ")}`);
+    }
+    if (req.acceptanceCriteria.length > 0) {
+        lines.push("Acceptance criteria:", ...req.acceptanceCriteria.map(c => `- ${c}`));
+    }
+    if (req.original) {
+        lines.push(`Originally (${req.original.language}): "${req.original.text}"`);
+    }
+    if (req.clarifications?.length) {
+        lines.push("Clarifications:", ...req.clarifications.map(c => `- Q: ${c.question} A: ${c.answer}`));
+    }
+    return lines.join("\n");
+}
+
+/** Lowercase with punctuation and whitespace collapsed, for comparing wording */
+export function squashText(text: string): string {
+    return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+}
+
+/**
+ * Mark each item's provenance as verified when its quote appears in the
+ * meeting content (ignoring case, punctuation and whitespace).
+ */
+export function verifyProvenance<T extends { provenance?: RequirementProvenance }>(items: T[], content: string): T[] {
+    const haystack = squashText(content);
+    return items.map(r => r.provenance
+        ? { ...r, provenance: { ...r.provenance, verified: haystack.includes(squashText(r.provenance.quote)) } }
+        : r);
+}
+
+/** "Weekly sync (2025-03-04)" */
+export function formatMeetingRef(m: MeetingRef): string {
+    return m.date ? `${m.title} (${m.date})` : m.title;
+}
+
+/** One-line citation: "“quote” — Speaker [00:14:32]" */
+export function formatProvenance(p: RequirementProvenance): string {
+    const who = p.speaker ? ` — ${p.speaker}` : "";
+    const when = p.timestamp ? ` [${p.timestamp}]` : "";
+    return `“${p.quote}”${who}${when}`;
+}
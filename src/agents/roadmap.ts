@@ -0,0 +1,155 @@
+import { z } from "zod";
+import type { GapItem } from "./gap-analyzer.js";
+import { formatEffort, normalizeEffort } from "./gap-effort.js";
+import type { GapEffort } from "./gap-effort.js";
+import { orderByDependencies } from "./gap-dependencies.js";
+
+// ─── Release roadmap ────────────────────────────────────────────────────────
+// Lays the selected gaps out over developers and agents by capacity: each gap,
+// dependencies first, goes to the lane of its kind that can finish it soonest,
+// and never starts before the gaps it depends on are done. A gap is planned at
+// the middle of its hours range; totals keep the whole range.
+
+export type LaneKind = "developer" | "agent";
+
+export interface RoadmapLane {
+    /** "developer-1", "agent-2" */
+    id: string;
+    kind: LaneKind;
+    name: string;
+    hoursPerDay: number;
+    /** Planned hours and the working day the lane is done */
+    hours: number;
+    days: number;
+}
+
+export interface RoadmapItem {
+    gapId: number;
+    requirementId: string;
+    requirement: string;
+    laneId: string;
+    /** Working days from the start, fractional */
+    startDay: number;
+    endDay: number;
+    effort: GapEffort;
+}
+
+export interface Roadmap {
+    generatedAt: string;
+    lanes: RoadmapLane[];
+    items: RoadmapItem[];
+    totals: {
+        gaps: number;
+        minHours: number;
+        maxHours: number;
+        storyPoints: number;
+        /** Working days until the last gap is done */
+        days: number;
+    };
+}
+
+export const roadmapRequestSchema = z.object({
+    selectedIds: z.array(z.number().int()).min(1, "Select at least one gap"),
+    developers: z.number().int().min(0).max(20).default(1),
+    agents: z.number().int().min(0).max(20).default(2),
+    developerHoursPerDay: z.number().positive().max(24).default(6),
+    agentHoursPerDay: z.number().positive().max(24).default(16),
+    /** Who implements which gap, by gap id; unassigned gaps go to whichever lane is free first */
+    assignments: z.record(z.string(), z.enum(["developer", "agent"])).default({}),
+    /** Put the effort summary on the epic; otherwise it's only a preview */
+    publish: z.boolean().default(false),
+}).refine(r => r.developers + r.agents > 0, { message: "Plan with at least one developer or agent" });
+
+export type RoadmapRequest = z.infer<typeof roadmapRequestSchema>;
+
+const round = (n: number) => Math.round(n * 10) / 10;
+
+/** The gap's normalized effort; gaps analyzed before it existed get one from their text */
+export function effortOf(gap: GapItem): GapEffort {
+    return gap.effort ?? normalizeEffort({ text: gap.estimatedEffort, complexity: gap.complexity });
+}
+
+export function planRoadmap(gaps: GapItem[], request: RoadmapRequest): Roadmap {
+    const lane = (kind: LaneKind, i: number): RoadmapLane => ({
+        id: `${kind}-${i + 1}`,
+        kind,
+        name: `${kind === "developer" ? "Developer" : "Agent"} ${i + 1}`,
+        hoursPerDay: kind === "developer" ? request.developerHoursPerDay : request.agentHoursPerDay,
+        hours: 0,
+        days: 0,
+    });
+    const lanes = [
+        ...Array.from({ length: request.developers }, (_, i) => lane("developer", i)),
+        ...Array.from({ length: request.agents }, (_, i) => lane("agent", i)),
+    ];
+
+    const items: RoadmapItem[] = [];
+    const endOf = new Map<number, number>();
+    for (const gap of orderByDependencies(gaps)) {
+        const effort = effortOf(gap);
+        const hours = (effort.minHours + effort.maxHours) / 2;
+        const ready = Math.max(0, ...(gap.dependsOn ?? []).map(d => endOf.get(d.id) ?? 0));
+        const wanted = request.assignments[gap.id];
+        // An assignment nobody can take (no developers, say) falls back to any lane
+        const candidates = lanes.some(l => l.kind === wanted) ? lanes.filter(l => l.kind === wanted) : lanes;
+        const finish = (l: RoadmapLane) => Math.max(l.days, ready) + hours / l.hoursPerDay;
+        const chosen = candidates.reduce((best, l) => finish(l) < finish(best) ? l : best);
+
+        const startDay = Math.max(chosen.days, ready);
+        const endDay = finish(chosen);
+        chosen.days = endDay;
+        chosen.hours += hours;
+        endOf.set(gap.id, endDay);
+        items.push({
+            gapId: gap.id,
+            requirementId: gap.requirementId,
+            requirement: gap.requirement,
+            laneId: chosen.id,
+            startDay: round(startDay),
+            endDay: round(endDay),
+            effort,
+        });
+    }
+
+    const efforts = items.map(i => i.effort);
+    return {
+        generatedAt: new Date().toISOString(),
+        lanes: lanes.map(l => ({ ...l, hours: round(l.hours), days: round(l.days) })),
+        items,
+        totals: {
+            gaps: items.length,
+            minHours: round(efforts.reduce((n, e) => n + e.minHours, 0)),
+            maxHours: round(efforts.reduce((n, e) => n + e.maxHours, 0)),
+            storyPoints: efforts.reduce((n, e) => n + e.storyPoints, 0),
+            days: round(Math.max(0, ...items.map(i => i.endDay))),
+        },
+    };
+}
+
+/** "### Effort" section of the epic: totals and the plan per lane */
+export function formatRoadmapSection(roadmap: Roadmap): string[] {
+    const { totals } = roadmap;
+    const busy = roadmap.lanes.filter(l => l.hours > 0);
+    const guessed = roadmap.items.filter(i => i.effort.source === "complexity").length;
+    const count = (kind: LaneKind, noun: string) => {
+        const n = roadmap.lanes.filter(l => l.kind === kind).length;
+        return n > 0 ? [`${n} ${noun}${n === 1 ? "" : "s"}`] : [];
+    };
+    return [
+        "### Effort",
+        "",
+        `**Total:** ${totals.minHours}–${totals.maxHours} hours · ${totals.storyPoints} story points · ${totals.gaps} gap${totals.gaps === 1 ? "" : "s"}`,
+        `**Roadmap:** about ${totals.days} working day${totals.days === 1 ? "" : "s"} with ${[...count("developer", "developer"), ...count("agent", "agent")].join(" and ")}`,
+        "",
+        "| Lane | Requirements | Planned hours | Done by day |",
+        "|------|--------------|--------------:|------------:|",
+        ...busy.map(l => {
+            const ids = roadmap.items.filter(i => i.laneId === l.id).map(i => i.requirementId).join(", ");
+            return `| ${l.name} | ${ids} | ${l.hours} | ${l.days} |`;
+        }),
+        "",
+        ...roadmap.items.map(i => `- **${i.requirementId}** ${i.requirement.replace(/\n/g, " ")} — ${formatEffort(i.effort)}`),
+        ...(guessed > 0 ? ["", `_${guessed} estimate(s) are guesses from complexity — the analysis gave no usable effort._`] : []),
+        "",
+    ];
+}
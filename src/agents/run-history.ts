@@ -0,0 +1,97 @@
+import { mkdir, readdir, readFile, rename, writeFile } from "fs/promises";
+import path from "path";
+import { RUNS_DIR } from "../config.js";
+import type { MeetingInfo } from "./gap-analyzer.js";
+import type { Requirement } from "./requirements.js";
+
+// ─── Run history ────────────────────────────────────────────────────────────
+// Each extraction is saved as a JSON snapshot in RUNS_DIR and kept up to date
+// as requirements are edited and issues are created. A follow-up meeting is
+// compared against a saved run (see requirement-diff) instead of starting over.
+
+export interface RunIssue {
+    requirementId: string;
+    number: number;
+    url: string;
+    title: string;
+}
+
+export interface RunSnapshot {
+    /** File name without extension, e.g. "2025-03-11T15-20-01-123Z" */
+    id: string;
+    savedAt: string;
+    repoSlug: string;
+    meetingInfo: MeetingInfo;
+    requirements: Requirement[];
+    epic?: { number: number; url: string };
+    /** Issues created for this run's requirements (carried over for unchanged ones) */
+    issues: RunIssue[];
+}
+
+export interface RunSummary {
+    id: string;
+    savedAt: string;
+    repoSlug: string;
+    title: string;
+    date?: string;
+    requirementCount: number;
+    epicNumber?: number;
+}
+
+export function newRunId(): string {
+    return new Date().toISOString().replace(/[:.]/g, "-");
+}
+
+function runPath(id: string): string {
+    // Ids come from the client when comparing — keep them inside RUNS_DIR
+    if (!/^[\w-]+$/.test(id)) throw new Error(`Invalid run id: ${id}`);
+    return path.join(RUNS_DIR, `${id}.json`);
+}
+
+/** Written to a temporary file and renamed, so a reader never sees half a snapshot */
+export async function saveRun(run: Omit<RunSnapshot, "savedAt">): Promise<void> {
+    await mkdir(RUNS_DIR, { recursive: true });
+    const file = runPath(run.id);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify({ ...run, savedAt: new Date().toISOString() }, null, 2));
+    await rename(tmp, file);
+}
+
+export async function loadRun(id: string): Promise<RunSnapshot> {
+    try {
+        return JSON.parse(await readFile(runPath(id), "utf-8")) as RunSnapshot;
+    } catch (err) {
+        if ((err as NodeJS.ErrnoException).code === "ENOENT") throw new Error(`Unknown run: ${id}`);
+        throw err;
+    }
+}
+
+/** Saved runs, newest first; optionally only those for one repository. */
+export async function listRuns(repoSlug?: string): Promise<RunSummary[]> {
+    let files: string[];
+    try {
+        files = (await readdir(RUNS_DIR)).filter(f => f.endsWith(".json"));
+    } catch {
+        return [];
+    }
+
+    const runs: RunSummary[] = [];
+    for (const file of files) {
+        try {
+            const run = JSON.parse(await readFile(path.join(RUNS_DIR, file), "utf-8")) as RunSnapshot;
+            if (repoSlug && run.repoSlug.toLowerCase() !== repoSlug.toLowerCase()) continue;
+            runs.push({
+                id: run.id,
+                savedAt: run.savedAt,
+                repoSlug: run.repoSlug,
+                title: run.meetingInfo.title,
+                ...(run.meetingInfo.date ? { date: run.meetingInfo.date } : {}),
+                requirementCount: run.requirements.length,
+                ...(run.epic && run.epic.number > 0 ? { epicNumber: run.epic.number } : {}),
+            });
+        } catch (err) {
+            console.warn(`[run-history] Skipping ${file}: ${err instanceof Error ? err.message : String(err)}`);
+        }
+    }
+    return runs.sort((a, b) => b.id.localeCompare(a.id));
+}
@@ -1,8 +1,10 @@
-import type { CopilotClient, MCPLocalServerConfig, MCPRemoteServerConfig } from "@github/copilot-sdk";
+import type { CopilotClient, MCPLocalServerConfig, MCPRemoteServerConfig, Tool } from "@github/copilot-sdk";
 
 /**
  * Creates a session with auto-approved permissions and tool-call logging.
  * Without onPermissionRequest, MCP tool calls may be silently blocked.
+ * When `signal` fires, the session's current turn is aborted and the session
+ * destroyed.
  */
 export async function createAgentSession(
     client: CopilotClient,
@@ -12,17 +14,25 @@ export async function createAgentSession(
         systemMessage: { content: string };
         label: string;
         workingDirectory?: string;
+        /** In-process tools, e.g. read-only access to a local checkout */
+        tools?: Tool<any>[];
+        /** Restrict the session to these tools (built-in shell and edit tools included) */
+        availableTools?: string[];
+        signal?: AbortSignal;
         onLog?: (message: string) => void;
     },
 ) {
     const log = options.onLog ?? (() => {});
     const label = options.label;
+    options.signal?.throwIfAborted();
 
     const session = await client.createSession({
         model: options.model,
         mcpServers: options.mcpServers,
         systemMessage: options.systemMessage,
         ...(options.workingDirectory ? { workingDirectory: options.workingDirectory } : {}),
+        ...(options.tools ? { tools: options.tools } : {}),
+        ...(options.availableTools ? { availableTools: options.availableTools } : {}),
         onPermissionRequest: async (req) => {
             console.log(`[${label}] Permission requested: ${req.kind}`, JSON.stringify(req).substring(0, 200));
             log(`Permission auto-approved: ${req.kind}`);
@@ -42,6 +52,16 @@ export async function createAgentSession(
         },
     });
 
+    const signal = options.signal;
+    if (signal) {
+        const stop = () => {
+            console.log(`[${label}] Cancelled — aborting session`);
+            session.abort().catch(() => {}).finally(() => session.destroy().catch(() => {}));
+        };
+        if (signal.aborted) stop();
+        else signal.addEventListener("abort", stop, { once: true });
+    }
+
     // Log all events for debugging  
     session.on((event: { type: string; data?: unknown }) => {
         if (event.type.startsWith("tool.")) {
@@ -0,0 +1,129 @@
+import type { CopilotSession } from "@github/copilot-sdk";
+import type { z } from "zod";
+import { untilAborted } from "./cancellation.js";
+
+// ─── Schema-validated agent output ──────────────────────────────────────────
+// Agents are asked for JSON; this layer finds the JSON in the reply, checks it
+// against a zod schema and, when it doesn't match, sends the validation errors
+// back to the same session and re-asks a bounded number of times. Callers
+// decide on a fallback when `ok` is false and must surface it as a warning.
+
+export const DEFAULT_MAX_REPAIRS = 2;
+
+export type ParsedOutput<T> =
+    | { ok: true; data: T }
+    /** `candidate` is the first JSON value found in the reply, if any */
+    | { ok: false; error: string; candidate: unknown };
+
+export type StructuredResult<T> = ParsedOutput<T> & {
+    /** Text of the last reply */
+    raw: string;
+    /** Number of repair prompts that were sent */
+    repairs: number;
+};
+
+/**
+ * Yield every complete JSON object/array in `text`, in order of appearance.
+ * Handles code fences and chatter around the JSON; brackets inside strings
+ * are ignored.
+ */
+function* jsonCandidates(text: string): Generator<unknown> {
+    for (let start = 0; start < text.length; start++) {
+        if (text[start] !== "{" && text[start] !== "[") continue;
+        let depth = 0;
+        let inString = false;
+        let escaped = false;
+        for (let i = start; i < text.length; i++) {
+            const ch = text[i];
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (ch === "\\") escaped = true;
+                else if (ch === '"') inString = false;
+                continue;
+            }
+            if (ch === '"') inString = true;
+            else if (ch === "{" || ch === "[") depth++;
+            else if (ch === "}" || ch === "]") {
+                if (--depth > 0) continue;
+                try {
+                    yield JSON.parse(text.slice(start, i + 1));
+                    start = i;
+                } catch {
+                    // Not valid JSON from this bracket — try the next one
+                }
+                break;
+            }
+        }
+    }
+}
+
+function formatIssues(error: z.ZodError): string {
+    return error.issues
+        .slice(0, 10)
+        .map(issue => `${issue.path.length ? issue.path.join(".") : "(root)"}: ${issue.message}`)
+        .join("; ");
+}
+
+/**
+ * Validate the first JSON value in `text` that matches `schema`.
+ * On failure the error describes why the first JSON value was rejected.
+ */
+export function parseStructured<T>(text: string, schema: z.ZodType<T>): ParsedOutput<T> {
+    let first: { candidate: unknown; error: string } | undefined;
+    for (const candidate of jsonCandidates(text)) {
+        const result = schema.safeParse(candidate);
+        if (result.success) return { ok: true, data: result.data };
+        first ??= { candidate, error: formatIssues(result.error) };
+    }
+    return first
+        ? { ok: false, ...first }
+        : { ok: false, error: "No JSON value found in the response", candidate: undefined };
+}
+
+interface SendStructuredOptions<T> {
+    schema: z.ZodType<T>;
+    /** Timeout per message, including each repair prompt */
+    timeoutMs: number;
+    /** Used in log lines, e.g. "gap-3" */
+    label: string;
+    maxRepairs?: number;
+    /** Stops waiting for the reply (the session itself is stopped by createAgentSession) */
+    signal?: AbortSignal;
+    onLog?: (message: string) => void;
+}
+
+/**
+ * Send `prompt` and validate the reply against `options.schema`, re-asking the
+ * session with the validation errors up to `maxRepairs` times.
+ */
+export async function sendStructured<T>(
+    session: CopilotSession,
+    prompt: string,
+    options: SendStructuredOptions<T>,
+): Promise<StructuredResult<T>> {
+    const log = options.onLog ?? (() => {});
+    const maxRepairs = options.maxRepairs ?? DEFAULT_MAX_REPAIRS;
+
+    let raw = (await untilAborted(session.sendAndWait({ prompt }, options.timeoutMs), options.signal))?.data?.content || "";
+    let parsed = parseStructured(raw, options.schema);
+    let repairs = 0;
+
+    while (!parsed.ok && repairs < maxRepairs) {
+        repairs++;
+        console.warn(`[structured-output] ${options.label}: invalid response (${parsed.error}) — repair ${repairs}/${maxRepairs}`);
+        log(`⚠ Response did not match the expected format — asking for a corrected answer (${repairs}/${maxRepairs})`);
+
+        raw = (await untilAborted(session.sendAndWait({
+            prompt: `Your previous response could not be used: it does not match the required JSON format.
+
+Validation errors:
+${parsed.error}
+
+Reply again with ONLY the corrected JSON, following the output format from your instructions exactly. Keep the same content; fix only the format. No markdown fences, no text before or after the JSON.`,
+        }, options.timeoutMs), options.signal))?.data?.content || "";
+        parsed = parseStructured(raw, options.schema);
+    }
+
+    if (parsed.ok && repairs > 0) log(`✔ Corrected response accepted after ${repairs} repair${repairs === 1 ? "" : "s"}`);
+    return { ...parsed, raw, repairs };
+}
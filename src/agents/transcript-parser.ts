@@ -0,0 +1,176 @@
+// ─── Meeting transcript parsing (WebVTT, SRT, plain text, Markdown) ─────────
+
+export type TranscriptFormat = "vtt" | "srt" | "txt" | "md";
+
+export interface TranscriptSegment {
+    speaker?: string;
+    /** Start offset as printed in the source file, e.g. "00:04:12" */
+    start?: string;
+    text: string;
+}
+
+export interface ParsedTranscript {
+    format: TranscriptFormat;
+    title: string;
+    segments: TranscriptSegment[];
+    /** Normalized transcript text sent to the extraction agent */
+    text: string;
+}
+
+/** Max transcript size accepted for upload (characters). */
+export const MAX_TRANSCRIPT_CHARS = 500_000;
+
+const EXTENSION_FORMATS: Record<string, TranscriptFormat> = {
+    vtt: "vtt",
+    srt: "srt",
+    txt: "txt",
+    text: "txt",
+    md: "md",
+    markdown: "md",
+};
+
+const TIMING_LINE = /^(\d{1,2}:)?\d{1,2}:\d{2}[.,]\d{1,3}\s*-->\s*(\d{1,2}:)?\d{1,2}:\d{2}[.,]\d{1,3}/;
+const SPEAKER_PREFIX = /^([A-Z][\w.'-]*(?:\s+[A-Z][\w.'-]*){0,3})\s*:\s+(.+)$/;
+
+/**
+ * Detect the transcript format from the file extension, falling back to
+ * content sniffing when the extension is missing or unknown.
+ */
+export function detectTranscriptFormat(fileName: string, content: string): TranscriptFormat {
+    const ext = fileName.includes(".") ? fileName.split(".").pop()!.toLowerCase() : "";
+    const byExt = EXTENSION_FORMATS[ext];
+    if (byExt) return byExt;
+
+    const head = content.trimStart().substring(0, 500);
+    if (head.startsWith("WEBVTT")) return "vtt";
+    if (/^\d+\s*\r?\n\s*\d{2}:\d{2}:\d{2},\d{3}\s*-->/.test(head)) return "srt";
+    if (/^#\s+\S/m.test(head)) return "md";
+    return "txt";
+}
+
+/**
+ * Parse an uploaded transcript into speaker-attributed segments plus a
+ * normalized text rendering ("[00:04:12] Alice: ...") for the extraction agent.
+ * Throws if the file is empty, too large, or yields no text.
+ */
+export function parseTranscript(fileName: string, content: string): ParsedTranscript {
+    if (!content || !content.trim()) {
+        throw new Error("Transcript file is empty");
+    }
+    if (content.length > MAX_TRANSCRIPT_CHARS) {
+        throw new Error(`Transcript is too large (${content.length} chars, max ${MAX_TRANSCRIPT_CHARS})`);
+    }
+
+    const normalized = content.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+    const format = detectTranscriptFormat(fileName, normalized);
+
+    const segments = format === "vtt" || format === "srt"
+        ? parseCues(normalized, format)
+        : parseLines(normalized);
+
+    if (segments.length === 0) {
+        throw new Error(`No transcript text found in ${fileName}`);
+    }
+
+    return {
+        format,
+        title: deriveTitle(fileName, normalized, format),
+        segments,
+        text: segments.map(renderSegment).join("\n"),
+    };
+}
+
+// ── Cue-based formats (WebVTT / SRT) ───────────────────────────────────────
+
+function parseCues(content: string, format: "vtt" | "srt"): TranscriptSegment[] {
+    const segments: TranscriptSegment[] = [];
+
+    for (const block of content.split(/\n{2,}/)) {
+        const lines = block.split("\n").map(l => l.trim()).filter(Boolean);
+        if (lines.length === 0) continue;
+        if (format === "vtt" && /^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0]!)) continue;
+
+        const timingIdx = lines.findIndex(l => TIMING_LINE.test(l));
+        if (timingIdx === -1) continue;
+
+        const start = lines[timingIdx]!.split("-->")[0]!.trim().replace(/[.,]\d+$/, "");
+        const body = lines.slice(timingIdx + 1).join(" ");
+        if (!body) continue;
+
+        // WebVTT voice spans: <v Alice Smith>Hello</v>
+        const voice = body.match(/<v(?:\.[\w.]+)?\s+([^>]+)>/);
+        const text = stripTags(body);
+        if (!text) continue;
+
+        if (voice) {
+            segments.push({ speaker: voice[1]!.trim(), start, text });
+            continue;
+        }
+        const prefixed = text.match(SPEAKER_PREFIX);
+        if (prefixed) {
+            segments.push({ speaker: prefixed[1]!, start, text: prefixed[2]! });
+        } else {
+            segments.push({ start, text });
+        }
+    }
+
+    return mergeConsecutive(segments);
+}
+
+// ── Line-based formats (plain text / Markdown) ─────────────────────────────
+
+function parseLines(content: string): TranscriptSegment[] {
+    const segments: TranscriptSegment[] = [];
+    for (const raw of content.split("\n")) {
+        const line = raw.trim();
+        if (!line) continue;
+
+        // "[00:04:12] Alice: ..." or "00:04:12 Alice: ..."
+        const stamped = line.match(/^\[?(\d{1,2}:\d{2}(?::\d{2})?)\]?\s+(.*)$/);
+        const start = stamped ? stamped[1] : undefined;
+        const rest = stamped ? stamped[2]! : line;
+
+        const prefixed = rest.match(SPEAKER_PREFIX);
+        if (prefixed) {
+            segments.push({ speaker: prefixed[1]!, start, text: prefixed[2]! });
+        } else {
+            segments.push({ start, text: rest });
+        }
+    }
+    return segments;
+}
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+function stripTags(text: string): string {
+    return text.replace(/<[^>]+>/g, "").replace(/\s+/g, " ").trim();
+}
+
+/** Subtitle files split sentences across cues — join runs by the same speaker. */
+function mergeConsecutive(segments: TranscriptSegment[]): TranscriptSegment[] {
+    const merged: TranscriptSegment[] = [];
+    for (const seg of segments) {
+        const prev = merged[merged.length - 1];
+        if (prev && seg.speaker && prev.speaker === seg.speaker) {
+            prev.text += " " + seg.text;
+        } else {
+            merged.push({ ...seg });
+        }
+    }
+    return merged;
+}
+
+function renderSegment(seg: TranscriptSegment): string {
+    const stamp = seg.start ? `[${seg.start}] ` : "";
+    const speaker = seg.speaker ? `${seg.speaker}: ` : "";
+    return `${stamp}${speaker}${seg.text}`;
+}
+
+function deriveTitle(fileName: string, content: string, format: TranscriptFormat): string {
+    if (format === "md") {
+        const heading = content.match(/^#\s+(.+)$/m);
+        if (heading) return heading[1]!.trim();
+    }
+    const base = fileName.replace(/\.[^.]+$/, "").replace(/[_-]+/g, " ").trim();
+    return base || "Uploaded transcript";
+}
@@ -1,3 +1,6 @@
+import path from "path";
+import { fileURLToPath } from "url";
+
 // ─── Runtime configuration (env vars with defaults) ─────────────────────────
 
 /** GitHub owner for the target repository */
@@ -17,6 +20,54 @@ export const REPO_PATH =
 /** Remote clone URL */
 export const REPO_URL = `https://github.com/${OWNER}/${REPO}.git`;
 
+/** Saved runs (requirements, epic, issues) used for change detection */
+export const RUNS_DIR =
+    process.env.RUNS_DIR ||
+    path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", ".runs");
+
+/** Repository maps built before gap analysis, one JSON file per repo and commit SHA */
+export const REPO_INDEX_DIR =
+    process.env.REPO_INDEX_DIR ||
+    path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", ".repo-index");
+
+/** Gap analysis results, keyed by requirement, repository commit, model and prompt version */
+export const GAP_CACHE_DIR =
+    process.env.GAP_CACHE_DIR ||
+    path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", ".gap-cache");
+
+/** Attempts per gap analysis, the first included, when a session fails (timeout, MCP error) */
+export const GAP_MAX_ATTEMPTS = Math.max(1, Number(process.env.GAP_MAX_ATTEMPTS) || 3);
+
+/** Model for retried gap analyses; unset keeps the analyzer's model */
+export const GAP_RETRY_MODEL = process.env.GAP_RETRY_MODEL || undefined;
+
+/**
+ * Language requirements are written in, whatever language the meeting was held
+ * in. Quoted literals (headlines, taglines) keep their original language.
+ */
+export const WORKING_LANGUAGE = process.env.WORKING_LANGUAGE || "English";
+
+/** Non-code action items go into the epic as a checklist ("false": a plain list) */
+export const ACTION_ITEMS_AS_CHECKLIST = process.env.ACTION_ITEMS_AS_CHECKLIST !== "false";
+
+/** Participant directory: meeting participants (names, emails) → GitHub logins */
+export const PARTICIPANTS_FILE =
+    process.env.PARTICIPANTS_FILE ||
+    path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "participants.json");
+
+// ─── Microsoft 365 meeting source ────────────────────────────────────────────
+
+/**
+ * "live" launches the WorkIQ MCP server against Microsoft 365; "offline" launches
+ * the bundled stand-in (src/mcp/workiq-offline.ts), which serves fixture meetings.
+ */
+export const WORKIQ_MODE: "live" | "offline" = process.env.WORKIQ_MODE === "offline" ? "offline" : "live";
+
+/** Fixture meetings for WORKIQ_MODE=offline, one JSON file per meeting */
+export const WORKIQ_FIXTURES_DIR =
+    process.env.WORKIQ_FIXTURES_DIR ||
+    path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures", "workiq");
+
 // ─── Per-request override ───────────────────────────────────────────────────
 
 export interface RepoTarget {
@@ -0,0 +1,214 @@
+import { readdir, readFile } from "fs/promises";
+import path from "path";
+import { createInterface } from "readline";
+import { z } from "zod";
+import { WORKIQ_FIXTURES_DIR } from "../config.js";
+
+// ─── Offline WorkIQ stand-in (MCP over stdio) ───────────────────────────────
+// Serves meeting search, details and transcripts from JSON fixtures so the
+// Meet stage runs without a Microsoft 365 tenant. Speaks newline-delimited
+// JSON-RPC on stdin/stdout; everything else goes to stderr.
+//
+// Launched by getWorkIQMcpConfig() when WORKIQ_MODE=offline. One meeting per
+// *.json file in WORKIQ_FIXTURES_DIR; files are re-read on every call.
+
+const SERVER_INFO = { name: "workiq-offline", version: "1.0.0" };
+const DEFAULT_PROTOCOL_VERSION = "2025-06-18";
+
+const fixtureSchema = z.object({
+    id: z.string().trim().min(1),
+    title: z.string().trim().min(1),
+    /** ISO date-time */
+    date: z.string(),
+    organizer: z.string().optional(),
+    attendees: z.array(z.string()).default([]),
+    notes: z.string().optional(),
+    transcript: z.array(z.object({
+        speaker: z.string(),
+        timestamp: z.string().optional(),
+        text: z.string(),
+    })).default([]),
+});
+
+type FixtureMeeting = z.infer<typeof fixtureSchema>;
+
+async function loadFixtures(): Promise<FixtureMeeting[]> {
+    const files = (await readdir(WORKIQ_FIXTURES_DIR)).filter(f => f.endsWith(".json")).sort();
+    const meetings: FixtureMeeting[] = [];
+    for (const file of files) {
+        try {
+            const parsed = fixtureSchema.safeParse(JSON.parse(await readFile(path.join(WORKIQ_FIXTURES_DIR, file), "utf-8")));
+            if (parsed.success) meetings.push(parsed.data);
+            else console.error(`[workiq-offline] Skipping ${file}: ${parsed.error.issues[0]?.message}`);
+        } catch (err) {
+            console.error(`[workiq-offline] Skipping ${file}: ${err instanceof Error ? err.message : String(err)}`);
+        }
+    }
+    return meetings;
+}
+
+function summary(m: FixtureMeeting) {
+    return { id: m.id, title: m.title, date: m.date, organizer: m.organizer, attendeeCount: m.attendees.length };
+}
+
+function formatTranscript(m: FixtureMeeting): string {
+    return m.transcript
+        .map(t => `${t.timestamp ? `[${t.timestamp}] ` : ""}${t.speaker}: ${t.text}`)
+        .join("\n");
+}
+
+// ── Tools ──
+
+const searchArgs = z.object({
+    query: z.string().default(""),
+    from: z.string().optional(),
+    to: z.string().optional(),
+    limit: z.number().int().positive().max(50).default(20),
+});
+
+const meetingArgs = z.object({ meetingId: z.string().min(1) });
+
+const TOOLS = [
+    {
+        name: "search_meetings",
+        description: "Search calendar meetings by title or keywords. Each occurrence of a recurring meeting is returned separately, newest first.",
+        inputSchema: {
+            type: "object",
+            properties: {
+                query: { type: "string", description: "Meeting title or keywords" },
+                from: { type: "string", description: "Earliest meeting date, YYYY-MM-DD" },
+                to: { type: "string", description: "Latest meeting date, YYYY-MM-DD (inclusive)" },
+                limit: { type: "number", description: "Maximum number of results (default 20)" },
+            },
+        },
+    },
+    {
+        name: "get_meeting",
+        description: "Get a meeting's details: title, date, organizer, attendees and notes.",
+        inputSchema: {
+            type: "object",
+            properties: { meetingId: { type: "string", description: "Meeting id from search_meetings" } },
+            required: ["meetingId"],
+        },
+    },
+    {
+        name: "get_meeting_transcript",
+        description: "Get the full transcript of a meeting, one line per utterance: [timestamp] Speaker: text.",
+        inputSchema: {
+            type: "object",
+            properties: { meetingId: { type: "string", description: "Meeting id from search_meetings" } },
+            required: ["meetingId"],
+        },
+    },
+];
+
+async function searchMeetings(args: z.infer<typeof searchArgs>) {
+    const terms = args.query.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    const day = (iso: string) => iso.substring(0, 10);
+    const matches = (await loadFixtures())
+        .filter(m => terms.length === 0 || terms.some(t => m.title.toLowerCase().includes(t)))
+        .filter(m => (!args.from || day(m.date) >= args.from) && (!args.to || day(m.date) <= args.to))
+        // Meetings matching more of the query first, then newest first
+        .map(m => ({ m, hits: terms.filter(t => m.title.toLowerCase().includes(t)).length }))
+        .sort((a, b) => b.hits - a.hits || b.m.date.localeCompare(a.m.date))
+        .slice(0, args.limit)
+        .map(({ m }) => summary(m));
+    return JSON.stringify(matches, null, 2);
+}
+
+async function findMeeting(meetingId: string): Promise<FixtureMeeting> {
+    const meeting = (await loadFixtures()).find(m => m.id === meetingId);
+    if (!meeting) throw new Error(`No meeting with id "${meetingId}"`);
+    return meeting;
+}
+
+async function callTool(name: string, args: unknown): Promise<string> {
+    switch (name) {
+        case "search_meetings":
+            return searchMeetings(searchArgs.parse(args ?? {}));
+        case "get_meeting": {
+            const meeting = await findMeeting(meetingArgs.parse(args).meetingId);
+            return JSON.stringify({ ...summary(meeting), attendees: meeting.attendees, notes: meeting.notes ?? "" }, null, 2);
+        }
+        case "get_meeting_transcript": {
+            const meeting = await findMeeting(meetingArgs.parse(args).meetingId);
+            return formatTranscript(meeting) || "This meeting has no transcript.";
+        }
+        default:
+            throw new Error(`Unknown tool: ${name}`);
+    }
+}
+
+// ── JSON-RPC ──
+
+interface RpcRequest {
+    jsonrpc: "2.0";
+    id?: string | number;
+    method: string;
+    params?: Record<string, unknown>;
+}
+
+function send(message: unknown) {
+    process.stdout.write(JSON.stringify(message) + "\n");
+}
+
+async function handle(request: RpcRequest): Promise<unknown> {
+    switch (request.method) {
+        case "initialize":
+            return {
+                protocolVersion: typeof request.params?.protocolVersion === "string" ? request.params.protocolVersion : DEFAULT_PROTOCOL_VERSION,
+                capabilities: { tools: {} },
+                serverInfo: SERVER_INFO,
+            };
+        case "ping":
+            return {};
+        case "tools/list":
+            return { tools: TOOLS };
+        case "tools/call": {
+            const name = String(request.params?.name ?? "");
+            try {
+                const text = await callTool(name, request.params?.arguments);
+                return { content: [{ type: "text", text }] };
+            } catch (err) {
+                const message = err instanceof z.ZodError
+                    ? `Invalid arguments: ${err.issues.map(i => `${i.path.join(".")}: ${i.message}`).join("; ")}`
+                    : err instanceof Error ? err.message : String(err);
+                return { content: [{ type: "text", text: message }], isError: true };
+            }
+        }
+        default:
+            throw Object.assign(new Error(`Method not found: ${request.method}`), { code: -32601 });
+    }
+}
+
+async function respond(line: string) {
+    if (!line.trim()) return;
+    let request: RpcRequest;
+    try {
+        request = JSON.parse(line);
+    } catch {
+        send({ jsonrpc: "2.0", id: null, error: { code: -32700, message: "Parse error" } });
+        return;
+    }
+    // Notifications (no id) need no response
+    if (request.id === undefined) return;
+    try {
+        send({ jsonrpc: "2.0", id: request.id, result: await handle(request) });
+    } catch (err) {
+        const code = (err as { code?: number }).code ?? -32603;
+        send({ jsonrpc: "2.0", id: request.id, error: { code, message: err instanceof Error ? err.message : String(err) } });
+    }
+}
+
+// Requests are answered concurrently; on EOF, finish the ones in flight before exiting
+const inFlight = new Set<Promise<void>>();
+const rl = createInterface({ input: process.stdin });
+rl.on("line", (line) => {
+    const pending = respond(line).finally(() => inFlight.delete(pending));
+    inFlight.add(pending);
+});
+rl.on("close", () => {
+    Promise.allSettled(inFlight).then(() => process.exit(0));
+});
+
+console.error(`[workiq-offline] Serving meetings from ${WORKIQ_FIXTURES_DIR}`);
@@ -4,9 +4,32 @@ import { fileURLToPath } from "url";
 import { CopilotClient } from "@github/copilot-sdk";
 import type { MCPLocalServerConfig, MCPRemoteServerConfig } from "@github/copilot-sdk";
 import { extractMeetingRequirements, analyzeSelectedGaps } from "./agents/gap-analyzer.js";
-import type { GapItem, MeetingInfo } from "./agents/gap-analyzer.js";
-import { createEpicIssue, linkSubIssuesToEpic } from "./agents/epic-issue.js";
-import { createGithubIssues } from "./agents/github-issues.js";
+import type { AnalysisMode, GapItem, MeetingInfo, MeetingResult } from "./agents/gap-analyzer.js";
+import { extractMeetingSeries } from "./agents/meeting-series.js";
+import { getMeetingSource, listMeetingSources, DEFAULT_MEETING_SOURCE, TRANSCRIPT_MEETING_SOURCE } from "./agents/meeting-sources/index.js";
+import type { MeetingSourceInput } from "./agents/meeting-sources/index.js";
+import { proposeRequirementChanges, applyRequirementProposal } from "./agents/requirement-dedup.js";
+import type { RequirementProposal } from "./agents/requirement-dedup.js";
+import { reviewRequirementClarity, rewriteRequirement, formatClarifyingComment, parseClarifyingAnswers } from "./agents/requirement-clarity.js";
+import type { ClarityReview } from "./agents/requirement-clarity.js";
+import { normalizeRequirements } from "./agents/requirements.js";
+import type { Requirement, RequirementClarification } from "./agents/requirements.js";
+import { addRequirement, editRequirement, deleteRequirement, splitRequirement, reorderRequirements, proposalEdit, editMetaSchema, requirementDraftSchema } from "./agents/requirement-editor.js";
+import type { EditResult, RequirementEdit } from "./agents/requirement-editor.js";
+import { diffRequirements, reconcileDiff, summarizeDiff } from "./agents/requirement-diff.js";
+import type { RequirementDiff } from "./agents/requirement-diff.js";
+import { newRunId, saveRun, loadRun, listRuns } from "./agents/run-history.js";
+import type { RunIssue, RunSnapshot } from "./agents/run-history.js";
+import { createEpicIssue, updateEpicIssue, commentOnEpicIssue, listEpicComments, linkSubIssuesToEpic } from "./agents/epic-issue.js";
+import { parseEpicReference, resumeFromEpic } from "./agents/epic-resume.js";
+import { isLocalCheckout } from "./agents/repo-tools.js";
+import { gapReviewChangesSchema, needsReview, reviewGap } from "./agents/gap-confidence.js";
+import { gapRetryPolicySchema, retryByGapSchema } from "./agents/gap-retry.js";
+import { inferGapDependencies, orderByDependencies } from "./agents/gap-dependencies.js";
+import { planRoadmap, roadmapRequestSchema } from "./agents/roadmap.js";
+import type { Roadmap } from "./agents/roadmap.js";
+import { createGithubIssues, flagChangedIssues } from "./agents/github-issues.js";
+import { loadParticipantDirectory, saveParticipantDirectory, stakeholderLogins } from "./agents/participant-directory.js";
 import { assignCodingAgent } from "./agents/coding-agent.js";
 import { deployToAzure, resetCorpWebsiteRepo } from "./agents/azure-deployer.js";
 import { validateDeployment } from "./agents/playwright-validator.js";
@@ -17,34 +40,33 @@ import type { RepoTarget } from "./config.js";
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: "5mb" })); // transcripts, notes and PRDs are uploaded as JSON
 app.use(express.static(path.join(__dirname, "..", "public")));
 
 // ─── Copilot SDK Client (singleton) ───────────────────────────────────────────
 const client = new CopilotClient({ logLevel: "debug" });
 
 // ─── State ────────────────────────────────────────────────────────────────────
-let lastRequirements: string[] = [];
+let lastRequirements: Requirement[] = [];
+let pendingProposals: RequirementProposal[] = [];
+let clarityReviews: ClarityReview[] = [];
+let requirementEdits: RequirementEdit[] = [];
+/** Comparison with the previous run, when the user picked one */
+let lastDiff: RequirementDiff | null = null;
+let currentRunId = "";
+let runIssues: RunIssue[] = [];
+/** Stakeholders already @-mentioned on the current epic (lower-case logins) */
+let notifiedLogins = new Set<string>();
 let lastMeetingInfo: MeetingInfo | null = null;
 let lastAnalysis: GapItem[] = [];
+/** Latest schedule of the selected gaps; its effort summary goes on the epic */
+let lastRoadmap: Roadmap | null = null;
 let epicIssueNumber = 0;
 let epicIssueUrl = "";
 let createdIssues: Array<{ id: number; title: string; number: number; url: string }> = [];
 let lastRepoTarget: RepoTarget = resolveRepo();
 
 // ─── MCP Server configs ──────────────────────────────────────────────────────
-function getWorkIQMcpConfig(): Record<string, MCPLocalServerConfig | MCPRemoteServerConfig> {
-    return {
-        workiq: {
-            type: "local",
-            command: "npx",
-            args: ["-y", "@microsoft/workiq", "mcp"],
-            tools: ["*"],
-            timeout: 180000,
-        } as MCPLocalServerConfig,
-    };
-}
-
 function getGitHubMcpConfig(): Record<string, MCPLocalServerConfig | MCPRemoteServerConfig> {
     return {
         github: {
@@ -55,6 +77,32 @@ function getGitHubMcpConfig(): Record<string, MCPLocalServerConfig | MCPRemoteSe
     };
 }
 
+// ─── Cancellation ─────────────────────────────────────────────────────────────
+// Long-running SSE operations can be stopped with POST /api/cancel/:operation,
+// or by the client going away (closed tab, aborted fetch). Either way the
+// operation's signal fires: sessions are destroyed and child processes killed.
+
+const CANCELLABLE_OPERATIONS = ["analyze-gaps", "execute-local-agent", "validate", "deploy"] as const;
+type CancellableOperation = typeof CANCELLABLE_OPERATIONS[number];
+
+const runningOperations = new Map<CancellableOperation, Set<AbortController>>();
+
+/** Signal for one operation's request, aborted on cancel or client disconnect. */
+function trackOperation(operation: CancellableOperation, res: express.Response): AbortSignal {
+    const controller = new AbortController();
+    const running = runningOperations.get(operation) ?? new Set();
+    running.add(controller);
+    runningOperations.set(operation, running);
+    res.on("close", () => {
+        running.delete(controller);
+        if (!res.writableFinished && !controller.signal.aborted) {
+            console.log(`[${operation}] Client disconnected — cancelling`);
+            controller.abort(new Error("Client disconnected"));
+        }
+    });
+    return controller.signal;
+}
+
 // ─── Helper ───────────────────────────────────────────────────────────────────
 function sseHeaders(res: express.Response) {
     res.setHeader("Content-Type", "text/event-stream");
@@ -66,47 +114,303 @@ function sseHeaders(res: express.Response) {
     };
 }
 
-// ─── API Routes ───────────────────────────────────────────────────────────────
+/**
+ * Rewrite the epic after requirement edits. Updates run one at a time and
+ * coalesce: a burst of edits triggers at most one extra update, which always
+ * publishes the latest list.
+ */
+let epicUpdateQueue: Promise<unknown> = Promise.resolve();
+let epicUpdateQueued = false;
+function scheduleEpicUpdate() {
+    if (epicIssueNumber <= 0 || !lastMeetingInfo || epicUpdateQueued) return;
+    epicUpdateQueued = true;
+    epicUpdateQueue = epicUpdateQueue.then(() => {
+        epicUpdateQueued = false;
+        return updateEpicIssue(
+            epicIssueNumber, lastMeetingInfo!, lastRequirements, requirementEdits, lastDiff,
+            (msg) => console.log(`[server] ${msg}`), lastRepoTarget.owner, lastRepoTarget.repo, lastRoadmap,
+        );
+    });
+}
 
-// Step 1: Extract meeting requirements + create epic (SSE)
-app.get("/api/analyze", async (req, res) => {
-    const sendEvent = sseHeaders(res);
-    const meetingName = (req.query.meeting as string) || "Contoso Industries Redesign";
-    const targetRepoParam = req.query.repo as string | undefined;
-    lastRepoTarget = resolveRepo(targetRepoParam);
+/**
+ * @-mention stakeholders in a comment on the epic. GitHub doesn't notify for
+ * mentions added by editing the body, so people mapped after the epic was
+ * written (or on a reused epic) are pinged once here.
+ */
+async function notifyStakeholders(log: (message: string) => void = () => {}) {
+    if (epicIssueNumber <= 0 || !lastMeetingInfo) return;
+    const logins = stakeholderLogins(await loadParticipantDirectory(), lastMeetingInfo, lastRequirements)
+        .filter(login => !notifiedLogins.has(login.toLowerCase()));
+    if (logins.length === 0) return;
+    logins.forEach(login => notifiedLogins.add(login.toLowerCase()));
+    await commentOnEpicIssue(
+        epicIssueNumber,
+        `👋 ${logins.map(l => `@${l}`).join(" ")} — you're a stakeholder in *${lastMeetingInfo.title}*. Issues for the requirements you asked for will be assigned to you.`,
+        log, lastRepoTarget.owner, lastRepoTarget.repo,
+    );
+}
 
-    try {
-        const result = await extractMeetingRequirements(client, {
-            meetingName,
-            workiqMcp: getWorkIQMcpConfig(),
-            onProgress: (step, message) => sendEvent("progress", { step, message }),
-            onMeetingInfo: (info) => sendEvent("meeting-info", info),
-            onLog: (message) => sendEvent("log", { message }),
-        });
+/**
+ * Save the current run so a follow-up meeting can be compared with it. The
+ * snapshot is taken now; writes are chained so an older one never lands last.
+ */
+let runSaveQueue: Promise<unknown> = Promise.resolve();
+function persistRun() {
+    if (!currentRunId || !lastMeetingInfo) return;
+    const run = {
+        id: currentRunId,
+        repoSlug: lastRepoTarget.repoSlug,
+        meetingInfo: lastMeetingInfo,
+        requirements: lastRequirements,
+        ...(epicIssueNumber > 0 ? { epic: { number: epicIssueNumber, url: epicIssueUrl } } : {}),
+        issues: [...runIssues],
+    };
+    runSaveQueue = runSaveQueue
+        .then(() => saveRun(run))
+        .catch((err) => console.error("[server] Could not save run:", err));
+}
 
-        lastRequirements = result.requirements;
-        lastMeetingInfo = result.info;
-        lastAnalysis = [];
+/**
+ * Shared tail of every meeting source: store the extracted requirements,
+ * stream them to the frontend, compare them with the previous run (if any)
+ * and create or update the epic issue.
+ */
+async function publishMeetingResult(
+    result: MeetingResult,
+    sendEvent: (event: string, data: unknown) => void,
+    previousRunId?: string,
+) {
+    lastRequirements = result.requirements;
+    lastMeetingInfo = result.info;
+    lastAnalysis = [];
+    lastRoadmap = null;
+    pendingProposals = [];
+    clarityReviews = [];
+    requirementEdits = [];
+    lastDiff = null;
+    currentRunId = newRunId();
+    runIssues = [];
+    notifiedLogins = new Set();
 
-        // Send requirements to frontend
-        sendEvent("requirements", { requirements: result.requirements });
+    const log = (message: string) => sendEvent("log", { message });
+    const reviewOptions = {
+        onLog: log,
+        onWarning: (message: string) => sendEvent("warning", { message }),
+    };
+
+    // Send requirements to frontend
+    sendEvent("requirements", { requirements: result.requirements });
 
+    // Follow-up meeting: classify against the previous run
+    let previous: RunSnapshot | null = null;
+    if (previousRunId) {
+        try {
+            previous = await loadRun(previousRunId);
+        } catch (err) {
+            const msg = `Could not load the previous run (${err instanceof Error ? err.message : String(err)}) — starting from scratch`;
+            log(`⚠ ${msg}`);
+            sendEvent("warning", { message: msg });
+        }
+    }
+    const sameRepo = previous?.repoSlug.toLowerCase() === lastRepoTarget.repoSlug.toLowerCase();
+    if (previous) {
+        lastDiff = await diffRequirements(client, previous, result.requirements, reviewOptions);
+        sendEvent("requirement-diff", { diff: lastDiff });
+        if (sameRepo) {
+            // Unchanged requirements keep the issues created for them
+            runIssues = lastDiff.changes.flatMap(c => {
+                const issue = c.status === "unchanged" && previous!.issues.find(i => i.requirementId === c.previousId);
+                return issue ? [{ ...issue, requirementId: c.requirementId! }] : [];
+            });
+        } else {
+            const msg = `The previous run targeted ${previous.repoSlug} — its epic and issues are left untouched`;
+            log(`⚠ ${msg}`);
+            sendEvent("warning", { message: msg });
+        }
+    }
+
+    if (sameRepo && previous?.epic && previous.epic.number > 0) {
+        // Keep tracking on the existing epic
+        sendEvent("progress", { step: 3, message: `Updating epic #${previous.epic.number}...` });
+        epicIssueNumber = previous.epic.number;
+        epicIssueUrl = previous.epic.url;
+        await updateEpicIssue(epicIssueNumber, result.info, result.requirements, [], lastDiff, log, lastRepoTarget.owner, lastRepoTarget.repo);
+        await commentOnEpicIssue(
+            epicIssueNumber,
+            `### 🔄 Follow-up: ${result.info.title}${result.info.date ? ` (${result.info.date})` : ""}\n\n` +
+            `Requirements compared with the previous run: ${summarizeDiff(lastDiff!)}. Only new and changed requirements are analyzed again.`,
+            log, lastRepoTarget.owner, lastRepoTarget.repo,
+        );
+    } else {
         // Create epic issue on GitHub
         sendEvent("progress", { step: 3, message: "Creating epic issue on GitHub..." });
-        sendEvent("log", { message: "Creating epic issue with meeting summary..." });
+        log("Creating epic issue with meeting summary...");
 
         const epic = await createEpicIssue(
             result.info,
             result.requirements,
-            (msg) => sendEvent("log", { message: msg }),
+            log,
             lastRepoTarget.owner,
             lastRepoTarget.repo,
         );
         epicIssueNumber = epic.number;
         epicIssueUrl = epic.url;
+        if (lastDiff) scheduleEpicUpdate();
+        // The new epic's body already mentions everyone mapped so far
+        if (epic.number > 0) {
+            const directory = await loadParticipantDirectory();
+            notifiedLogins = new Set(stakeholderLogins(directory, result.info, result.requirements).map(l => l.toLowerCase()));
+        }
+    }
+
+    sendEvent("epic-created", { number: epicIssueNumber, url: epicIssueUrl });
+    await notifyStakeholders(log);
+
+    if (lastDiff && sameRepo) {
+        await flagChangedIssues(lastDiff, result.info.title, { onLog: log, owner: lastRepoTarget.owner, repo: lastRepoTarget.repo });
+    }
+    persistRun();
+
+    // Merge/split proposals and clarity review — both resolved by the user before gap analysis
+    [pendingProposals, clarityReviews] = await Promise.all([
+        proposeRequirementChanges(client, result.requirements, reviewOptions),
+        reviewRequirementClarity(client, result.requirements, reviewOptions),
+    ]);
+    sendEvent("requirement-proposals", { proposals: pendingProposals });
+    sendEvent("requirement-clarity", { reviews: clarityReviews });
+    sendEvent("complete", { success: true });
+}
+
+// ─── API Routes ───────────────────────────────────────────────────────────────
+
+// Meeting source providers for the Meet panel picker
+app.get("/api/meeting-sources", (_req, res) => {
+    res.json({ sources: listMeetingSources(), defaultSource: DEFAULT_MEETING_SOURCE });
+});
+
+// Saved runs a follow-up meeting can be compared with: ?repo=owner/name
+app.get("/api/runs", async (req, res) => {
+    const repo = typeof req.query.repo === "string" && req.query.repo.includes("/") ? req.query.repo : undefined;
+    res.json({ runs: await listRuns(repo) });
+});
+
+// Participant directory: meeting participants → GitHub logins
+app.get("/api/participants", async (_req, res) => {
+    res.json({ success: true, participants: await loadParticipantDirectory() });
+});
+
+app.put("/api/participants", async (req, res) => {
+    const { participants } = req.body as { participants?: unknown };
+    let saved;
+    try {
+        saved = await saveParticipantDirectory(participants ?? []);
+    } catch (err) {
+        return res.status(400).json({ success: false, error: err instanceof Error ? err.message : String(err) });
+    }
+    // Refresh the mentions on the current epic
+    scheduleEpicUpdate();
+    notifyStakeholders().catch((err) => console.error("[server] Could not notify stakeholders:", err));
+    res.json({ success: true, participants: saved });
+});
 
-        sendEvent("epic-created", { number: epic.number, url: epic.url });
-        sendEvent("complete", { success: true });
+// Step 1a: Discover candidate meetings for the user to choose from (SSE via POST)
+app.post("/api/discover-meetings", async (req, res) => {
+    const { source: sourceId, input } = req.body as { source?: string; input?: MeetingSourceInput };
+
+    const source = getMeetingSource(sourceId || DEFAULT_MEETING_SOURCE);
+    if (!source?.discover) {
+        return res.status(400).json({ success: false, error: `Meeting source does not support discovery: ${sourceId}` });
+    }
+    if (!input?.query?.trim()) {
+        return res.status(400).json({ success: false, error: "Meeting name is required" });
+    }
+
+    const sendEvent = sseHeaders(res);
+
+    try {
+        const candidates = await source.discover(input, {
+            client,
+            onLog: (message) => sendEvent("log", { message }),
+            onWarning: (message) => sendEvent("warning", { message }),
+            onCandidate: (candidate) => sendEvent("meeting-candidate", candidate),
+        });
+        sendEvent("complete", { success: true, count: candidates.length });
+    } catch (error) {
+        console.error("Meeting discovery error:", error);
+        sendEvent("error", {
+            success: false,
+            error: error instanceof Error ? error.message : "Meeting discovery failed",
+        });
+    } finally {
+        res.end();
+    }
+});
+
+interface AnalyzeRequest {
+    source?: string;
+    input?: MeetingSourceInput;
+    targetRepo?: string;
+    /** Saved run to compare with (follow-up meeting) */
+    previousRunId?: string;
+}
+
+// Step 1b: Extract meeting requirements from the selected source + create epic (SSE via POST)
+app.post("/api/analyze", (req, res) => analyzeMeeting(req.body ?? {}, res));
+
+// Step 1b (upload): the transcript route from before meeting sources, kept for existing clients —
+// same as POST /api/analyze with the transcript file source
+app.post("/api/analyze-transcript", (req, res) => {
+    const { fileName, content, targetRepo, previousRunId } = (req.body ?? {}) as {
+        fileName?: string;
+        content?: string;
+        targetRepo?: string;
+        previousRunId?: string;
+    };
+    return analyzeMeeting({ source: TRANSCRIPT_MEETING_SOURCE, input: { fileName, content }, targetRepo, previousRunId }, res);
+});
+
+async function analyzeMeeting(body: AnalyzeRequest, res: express.Response) {
+    const { source: sourceId, input, targetRepo, previousRunId } = body;
+
+    const source = getMeetingSource(sourceId || DEFAULT_MEETING_SOURCE);
+    if (!source) {
+        return res.status(400).json({ success: false, error: `Unknown meeting source: ${sourceId}` });
+    }
+    // Several confirmed meetings → series extraction; each must be valid on its own
+    const meetings = Array.isArray(input?.meetings) ? input.meetings : [];
+    try {
+        if (meetings.length > 0) {
+            for (const meeting of meetings) source.validate({ ...input, meeting });
+        } else {
+            source.validate(input ?? {});
+        }
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error instanceof Error ? error.message : "Invalid meeting source input",
+        });
+    }
+
+    lastRepoTarget = resolveRepo(targetRepo);
+    const sendEvent = sseHeaders(res);
+
+    try {
+        const callbacks = {
+            onProgress: (step: number, message: string) => sendEvent("progress", { step, message }),
+            onMeetingInfo: (info: MeetingInfo) => sendEvent("meeting-info", info),
+            onLog: (message: string) => sendEvent("log", { message }),
+            onWarning: (message: string) => sendEvent("warning", { message }),
+        };
+        const result = meetings.length > 1
+            ? await extractMeetingSeries(client, { source, input: input!, ...callbacks })
+            : await extractMeetingRequirements(client, {
+                source,
+                input: meetings.length === 1 ? { ...input, meeting: meetings[0]!, meetings: undefined } : input ?? {},
+                ...callbacks,
+            });
+
+        await publishMeetingResult(result, sendEvent, previousRunId || undefined);
     } catch (error) {
         console.error("Analysis error:", error);
         sendEvent("error", {
@@ -116,34 +420,364 @@ app.get("/api/analyze", async (req, res) => {
     } finally {
         res.end();
     }
+}
+
+// Resume: rebuild requirements, gaps and issues from an existing epic (e.g. after a restart)
+app.post("/api/resume-epic", async (req, res) => {
+    const { epic, targetRepo } = req.body as { epic?: string | number; targetRepo?: string };
+    const ref = parseEpicReference(String(epic ?? ""));
+    if (!ref) {
+        return res.status(400).json({ success: false, error: "Enter an epic issue number or URL" });
+    }
+    const target = resolveRepo(ref.repoSlug || targetRepo);
+
+    let run;
+    try {
+        run = await resumeFromEpic(ref.number, (msg) => console.log(`[server] ${msg}`), target.owner, target.repo);
+    } catch (err) {
+        const msg = err instanceof Error ? err.message : String(err);
+        console.error("Resume error:", msg);
+        return res.status(400).json({ success: false, error: `Could not resume from #${ref.number}: ${msg.substring(0, 200)}` });
+    }
+
+    lastRepoTarget = target;
+    lastRequirements = run.requirements;
+    lastMeetingInfo = run.info;
+    requirementEdits = run.edits;
+    lastAnalysis = run.gaps;
+    lastRoadmap = null;
+    pendingProposals = [];
+    clarityReviews = [];
+    lastDiff = null;
+    epicIssueNumber = run.epic.number;
+    epicIssueUrl = run.epic.url;
+    runIssues = run.issues.map(({ state: _state, ...issue }) => issue);
+    createdIssues = run.issues.map(issue => ({
+        id: lastRequirements.findIndex(r => r.id === issue.requirementId) + 1,
+        title: issue.title,
+        number: issue.number,
+        url: issue.url,
+    }));
+    // Everyone mapped is already mentioned in the epic's body
+    notifiedLogins = new Set(stakeholderLogins(await loadParticipantDirectory(), run.info, run.requirements).map(l => l.toLowerCase()));
+    currentRunId = newRunId();
+    persistRun();
+
+    res.json({ success: true, repo: target.repoSlug, ...run });
 });
 
-// Step 1b: Analyze gaps for selected requirements (SSE via POST)
+// ─── Requirement editing (before gap analysis) ────────────────────────────────
+
+/** Current requirements, edit log, open proposals and clarity reviews — the body of every editing response. */
+function requirementsState() {
+    return { success: true, requirements: lastRequirements, edits: requirementEdits, proposals: pendingProposals, clarity: clarityReviews, diff: lastDiff };
+}
+
+/**
+ * Run an edit against lastRequirements and respond: validates who/why, rejects
+ * edits once gap analysis started, records the edit and refreshes the epic.
+ */
+function commitRequirementEdit(
+    req: express.Request,
+    res: express.Response,
+    apply: (meta: { author: string; reason: string }) => EditResult,
+) {
+    if (lastAnalysis.length > 0) {
+        return res.status(409).json({ success: false, error: "Gap analysis already started — requirements can no longer be edited" });
+    }
+    const meta = editMetaSchema.safeParse(req.body ?? {});
+    if (!meta.success) {
+        return res.status(400).json({ success: false, error: meta.error.issues[0]?.message ?? "author and reason are required" });
+    }
+
+    let result: EditResult;
+    try {
+        result = apply(meta.data);
+    } catch (error) {
+        const message = error instanceof Error ? error.message : "Invalid edit";
+        return res.status(message.startsWith("Unknown requirement") ? 404 : 400).json({ success: false, error: message });
+    }
+
+    lastRequirements = result.requirements;
+    requirementEdits.push(result.edit);
+    // Proposals and clarity reviews about requirements that just changed no longer apply
+    if (result.edit.action !== "reorder") {
+        const touched = new Set(result.edit.requirementIds);
+        pendingProposals = pendingProposals.filter(p => !p.requirementIds.some(id => touched.has(id)));
+        clarityReviews = clarityReviews.filter(r => !touched.has(r.requirementId));
+    }
+    if (lastDiff) {
+        lastDiff = reconcileDiff(lastDiff, lastRequirements, result.edit.action === "reorder" ? [] : result.edit.requirementIds);
+    }
+    console.log(`[server] Requirement edit by ${result.edit.author}: ${result.edit.summary}`);
+    scheduleEpicUpdate();
+    notifyStakeholders().catch((err) => console.error("[server] Could not notify stakeholders:", err));
+    persistRun();
+    res.json(requirementsState());
+}
+
+function parseDraft(value: unknown) {
+    const draft = requirementDraftSchema.safeParse(value ?? {});
+    if (!draft.success) throw new Error(draft.error.issues[0]?.message ?? "Invalid requirement");
+    return draft.data;
+}
+
+app.get("/api/requirements", (_req, res) => {
+    res.json(requirementsState());
+});
+
+// Add a requirement: { requirement, position?, author, reason }
+app.post("/api/requirements", (req, res) => {
+    commitRequirementEdit(req, res, (meta) =>
+        addRequirement(
+            lastRequirements,
+            parseDraft(req.body.requirement),
+            typeof req.body.position === "number" ? req.body.position : undefined,
+            meta,
+        ));
+});
+
+// Reorder: { ids, author, reason } — ids lists every requirement in the new order
+app.put("/api/requirements/order", (req, res) => {
+    commitRequirementEdit(req, res, (meta) => {
+        if (!Array.isArray(req.body.ids)) throw new Error("ids must be an array of requirement ids");
+        return reorderRequirements(lastRequirements, req.body.ids, meta);
+    });
+});
+
+// Edit fields: { changes, author, reason }
+app.patch("/api/requirements/:id", (req, res) => {
+    commitRequirementEdit(req, res, (meta) => {
+        const changes = requirementDraftSchema.partial().safeParse(req.body.changes ?? {});
+        if (!changes.success) throw new Error(changes.error.issues[0]?.message ?? "Invalid changes");
+        return editRequirement(lastRequirements, req.params.id, changes.data, meta);
+    });
+});
+
+// Delete: { author, reason }
+app.delete("/api/requirements/:id", (req, res) => {
+    commitRequirementEdit(req, res, (meta) => deleteRequirement(lastRequirements, req.params.id, meta));
+});
+
+// Split: { parts: [requirement, …], author, reason }
+app.post("/api/requirements/:id/split", (req, res) => {
+    commitRequirementEdit(req, res, (meta) => {
+        if (!Array.isArray(req.body.parts)) throw new Error("parts must be an array of requirements");
+        return splitRequirement(lastRequirements, req.params.id, req.body.parts.map(parseDraft), meta);
+    });
+});
+
+// Step 1c: Accept or dismiss a merge/split proposal: { action, author, reason? }
+app.post("/api/requirements/proposals/:id", (req, res) => {
+    const { action } = req.body as { action?: "accept" | "dismiss" };
+    const proposal = pendingProposals.find(p => p.id === req.params.id);
+    if (!proposal) {
+        return res.status(404).json({ success: false, error: `Unknown proposal: ${req.params.id}` });
+    }
+    if (action === "dismiss") {
+        pendingProposals = pendingProposals.filter(p => p.id !== proposal.id);
+        return res.json(requirementsState());
+    }
+    if (action !== "accept") {
+        return res.status(400).json({ success: false, error: "action must be 'accept' or 'dismiss'" });
+    }
+
+    // The edit touches the proposal's requirements, which also closes the proposal
+    req.body.reason ||= proposal.reason;
+    commitRequirementEdit(req, res, (meta) => {
+        const { requirements, ids } = applyRequirementProposal(lastRequirements, proposal);
+        return { requirements, edit: proposalEdit(proposal.kind, proposal.requirementIds, ids, meta) };
+    });
+});
+
+// Post the open clarifying questions as a comment on the epic
+app.post("/api/requirements/clarity/comment", async (_req, res) => {
+    if (epicIssueNumber <= 0) {
+        return res.status(409).json({ success: false, error: "There is no epic issue to comment on" });
+    }
+    if (!clarityReviews.some(r => r.questions.some(q => !q.answer))) {
+        return res.status(400).json({ success: false, error: "No open clarifying questions" });
+    }
+    const url = await commentOnEpicIssue(
+        epicIssueNumber, formatClarifyingComment(clarityReviews, lastRequirements),
+        (msg) => console.log(`[server] ${msg}`), lastRepoTarget.owner, lastRepoTarget.repo,
+    );
+    if (!url) return res.status(502).json({ success: false, error: `Could not comment on epic #${epicIssueNumber}` });
+    res.json({ success: true, url });
+});
+
+// Pull answers replied on the epic ("REQ-3-Q1: …") into the open questions
+app.post("/api/requirements/clarity/answers", async (_req, res) => {
+    if (epicIssueNumber <= 0) {
+        return res.status(409).json({ success: false, error: "There is no epic issue to read answers from" });
+    }
+    try {
+        const comments = await listEpicComments(epicIssueNumber, lastRepoTarget.owner, lastRepoTarget.repo);
+        const answers = parseClarifyingAnswers(comments, clarityReviews.flatMap(r => r.questions.map(q => q.id)));
+        const byId = new Map(answers.map(a => [a.questionId, a]));
+        clarityReviews = clarityReviews.map(r => ({
+            ...r,
+            questions: r.questions.map(q => {
+                const found = byId.get(q.id);
+                return found ? { ...q, answer: found.answer, answeredBy: found.author } : q;
+            }),
+        }));
+        console.log(`[server] Found ${answers.length} clarifying answer(s) on epic #${epicIssueNumber}`);
+        res.json({ ...requirementsState(), found: answers.length });
+    } catch (error) {
+        const message = error instanceof Error ? error.message : "Unknown error";
+        res.status(502).json({ success: false, error: `Could not read comments on epic #${epicIssueNumber}: ${message}` });
+    }
+});
+
+// Clarify a flagged requirement from answers, or keep it as is:
+// { action: "clarify" | "dismiss", answers?: { [questionId]: text }, author, reason? }
+app.post("/api/requirements/clarity/:id", async (req, res) => {
+    const { action, answers = {}, author } = req.body as { action?: string; answers?: Record<string, unknown>; author?: string };
+    const review = clarityReviews.find(r => r.requirementId === req.params.id);
+    const requirement = lastRequirements.find(r => r.id === req.params.id);
+    if (!review || !requirement) {
+        return res.status(404).json({ success: false, error: `No clarity review for ${req.params.id}` });
+    }
+    if (action === "dismiss") {
+        clarityReviews = clarityReviews.filter(r => r !== review);
+        return res.json(requirementsState());
+    }
+    if (action !== "clarify") {
+        return res.status(400).json({ success: false, error: "action must be 'clarify' or 'dismiss'" });
+    }
+    if (lastAnalysis.length > 0) {
+        return res.status(409).json({ success: false, error: "Gap analysis already started — requirements can no longer be edited" });
+    }
+    if (typeof author !== "string" || !author.trim()) {
+        return res.status(400).json({ success: false, error: "Say who is making the edit" });
+    }
+
+    // Answers typed in the UI win over answers pulled from the epic
+    const clarifications = review.questions.flatMap((q): RequirementClarification[] => {
+        const typed = typeof answers[q.id] === "string" ? (answers[q.id] as string).trim() : "";
+        const answer = typed || q.answer;
+        if (!answer) return [];
+        const answeredBy = typed && typed !== q.answer ? author.trim() : q.answeredBy;
+        return [{ question: q.text, answer, ...(answeredBy ? { answeredBy } : {}) }];
+    });
+    if (clarifications.length === 0) {
+        return res.status(400).json({ success: false, error: "Answer at least one question" });
+    }
+
+    let rewrite: { text: string; acceptanceCriteria: string[] };
+    try {
+        rewrite = await rewriteRequirement(client, requirement, clarifications, {
+            onLog: (msg) => console.log(`[server] ${msg}`),
+        });
+    } catch (error) {
+        const message = error instanceof Error ? error.message : "Unknown error";
+        return res.status(502).json({ success: false, error: `Could not rewrite ${requirement.id}: ${message}` });
+    }
+
+    req.body.reason ||= `Answered ${clarifications.length} clarifying question${clarifications.length === 1 ? "" : "s"}`;
+    commitRequirementEdit(req, res, (meta) => {
+        const result = editRequirement(lastRequirements, requirement.id, rewrite, meta);
+        return {
+            ...result,
+            requirements: result.requirements.map(r => r.id === requirement.id
+                ? { ...r, clarifications: [...(r.clarifications ?? []), ...clarifications] }
+                : r),
+        };
+    });
+});
+
+// Step 1d: Analyze gaps for selected requirements (SSE via POST)
+/** Merge/split proposals must be accepted or dismissed before analysis; sends 409 and returns true if any are open. */
+function rejectPendingProposals(res: express.Response): boolean {
+    if (pendingProposals.length === 0) return false;
+    res.status(409).json({
+        success: false,
+        error: `Proposal ${pendingProposals.map(p => p.id).join(", ")} ${pendingProposals.length === 1 ? "is" : "are"} still open — accept or dismiss the merge/split proposals before gap analysis`,
+    });
+    return true;
+}
+
+/** Flagged requirements can't be analyzed until clarified or kept as is; sends 409 and returns true if any are open. */
+function rejectUnclarified(res: express.Response): boolean {
+    if (clarityReviews.length === 0) return false;
+    res.status(409).json({
+        success: false,
+        error: `${clarityReviews.map(r => r.requirementId).join(", ")} ${clarityReviews.length === 1 ? "needs" : "need"} clarification before gap analysis — clarify or keep ${clarityReviews.length === 1 ? "it" : "them"} as is first`,
+    });
+    return true;
+}
+
 app.post("/api/analyze-gaps", async (req, res) => {
-    const { selectedIndices, targetRepo } = req.body as { selectedIndices: number[]; targetRepo?: string };
+    const { selectedIndices, targetRepo, analysisMode, forceRefresh, retry, retryByGap } = req.body as {
+        selectedIndices: number[];
+        targetRepo?: string;
+        /** "local": read the clone at TARGET_REPO_PATH instead of GitHub */
+        analysisMode?: AnalysisMode;
+        /** Re-analyze instead of returning cached results */
+        forceRefresh?: boolean;
+        /** Retry policy overrides for the run, e.g. { maxAttempts: 5, retryModel: "gpt-5.2-codex" } */
+        retry?: unknown;
+        /** Retry policy overrides per gap id, e.g. { "3": { maxAttempts: 1 } } */
+        retryByGap?: unknown;
+    };
+    const retryPolicy = gapRetryPolicySchema.safeParse(retry ?? {});
+    const gapRetryPolicies = retryByGapSchema.safeParse(retryByGap ?? {});
+    if (!retryPolicy.success || !gapRetryPolicies.success) {
+        const issue = (retryPolicy.error ?? gapRetryPolicies.error)!.issues[0];
+        return res.status(400).json({ success: false, error: `Invalid retry policy: ${issue?.path.join(".")} ${issue?.message}` });
+    }
+    if (rejectPendingProposals(res) || rejectUnclarified(res)) return;
     if (targetRepo) lastRepoTarget = resolveRepo(targetRepo);
+    const mode: AnalysisMode = analysisMode === "local" ? "local" : "github";
+    if (mode === "local" && !(await isLocalCheckout(lastRepoTarget.repoPath))) {
+        return res.status(400).json({
+            success: false,
+            error: `No local checkout at ${lastRepoTarget.repoPath} — clone the repository there or set TARGET_REPO_PATH`,
+        });
+    }
 
-    const selectedReqs = (selectedIndices || [])
+    let selectedReqs = (selectedIndices || [])
         .filter((i: number) => i >= 0 && i < lastRequirements.length)
-        .map((i: number) => ({ index: i, text: lastRequirements[i]! }));
+        .map((i: number) => ({ index: i, requirement: lastRequirements[i]! }));
+
+    // Follow-up meeting: unchanged requirements were analyzed in the previous run
+    const unchanged = new Set(lastDiff?.changes.filter(c => c.status === "unchanged").map(c => c.requirementId) ?? []);
+    const skipped = selectedReqs.filter(s => unchanged.has(s.requirement.id)).length;
+    selectedReqs = selectedReqs.filter(s => !unchanged.has(s.requirement.id));
 
     if (selectedReqs.length === 0) {
-        return res.status(400).json({ success: false, error: "No requirements selected" });
+        return res.status(400).json({
+            success: false,
+            error: skipped > 0 ? "The selected requirements are unchanged since the previous run" : "No requirements selected",
+        });
     }
 
     const sendEvent = sseHeaders(res);
+    const signal = trackOperation("analyze-gaps", res);
+    if (skipped > 0) {
+        sendEvent("log", { message: `Skipping ${skipped} requirement(s) unchanged since the previous run` });
+    }
 
     try {
         const analysis = await analyzeSelectedGaps(client, {
             requirements: selectedReqs,
             githubMcp: getGitHubMcpConfig(),
+            mode,
+            force: forceRefresh === true,
+            retry: retryPolicy.data,
+            retryByGap: gapRetryPolicies.data,
+            signal,
             owner: lastRepoTarget.owner,
             repo: lastRepoTarget.repo,
             repoPath: lastRepoTarget.repoPath,
             onProgress: (step, message) => sendEvent("progress", { step, message }),
             onGapStarted: (id) => sendEvent("gap-started", { id }),
             onGap: (gap) => sendEvent("gap", { gap }),
+            onGapRetry: (retry) => sendEvent("gap-retry", retry),
+            onCancelled: (id) => sendEvent("cancelled", { id }),
             onLog: (message) => sendEvent("log", { message }),
+            onWarning: (message) => sendEvent("warning", { message }),
         });
 
         // Merge into lastAnalysis (keep previous results, add/replace new)
@@ -153,7 +787,23 @@ app.post("/api/analyze-gaps", async (req, res) => {
             else lastAnalysis.push(gap);
         }
 
-        sendEvent("complete", { success: true, totalGaps: analysis.length });
+        // Dependencies span every analyzed gap, not just this run's
+        if (analysis.length > 0 && !signal.aborted) {
+            const dependencies = await inferGapDependencies(client, lastAnalysis, {
+                signal,
+                onLog: (message) => sendEvent("log", { message }),
+                onWarning: (message) => sendEvent("warning", { message }),
+            });
+            if (!signal.aborted) {
+                lastAnalysis = lastAnalysis.map(({ dependsOn: _dependsOn, ...g }) => {
+                    const dependsOn = dependencies.get(g.id);
+                    return dependsOn ? { ...g, dependsOn } : g;
+                });
+                sendEvent("dependencies", { dependencies: Object.fromEntries(dependencies) });
+            }
+        }
+
+        sendEvent("complete", { success: true, totalGaps: analysis.length, cancelled: signal.aborted });
     } catch (error) {
         console.error("Gap analysis error:", error);
         sendEvent("error", {
@@ -165,6 +815,62 @@ app.post("/api/analyze-gaps", async (req, res) => {
     }
 });
 
+// Step 1e: Sign off on a low-confidence gap: { action: "accept" | "edit", changes?, author }
+app.post("/api/gaps/:id/review", (req, res) => {
+    const { action, changes, author } = req.body as { action?: string; changes?: unknown; author?: string };
+    const index = lastAnalysis.findIndex(g => g.id === Number(req.params.id));
+    if (index < 0) {
+        return res.status(404).json({ success: false, error: `No analyzed gap #${req.params.id}` });
+    }
+    if (action !== "accept" && action !== "edit") {
+        return res.status(400).json({ success: false, error: "action must be 'accept' or 'edit'" });
+    }
+    if (typeof author !== "string" || !author.trim()) {
+        return res.status(400).json({ success: false, error: "Say who is reviewing the gap" });
+    }
+    const parsed = gapReviewChangesSchema.safeParse(changes ?? {});
+    if (!parsed.success) {
+        return res.status(400).json({ success: false, error: parsed.error.issues[0]?.message ?? "Invalid changes" });
+    }
+
+    const gap = reviewGap(lastAnalysis[index]!, action, parsed.data, author.trim());
+    lastAnalysis[index] = gap;
+    console.log(`[server] Gap #${gap.id} ${gap.review!.action} by ${gap.review!.by}`);
+    res.json({ success: true, gap });
+});
+
+// Step 1f: Schedule the selected gaps across developers and agents; published roadmaps go on the epic
+app.post("/api/roadmap", (req, res) => {
+    const parsed = roadmapRequestSchema.safeParse(req.body ?? {});
+    if (!parsed.success) {
+        const issue = parsed.error.issues[0];
+        return res.status(400).json({ success: false, error: `${issue?.path.length ? `${issue.path.join(".")}: ` : ""}${issue?.message ?? "Invalid request"}` });
+    }
+    const gaps = lastAnalysis.filter(g => parsed.data.selectedIds.includes(g.id));
+    if (gaps.length === 0) {
+        return res.status(400).json({ success: false, error: "None of the selected gaps have been analyzed" });
+    }
+
+    const roadmap = planRoadmap(gaps, parsed.data);
+    if (parsed.data.publish) {
+        lastRoadmap = roadmap;
+        scheduleEpicUpdate();
+        console.log(`[server] Roadmap published: ${gaps.length} gaps, ${roadmap.totals.minHours}–${roadmap.totals.maxHours} h, ${roadmap.totals.days} days`);
+    }
+    res.json({ success: true, roadmap, epicUpdated: parsed.data.publish && epicIssueNumber > 0 });
+});
+
+/** Low-confidence gaps can't be dispatched until reviewed; sends 409 and returns true if any are selected. */
+function rejectUnreviewed(gaps: GapItem[], res: express.Response): boolean {
+    const pending = gaps.filter(needsReview);
+    if (pending.length === 0) return false;
+    res.status(409).json({
+        success: false,
+        error: `Gap ${pending.map(g => `#${g.id}`).join(", ")} needs review before dispatch — accept or edit it in the analyze table`,
+    });
+    return true;
+}
+
 // Step 2: Create GitHub issues for selected gaps (SSE streaming)
 app.post("/api/create-issues", async (req, res) => {
     const { selectedIds, targetRepo } = req.body as { selectedIds: number[]; targetRepo?: string };
@@ -174,13 +880,17 @@ app.post("/api/create-issues", async (req, res) => {
     if (selectedGaps.length === 0) {
         return res.status(400).json({ success: false, error: "No items selected" });
     }
+    if (rejectUnreviewed(selectedGaps, res)) return;
 
     const sendEvent = sseHeaders(res);
 
     try {
         const issues = await createGithubIssues({
             gaps: selectedGaps,
+            requirements: lastRequirements,
             epicIssueNumber: epicIssueNumber > 0 ? epicIssueNumber : undefined,
+            directory: await loadParticipantDirectory(),
+            knownIssues: new Map(runIssues.map(i => [i.requirementId, i.number])),
             owner: lastRepoTarget.owner,
             repo: lastRepoTarget.repo,
             onProgress: (current, total, message) => sendEvent("progress", { current, total, message }),
@@ -189,6 +899,15 @@ app.post("/api/create-issues", async (req, res) => {
         });
 
         createdIssues = issues;
+        for (const issue of issues.filter(i => i.number > 0)) {
+            const requirementId = lastAnalysis.find(g => g.id === issue.id)?.requirementId;
+            if (!requirementId) continue;
+            runIssues = [
+                ...runIssues.filter(i => i.requirementId !== requirementId),
+                { requirementId, number: issue.number, url: issue.url, title: issue.title },
+            ];
+        }
+        persistRun();
 
         // Link sub-issues to epic
         if (epicIssueNumber > 0) {
@@ -241,6 +960,24 @@ app.post("/api/assign-coding-agent", async (req, res) => {
     }
 });
 
+// Cancel running operations: one kind (e.g. /api/cancel/analyze-gaps) or all
+app.post("/api/cancel{/:operation}", (req, res) => {
+    const operation = req.params.operation as CancellableOperation | undefined;
+    if (operation && !CANCELLABLE_OPERATIONS.includes(operation)) {
+        return res.status(400).json({ success: false, error: `Unknown operation: ${operation}` });
+    }
+    let cancelled = 0;
+    for (const name of operation ? [operation] : CANCELLABLE_OPERATIONS) {
+        for (const controller of runningOperations.get(name) ?? []) {
+            if (controller.signal.aborted) continue;
+            controller.abort(new Error("Cancelled by user"));
+            cancelled++;
+        }
+    }
+    console.log(`[cancel] ${operation ?? "all"}: ${cancelled} running operation(s) cancelled`);
+    res.json({ success: true, cancelled });
+});
+
 // Health check
 app.get("/api/health", (_req, res) => {
     res.json({ status: "ok", state: client.getState() });
@@ -249,9 +986,11 @@ app.get("/api/health", (_req, res) => {
 // Step 4a: Deploy to Azure (SSE streaming)
 app.post("/api/deploy", async (_req, res) => {
     const sendEvent = sseHeaders(res);
+    const signal = trackOperation("deploy", res);
 
     try {
         const result = await deployToAzure({
+            signal,
             onProgress: (step, message) => sendEvent("progress", { step, message }),
             onLog: (message) => sendEvent("log", { message }),
         });
@@ -261,6 +1000,8 @@ app.post("/api/deploy", async (_req, res) => {
                 sendEvent("deploy-url", { url: result.url });
             }
             sendEvent("complete", { success: true, url: result.url, message: result.message });
+        } else if (result.errorType === "cancelled") {
+            sendEvent("cancelled", { message: result.message });
         } else {
             sendEvent("error", {
                 success: false,
@@ -281,7 +1022,7 @@ app.post("/api/deploy", async (_req, res) => {
 
 // Step 4b: Validate deployment against requirements (SSE streaming)
 app.post("/api/validate", async (req, res) => {
-    const { url, requirements: clientRequirements } = req.body as { url: string; requirements?: string[] };
+    const { url, requirements: clientRequirements } = req.body as { url: string; requirements?: unknown[] };
 
     if (!url) {
         return res.status(400).json({ success: false, error: "No URL provided" });
@@ -289,7 +1030,7 @@ app.post("/api/validate", async (req, res) => {
 
     // Accept requirements from the client (survives server restarts)
     if (clientRequirements?.length) {
-        lastRequirements = clientRequirements;
+        lastRequirements = normalizeRequirements(clientRequirements);
     }
 
     if (lastRequirements.length === 0) {
@@ -297,21 +1038,25 @@ app.post("/api/validate", async (req, res) => {
     }
 
     const sendEvent = sseHeaders(res);
+    const signal = trackOperation("validate", res);
 
     try {
         const results = await validateDeployment({
             url,
             requirements: lastRequirements,
             client,
+            signal,
             onProgress: (current, total, message) => sendEvent("progress", { current, total, message }),
             onResult: (result) => sendEvent("result", { result }),
             onStart: (requirementIndex, requirement) => sendEvent("validation-start", { requirementIndex, requirement }),
+            onCancelled: (requirementIndex) => sendEvent("cancelled", { requirementIndex }),
             onLog: (message) => sendEvent("log", { message }),
+            onWarning: (message) => sendEvent("warning", { message }),
         });
 
         const passed = results.filter((r) => r.passed).length;
         const failed = results.length - passed;
-        sendEvent("complete", { success: true, total: results.length, passed, failed });
+        sendEvent("complete", { success: true, total: results.length, passed, failed, cancelled: signal.aborted });
     } catch (error) {
         console.error("Validate error:", error);
         sendEvent("error", {
@@ -335,14 +1080,17 @@ app.post("/api/execute-local-agent", async (req, res) => {
         return res.status(400).json({ success: false, error: "No gaps provided" });
     }
 
-    const selectedGaps = lastAnalysis
-        .filter((g) => gapIds.includes(g.id))
+    const matched = lastAnalysis.filter((g) => gapIds.includes(g.id));
+    if (rejectUnreviewed(matched, res)) return;
+    // Dependencies first: a gap's branch starts from the branches of the gaps it builds on
+    const selectedGaps = orderByDependencies(matched)
         .map((g) => ({
             id: g.id,
             requirement: g.requirement,
             gap: g.gap,
             details: g.details,
             complexity: g.complexity,
+            dependsOn: g.dependsOn?.map(d => d.id),
         }));
 
     if (selectedGaps.length === 0) {
@@ -350,11 +1098,13 @@ app.post("/api/execute-local-agent", async (req, res) => {
     }
 
     const sendEvent = sseHeaders(res);
+    const signal = trackOperation("execute-local-agent", res);
 
     try {
         const results = await executeLocalAgent(client, {
             gaps: selectedGaps,
             githubMcp: getGitHubMcpConfig(),
+            signal,
             owner: lastRepoTarget.owner,
             repo: lastRepoTarget.repo,
             repoUrl: lastRepoTarget.repoUrl,
@@ -362,11 +1112,12 @@ app.post("/api/execute-local-agent", async (req, res) => {
             onItemStart: (id, requirement) => sendEvent("item-start", { id, requirement }),
             onItemProgress: (id, message) => sendEvent("item-progress", { id, message }),
             onItemComplete: (id, success, summary) => sendEvent("item-complete", { id, success, summary }),
+            onItemCancelled: (id) => sendEvent("cancelled", { id }),
             onLog: (message) => sendEvent("log", { message }),
         });
 
         const successCount = results.filter((r) => r.success).length;
-        sendEvent("complete", { success: true, total: results.length, succeeded: successCount, results });
+        sendEvent("complete", { success: true, total: results.length, succeeded: successCount, results, cancelled: signal.aborted });
     } catch (error) {
         console.error("Local agent error:", error);
         sendEvent("error", {
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import type { GapDependency } from "../src/agents/gap-analyzer.js";
+import { orderByDependencies, reaches } from "../src/agents/gap-dependencies.js";
+
+const dep = (id: number): GapDependency => ({ id, requirementId: `REQ-${id}`, reason: "" });
+
+test("orderByDependencies puts dependencies first and keeps the rest in order", () => {
+    const gaps = [
+        { id: 1, dependsOn: [dep(3)] },
+        { id: 2 },
+        { id: 3, dependsOn: [dep(2)] },
+        { id: 4 },
+    ];
+    assert.deepEqual(orderByDependencies(gaps).map(g => g.id), [2, 3, 1, 4]);
+});
+
+test("orderByDependencies ignores dependencies outside the list", () => {
+    assert.deepEqual(orderByDependencies([{ id: 1, dependsOn: [dep(9)] }, { id: 2 }]).map(g => g.id), [1, 2]);
+});
+
+test("orderByDependencies keeps the given order for a cycle instead of looping", () => {
+    const gaps = [{ id: 1, dependsOn: [dep(2)] }, { id: 2, dependsOn: [dep(1)] }];
+    assert.deepEqual(orderByDependencies(gaps).map(g => g.id), [1, 2]);
+});
+
+test("reaches follows dependsOn edges transitively", () => {
+    const edges = new Map([[1, [dep(2)]], [2, [dep(3)]]]);
+    assert.equal(reaches(edges, 1, 3), true);
+    assert.equal(reaches(edges, 3, 1), false);
+    assert.equal(reaches(edges, 2, 2), true);
+});
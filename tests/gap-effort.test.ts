@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatEffort, normalizeEffort, parseEffortText, pointsForHours } from "../src/agents/gap-effort.js";
+
+test("parseEffortText reads ranges and units", () => {
+    assert.deepEqual(parseEffortText("2-3 hours"), [2, 3]);
+    assert.deepEqual(parseEffortText("1 to 2 days"), [8, 16]);
+    assert.deepEqual(parseEffortText("30 min"), [0.5, 0.5]);
+    assert.deepEqual(parseEffortText("1 week"), [40, 40]);
+    assert.deepEqual(parseEffortText("1 sprint"), [80, 80]);
+    assert.deepEqual(parseEffortText("4–2 h"), [2, 4]);
+});
+
+test("parseEffortText gives up on text without a known unit", () => {
+    assert.equal(parseEffortText("TBD"), undefined);
+    assert.equal(parseEffortText("3 lightyears"), undefined);
+});
+
+test("pointsForHours follows the scale and caps at 21", () => {
+    assert.equal(pointsForHours(2), 1);
+    assert.equal(pointsForHours(3), 2);
+    assert.equal(pointsForHours(8), 3);
+    assert.equal(pointsForHours(16), 5);
+    assert.equal(pointsForHours(24), 8);
+    assert.equal(pointsForHours(40), 13);
+    assert.equal(pointsForHours(41), 21);
+});
+
+test("normalizeEffort prefers the analyzer, then the text, then the complexity", () => {
+    assert.deepEqual(
+        normalizeEffort({ text: "1 day", complexity: "Low", hours: { min: 6, max: 3 } }),
+        { minHours: 3, maxHours: 6, storyPoints: 3, source: "analyzer" },
+    );
+    assert.deepEqual(
+        normalizeEffort({ text: "1 day", complexity: "Low", hours: { min: 0, max: 0 } }),
+        { minHours: 8, maxHours: 8, storyPoints: 3, source: "text" },
+    );
+    assert.deepEqual(
+        normalizeEffort({ text: "TBD", complexity: "High" }),
+        { minHours: 8, maxHours: 24, storyPoints: 8, source: "complexity" },
+    );
+});
+
+test("normalizeEffort snaps story points to the Fibonacci scale", () => {
+    assert.equal(normalizeEffort({ text: "2 h", complexity: "Low", storyPoints: 4 }).storyPoints, 3);
+    assert.equal(normalizeEffort({ text: "2 h", complexity: "Low", storyPoints: 7 }).storyPoints, 8);
+    assert.equal(normalizeEffort({ text: "2 h", complexity: "Low", storyPoints: 100 }).storyPoints, 21);
+    // Zero or missing points come from the hours
+    assert.equal(normalizeEffort({ text: "2 h", complexity: "Low", storyPoints: 0 }).storyPoints, 1);
+});
+
+test("formatEffort", () => {
+    assert.equal(formatEffort({ minHours: 2, maxHours: 4, storyPoints: 2, source: "text" }), "2–4 h · 2 pts");
+    assert.equal(formatEffort({ minHours: 1, maxHours: 1, storyPoints: 1, source: "text" }), "1 h · 1 pt");
+});
@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseClarifyingAnswers } from "../src/agents/requirement-clarity.js";
+
+test("parseClarifyingAnswers reads answer lines in any common markup", () => {
+    const answers = parseClarifyingAnswers([
+        { author: "dana", body: "Thanks!\n**REQ-1-Q1**: under 2 seconds\n- req-2-q1 — only on mobile" },
+    ], ["REQ-1-Q1", "REQ-2-Q1"]);
+    assert.deepEqual(answers, [
+        { questionId: "REQ-1-Q1", answer: "under 2 seconds", author: "dana" },
+        { questionId: "REQ-2-Q1", answer: "only on mobile", author: "dana" },
+    ]);
+});
+
+test("parseClarifyingAnswers lets later answers win and skips unknown ids", () => {
+    const answers = parseClarifyingAnswers([
+        { author: "dana", body: "REQ-1-Q1: 2 seconds" },
+        { author: "alex", body: "REQ-1-Q1: 1 second\nREQ-9-Q9: ignored" },
+    ], ["REQ-1-Q1"]);
+    assert.deepEqual(answers, [{ questionId: "REQ-1-Q1", answer: "1 second", author: "alex" }]);
+});
+
+test("parseClarifyingAnswers skips the questions comment itself", () => {
+    const answers = parseClarifyingAnswers([
+        { author: "bot", body: "<!-- meeting-2-code:clarifying-questions -->\n- REQ-1-Q1: how fast?" },
+    ], ["REQ-1-Q1"]);
+    assert.deepEqual(answers, []);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import type { Requirement } from "../src/agents/requirements.js";
+import { reconcileDiff } from "../src/agents/requirement-diff.js";
+import type { RequirementDiff } from "../src/agents/requirement-diff.js";
+
+const req = (id: string) => ({ id, text: `Requirement ${id}` }) as Requirement;
+
+const diff: RequirementDiff = {
+    previousRunId: "run-1",
+    previousTitle: "Kickoff",
+    changes: [
+        { status: "unchanged", requirementId: "REQ-1", previousId: "REQ-1" },
+        { status: "changed", requirementId: "REQ-2", previousId: "REQ-2", change: "New deadline" },
+        { status: "new", requirementId: "REQ-3" },
+        { status: "dropped", previousId: "REQ-4", previousText: "Old ask" },
+    ],
+};
+
+test("reconcileDiff marks edited unchanged requirements as changed", () => {
+    const result = reconcileDiff(diff, [req("REQ-1"), req("REQ-2"), req("REQ-3")], ["REQ-1", "REQ-2"]);
+    assert.deepEqual(result.changes[0], { status: "changed", requirementId: "REQ-1", previousId: "REQ-1", change: "Edited before analysis" });
+    assert.equal(result.changes[1]!.change, "New deadline");
+});
+
+test("reconcileDiff drops removed requirements that had a match and adds new ones", () => {
+    const result = reconcileDiff(diff, [req("REQ-2"), req("REQ-5")], []);
+    assert.deepEqual(result.changes.map(c => [c.status, c.requirementId ?? c.previousId]), [
+        ["changed", "REQ-2"],
+        ["new", "REQ-5"],
+        ["dropped", "REQ-1"],
+        ["dropped", "REQ-4"],
+    ]);
+});
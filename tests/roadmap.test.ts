@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import type { GapItem } from "../src/agents/gap-analyzer.js";
+import { planRoadmap, roadmapRequestSchema } from "../src/agents/roadmap.js";
+
+function gap(id: number, hours: number, extra: Partial<GapItem> = {}): GapItem {
+    return {
+        id,
+        requirementId: `REQ-${id}`,
+        requirement: `Requirement ${id}`,
+        currentState: "Missing",
+        gap: "Not implemented",
+        complexity: "Medium",
+        estimatedEffort: `${hours} hours`,
+        effort: { minHours: hours, maxHours: hours, storyPoints: 3, source: "analyzer" },
+        details: "",
+        ...extra,
+    };
+}
+
+const request = (overrides: Record<string, unknown>) => roadmapRequestSchema.parse({ selectedIds: [1], ...overrides });
+
+test("planRoadmap puts each gap on the lane that finishes it soonest", () => {
+    const roadmap = planRoadmap([gap(1, 16), gap(2, 16), gap(3, 16)], request({ developers: 0, agents: 2 }));
+    assert.deepEqual(roadmap.items.map(i => [i.gapId, i.laneId, i.startDay, i.endDay]), [
+        [1, "agent-1", 0, 1],
+        [2, "agent-2", 0, 1],
+        [3, "agent-1", 1, 2],
+    ]);
+    assert.equal(roadmap.totals.days, 2);
+    assert.equal(roadmap.totals.minHours, 48);
+});
+
+test("planRoadmap starts a gap after its dependencies, whatever the input order", () => {
+    const dependent = gap(1, 6, { dependsOn: [{ id: 2, requirementId: "REQ-2", reason: "needs the page" }] });
+    const roadmap = planRoadmap([dependent, gap(2, 12)], request({ developers: 2, agents: 0 }));
+    assert.deepEqual(roadmap.items.map(i => i.gapId), [2, 1]);
+    const [first, second] = roadmap.items;
+    assert.equal(second!.startDay, first!.endDay);
+});
+
+test("planRoadmap honours assignments and falls back when no lane of that kind exists", () => {
+    const roadmap = planRoadmap([gap(1, 6), gap(2, 6)], request({
+        developers: 1,
+        agents: 1,
+        assignments: { 1: "developer", 2: "agent" },
+    }));
+    assert.deepEqual(roadmap.items.map(i => i.laneId), ["developer-1", "agent-1"]);
+
+    const noDevelopers = planRoadmap([gap(1, 6)], request({ developers: 0, agents: 1, assignments: { 1: "developer" } }));
+    assert.equal(noDevelopers.items[0]!.laneId, "agent-1");
+});
+
+test("planRoadmap plans a range at its midpoint and keeps the range in the totals", () => {
+    const ranged = gap(1, 0, { effort: { minHours: 4, maxHours: 8, storyPoints: 3, source: "text" } });
+    const roadmap = planRoadmap([ranged], request({ developers: 1, agents: 0, developerHoursPerDay: 6 }));
+    assert.equal(roadmap.lanes[0]!.hours, 6);
+    assert.equal(roadmap.items[0]!.endDay, 1);
+    assert.deepEqual([roadmap.totals.minHours, roadmap.totals.maxHours], [4, 8]);
+});
+
+test("roadmapRequestSchema needs at least one lane", () => {
+    assert.equal(roadmapRequestSchema.safeParse({ selectedIds: [1], developers: 0, agents: 0 }).success, false);
+});
@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { z } from "zod";
+import { parseStructured } from "../src/agents/structured-output.js";
+
+const schema = z.object({ items: z.array(z.string()) });
+
+test("parseStructured finds JSON inside fences and chatter", () => {
+    const text = 'Here you go:\n```json\n{ "items": ["a", "b"] }\n```\nAnything else?';
+    assert.deepEqual(parseStructured(text, schema), { ok: true, data: { items: ["a", "b"] } });
+});
+
+test("parseStructured ignores brackets inside strings", () => {
+    const text = '{ "items": ["a } b", "[c"] }';
+    assert.deepEqual(parseStructured(text, schema), { ok: true, data: { items: ["a } b", "[c"] } });
+});
+
+test("parseStructured skips JSON that doesn't match and takes a later value", () => {
+    const text = 'Draft: {"items": 1} Final: {"items": ["x"]}';
+    assert.deepEqual(parseStructured(text, schema), { ok: true, data: { items: ["x"] } });
+});
+
+test("parseStructured reports the first candidate when nothing matches", () => {
+    const result = parseStructured('{"items": 1}', schema);
+    assert.equal(result.ok, false);
+    assert.deepEqual(!result.ok && result.candidate, { items: 1 });
+    assert.deepEqual(parseStructured("no json here", schema), { ok: false, error: "No JSON value found in the response", candidate: undefined });
+});